@@ -0,0 +1,540 @@
+#!/usr/bin/env node
+// Offline evaluation runner for the AI analysis pipeline.
+//
+// Runs every case in a corpus through callBedrock against recorded model
+// responses (or the mock provider when a case has none), scores the results
+// and optionally compares them with a baseline report. See "AI Evaluation"
+// in the README for the corpus and recording formats.
+//
+//   node backend/eval/run.js [--corpus file] [--recordings file]
+//     [--baseline report.json] [--out report.json] [--markdown report.md]
+//     [--record]
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const EVAL_DIR = __dirname;
+const AI_DIR = path.join(EVAL_DIR, "..", "src", "ai");
+const EVAL_PROVIDER_NAME = "eval";
+const EDIT_INTENTS = new Set(["improve", "document"]);
+
+// Scored metrics, in report order. Rates are null when no case applies.
+const METRICS = [
+  ["parse_success_rate", "Parse success"],
+  ["structured_output_rate", "Structured (tool) output"],
+  ["empty_replacement_rate", "Empty replacement (edit intents)"],
+  ["intent_compliance_rate", "Intent compliance"],
+  ["replacement_parse_rate", "Replacement parses"],
+  ["repair_rate", "Needed a repair round-trip"],
+];
+// Lower is better for these; everything else is higher-is-better.
+const LOWER_IS_BETTER = new Set(["empty_replacement_rate", "repair_rate"]);
+
+function parseArgs(argv) {
+  const options = {
+    corpus: path.join(EVAL_DIR, "corpus.json"),
+    recordings: path.join(EVAL_DIR, "recordings.json"),
+    baseline: null,
+    out: null,
+    markdown: null,
+    record: false,
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === "--record") {
+      options.record = true;
+      continue;
+    }
+
+    const key = arg.replace(/^--/, "");
+    if (!arg.startsWith("--") || !(key in options) || index + 1 >= argv.length) {
+      throw new Error(`Unknown or incomplete option: ${arg}`);
+    }
+    options[key] = path.resolve(argv[index + 1]);
+    index += 1;
+  }
+
+  return options;
+}
+
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    if (fallback !== undefined) {
+      return fallback;
+    }
+    throw new Error(`File not found: ${filePath}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function loadCorpus(corpusPath) {
+  const corpus = readJson(corpusPath);
+  if (!Array.isArray(corpus.cases) || corpus.cases.length === 0) {
+    throw new Error(`${corpusPath} must contain a non-empty "cases" array.`);
+  }
+
+  const corpusDir = path.dirname(corpusPath);
+  const ids = new Set();
+  return corpus.cases.map((testCase) => {
+    if (!testCase.id || ids.has(testCase.id)) {
+      throw new Error(`Every case needs a unique id (got "${testCase.id}").`);
+    }
+    ids.add(testCase.id);
+
+    const code = testCase.code_file
+      ? fs.readFileSync(path.join(corpusDir, testCase.code_file), "utf8")
+      : testCase.code;
+    if (typeof code !== "string") {
+      throw new Error(`Case ${testCase.id} needs code or code_file.`);
+    }
+
+    return { ...testCase, code: code.replace(/\n$/, "") };
+  });
+}
+
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+}
+
+// Replays recordings for the current case in call order (the analysis, then
+// a repair round-trip if one happens). In record mode every call goes to
+// the live provider and is captured instead.
+function createEvalProvider({ liveProvider, createMockProvider }) {
+  let state = null;
+
+  function startCase(testCase, recordings) {
+    state = {
+      recordings,
+      calls: [],
+      mock: createMockProvider({ fixtures: testCase.fixtures || [] }),
+    };
+  }
+
+  function finishCase() {
+    const finished = state;
+    state = null;
+    return finished;
+  }
+
+  async function invokeAny(request, streamed) {
+    const callIndex = state.calls.length;
+    let result;
+    let source;
+
+    if (liveProvider) {
+      result = streamed
+        ? await liveProvider.invokeStream(request)
+        : await liveProvider.invoke(request);
+      source = "live";
+    } else if (state.recordings) {
+      const recording = state.recordings[callIndex];
+      if (!recording) {
+        throw new Error(`No recorded response for call ${callIndex + 1}.`);
+      }
+      result = {
+        text: recording.text || "",
+        toolInput: recording.tool_input || null,
+        usage: recording.usage || null,
+      };
+      if (streamed) {
+        request.onTextDelta(
+          result.toolInput ? JSON.stringify(result.toolInput) : result.text
+        );
+      }
+      source = "recorded";
+    } else {
+      result = streamed
+        ? await state.mock.invokeStream(request)
+        : await state.mock.invoke(request);
+      source = "mock";
+    }
+
+    state.calls.push({
+      source,
+      prompt_hash: hashText(`${request.systemPrompt}\n${request.prompt}`),
+      result,
+    });
+    return result;
+  }
+
+  return {
+    provider: {
+      name: EVAL_PROVIDER_NAME,
+      modelId: liveProvider ? liveProvider.modelId : "eval-replay",
+      invoke: (request) => invokeAny(request, false),
+      invokeStream: (request) => invokeAny(request, true),
+    },
+    startCase,
+    finishCase,
+  };
+}
+
+// Best-effort read of the first model reply, used to judge what the model
+// actually returned before callBedrock normalized it away.
+function readRawPayload(result) {
+  if (result?.toolInput && typeof result.toolInput === "object") {
+    return result.toolInput;
+  }
+
+  const text = result?.text || "";
+  const firstBrace = text.indexOf("{");
+  const lastBrace = text.lastIndexOf("}");
+  if (firstBrace === -1 || lastBrace <= firstBrace) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text.slice(firstBrace, lastBrace + 1));
+  } catch (err) {
+    return null;
+  }
+}
+
+function hasCodeEdits(payload) {
+  return (
+    (Array.isArray(payload.hunks) && payload.hunks.length > 0) ||
+    (Array.isArray(payload.changes) && payload.changes.length > 0) ||
+    (typeof payload.replacement === "string" && payload.replacement.trim() !== "")
+  );
+}
+
+// Returns null when the reply follows the intent's contract, otherwise a
+// short description of the violation.
+function checkIntentCompliance(intent, rawPayload, response) {
+  if (!rawPayload) {
+    return "reply was not a JSON object";
+  }
+
+  if (intent === "explain") {
+    if (hasCodeEdits(rawPayload)) {
+      return "explain reply contained code edits";
+    }
+    if (/```/.test(response.analysis)) {
+      return "explain analysis contained a code block";
+    }
+    return null;
+  }
+
+  if (EDIT_INTENTS.has(intent)) {
+    return Array.isArray(rawPayload.hunks) ||
+      typeof rawPayload.replacement === "string"
+      ? null
+      : "edit reply had no hunks";
+  }
+
+  if (intent === "tests") {
+    return response.test_file?.content?.trim()
+      ? null
+      : "tests reply had no test file";
+  }
+
+  if (intent === "audit" || intent === "review") {
+    return Array.isArray(rawPayload.findings)
+      ? null
+      : `${intent} reply had no findings array`;
+  }
+
+  return null;
+}
+
+async function runCase(testCase, { callBedrock, evalProvider, recordings }) {
+  evalProvider.startCase(testCase, recordings[testCase.id]?.calls || null);
+
+  const formats = [];
+  const originalLog = console.log;
+  // Response format metrics are emitted as Embedded Metric Format lines;
+  // read them back instead of printing them.
+  console.log = (...args) => {
+    const [line] = args;
+    if (typeof line === "string" && line.startsWith('{"_aws"')) {
+      const metric = JSON.parse(line);
+      formats.push(
+        ["StructuredOutput", "FormatFallback", "MalformedResponse"].find(
+          (name) => metric[name] === 1
+        )
+      );
+      return;
+    }
+    originalLog(...args);
+  };
+
+  let response = null;
+  let errorCode = null;
+  try {
+    response = await callBedrock({
+      code: testCase.code,
+      prompt: testCase.prompt,
+      language: testCase.language,
+      selection: testCase.selection || null,
+      history: [],
+      mode: testCase.intent,
+      forceRefresh: true,
+    });
+  } catch (err) {
+    errorCode = err.message;
+  } finally {
+    console.log = originalLog;
+  }
+
+  const { calls } = evalProvider.finishCase();
+  const intent = response?.intent || testCase.intent;
+  const result = {
+    id: testCase.id,
+    intent,
+    language: testCase.language,
+    source: calls[0]?.source || null,
+    prompt_hash: calls[0]?.prompt_hash || null,
+    error: errorCode,
+    format: formats[0] || null,
+    parse_success: Boolean(formats[0]) && formats[0] !== "MalformedResponse",
+    empty_replacement: null,
+    intent_issue: null,
+    validation_status: response?.validation?.status || null,
+  };
+
+  if (response) {
+    result.intent_issue = checkIntentCompliance(
+      intent,
+      readRawPayload(calls[0]?.result),
+      response
+    );
+    if (EDIT_INTENTS.has(intent)) {
+      result.empty_replacement = response.hunks.length === 0;
+    }
+  }
+
+  return { result, calls };
+}
+
+function rate(results, applies, passes) {
+  const applicable = results.filter(applies);
+  return applicable.length === 0
+    ? null
+    : applicable.filter(passes).length / applicable.length;
+}
+
+function summarize(results) {
+  const parsed = results.filter((result) => result.parse_success);
+  const validated = results.filter((result) => result.validation_status);
+
+  return {
+    cases: results.length,
+    errors: results.filter((result) => result.error).length,
+    parse_success_rate: rate(results, () => true, (r) => r.parse_success),
+    structured_output_rate: rate(
+      results,
+      (r) => r.format,
+      (r) => r.format === "StructuredOutput"
+    ),
+    empty_replacement_rate: rate(
+      parsed,
+      (r) => r.empty_replacement !== null,
+      (r) => r.empty_replacement
+    ),
+    intent_compliance_rate: rate(
+      parsed,
+      (r) => !r.error,
+      (r) => !r.intent_issue
+    ),
+    replacement_parse_rate: rate(
+      validated,
+      () => true,
+      (r) => r.validation_status !== "invalid"
+    ),
+    repair_rate: rate(
+      validated,
+      () => true,
+      (r) => r.validation_status === "repaired"
+    ),
+  };
+}
+
+function formatRate(value) {
+  return value === null || value === undefined
+    ? "n/a"
+    : `${(value * 100).toFixed(1)}%`;
+}
+
+function describeCase(result) {
+  if (result.error) {
+    return `error ${result.error}`;
+  }
+  if (result.intent_issue) {
+    return result.intent_issue;
+  }
+  if (result.validation_status === "invalid") {
+    return "replacement does not parse";
+  }
+  return "ok";
+}
+
+function buildMarkdownReport(report, baseline) {
+  const lines = [
+    "# AI evaluation report",
+    "",
+    `${report.summary.cases} cases, ${report.summary.errors} errors, model ${report.model_id}, prompt template version ${report.prompt_template_version}.`,
+    "",
+  ];
+
+  if (baseline) {
+    lines.push(
+      `Compared with the baseline from ${baseline.generated_at}.`,
+      "",
+      "| Metric | Baseline | Current | Change |",
+      "| ------ | -------- | ------- | ------ |"
+    );
+    METRICS.forEach(([key, label]) => {
+      const before = baseline.summary[key];
+      const after = report.summary[key];
+      let change = "";
+      if (typeof before === "number" && typeof after === "number") {
+        const delta = (after - before) * 100;
+        const better = LOWER_IS_BETTER.has(key) ? delta < 0 : delta > 0;
+        change =
+          Math.abs(delta) < 0.05
+            ? "="
+            : `${delta > 0 ? "+" : ""}${delta.toFixed(1)} pts ${
+                better ? "(better)" : "(worse)"
+              }`;
+      }
+      lines.push(
+        `| ${label} | ${formatRate(before)} | ${formatRate(after)} | ${change} |`
+      );
+    });
+
+    const baselineCases = new Map(
+      baseline.cases.map((result) => [result.id, result])
+    );
+    const changedCases = report.cases.filter((result) => {
+      const previous = baselineCases.get(result.id);
+      return previous && describeCase(previous) !== describeCase(result);
+    });
+    const promptChanges = report.cases.filter((result) => {
+      const previous = baselineCases.get(result.id);
+      return previous && previous.prompt_hash !== result.prompt_hash;
+    });
+
+    lines.push("", "## Changed cases", "");
+    if (changedCases.length === 0) {
+      lines.push("No case changed outcome.");
+    } else {
+      changedCases.forEach((result) => {
+        lines.push(
+          `- ${result.id}: ${describeCase(
+            baselineCases.get(result.id)
+          )} -> ${describeCase(result)}`
+        );
+      });
+    }
+
+    // Recorded replies were produced for the old prompts, so outcomes for
+    // these cases only reflect parsing changes until they are re-recorded.
+    if (promptChanges.length > 0) {
+      lines.push(
+        "",
+        `Prompts changed for ${promptChanges.length} case(s): ${promptChanges
+          .map((result) => result.id)
+          .join(", ")}. Re-record them with --record to measure the new prompts.`
+      );
+    }
+  } else {
+    lines.push("| Metric | Value |", "| ------ | ----- |");
+    METRICS.forEach(([key, label]) => {
+      lines.push(`| ${label} | ${formatRate(report.summary[key])} |`);
+    });
+  }
+
+  lines.push(
+    "",
+    "## Cases",
+    "",
+    "| Case | Intent | Source | Format | Result |",
+    "| ---- | ------ | ------ | ------ | ------ |"
+  );
+  report.cases.forEach((result) => {
+    lines.push(
+      `| ${result.id} | ${result.intent} | ${result.source || "-"} | ${
+        result.format || "-"
+      } | ${describeCase(result)} |`
+    );
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const cases = loadCorpus(options.corpus);
+  const recordings = readJson(options.recordings, {});
+
+  // In replay mode nothing may reach the network: the response cache and
+  // usage tables stay unset and the eval provider answers every call.
+  const liveProviderName = process.env.AI_PROVIDER || "bedrock";
+  delete process.env.AI_RESPONSE_CACHE_TABLE;
+  process.env.AI_PROVIDER = EVAL_PROVIDER_NAME;
+
+  const providers = require(path.join(AI_DIR, "providers"));
+  const evalProvider = createEvalProvider({
+    liveProvider: options.record
+      ? providers.getModelProvider(liveProviderName)
+      : null,
+    createMockProvider: providers.createMockProvider,
+  });
+  providers.registerModelProvider(EVAL_PROVIDER_NAME, evalProvider.provider);
+
+  const { callBedrock, PROMPT_TEMPLATE_VERSION } = require(AI_DIR);
+  const results = [];
+  for (const testCase of cases) {
+    const { result, calls } = await runCase(testCase, {
+      callBedrock,
+      evalProvider,
+      recordings: options.record ? {} : recordings,
+    });
+    results.push(result);
+
+    if (options.record && calls.length > 0) {
+      recordings[testCase.id] = {
+        model_id: evalProvider.provider.modelId,
+        recorded_at: new Date().toISOString(),
+        calls: calls.map(({ result: call }) => ({
+          ...(call.toolInput ? { tool_input: call.toolInput } : {}),
+          ...(call.text ? { text: call.text } : {}),
+          ...(call.usage ? { usage: call.usage } : {}),
+        })),
+      };
+    }
+  }
+
+  if (options.record) {
+    fs.writeFileSync(
+      options.recordings,
+      `${JSON.stringify(recordings, null, 2)}\n`
+    );
+  }
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    model_id: evalProvider.provider.modelId,
+    prompt_template_version: PROMPT_TEMPLATE_VERSION,
+    corpus: path.relative(process.cwd(), options.corpus),
+    summary: summarize(results),
+    cases: results,
+  };
+  const baseline = options.baseline ? readJson(options.baseline) : null;
+  const markdown = buildMarkdownReport(report, baseline);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+  }
+  if (options.markdown) {
+    fs.writeFileSync(options.markdown, markdown);
+  }
+  process.stdout.write(markdown);
+}
+
+main().catch((err) => {
+  console.error(`[eval] ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,16 @@
+function cartTotal(items) {
+  var total = 0;
+  for (var i = 0; i < items.length; i++) {
+    total = total + items[i].price * items[i].qty;
+  }
+  return total;
+}
+
+function applyDiscount(total, code) {
+  if (code == "SAVE10") {
+    return total * 0.9;
+  }
+  return total;
+}
+
+module.exports = { cartTotal, applyDiscount };
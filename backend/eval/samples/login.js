@@ -0,0 +1,18 @@
+const express = require("express");
+const db = require("./db");
+
+const router = express.Router();
+
+router.post("/login", async (req, res) => {
+  const { username, password } = req.body;
+  const user = await db.query(
+    `SELECT * FROM users WHERE name = '${username}' AND password = '${password}'`
+  );
+  if (!user) {
+    return res.status(401).send("Invalid login");
+  }
+  res.cookie("user", user.id);
+  res.send("ok");
+});
+
+module.exports = router;
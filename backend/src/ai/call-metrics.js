@@ -0,0 +1,296 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  QueryCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const METRICS_NAMESPACE = process.env.AI_METRICS_NAMESPACE || "CodeSensei/AI";
+const AI_CALL_METRICS_TABLE = process.env.AI_CALL_METRICS_TABLE;
+const CALL_METRICS_RETENTION_DAYS = Number(
+  process.env.AI_CALL_METRICS_RETENTION_DAYS || 14
+);
+// A summary stops reading records past this many and says so.
+const MAX_SUMMARY_RECORDS = 50000;
+const DAY_MS = 86400000;
+
+if (!AI_CALL_METRICS_TABLE) {
+  console.warn("[ai] AI_CALL_METRICS_TABLE environment variable is not set.");
+}
+
+const CALL_METRICS = [
+  { name: "Latency", unit: "Milliseconds" },
+  { name: "Attempts", unit: "Count" },
+  { name: "InputTokens", unit: "Count" },
+  { name: "OutputTokens", unit: "Count" },
+  { name: "CacheHit", unit: "Count" },
+  { name: "Error", unit: "Count" },
+];
+
+function emitCallMetrics(record) {
+  console.log(
+    JSON.stringify({
+      _aws: {
+        Timestamp: Date.parse(record.recorded_at),
+        CloudWatchMetrics: [
+          {
+            Namespace: METRICS_NAMESPACE,
+            Dimensions: [["ModelId", "Intent"]],
+            Metrics: CALL_METRICS.map(({ name, unit }) => ({
+              Name: name,
+              Unit: unit,
+            })),
+          },
+        ],
+      },
+      ModelId: record.model_id,
+      Intent: record.intent,
+      Latency: record.latency_ms,
+      Attempts: record.attempts,
+      InputTokens: record.input_tokens,
+      OutputTokens: record.output_tokens,
+      CacheHit: record.cache_hit ? 1 : 0,
+      Error: record.error_code ? 1 : 0,
+      // Not dimensions, but kept on the log line for Logs Insights queries.
+      Model: record.model,
+      ContextMode: record.context_mode,
+      ErrorCode: record.error_code,
+    })
+  );
+}
+
+/**
+ * Records one AI call, answered from the model or the cache or failed: an
+ * Embedded Metric Format line for CloudWatch and an item in
+ * AI_CALL_METRICS_TABLE, which keeps it for AI_CALL_METRICS_RETENTION_DAYS
+ * so GET /ai/metrics can report on it. `attempts` counts model invocations,
+ * so cache hits and calls rejected before reaching the model have 0.
+ * Failures are logged rather than thrown.
+ */
+async function recordCallMetrics({
+  modelId,
+  model,
+  intent,
+  contextMode,
+  attempts,
+  latencyMs,
+  usage,
+  cacheHit,
+  errorCode,
+}) {
+  const now = new Date();
+  const record = {
+    recorded_at: now.toISOString(),
+    model_id: modelId || "unknown",
+    model: model || null,
+    intent: intent || "unknown",
+    context_mode: contextMode || null,
+    attempts: attempts || 0,
+    latency_ms: Math.max(0, Math.round(latencyMs)),
+    input_tokens: usage?.input_tokens || 0,
+    output_tokens: usage?.output_tokens || 0,
+    cache_hit: Boolean(cacheHit),
+    error_code: errorCode || null,
+  };
+
+  emitCallMetrics(record);
+
+  if (!AI_CALL_METRICS_TABLE) {
+    return;
+  }
+
+  try {
+    await documentClient.send(
+      new PutCommand({
+        TableName: AI_CALL_METRICS_TABLE,
+        Item: {
+          day: record.recorded_at.slice(0, 10),
+          call_key: `${record.recorded_at}#${uuidv4()}`,
+          ...record,
+          ttl:
+            Math.floor(now.getTime() / 1000) +
+            CALL_METRICS_RETENTION_DAYS * 86400,
+        },
+      })
+    );
+  } catch (err) {
+    console.error("[ai] Failed to record AI call metrics:", err);
+  }
+}
+
+/**
+ * Throws INVALID_METRICS_RANGE (with err.field) unless `from` and `to` are
+ * ISO timestamps with from before to, no more than the retention period
+ * apart. Missing bounds default to the last 24 hours.
+ */
+function parseMetricsRange({ from, to } = {}) {
+  const toTime = to ? Date.parse(to) : Date.now();
+  if (Number.isNaN(toTime)) {
+    const rangeError = new Error("INVALID_METRICS_RANGE");
+    rangeError.field = "to";
+    throw rangeError;
+  }
+
+  const fromTime = from ? Date.parse(from) : toTime - DAY_MS;
+  if (
+    Number.isNaN(fromTime) ||
+    fromTime >= toTime ||
+    toTime - fromTime > CALL_METRICS_RETENTION_DAYS * DAY_MS
+  ) {
+    const rangeError = new Error("INVALID_METRICS_RANGE");
+    rangeError.field = "from";
+    throw rangeError;
+  }
+
+  return {
+    from: new Date(fromTime).toISOString(),
+    to: new Date(toTime).toISOString(),
+  };
+}
+
+function listDays(from, to) {
+  const days = [];
+  for (
+    let time = Date.parse(from.slice(0, 10));
+    time <= Date.parse(to);
+    time += DAY_MS
+  ) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+async function queryRecords({ from, to }) {
+  const records = [];
+
+  for (const day of listDays(from, to)) {
+    let exclusiveStartKey;
+    do {
+      const result = await documentClient.send(
+        new QueryCommand({
+          TableName: AI_CALL_METRICS_TABLE,
+          KeyConditionExpression:
+            "#day = :day AND call_key BETWEEN :from AND :to",
+          ExpressionAttributeNames: { "#day": "day" },
+          ExpressionAttributeValues: {
+            ":day": day,
+            ":from": from,
+            // Sorts after every call_key recorded at `to`.
+            ":to": `${to}#~`,
+          },
+          ExclusiveStartKey: exclusiveStartKey,
+        })
+      );
+
+      records.push(...(result.Items || []));
+      if (records.length >= MAX_SUMMARY_RECORDS) {
+        return {
+          records: records.slice(0, MAX_SUMMARY_RECORDS),
+          truncated: true,
+        };
+      }
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+  }
+
+  return { records, truncated: false };
+}
+
+// Nearest-rank percentile of an ascending list.
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function ratio(count, total) {
+  return total > 0 ? Number((count / total).toFixed(4)) : 0;
+}
+
+// Latency only covers calls that reached the model, so instant cache hits
+// and rejected requests do not flatter the percentiles.
+function summarizeRecords(records) {
+  const modelLatencies = records
+    .filter((record) => record.attempts > 0)
+    .map((record) => record.latency_ms)
+    .sort((a, b) => a - b);
+  const errors = records.filter((record) => record.error_code);
+  const errorCodes = {};
+  errors.forEach((record) => {
+    errorCodes[record.error_code] = (errorCodes[record.error_code] || 0) + 1;
+  });
+  const cacheHits = records.filter((record) => record.cache_hit).length;
+  const attempts = records.reduce(
+    (total, record) => total + (record.attempts || 0),
+    0
+  );
+
+  return {
+    calls: records.length,
+    errors: errors.length,
+    error_rate: ratio(errors.length, records.length),
+    error_codes: errorCodes,
+    cache_hits: cacheHits,
+    cache_hit_rate: ratio(cacheHits, records.length),
+    retried_calls: records.filter((record) => record.attempts > 1).length,
+    average_attempts: ratio(attempts, modelLatencies.length),
+    latency_ms: {
+      p50: percentile(modelLatencies, 50),
+      p95: percentile(modelLatencies, 95),
+    },
+    input_tokens: records.reduce(
+      (total, record) => total + (record.input_tokens || 0),
+      0
+    ),
+    output_tokens: records.reduce(
+      (total, record) => total + (record.output_tokens || 0),
+      0
+    ),
+  };
+}
+
+/**
+ * Latency percentiles, error and cache hit rates for the calls recorded
+ * between `from` and `to`, overall and per model and intent (busiest
+ * first). `truncated` is set when the range held more than
+ * MAX_SUMMARY_RECORDS calls and only the earliest ones were read.
+ */
+async function getCallMetricsSummary({ from, to }) {
+  const { records, truncated } = AI_CALL_METRICS_TABLE
+    ? await queryRecords({ from, to })
+    : { records: [], truncated: false };
+
+  const groups = new Map();
+  records.forEach((record) => {
+    const key = `${record.model_id}\n${record.intent}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  });
+
+  return {
+    from,
+    to,
+    retention_days: CALL_METRICS_RETENTION_DAYS,
+    truncated,
+    overall: summarizeRecords(records),
+    by_model_intent: [...groups.values()]
+      .map((group) => ({
+        model_id: group[0].model_id,
+        intent: group[0].intent,
+        ...summarizeRecords(group),
+      }))
+      .sort((a, b) => b.calls - a.calls),
+  };
+}
+
+module.exports = {
+  recordCallMetrics,
+  parseMetricsRange,
+  getCallMetricsSummary,
+};
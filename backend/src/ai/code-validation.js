@@ -0,0 +1,129 @@
+const babelParser = require("@babel/parser");
+const YAML = require("yaml");
+
+const MAX_DIAGNOSTICS = 5;
+
+const LANGUAGE_PARSERS = {
+  javascript: "babel",
+  js: "babel",
+  jsx: "babel",
+  typescript: "babel-ts",
+  ts: "babel-ts",
+  tsx: "babel-ts",
+  json: "json",
+  yaml: "yaml",
+  yml: "yaml",
+};
+
+const BABEL_PLUGIN_SETS = {
+  babel: [["jsx", "decorators-legacy"], ["flow", "jsx"]],
+  "babel-ts": [
+    ["typescript", "decorators-legacy"],
+    ["typescript", "jsx", "decorators-legacy"],
+  ],
+};
+
+function toDiagnostic(message, line, column) {
+  return {
+    message: message
+      .split("\n")[0]
+      .replace(/\s*\(\d+:\d+\)$/, "")
+      .replace(/ at line \d+, column \d+:?$/, ""),
+    line: Number.isInteger(line) ? line : null,
+    column: Number.isInteger(column) ? column : null,
+  };
+}
+
+// Babel reports recoverable errors on ast.errors and throws on fatal ones.
+// The first plugin set that parses cleanly wins; otherwise the diagnostics
+// from the first set are reported, as it is the most likely dialect.
+function parseWithBabel(code, pluginSets) {
+  let firstDiagnostics = null;
+
+  for (const plugins of pluginSets) {
+    let diagnostics;
+    try {
+      const ast = babelParser.parse(code, {
+        sourceType: "unambiguous",
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        plugins,
+      });
+      diagnostics = (ast.errors || []).map((err) =>
+        toDiagnostic(err.message, err.loc?.line, err.loc?.column + 1)
+      );
+    } catch (err) {
+      diagnostics = [
+        toDiagnostic(err.message, err.loc?.line, err.loc?.column + 1),
+      ];
+    }
+
+    if (diagnostics.length === 0) {
+      return [];
+    }
+    firstDiagnostics = firstDiagnostics || diagnostics;
+  }
+
+  return firstDiagnostics;
+}
+
+function parseJson(code) {
+  try {
+    JSON.parse(code);
+    return [];
+  } catch (err) {
+    const position = Number(err.message.match(/position (\d+)/)?.[1]);
+    if (!Number.isInteger(position)) {
+      return [toDiagnostic(err.message)];
+    }
+
+    const before = code.slice(0, position).split("\n");
+    return [
+      toDiagnostic(
+        err.message.replace(/\s*\(line \d+ column \d+\)$/, ""),
+        before.length,
+        before[before.length - 1].length + 1
+      ),
+    ];
+  }
+}
+
+function parseYaml(code) {
+  return YAML.parseAllDocuments(code).flatMap((document) =>
+    document.errors.map((err) =>
+      toDiagnostic(err.message, err.linePos?.[0]?.line, err.linePos?.[0]?.col)
+    )
+  );
+}
+
+/**
+ * Parses `code` with the parser registered for `language`. Returns null when
+ * no parser is available, otherwise { parser, valid, diagnostics } with at
+ * most MAX_DIAGNOSTICS diagnostics of the form { message, line, column }.
+ */
+function validateSyntax(code, language) {
+  const parser = LANGUAGE_PARSERS[String(language || "").trim().toLowerCase()];
+  if (!parser) {
+    return null;
+  }
+
+  let diagnostics;
+  if (parser === "json") {
+    diagnostics = parseJson(code);
+  } else if (parser === "yaml") {
+    diagnostics = parseYaml(code);
+  } else {
+    diagnostics = parseWithBabel(code, BABEL_PLUGIN_SETS[parser]);
+  }
+
+  return {
+    parser,
+    valid: diagnostics.length === 0,
+    diagnostics: diagnostics.slice(0, MAX_DIAGNOSTICS),
+  };
+}
+
+module.exports = {
+  validateSyntax,
+};
@@ -0,0 +1,786 @@
+const babelParser = require("@babel/parser");
+
+const CHARS_PER_TOKEN = 4;
+const MAX_REFERENCED_SYMBOLS = 20;
+
+const LANGUAGE_ALIASES = {
+  javascript: "javascript",
+  js: "javascript",
+  jsx: "javascript",
+  typescript: "typescript",
+  ts: "typescript",
+  tsx: "typescript",
+  python: "python",
+  py: "python",
+  json: "json",
+};
+
+const JS_FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+]);
+
+const JS_METHOD_TYPES = new Set([
+  "ClassMethod",
+  "ClassPrivateMethod",
+  "ObjectMethod",
+  "TSDeclareMethod",
+]);
+
+function estimateLineTokens(line) {
+  return Math.ceil((line.length + 1) / CHARS_PER_TOKEN);
+}
+
+// Symbols share one shape across languages:
+//   { name, kind, start_line, end_line, header_end_line, scope }
+// header_end_line is the last line of the signature, and scope marks nodes
+// that can enclose a selection (functions, classes, JSON containers).
+
+function walkBabelNode(node, parent, visit) {
+  visit(node, parent);
+
+  Object.keys(node).forEach((key) => {
+    if (key === "loc" || key.endsWith("Comments")) {
+      return;
+    }
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach((child) => {
+        if (child && typeof child.type === "string") {
+          walkBabelNode(child, node, visit);
+        }
+      });
+    } else if (value && typeof value.type === "string") {
+      walkBabelNode(value, node, visit);
+    }
+  });
+}
+
+function parseWithBabel(code, pluginSets) {
+  for (const plugins of pluginSets) {
+    try {
+      return babelParser.parse(code, {
+        sourceType: "unambiguous",
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        plugins,
+      });
+    } catch (err) {
+      // Try the next plugin combination (e.g. TSX after plain TypeScript)
+    }
+  }
+
+  return null;
+}
+
+function isRequireCall(node) {
+  let current = node;
+  while (current) {
+    if (current.type === "AwaitExpression") {
+      current = current.argument;
+    } else if (current.type === "MemberExpression") {
+      current = current.object;
+    } else if (current.type === "CallExpression") {
+      return (
+        current.callee.type === "Import" ||
+        (current.callee.type === "Identifier" &&
+          current.callee.name === "require")
+      );
+    } else {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+function getPropertyName(key) {
+  if (!key) {
+    return null;
+  }
+  if (key.type === "Identifier" || key.type === "PrivateName") {
+    return key.name || key.id?.name || null;
+  }
+  if (key.type === "StringLiteral") {
+    return key.value;
+  }
+  return null;
+}
+
+function parseJavaScriptOutline(code, language) {
+  const pluginSets =
+    language === "typescript"
+      ? [
+          ["typescript", "decorators-legacy"],
+          ["typescript", "jsx", "decorators-legacy"],
+        ]
+      : [["jsx", "decorators-legacy"], ["flow", "jsx"]];
+  const ast = parseWithBabel(code, pluginSets);
+  if (!ast) {
+    return null;
+  }
+
+  const imports = [];
+  const symbols = [];
+  const namedFunctionNodes = new Set();
+
+  const addSymbol = (name, kind, node, headerNode, scope) => {
+    symbols.push({
+      name,
+      kind,
+      start_line: node.loc.start.line,
+      end_line: node.loc.end.line,
+      header_end_line: headerNode
+        ? headerNode.loc.start.line
+        : node.loc.start.line,
+      scope,
+    });
+  };
+
+  walkBabelNode(ast.program, null, (node, parent) => {
+    if (
+      node.type === "ImportDeclaration" ||
+      node.type === "TSImportEqualsDeclaration"
+    ) {
+      imports.push({
+        start_line: node.loc.start.line,
+        end_line: node.loc.end.line,
+      });
+      return;
+    }
+
+    if (
+      node.type === "VariableDeclaration" &&
+      parent?.type === "Program" &&
+      node.declarations.some((declarator) => isRequireCall(declarator.init))
+    ) {
+      imports.push({
+        start_line: node.loc.start.line,
+        end_line: node.loc.end.line,
+      });
+      return;
+    }
+
+    if (
+      node.type === "FunctionDeclaration" ||
+      node.type === "TSDeclareFunction"
+    ) {
+      namedFunctionNodes.add(node);
+      addSymbol(node.id?.name || null, "function", node, node.body, true);
+      return;
+    }
+
+    if (node.type === "ClassDeclaration" || node.type === "ClassExpression") {
+      addSymbol(node.id?.name || null, "class", node, node.body, true);
+      return;
+    }
+
+    if (JS_METHOD_TYPES.has(node.type)) {
+      addSymbol(getPropertyName(node.key), "method", node, node.body, true);
+      return;
+    }
+
+    if (
+      (node.type === "ClassProperty" || node.type === "ObjectProperty") &&
+      node.value &&
+      JS_FUNCTION_TYPES.has(node.value.type)
+    ) {
+      namedFunctionNodes.add(node.value);
+      addSymbol(
+        getPropertyName(node.key),
+        "method",
+        node,
+        node.value.body,
+        true
+      );
+      return;
+    }
+
+    if (node.type === "VariableDeclarator" && node.id.type === "Identifier") {
+      const declaration = parent?.type === "VariableDeclaration" ? parent : node;
+      if (node.init && JS_FUNCTION_TYPES.has(node.init.type)) {
+        namedFunctionNodes.add(node.init);
+        addSymbol(node.id.name, "function", declaration, node.init.body, true);
+      } else if (node.init?.type === "ClassExpression") {
+        addSymbol(node.id.name, "class", declaration, node.init.body, true);
+      } else {
+        addSymbol(node.id.name, "variable", declaration, null, false);
+      }
+      return;
+    }
+
+    if (node.type === "TSInterfaceDeclaration") {
+      addSymbol(node.id.name, "interface", node, node.body, false);
+      return;
+    }
+
+    if (
+      node.type === "TSTypeAliasDeclaration" ||
+      node.type === "TSEnumDeclaration"
+    ) {
+      addSymbol(node.id.name, "type", node, null, false);
+      return;
+    }
+
+    // Anonymous callbacks (route handlers, test blocks) still enclose code
+    if (JS_FUNCTION_TYPES.has(node.type) && !namedFunctionNodes.has(node)) {
+      addSymbol(null, "function", node, node.body, true);
+    }
+  });
+
+  return { imports, symbols };
+}
+
+function getPythonIndent(line) {
+  return line.match(/^[ \t]*/)[0].replace(/\t/g, "    ").length;
+}
+
+function isPythonCodeLine(line) {
+  const trimmed = line.trim();
+  return trimmed.length > 0 && !trimmed.startsWith("#");
+}
+
+function countBracketDepth(line) {
+  const stripped = line.replace(/#.*$/, "");
+  const opens = (stripped.match(/[([{]/g) || []).length;
+  const closes = (stripped.match(/[)\]}]/g) || []).length;
+  return opens - closes;
+}
+
+// Python has no parser available in the Lambda runtime, so the outline is
+// derived from indentation: a def/class block runs until the next code line
+// indented no deeper than its header.
+function parsePythonOutline(code) {
+  const lines = code.split("\n");
+  const imports = [];
+  const symbols = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (/^(import|from)\s+\S/.test(line)) {
+      let endIndex = index;
+      let depth = countBracketDepth(line);
+      while (
+        endIndex < lines.length - 1 &&
+        (depth > 0 || lines[endIndex].trimEnd().endsWith("\\"))
+      ) {
+        endIndex += 1;
+        depth += countBracketDepth(lines[endIndex]);
+      }
+      imports.push({ start_line: index + 1, end_line: endIndex + 1 });
+      index = endIndex;
+      continue;
+    }
+
+    const assignment = line.match(/^([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/);
+    if (assignment) {
+      symbols.push({
+        name: assignment[1],
+        kind: "variable",
+        start_line: index + 1,
+        end_line: index + 1,
+        header_end_line: index + 1,
+        scope: false,
+      });
+      continue;
+    }
+
+    const match = line.match(/^[ \t]*(async\s+def|def|class)\s+([A-Za-z_]\w*)/);
+    if (!match) {
+      continue;
+    }
+
+    const indent = getPythonIndent(line);
+
+    let startIndex = index;
+    while (
+      startIndex > 0 &&
+      lines[startIndex - 1].trim().startsWith("@") &&
+      getPythonIndent(lines[startIndex - 1]) === indent
+    ) {
+      startIndex -= 1;
+    }
+
+    let headerEndIndex = index;
+    let depth = countBracketDepth(line);
+    while (depth > 0 && headerEndIndex < lines.length - 1) {
+      headerEndIndex += 1;
+      depth += countBracketDepth(lines[headerEndIndex]);
+    }
+
+    let endIndex = headerEndIndex;
+    for (let next = headerEndIndex + 1; next < lines.length; next += 1) {
+      if (!isPythonCodeLine(lines[next])) {
+        continue;
+      }
+      if (getPythonIndent(lines[next]) <= indent) {
+        break;
+      }
+      endIndex = next;
+    }
+
+    symbols.push({
+      name: match[2],
+      kind: match[1] === "class" ? "class" : "function",
+      start_line: startIndex + 1,
+      end_line: endIndex + 1,
+      header_end_line: headerEndIndex + 1,
+      scope: true,
+    });
+  }
+
+  return { imports, symbols };
+}
+
+// JSON has no imports or references; its "symbols" are the objects and
+// arrays containing the selection, labelled by their key path.
+function parseJsonOutline(code) {
+  const symbols = [];
+  const stack = [];
+  let line = 1;
+  let inString = false;
+  let escaped = false;
+  let stringValue = "";
+  let lastString = null;
+  let pendingKey = null;
+
+  for (let index = 0; index < code.length; index += 1) {
+    const char = code[index];
+
+    if (char === "\n") {
+      line += 1;
+    }
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+        stringValue += char;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        lastString = stringValue;
+      } else {
+        stringValue += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      stringValue = "";
+    } else if (char === ":") {
+      pendingKey = lastString;
+    } else if (char === "{" || char === "[") {
+      const parentPath = stack.length > 0 ? stack[stack.length - 1].path : "";
+      const segment =
+        pendingKey !== null
+          ? pendingKey
+          : stack.length > 0 && stack[stack.length - 1].kind === "array"
+            ? "[]"
+            : "";
+      stack.push({
+        kind: char === "{" ? "object" : "array",
+        start_line: line,
+        path: parentPath && segment ? `${parentPath}.${segment}` : segment,
+      });
+      pendingKey = null;
+    } else if (char === "}" || char === "]") {
+      const container = stack.pop();
+      if (container) {
+        symbols.push({
+          name: container.path || "(root)",
+          kind: container.kind,
+          start_line: container.start_line,
+          end_line: line,
+          header_end_line: container.start_line,
+          scope: true,
+        });
+      }
+      pendingKey = null;
+    } else if (char === ",") {
+      pendingKey = null;
+    }
+  }
+
+  return { imports: [], symbols };
+}
+
+function buildOutline(code, language) {
+  try {
+    if (language === "javascript" || language === "typescript") {
+      return parseJavaScriptOutline(code, language);
+    }
+    if (language === "python") {
+      return parsePythonOutline(code);
+    }
+    if (language === "json") {
+      return parseJsonOutline(code);
+    }
+  } catch (err) {
+    console.warn("[ai] Failed to outline file for context:", err.message);
+  }
+
+  return null;
+}
+
+function describeSymbol(symbol) {
+  return symbol.name ? `${symbol.kind} ${symbol.name}` : symbol.kind;
+}
+
+function mergeImportRanges(imports, lines) {
+  const sorted = [...imports].sort((a, b) => a.start_line - b.start_line);
+  const merged = [];
+
+  sorted.forEach((range) => {
+    const previous = merged[merged.length - 1];
+    const gapIsBlank =
+      previous &&
+      lines
+        .slice(previous.end_line, range.start_line - 1)
+        .every((line) => !line.trim());
+
+    // Imports separated only by blank lines form one header block
+    if (gapIsBlank) {
+      previous.end_line = Math.max(previous.end_line, range.end_line);
+    } else {
+      merged.push({ ...range });
+    }
+  });
+
+  return merged;
+}
+
+function collectIdentifiers(text) {
+  const seen = new Map();
+  const pattern = /[A-Za-z_$][\w$]*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (!seen.has(match[0])) {
+      seen.set(match[0], match.index);
+    }
+  }
+  return seen;
+}
+
+function toLineRanges(lineNumbers) {
+  const ranges = [];
+  [...lineNumbers]
+    .sort((a, b) => a - b)
+    .forEach((lineNumber) => {
+      const previous = ranges[ranges.length - 1];
+      if (previous && lineNumber === previous.end_line + 1) {
+        previous.end_line = lineNumber;
+      } else {
+        ranges.push({ start_line: lineNumber, end_line: lineNumber });
+      }
+    });
+  return ranges;
+}
+
+/**
+ * Selects the parts of a large file to send alongside a selection.
+ *
+ * Regions are added in priority order while they fit in tokenBudget: the
+ * selection itself, its enclosing scopes (falling back to their signature),
+ * the import header, signatures of symbols the selection references, and
+ * finally the lines surrounding the selection. Languages without an outline
+ * go straight to the surrounding lines.
+ *
+ * Returns { blocks, regions, token_count } where blocks are the contiguous
+ * line ranges to render and regions describe why each range was included.
+ */
+function buildLocalContext({ code, language, selection, tokenBudget }) {
+  const lines = code.split("\n");
+  const lineTokens = lines.map(estimateLineTokens);
+  const included = new Array(lines.length).fill(false);
+  const regions = [];
+  let remaining = tokenBudget;
+
+  const selectionStart = Math.min(Math.max(1, selection.start_line), lines.length);
+  const selectionEnd = Math.min(
+    Math.max(selectionStart, selection.end_line),
+    lines.length
+  );
+
+  const includeRange = (startLine, endLine, kind, label, force = false) => {
+    let cost = 0;
+    for (let lineNumber = startLine; lineNumber <= endLine; lineNumber += 1) {
+      if (!included[lineNumber - 1]) {
+        cost += lineTokens[lineNumber - 1];
+      }
+    }
+
+    if (cost > remaining && !force) {
+      return false;
+    }
+    if (cost === 0) {
+      return true;
+    }
+
+    for (let lineNumber = startLine; lineNumber <= endLine; lineNumber += 1) {
+      included[lineNumber - 1] = true;
+    }
+    remaining -= cost;
+    regions.push({
+      kind,
+      start_line: startLine,
+      end_line: endLine,
+      ...(label ? { label } : {}),
+    });
+    return true;
+  };
+
+  // The selection is always sent; the caller enforces the overall input limit
+  includeRange(selectionStart, selectionEnd, "selection", null, true);
+
+  const normalizedLanguage =
+    LANGUAGE_ALIASES[String(language || "").trim().toLowerCase()] || null;
+  const outline = normalizedLanguage
+    ? buildOutline(code, normalizedLanguage)
+    : null;
+
+  if (outline) {
+    const enclosingScopes = outline.symbols
+      .filter(
+        (symbol) =>
+          symbol.scope &&
+          symbol.start_line <= selectionStart &&
+          symbol.end_line >= selectionEnd
+      )
+      .sort(
+        (a, b) =>
+          a.end_line - a.start_line - (b.end_line - b.start_line) ||
+          b.start_line - a.start_line
+      );
+
+    enclosingScopes.forEach((symbol) => {
+      const label = describeSymbol(symbol);
+      if (!includeRange(symbol.start_line, symbol.end_line, "enclosing", label)) {
+        includeRange(
+          symbol.start_line,
+          symbol.header_end_line,
+          "enclosing_signature",
+          label
+        );
+      }
+    });
+
+    mergeImportRanges(outline.imports, lines).forEach((range) => {
+      includeRange(range.start_line, range.end_line, "imports");
+    });
+
+    const selectionText = lines
+      .slice(selectionStart - 1, selectionEnd)
+      .join("\n");
+    const identifiers = collectIdentifiers(selectionText);
+    const referencedSymbols = outline.symbols
+      .filter(
+        (symbol) =>
+          symbol.name &&
+          identifiers.has(symbol.name) &&
+          (symbol.end_line < selectionStart || symbol.start_line > selectionEnd)
+      )
+      .sort((a, b) => identifiers.get(a.name) - identifiers.get(b.name))
+      .slice(0, MAX_REFERENCED_SYMBOLS);
+
+    referencedSymbols.forEach((symbol) => {
+      includeRange(
+        symbol.start_line,
+        symbol.header_end_line,
+        "reference",
+        describeSymbol(symbol)
+      );
+    });
+  }
+
+  // Spend what is left on the lines around the selection, alternating below
+  // and above so the window stays centred.
+  const surroundingLines = [];
+  let above = selectionStart - 1;
+  let below = selectionEnd + 1;
+  while (above >= 1 || below <= lines.length) {
+    let grew = false;
+
+    if (below <= lines.length) {
+      if (included[below - 1]) {
+        below += 1;
+        grew = true;
+      } else if (lineTokens[below - 1] <= remaining) {
+        included[below - 1] = true;
+        remaining -= lineTokens[below - 1];
+        surroundingLines.push(below);
+        below += 1;
+        grew = true;
+      }
+    }
+
+    if (above >= 1) {
+      if (included[above - 1]) {
+        above -= 1;
+        grew = true;
+      } else if (lineTokens[above - 1] <= remaining) {
+        included[above - 1] = true;
+        remaining -= lineTokens[above - 1];
+        surroundingLines.push(above);
+        above -= 1;
+        grew = true;
+      }
+    }
+
+    if (!grew) {
+      break;
+    }
+  }
+
+  toLineRanges(surroundingLines).forEach((range) => {
+    regions.push({ kind: "surrounding", ...range });
+  });
+
+  const includedLines = [];
+  included.forEach((isIncluded, index) => {
+    if (isIncluded) {
+      includedLines.push(index + 1);
+    }
+  });
+
+  const blocks = toLineRanges(includedLines).map((range) => ({
+    ...range,
+    code: lines.slice(range.start_line - 1, range.end_line).join("\n"),
+  }));
+
+  regions.sort((a, b) => a.start_line - b.start_line);
+
+  return {
+    blocks,
+    regions,
+    token_count: tokenBudget - remaining,
+  };
+}
+
+// Outermost symbols in source order; nested methods and closures are left
+// to their enclosing symbol.
+function findTopLevelSymbols(symbols) {
+  let coveredUntil = 0;
+
+  return [...symbols]
+    .sort((a, b) => a.start_line - b.start_line || b.end_line - a.end_line)
+    .filter((symbol) => {
+      if (symbol.start_line <= coveredUntil) {
+        return false;
+      }
+      coveredUntil = symbol.end_line;
+      return true;
+    });
+}
+
+/**
+ * Selects the parts of another file to send as read-only context for a
+ * question about the current one.
+ *
+ * The whole file is sent when it fits in tokenBudget. Otherwise definitions
+ * of the symbols named in `identifiers` (a collectIdentifiers map of the
+ * question) come first, falling back to their signature, then the signatures
+ * of the remaining top-level symbols, then as much of the top of the file as
+ * still fits.
+ *
+ * Returns { mode: "full" | "excerpt", blocks, token_count }, or null when not
+ * even one line fits.
+ */
+function buildReferenceExcerpt({ code, language, identifiers, tokenBudget }) {
+  const lines = code.split("\n");
+  const lineTokens = lines.map(estimateLineTokens);
+  const totalTokens = lineTokens.reduce((total, tokens) => total + tokens, 0);
+
+  if (totalTokens <= tokenBudget) {
+    return {
+      mode: "full",
+      blocks: [{ start_line: 1, end_line: lines.length, code }],
+      token_count: totalTokens,
+    };
+  }
+
+  const included = new Array(lines.length).fill(false);
+  let remaining = tokenBudget;
+
+  const includeRange = (startLine, endLine) => {
+    let cost = 0;
+    for (let lineNumber = startLine; lineNumber <= endLine; lineNumber += 1) {
+      if (!included[lineNumber - 1]) {
+        cost += lineTokens[lineNumber - 1];
+      }
+    }
+
+    if (cost > remaining) {
+      return false;
+    }
+
+    for (let lineNumber = startLine; lineNumber <= endLine; lineNumber += 1) {
+      included[lineNumber - 1] = true;
+    }
+    remaining -= cost;
+    return true;
+  };
+
+  const normalizedLanguage =
+    LANGUAGE_ALIASES[String(language || "").trim().toLowerCase()] || null;
+  const outline = normalizedLanguage
+    ? buildOutline(code, normalizedLanguage)
+    : null;
+
+  if (outline) {
+    outline.symbols
+      .filter((symbol) => symbol.name && identifiers.has(symbol.name))
+      .sort((a, b) => identifiers.get(a.name) - identifiers.get(b.name))
+      .slice(0, MAX_REFERENCED_SYMBOLS)
+      .forEach((symbol) => {
+        if (!includeRange(symbol.start_line, symbol.end_line)) {
+          includeRange(symbol.start_line, symbol.header_end_line);
+        }
+      });
+
+    findTopLevelSymbols(outline.symbols).forEach((symbol) => {
+      includeRange(symbol.start_line, symbol.header_end_line);
+    });
+  }
+
+  for (let lineNumber = 1; lineNumber <= lines.length; lineNumber += 1) {
+    if (!included[lineNumber - 1]) {
+      if (lineTokens[lineNumber - 1] > remaining) {
+        break;
+      }
+      included[lineNumber - 1] = true;
+      remaining -= lineTokens[lineNumber - 1];
+    }
+  }
+
+  const includedLines = [];
+  included.forEach((isIncluded, index) => {
+    if (isIncluded) {
+      includedLines.push(index + 1);
+    }
+  });
+
+  if (includedLines.length === 0) {
+    return null;
+  }
+
+  return {
+    mode: "excerpt",
+    blocks: toLineRanges(includedLines).map((range) => ({
+      ...range,
+      code: lines.slice(range.start_line - 1, range.end_line).join("\n"),
+    })),
+    token_count: tokenBudget - remaining,
+  };
+}
+
+module.exports = {
+  buildLocalContext,
+  buildReferenceExcerpt,
+  collectIdentifiers,
+};
@@ -0,0 +1,231 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const MESSAGES_TABLE = process.env.MESSAGES_TABLE;
+const THREADS_TABLE = process.env.THREADS_TABLE;
+const HISTORY_TOKEN_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET || 8000);
+const MAX_RECENT_TURNS = 10;
+// Older turns are folded into the summary in batches so that a long thread
+// costs one summarization call every few exchanges, not one per request.
+const SUMMARY_BATCH_SIZE = 6;
+// Set on the AI messages this Lambda writes. The messages API does not take
+// AI messages, so only these are real answers; any other "ai" row is not
+// replayed to the model as something it said.
+const AI_MESSAGE_SOURCE = "ai_service";
+
+if (!MESSAGES_TABLE) {
+  console.warn("[ai] MESSAGES_TABLE environment variable is not set.");
+}
+
+function estimateTurnTokens(turn) {
+  return Math.ceil(turn.content.length / 4) + 4;
+}
+
+async function fetchThreadMessages(threadId) {
+  const messages = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await documentClient.send(
+      new QueryCommand({
+        TableName: MESSAGES_TABLE,
+        KeyConditionExpression: "thread_id = :thread_id",
+        ExpressionAttributeValues: {
+          ":thread_id": threadId,
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+        ScanIndexForward: true,
+      })
+    );
+
+    messages.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return messages;
+}
+
+// Only real conversation turns reach the model: patch-applied confirmations
+// are UI bookkeeping, not something either side said.
+function toConversationTurns(messages) {
+  return messages
+    .filter(
+      (message) =>
+        (message.role === "user" ||
+          (message.role === "ai" && message.source === AI_MESSAGE_SOURCE)) &&
+        typeof message.content === "string" &&
+        message.content.trim() &&
+        message.metadata?.patch_applied !== true
+    )
+    .map((message) => ({
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp,
+    }));
+}
+
+/**
+ * Saves an AI answer to a thread and resolves with the message in the shape
+ * GET /threads/{thread_id}/messages returns it. `contextMode` and
+ * `tokenCount` are optional.
+ */
+async function saveAIMessage({
+  threadId,
+  userId,
+  content,
+  metadata,
+  contextMode,
+  tokenCount,
+}) {
+  const messageId = uuidv4();
+
+  // The sort key is the timestamp, so a clash with another message written
+  // in the same millisecond moves this one a millisecond on.
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const timestamp = new Date(Date.now() + attempt).toISOString();
+    const message = {
+      message_id: messageId,
+      thread_id: threadId,
+      role: "ai",
+      content,
+      timestamp,
+      user_id: userId,
+      ...(contextMode ? { context_mode: contextMode } : {}),
+      ...(Number.isInteger(tokenCount) ? { token_count: tokenCount } : {}),
+      metadata,
+    };
+
+    try {
+      await documentClient.send(
+        new PutCommand({
+          TableName: MESSAGES_TABLE,
+          Item: { ...message, source: AI_MESSAGE_SOURCE, created_at: timestamp },
+          ConditionExpression: "attribute_not_exists(thread_id)",
+        })
+      );
+      return message;
+    } catch (err) {
+      if (err.name !== "ConditionalCheckFailedException") {
+        throw err;
+      }
+    }
+  }
+
+  throw new Error("AI_MESSAGE_SAVE_FAILED");
+}
+
+async function saveThreadSummary(threadId, summary) {
+  await documentClient.send(
+    new UpdateCommand({
+      TableName: THREADS_TABLE,
+      Key: { thread_id: threadId },
+      UpdateExpression: "SET history_summary = :summary",
+      ConditionExpression: "attribute_exists(thread_id)",
+      ExpressionAttributeValues: {
+        ":summary": summary,
+      },
+    })
+  );
+}
+
+/**
+ * Builds the conversation the model sees for a thread from MESSAGES_TABLE.
+ *
+ * The newest turns are kept verbatim (up to MAX_RECENT_TURNS and
+ * HISTORY_TOKEN_BUDGET); everything older is represented by the rolling
+ * summary stored on the thread as history_summary. `summarize` is called
+ * with ({ previousSummary, turns }) and must resolve to { text, usage }.
+ * The trailing user message matching `prompt` is dropped because the client
+ * saves the question before asking for an analysis of it.
+ *
+ * Resolves to { history, summary, summaryUsage }, where summaryUsage is set
+ * only when a summarization call was made.
+ */
+async function buildConversationHistory({ thread, prompt, summarize }) {
+  const turns = toConversationTurns(
+    await fetchThreadMessages(thread.thread_id)
+  );
+
+  const lastTurn = turns[turns.length - 1];
+  if (lastTurn?.role === "user" && lastTurn.content.trim() === prompt) {
+    turns.pop();
+  }
+
+  let recentStart = turns.length;
+  let recentTokens = 0;
+  while (recentStart > 0 && turns.length - recentStart < MAX_RECENT_TURNS) {
+    const turnTokens = estimateTurnTokens(turns[recentStart - 1]);
+    if (recentTokens + turnTokens > HISTORY_TOKEN_BUDGET) {
+      break;
+    }
+    recentTokens += turnTokens;
+    recentStart -= 1;
+  }
+
+  const storedSummary = thread.history_summary;
+  const summarizedThrough = storedSummary?.through_timestamp || "";
+  const unsummarized = turns
+    .slice(0, recentStart)
+    .filter((turn) => turn.timestamp > summarizedThrough);
+  const unsummarizedTokens = unsummarized.reduce(
+    (total, turn) => total + estimateTurnTokens(turn),
+    0
+  );
+
+  const toHistory = (list) =>
+    list.map(({ role, content }) => ({ role, content }));
+
+  // Small backlogs ride along verbatim until a full batch is worth a call.
+  if (
+    unsummarized.length < SUMMARY_BATCH_SIZE &&
+    recentTokens + unsummarizedTokens <= HISTORY_TOKEN_BUDGET
+  ) {
+    return {
+      history: toHistory([...unsummarized, ...turns.slice(recentStart)]),
+      summary: storedSummary?.text || "",
+      summaryUsage: null,
+    };
+  }
+
+  try {
+    const result = await summarize({
+      previousSummary: storedSummary?.text || "",
+      turns: toHistory(unsummarized),
+    });
+    const summary = {
+      text: result.text,
+      through_timestamp: unsummarized[unsummarized.length - 1].timestamp,
+      message_count: (storedSummary?.message_count || 0) + unsummarized.length,
+      updated_at: new Date().toISOString(),
+    };
+    await saveThreadSummary(thread.thread_id, summary);
+
+    return {
+      history: toHistory(turns.slice(recentStart)),
+      summary: summary.text,
+      summaryUsage: result.usage,
+    };
+  } catch (err) {
+    // A stale summary beats failing the analysis the user asked for.
+    console.error("[ai] Failed to update conversation summary:", err);
+    return {
+      history: toHistory(turns.slice(recentStart)),
+      summary: storedSummary?.text || "",
+      summaryUsage: null,
+    };
+  }
+}
+
+module.exports = {
+  AI_MESSAGE_SOURCE,
+  buildConversationHistory,
+  saveAIMessage,
+};
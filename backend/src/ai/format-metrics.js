@@ -0,0 +1,47 @@
+const METRICS_NAMESPACE = process.env.AI_METRICS_NAMESPACE || "CodeSensei/AI";
+
+// How a model reply was read: from the structured tool input, by scraping
+// JSON out of the reply text, or not at all.
+const RESPONSE_FORMAT_METRICS = {
+  structured: "StructuredOutput",
+  fallback: "FormatFallback",
+  malformed: "MalformedResponse",
+};
+
+/**
+ * Counts one parsed model reply by format. The count is written to stdout in
+ * CloudWatch Embedded Metric Format, so Lambda turns it into metrics under
+ * METRICS_NAMESPACE without an API call. Every metric is emitted (0 or 1) so
+ * their averages give the fallback and malformed rates per model and intent.
+ */
+function recordResponseFormat(format, { modelId, intent }) {
+  const metricNames = Object.values(RESPONSE_FORMAT_METRICS);
+  const values = Object.fromEntries(
+    metricNames.map((name) => [
+      name,
+      name === RESPONSE_FORMAT_METRICS[format] ? 1 : 0,
+    ])
+  );
+
+  console.log(
+    JSON.stringify({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [
+          {
+            Namespace: METRICS_NAMESPACE,
+            Dimensions: [["ModelId", "Intent"]],
+            Metrics: metricNames.map((name) => ({ Name: name, Unit: "Count" })),
+          },
+        ],
+      },
+      ModelId: modelId || "unknown",
+      Intent: intent || "unknown",
+      ...values,
+    })
+  );
+}
+
+module.exports = {
+  recordResponseFormat,
+};
@@ -1,49 +1,151 @@
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
-const {
-  BedrockRuntimeClient,
-  InvokeModelCommand,
-} = require("@aws-sdk/client-bedrock-runtime");
-const { TextDecoder } = require("util");
+const { LambdaClient, InvokeCommand } = require("@aws-sdk/client-lambda");
+const jwt = require("jsonwebtoken");
 const JSON5 = require("json5");
 
-const { authRequired } = require("./shared/auth-middleware");
+const {
+  authRequired,
+  verifyAccessToken,
+} = require("./shared/auth-middleware");
 const { success, error } = require("./shared/response-helpers");
-const { assertWithinRateLimit } = require("./shared/rate-limiter");
 const { normalizeString } = require("./shared/validators");
+const { loadSessionContent } = require("./shared/session-content");
+const { getModelProvider } = require("./providers");
+const {
+  getModelCatalog,
+  resolveModel,
+  defaultModelFor,
+  describeModel,
+} = require("./model-catalog");
+const { buildLocalContext } = require("./context-builder");
+const {
+  reserveTokens,
+  settleTokens,
+  assertTokenBudgetAvailable,
+} = require("./token-rate-limiter");
+const {
+  assertWithinMonthlyQuota,
+  recordUsage,
+  getUsageSummary,
+} = require("./usage-ledger");
+const {
+  buildResponseCacheKey,
+  getCachedResponse,
+  putCachedResponse,
+} = require("./response-cache");
+const {
+  fetchSessionById,
+  listSessionThreads,
+  createFindingThreads,
+} = require("./review-threads");
+const {
+  buildConversationHistory,
+  saveAIMessage,
+} = require("./conversation-history");
+const {
+  classifyIntent,
+  needsClarification,
+  buildClarification,
+} = require("./intent-classifier");
+const { recordIntentFeedback } = require("./intent-feedback");
+const { validateSyntax } = require("./code-validation");
+const { recordResponseFormat } = require("./format-metrics");
+const {
+  recordCallMetrics,
+  parseMetricsRange,
+  getCallMetricsSummary,
+} = require("./call-metrics");
+const {
+  loadPromptTemplate,
+  renderPromptTemplate,
+} = require("./prompt-templates");
+const { createSecretRedactor, maskSecrets } = require("./secret-scanner");
+const { loadStrictSecretMode, isAdminUser } = require("./user-settings");
+const {
+  resolveTranslationLanguage,
+  deriveTranslatedFilename,
+} = require("./translation");
+const {
+  loadReferencedSessions,
+  buildReferencedContext,
+  describeReferencedFiles,
+} = require("./session-context");
+const {
+  createJob,
+  getJob,
+  claimJob,
+  updateJobProgress,
+  completeJob,
+  failJob,
+  cancelJob,
+  toJobView,
+  unpackPayload,
+} = require("./job-store");
 
 const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const lambdaClient = new LambdaClient({});
 const MAX_RETRIES = 3;
-const bedrockClient = new BedrockRuntimeClient({
-  region: process.env.BEDROCK_REGION || process.env.AWS_REGION || "us-east-1",
-  maxAttempts: MAX_RETRIES,
-});
 
 const THREADS_TABLE = process.env.THREADS_TABLE;
-const AI_RATE_LIMIT_PER_MINUTE = Number(
-  process.env.AI_RATE_LIMIT_PER_MINUTE || 10
-);
-const BEDROCK_MODEL_ID =
-  process.env.BEDROCK_MODEL_ID || "anthropic.claude-3-5-sonnet-20241022-v2:0";
-const BEDROCK_REGION =
-  process.env.BEDROCK_REGION || process.env.AWS_REGION || "us-east-1";
-const BEDROCK_MAX_OUTPUT_TOKENS = Number(
-  process.env.BEDROCK_MAX_OUTPUT_TOKENS || 4000
-);
-const BEDROCK_TEMPERATURE = Number(process.env.BEDROCK_TEMPERATURE || 0.7);
 const BEDROCK_TIMEOUT_MS = 30000;
 const FALLBACK_THRESHOLD_TOKENS = 80000;
 const MAX_INPUT_TOKENS = 100000;
-const CONTEXT_LINES_BUFFER = 50;
+const LOCAL_CONTEXT_TOKEN_BUDGET = Number(
+  process.env.LOCAL_CONTEXT_TOKEN_BUDGET || 16000
+);
+// Shared by all the other sessions attached to one question.
+const REFERENCED_CONTEXT_TOKEN_BUDGET = Number(
+  process.env.REFERENCED_CONTEXT_TOKEN_BUDGET || 20000
+);
+const MAX_THREADS_PER_SESSION = Number(
+  process.env.MAX_THREADS_PER_SESSION || 50
+);
+
+const AI_STREAM_URL = process.env.AI_STREAM_URL;
+const AI_STREAM_TOKEN_TTL_SECONDS = Number(
+  process.env.AI_STREAM_TOKEN_TTL_SECONDS || 60
+);
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_ISSUER = process.env.JWT_ISSUER || "codesensei";
+
+const AI_JOBS_TABLE = process.env.AI_JOBS_TABLE;
+const AI_JOB_WORKER_FUNCTION = process.env.AI_JOB_WORKER_FUNCTION;
+// Streamed analysis text is copied onto the job at most this often.
+const JOB_PROGRESS_INTERVAL_MS = 2000;
 
 const MAX_PROMPT_LENGTH = 5000;
 const MAX_CODE_BYTES = 5 * 1024 * 1024; // 5MB
-const MAX_HISTORY_ITEMS = 10;
+const MAX_CONTEXT_SESSIONS = 5;
+// A translation is returned as one complete file, so the source has to fit
+// in the model's output budget as well as its input.
+const MAX_TRANSLATION_TOKENS = Number(
+  process.env.MAX_TRANSLATION_TOKENS || 3000
+);
 
 if (!THREADS_TABLE) {
   console.warn("[ai] THREADS_TABLE environment variable is not set.");
 }
 
+function getCatalog() {
+  return getModelCatalog(getModelProvider());
+}
+
+// The id the provider is actually called with, for usage records, metrics
+// and cache keys.
+function providerModelId(model) {
+  return model?.provider_model_id || getModelProvider().modelId;
+}
+
+function toProviderModel(model) {
+  return model
+    ? {
+        modelId: providerModelId(model),
+        maxOutputTokens: model.max_output_tokens,
+      }
+    : undefined;
+}
+
 function getUserIdFromEvent(event) {
   return event.requestContext?.authorizer?.user?.user_id;
 }
@@ -103,117 +205,347 @@ function sanitizeSelection(rawSelection) {
   };
 }
 
-function sanitizeHistory(history) {
-  if (!history) {
-    return [];
-  }
-
-  if (!Array.isArray(history)) {
-    throw new Error("INVALID_HISTORY");
-  }
-
-  const trimmedHistory = history
-    .slice(-MAX_HISTORY_ITEMS)
-    .map((entry, index) => {
-      if (!entry || typeof entry !== "object") {
-        throw new Error(`INVALID_HISTORY_ENTRY_${index}`);
-      }
-
-      const role = normalizeString(entry.role).toLowerCase();
-      if (role !== "user" && role !== "ai") {
-        throw new Error(`INVALID_HISTORY_ROLE_${index}`);
-      }
-
-      if (typeof entry.content !== "string" || !entry.content.trim()) {
-        throw new Error(`INVALID_HISTORY_CONTENT_${index}`);
-      }
-
-      return {
-        role,
-        content: entry.content,
-      };
-    });
-
-  return trimmedHistory;
-}
-
-function estimateTokenCount({ code, prompt, history }) {
+function estimateTokenCount({ code, prompt, history, historySummary = "" }) {
   const historyChars = history.reduce(
     (total, message) => total + (message.content?.length || 0),
     0
   );
-  const totalChars = (code?.length || 0) + (prompt?.length || 0) + historyChars;
+  const totalChars =
+    (code?.length || 0) +
+    (prompt?.length || 0) +
+    historyChars +
+    historySummary.length;
 
   return Math.ceil(totalChars / 4) || 1;
 }
 
-function extractLocalContext(code, selection) {
-  const lines = code.split("\n");
-  const startIndex = Math.max(
-    0,
-    selection.start_line - 1 - CONTEXT_LINES_BUFFER
-  );
-  const endIndex = Math.min(
-    lines.length,
-    selection.end_line + CONTEXT_LINES_BUFFER
-  );
-  const contextLines = lines.slice(startIndex, endIndex);
+// Part of the response cache key. Bump whenever buildSystemPrompt or
+// buildUserPrompt change in a way that should invalidate cached answers.
+const PROMPT_TEMPLATE_VERSION = 4;
+
+const ANALYZE_INTENTS = ["explain", "improve", "tests", "document", "audit"];
+// Intents whose answer is a set of hunks against the analyzed code.
+const EDIT_INTENTS = new Set(["improve", "document"]);
+const FINDING_SEVERITIES = ["critical", "high", "medium", "low", "info"];
+const FINDING_CATEGORIES = ["bug", "security"];
+// Whole-file reviews cover more ground than an audit; each finding becomes a
+// thread, so the count is capped to keep the sidebar usable.
+const REVIEW_CATEGORIES = ["bug", "security", "performance", "maintainability"];
+const MAX_REVIEW_FINDINGS = 20;
+const REVIEW_PROMPT =
+  "Review this whole file and report the most important findings.";
+
+const TEST_FRAMEWORKS = {
+  javascript: "Jest",
+  typescript: "Jest",
+  python: "pytest",
+  java: "JUnit 5",
+  go: "the standard testing package",
+  rust: "the built-in #[test] harness",
+  "c++": "GoogleTest",
+  c: "Unity",
+  "c#": "xUnit",
+  php: "PHPUnit",
+  ruby: "RSpec",
+};
+
+const HUNK_CONTRACT = [
+  "{",
+  '  "analysis": "plain text explanation with no markdown or code fences",',
+  '  "hunks": [{ "start_line": 12, "end_line": 14, "text": "new code for lines 12-14" }]',
+  "}",
+  "analysis must be plain sentences suitable for chat display (no markdown fences, headers, or bullet markers).",
+  "Each hunk replaces the original lines start_line through end_line (inclusive) with text.",
+  "Line numbers refer to the numbered lines in the code you are given. Do NOT include the line number prefixes in text.",
+  "Hunks must not overlap. Keep each hunk as small as possible and leave unchanged lines out of it.",
+  "To delete lines, use an empty string for text. To insert lines, include the neighbouring original line in the hunk.",
+  "Do NOT include markdown code fences (```) in text - just raw code.",
+];
+
+const RESPONSE_TOOL_NAME = "submit_analysis";
+
+const HUNK_SCHEMA = {
+  type: "object",
+  properties: {
+    start_line: { type: "integer", minimum: 1 },
+    end_line: { type: "integer", minimum: 1 },
+    text: {
+      type: "string",
+      description: "Replacement for lines start_line-end_line; empty deletes them.",
+    },
+  },
+  required: ["start_line", "end_line", "text"],
+};
+
+// The providers force the model to call this tool, so its arguments arrive as
+// structured JSON. The schema mirrors the per-intent contract spelled out in
+// buildSystemPrompt, which stays as the fallback for models without tool use.
+function buildResponseTool(intent) {
+  const properties = {
+    analysis: {
+      type: "string",
+      description: "Plain text for chat display, with no markdown.",
+    },
+  };
+  const required = ["analysis"];
+
+  if (intent === "tests") {
+    properties.test_file = {
+      type: "object",
+      properties: {
+        filename: { type: "string" },
+        framework: { type: "string" },
+        content: {
+          type: "string",
+          description: "Complete test file without code fences.",
+        },
+      },
+      required: ["filename", "framework", "content"],
+    };
+    required.push("test_file");
+  } else if (intent === "audit" || intent === "review") {
+    properties.findings = {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          severity: { type: "string", enum: FINDING_SEVERITIES },
+          category: {
+            type: "string",
+            enum: intent === "review" ? REVIEW_CATEGORIES : FINDING_CATEGORIES,
+          },
+          title: { type: "string" },
+          description: { type: "string" },
+          start_line: { type: "integer", minimum: 1 },
+          end_line: { type: "integer", minimum: 1 },
+        },
+        required: [
+          "severity",
+          "category",
+          "title",
+          "description",
+          ...(intent === "review" ? ["start_line", "end_line"] : []),
+        ],
+      },
+    };
+    required.push("findings");
+  } else if (intent === "translate") {
+    properties.translated_code = {
+      type: "string",
+      description: "Complete translated file without code fences.",
+    };
+    required.push("translated_code");
+  } else {
+    properties.hunks = { type: "array", items: HUNK_SCHEMA };
+    required.push("hunks");
+  }
 
   return {
-    code: contextLines.join("\n"),
-    actualStartLine: startIndex + 1,
-    actualEndLine: endIndex,
+    name: RESPONSE_TOOL_NAME,
+    description: "Submit the result of the code analysis.",
+    inputSchema: { type: "object", properties, required },
   };
 }
 
-function buildSystemPrompt(language, contextMode, intent) {
+function buildIntentSystemPrompt(language, contextMode, intent, targetLanguage) {
   const common = [
     `You are an expert ${language} code reviewer.`,
-    "Respond with ONLY a valid JSON object and nothing else.",
-    "{",
-    '  "analysis": "plain text explanation with no markdown or code fences",',
-    '  "replacement": "complete replacement code for the entire selected block, or empty string if no changes needed"',
-    "}",
-    "analysis must be plain sentences suitable for chat display (no markdown fences, headers, or bullet markers).",
-    "replacement must be the COMPLETE improved version of the ENTIRE selected code block - not partial patches.",
-    "Do NOT include markdown code fences (```) in the replacement field - just raw code.",
+    `Submit your answer by calling the ${RESPONSE_TOOL_NAME} tool. If you cannot call tools, respond with ONLY a valid JSON object of the same shape and nothing else.`,
   ];
 
+  if (intent === "tests") {
+    const framework =
+      TEST_FRAMEWORKS[language.trim().toLowerCase()] ||
+      `the most widely used test framework for ${language}`;
+    common.push(
+      "{",
+      '  "analysis": "plain text summary of what the tests cover",',
+      '  "test_file": { "filename": "suggested file name", "framework": "framework name", "content": "complete test file" }',
+      "}",
+      "The user wants unit tests for the selected code.",
+      `Write one complete, runnable test file using ${framework} unless the code clearly uses another framework.`,
+      "Cover normal behaviour, edge cases and error handling. Import the code under test from a sensible relative path.",
+      "content is raw code without markdown code fences or line number prefixes.",
+      "analysis must be plain sentences suitable for chat display (no markdown fences, headers, or bullet markers)."
+    );
+    return common.join("\n");
+  }
+
+  if (intent === "translate") {
+    common.push(
+      "{",
+      '  "analysis": "plain text notes on the translation",',
+      `  "translated_code": "the complete ${targetLanguage} file"`,
+      "}",
+      `The user wants this ${language} file translated into idiomatic ${targetLanguage}.`,
+      `Keep the behaviour, structure and comments. Adapt names to ${targetLanguage} conventions and prefer its standard library.`,
+      "In analysis, note library substitutions, behaviour that cannot be carried over exactly, and any new dependencies.",
+      "translated_code is the complete file as raw code without markdown code fences or line number prefixes.",
+      "analysis must be plain sentences suitable for chat display (no markdown fences, headers, or bullet markers)."
+    );
+    return common.join("\n");
+  }
+
+  if (intent === "audit" || intent === "review") {
+    const categories =
+      intent === "review" ? REVIEW_CATEGORIES : FINDING_CATEGORIES;
+    common.push(
+      "{",
+      `  "analysis": "plain text overview of the ${intent}",`,
+      `  "findings": [{ "severity": "${FINDING_SEVERITIES.join(" | ")}", "category": "${categories.join(" | ")}", "title": "short title", "description": "what is wrong and how to fix it", "start_line": 12, "end_line": 14 }]`,
+      "}"
+    );
+    if (intent === "review") {
+      common.push(
+        "The user wants a review of the whole file. Each finding becomes its own discussion thread anchored to its lines.",
+        `Report at most ${MAX_REVIEW_FINDINGS} findings, most severe first, and skip trivial style nits.`,
+        "Every finding must have start_line and end_line covering the smallest range that shows the problem."
+      );
+    } else {
+      common.push(
+        "The user wants a bug and security audit of the selected code.",
+        "Report concrete bugs and security issues only, not style preferences. Order findings from most to least severe."
+      );
+    }
+    common.push(
+      "Line numbers refer to the numbered lines in the code you are given.",
+      "If nothing is wrong, return an empty array for findings and say so in analysis.",
+      "analysis and description must be plain sentences suitable for chat display (no markdown fences, headers, or bullet markers)."
+    );
+    return common.join("\n");
+  }
+
+  common.push(...HUNK_CONTRACT);
+
   if (intent === "explain") {
     common.push(
       "The user wants an explanation of the selected code.",
       "Describe what the code does, key behaviors, and any noteworthy edge cases in analysis.",
-      "Do NOT suggest code changes. Return an empty string for replacement.",
-      "If the user explicitly asks for improvements, acknowledge that in analysis but keep replacement empty."
+      "Do NOT suggest code changes. Return an empty array for hunks.",
+      "If the user explicitly asks for improvements, acknowledge that in analysis but keep hunks empty."
+    );
+  } else if (intent === "document") {
+    common.push(
+      `The user wants documentation comments added to the selected code, in the idiomatic ${language} style (for example JSDoc or docstrings).`,
+      "Only insert or update documentation comments. Do NOT change any code, including formatting.",
+      "Document public functions, classes and methods: purpose, parameters, return values and thrown errors.",
+      "Summarize what you documented in analysis."
     );
   } else {
     common.push(
       "The user wants to improve the code.",
-      "If improvements are possible, return the COMPLETE improved version of the entire selected block in replacement.",
-      "The replacement must be a full, working version of the code that can directly replace the selected lines.",
-      "If the code is already acceptable, return an empty string for replacement and explain why no changes are needed."
+      "If improvements are possible, return one hunk per independent change.",
+      "After all hunks are applied the code must be complete and working.",
+      "If the code is already acceptable, return an empty array for hunks and explain why no changes are needed."
     );
   }
 
   if (contextMode === "local") {
     common.push(
-      "Focus only on improving the selected region. The replacement should cover the entire selected block."
+      "Focus only on the selected region. Every hunk must stay inside the selected lines."
     );
   }
 
   return common.join("\n");
 }
 
-function buildUserPrompt({
+// Team instructions go last so they read as refinements of the intent
+// contract rather than replacements for it.
+function buildSystemPrompt(
+  language,
+  contextMode,
+  intent,
+  instructions = "",
+  targetLanguage = null
+) {
+  const base = buildIntentSystemPrompt(
+    language,
+    contextMode,
+    intent,
+    targetLanguage
+  );
+  if (!instructions) {
+    return base;
+  }
+
+  return [
+    base,
+    "",
+    "Team guidelines (follow them unless they conflict with the required response format):",
+    instructions,
+  ].join("\n");
+}
+
+function numberLines(
   code,
+  firstLineNumber,
+  width = String(firstLineNumber + code.split("\n").length - 1).length
+) {
+  const lines = code.split("\n");
+
+  return lines
+    .map(
+      (line, index) =>
+        `${String(firstLineNumber + index).padStart(width, " ")} | ${line}`
+    )
+    .join("\n");
+}
+
+// Renders the excerpt blocks with their original line numbers, marking the
+// lines left out between them.
+function renderContextBlocks(blocks) {
+  const lastBlock = blocks[blocks.length - 1];
+  const width = String(
+    lastBlock.start_line + lastBlock.code.split("\n").length - 1
+  ).length;
+
+  return blocks
+    .map((block) => numberLines(block.code, block.start_line, width))
+    .join("\n...\n");
+}
+
+function describeContextRegions(regions) {
+  return regions
+    .map(
+      (region) =>
+        `lines ${region.start_line}-${region.end_line} (${
+          region.label ? `${region.kind}: ${region.label}` : region.kind
+        })`
+    )
+    .join(", ");
+}
+
+function renderReferencedFiles(referencedFiles) {
+  return referencedFiles
+    .map((file) =>
+      [
+        `File: ${file.filename} (${file.language}${
+          file.mode === "excerpt" ? ", excerpts" : ""
+        })`,
+        "```",
+        renderContextBlocks(file.blocks),
+        "```",
+      ].join("\n")
+    )
+    .join("\n\n");
+}
+
+function buildUserPrompt({
   language,
   selection,
   prompt,
   history,
+  historySummary,
   contextMode,
-  actualStartLine,
-  actualEndLine,
+  contextBlocks,
+  contextRegions,
+  referencedFiles = [],
+  instructions = "",
 }) {
+  const summaryText = historySummary
+    ? `Summary of earlier conversation:\n${historySummary}\n\n`
+    : "";
+
   const historyText =
     history.length > 0
       ? `Previous conversation:\n${history
@@ -222,31 +554,77 @@ function buildUserPrompt({
       : "";
 
   const selectionText = selection
-    ? `Selected region (lines ${selection.start_line}-${selection.end_line}):\n\`\`\`\n${selection.selected_text || "(selection text not provided)"}\n\`\`\`\n\nIMPORTANT: If you suggest improvements, your replacement field must contain the COMPLETE improved version of this entire selected block (lines ${selection.start_line}-${selection.end_line}). Do not return partial patches.\n\n`
+    ? `Selected region: lines ${selection.start_line}-${selection.end_line}.\n\nIMPORTANT: Every hunk must stay within lines ${selection.start_line}-${selection.end_line}.\n\n`
     : "Full file review requested.\n\n";
 
   const contextNote =
     contextMode === "local"
-      ? `Context note: You are viewing lines ${actualStartLine}-${actualEndLine} from the original file for context.\n\n`
+      ? `Context note: The file is too large to send in full. You are viewing excerpts of it: ${describeContextRegions(contextRegions)}. Omitted lines are marked with "...".\n\n`
+      : "";
+
+  const sentFiles = referencedFiles.filter((file) => file.mode !== "omitted");
+  const referencesText =
+    sentFiles.length > 0
+      ? `Related files from the user's other sessions (read-only context: do not edit them, every hunk applies to the file under review):\n\n${renderReferencedFiles(sentFiles)}\n`
       : "";
 
   const promptSections = [
     `Language: ${language}`,
     contextNote,
-    "Full file context:",
+    referencesText,
+    contextMode === "local" ? "File excerpts:" : "Full file context:",
     "```",
-    code,
+    renderContextBlocks(contextBlocks),
     "```",
     "",
     selectionText,
+    summaryText,
     historyText,
+    instructions ? `Additional instructions:\n${instructions}\n` : "",
     `User question: ${prompt}`,
   ];
 
   return promptSections.filter((section) => section !== undefined).join("\n");
 }
 
-async function invokeBedrockWithRetry(prompt, systemPrompt) {
+// Maps a model call failure to the error code we surface once retries are
+// exhausted. Returns null for errors that should not be retried at all.
+function classifyRetryableBedrockError(err) {
+  const statusCode = err.$metadata?.httpStatusCode ?? err.statusCode;
+
+  if (err.name === "AbortError" || err.message?.includes("timeout")) {
+    return "AI_TIMEOUT";
+  }
+
+  if (
+    err.name === "ThrottlingException" ||
+    statusCode === 429 ||
+    err.name === "TooManyRequestsException"
+  ) {
+    return "RATE_LIMIT_EXCEEDED";
+  }
+
+  if (
+    statusCode >= 500 ||
+    err.name === "ModelStreamErrorException" ||
+    err.name === "InternalServerException"
+  ) {
+    return "BEDROCK_UNAVAILABLE";
+  }
+
+  return null;
+}
+
+// `tool`, when given, is the response tool from buildResponseTool; the result
+// then carries the model's arguments for it as toolInput. The result, or the
+// error thrown, carries the number of invocations made as `attempts`.
+async function invokeBedrockWithRetry(
+  prompt,
+  systemPrompt,
+  context,
+  tool = null
+) {
+  const provider = getModelProvider();
   let attempt = 0;
   let lastError;
 
@@ -256,61 +634,96 @@ async function invokeBedrockWithRetry(prompt, systemPrompt) {
     const timeoutId = setTimeout(() => controller.abort(), BEDROCK_TIMEOUT_MS);
 
     try {
-      const command = new InvokeModelCommand({
-        modelId: BEDROCK_MODEL_ID,
-        contentType: "application/json",
-        accept: "application/json",
-        body: JSON.stringify({
-          anthropic_version: "bedrock-2023-05-31",
-          max_tokens: BEDROCK_MAX_OUTPUT_TOKENS,
-          temperature: BEDROCK_TEMPERATURE,
-          system: systemPrompt,
-          messages: [
-            {
-              role: "user",
-              content: [{ type: "text", text: prompt }],
-            },
-          ],
-        }),
+      const result = await provider.invoke({
+        systemPrompt,
+        prompt,
+        context,
+        tool,
+        model: toProviderModel(context.model),
+        abortSignal: controller.signal,
       });
+      clearTimeout(timeoutId);
+
+      return { ...result, attempts: attempt };
+    } catch (err) {
+      clearTimeout(timeoutId);
+      lastError = err;
+
+      const errorCode = classifyRetryableBedrockError(err);
+      if (!errorCode) {
+        err.attempts = attempt;
+        throw err;
+      }
+
+      if (attempt >= MAX_RETRIES) {
+        const finalError = new Error(errorCode);
+        finalError.cause = err;
+        finalError.attempts = attempt;
+        throw finalError;
+      }
+
+      const backoff = Math.min(1000 * 2 ** (attempt - 1), 4000);
+      await new Promise((resolve) => setTimeout(resolve, backoff));
+    }
+  }
+
+  throw lastError || new Error("BEDROCK_UNAVAILABLE");
+}
+
+// Streaming counterpart of invokeBedrockWithRetry. Only retries while no text
+// has been forwarded yet, and the timeout covers the gap between chunks.
+async function invokeBedrockStreamWithRetry(
+  prompt,
+  systemPrompt,
+  context,
+  onTextDelta,
+  tool = null
+) {
+  const provider = getModelProvider();
+  let attempt = 0;
+  let lastError;
+
+  while (attempt < MAX_RETRIES) {
+    attempt += 1;
+    const controller = new AbortController();
+    let timeoutId = setTimeout(() => controller.abort(), BEDROCK_TIMEOUT_MS);
+    let forwardedText = false;
 
-      const response = await bedrockClient.send(command, {
+    try {
+      const result = await provider.invokeStream({
+        systemPrompt,
+        prompt,
+        context,
+        tool,
+        model: toProviderModel(context.model),
         abortSignal: controller.signal,
+        onTextDelta: (textDelta) => {
+          clearTimeout(timeoutId);
+          timeoutId = setTimeout(() => controller.abort(), BEDROCK_TIMEOUT_MS);
+          forwardedText = true;
+          onTextDelta(textDelta);
+        },
       });
       clearTimeout(timeoutId);
 
-      const rawBody = new TextDecoder().decode(response.body);
-      return JSON.parse(rawBody);
+      return { ...result, attempts: attempt };
     } catch (err) {
       clearTimeout(timeoutId);
       lastError = err;
 
-      if (err.name === "AbortError" || err.message?.includes("timeout")) {
-        if (attempt >= MAX_RETRIES) {
-          const timeoutError = new Error("AI_TIMEOUT");
-          timeoutError.cause = err;
-          throw timeoutError;
-        }
-      } else if (
-        err.name === "ThrottlingException" ||
-        err.$metadata?.httpStatusCode === 429 ||
-        err.name === "TooManyRequestsException"
-      ) {
-        if (attempt >= MAX_RETRIES) {
-          const rateError = new Error("RATE_LIMIT_EXCEEDED");
-          rateError.cause = err;
-          throw rateError;
-        }
-      } else if (err.$metadata?.httpStatusCode >= 500) {
-        if (attempt >= MAX_RETRIES) {
-          const unavailableError = new Error("BEDROCK_UNAVAILABLE");
-          unavailableError.cause = err;
-          throw unavailableError;
-        }
-      } else {
+      const errorCode = classifyRetryableBedrockError(err);
+      if (!errorCode) {
+        err.attempts = attempt;
         throw err;
       }
 
+      if (attempt >= MAX_RETRIES || forwardedText) {
+        const finalError = new Error(errorCode);
+        finalError.cause = err;
+        finalError.attempts = attempt;
+        throw finalError;
+      }
+
       const backoff = Math.min(1000 * 2 ** (attempt - 1), 4000);
       await new Promise((resolve) => setTimeout(resolve, backoff));
     }
@@ -319,19 +732,82 @@ async function invokeBedrockWithRetry(prompt, systemPrompt) {
   throw lastError || new Error("BEDROCK_UNAVAILABLE");
 }
 
-function extractResponseText(bedrockResponse) {
-  if (!bedrockResponse || !Array.isArray(bedrockResponse.content)) {
-    return "";
-  }
+const JSON_STRING_ESCAPES = {
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  b: "\b",
+  f: "\f",
+};
+
+// Incrementally decodes the "analysis" string value out of the model's JSON
+// reply as it streams in. Each call takes the next raw text chunk and returns
+// whatever analysis text became available (possibly an empty string).
+function createAnalysisStreamExtractor() {
+  let buffer = "";
+  let cursor = 0;
+  let state = "seeking";
+  let escaping = false;
+  let unicodeDigits = null;
 
-  const textSegment = bedrockResponse.content.find(
-    (segment) => segment.type === "text"
-  );
-  if (!textSegment || typeof textSegment.text !== "string") {
-    return "";
-  }
+  return (chunk) => {
+    buffer += chunk;
+
+    if (state === "seeking") {
+      const match = /"analysis"\s*:\s*"/.exec(buffer);
+      if (!match) {
+        return "";
+      }
+      state = "inside";
+      cursor = match.index + match[0].length;
+    }
+
+    if (state !== "inside") {
+      return "";
+    }
 
-  return textSegment.text;
+    let decoded = "";
+    while (cursor < buffer.length) {
+      const char = buffer[cursor];
+      cursor += 1;
+
+      if (unicodeDigits !== null) {
+        unicodeDigits += char;
+        if (unicodeDigits.length === 4) {
+          const codePoint = parseInt(unicodeDigits, 16);
+          if (!Number.isNaN(codePoint)) {
+            decoded += String.fromCharCode(codePoint);
+          }
+          unicodeDigits = null;
+        }
+        continue;
+      }
+
+      if (escaping) {
+        escaping = false;
+        if (char === "u") {
+          unicodeDigits = "";
+        } else {
+          decoded += JSON_STRING_ESCAPES[char] ?? char;
+        }
+        continue;
+      }
+
+      if (char === "\\") {
+        escaping = true;
+        continue;
+      }
+
+      if (char === '"') {
+        state = "done";
+        break;
+      }
+
+      decoded += char;
+    }
+
+    return decoded;
+  };
 }
 
 function sanitizeAnalysisText(text) {
@@ -450,43 +926,41 @@ function escapeNewlinesInStrings(input) {
   return result;
 }
 
-function parseBedrockResponse(bedrockResponse) {
-  const responseText = extractResponseText(bedrockResponse);
-
-  if (!responseText) {
+// Legacy path for models that answer in text instead of calling the response
+// tool: scrape the outermost JSON object out of the reply, tolerating raw
+// newlines inside strings and JSON5 syntax.
+function extractJsonPayload(responseText) {
+  if (typeof responseText !== "string" || !responseText) {
     throw new Error("AI_MALFORMED_RESPONSE");
   }
 
-  let jsonPayload;
   try {
     const firstBrace = responseText.indexOf("{");
     const lastBrace = responseText.lastIndexOf("}");
     if (firstBrace === -1 || lastBrace === -1) {
       throw new Error("NO_JSON_OBJECT");
     }
-    const rawObject = responseText.slice(firstBrace, lastBrace + 1);
-    console.error("[ai] Raw Bedrock response:", rawObject);
-    const escapedObject = escapeNewlinesInStrings(rawObject);
+    const escapedObject = escapeNewlinesInStrings(
+      responseText.slice(firstBrace, lastBrace + 1)
+    );
     try {
-      jsonPayload = JSON.parse(escapedObject);
+      return JSON.parse(escapedObject);
     } catch (err) {
-      jsonPayload = JSON5.parse(escapedObject);
+      return JSON5.parse(escapedObject);
     }
   } catch (err) {
     try {
-      const escaped = escapeNewlinesInStrings(responseText);
-      jsonPayload = JSON5.parse(escaped);
+      return JSON5.parse(escapeNewlinesInStrings(responseText));
     } catch (secondaryError) {
-      console.error(
-        "[ai] Failed to parse AI response JSON:",
-        secondaryError,
-        responseText
-      );
       throw new Error("AI_MALFORMED_RESPONSE");
     }
   }
+}
 
+function readAnalysisPayload(jsonPayload) {
   if (
+    !jsonPayload ||
+    typeof jsonPayload !== "object" ||
     typeof jsonPayload.analysis !== "string" ||
     !jsonPayload.analysis.trim()
   ) {
@@ -498,296 +972,2467 @@ function parseBedrockResponse(bedrockResponse) {
     throw new Error("AI_MALFORMED_RESPONSE");
   }
 
-  // Handle the new simplified format: single "replacement" field instead of "changes" array
-  // The replacement is the complete improved version of the entire selected block
+  // Hunks are validated against the file in callBedrock. A whole-block
+  // "replacement" or the old "changes" array are still accepted from models
+  // that ignore the requested schema.
+  let hunks = null;
   let replacement = "";
-  if (typeof jsonPayload.replacement === "string") {
+  if (Array.isArray(jsonPayload.hunks)) {
+    hunks = jsonPayload.hunks;
+  } else if (Array.isArray(jsonPayload.changes)) {
+    hunks = jsonPayload.changes.map((change) => ({
+      start_line: change?.start_line,
+      end_line: change?.end_line,
+      text: change?.replacement,
+    }));
+  } else if (typeof jsonPayload.replacement === "string") {
     replacement = sanitizeReplacementCode(jsonPayload.replacement);
-  } else if (Array.isArray(jsonPayload.changes) && jsonPayload.changes.length > 0) {
-    // Backwards compatibility: if old format with changes array, combine them
-    // This shouldn't happen with the new prompt but handles edge cases
-    replacement = jsonPayload.changes
-      .map((c) => sanitizeReplacementCode(c.replacement || ""))
-      .join("\n");
   }
 
   return {
     analysis,
+    hunks,
     replacement,
+    testFile: jsonPayload.test_file ?? null,
+    findings: jsonPayload.findings ?? null,
+    translatedCode: jsonPayload.translated_code ?? null,
   };
 }
 
-async function callBedrock({
-  code,
-  prompt,
-  language,
-  selection,
-  history,
-  mode,
-}) {
-  const intentMode = mode === "explain" ? "explain" : "improve";
-  const baselineTokens = estimateTokenCount({ code, prompt, history });
-
-  let contextMode = "full";
-  let effectiveCode = code;
-  let actualStartLine = 1;
-  let actualEndLine = code.split("\n").length;
+/**
+ * Reads a provider result into { analysis, hunks, replacement, testFile,
+ * findings, translatedCode }. The response tool's input is preferred; the reply text is only
+ * parsed when the model did not call the tool or its input was unusable.
+ * Each outcome is counted by format so format breakage stays visible.
+ */
+function parseModelResponse(modelResult, { intent, model }) {
+  const metricContext = { modelId: providerModelId(model), intent };
 
-  if (baselineTokens > FALLBACK_THRESHOLD_TOKENS) {
-    if (!selection) {
-      throw new Error("TOKEN_LIMIT_EXCEEDED_NEEDS_SELECTION");
+  if (modelResult.toolInput) {
+    try {
+      const parsed = readAnalysisPayload(modelResult.toolInput);
+      recordResponseFormat("structured", metricContext);
+      return parsed;
+    } catch (err) {
+      console.warn("[ai] Response tool input was unusable, parsing reply text.");
     }
+  }
 
-    const localContext = extractLocalContext(code, selection);
-    contextMode = "local";
-    effectiveCode = localContext.code;
-    actualStartLine = localContext.actualStartLine;
-    actualEndLine = localContext.actualEndLine;
+  try {
+    const parsed = readAnalysisPayload(extractJsonPayload(modelResult.text));
+    recordResponseFormat("fallback", metricContext);
+    return parsed;
+  } catch (err) {
+    recordResponseFormat("malformed", metricContext);
+    console.error(
+      `[ai] Malformed model response (${intent}, ${
+        modelResult.text?.length || 0
+      } characters of text).`
+    );
+    throw new Error("AI_MALFORMED_RESPONSE");
   }
+}
 
-  const inputTokens = estimateTokenCount({
-    code: effectiveCode,
-    prompt,
-    history,
+// Validates model hunks against the editable range: every hunk must use
+// integer line numbers inside [startLine, endLine] and no two may overlap.
+// Hunks that leave their lines unchanged are dropped.
+function normalizeHunks(rawHunks, codeLines, bounds) {
+  const hunks = rawHunks.map((hunk) => {
+    if (!hunk || typeof hunk !== "object") {
+      throw new Error("AI_INVALID_HUNKS");
+    }
+
+    const startLine = Number(hunk.start_line);
+    const endLine = Number(hunk.end_line);
+
+    if (
+      !Number.isInteger(startLine) ||
+      !Number.isInteger(endLine) ||
+      startLine < bounds.startLine ||
+      endLine > bounds.endLine ||
+      endLine < startLine ||
+      typeof hunk.text !== "string"
+    ) {
+      throw new Error("AI_INVALID_HUNKS");
+    }
+
+    return {
+      start_line: startLine,
+      end_line: endLine,
+      text: sanitizeReplacementCode(hunk.text),
+    };
   });
-  if (inputTokens > MAX_INPUT_TOKENS) {
-    throw new Error("TOKEN_LIMIT_EXCEEDED");
+
+  hunks.sort((a, b) => a.start_line - b.start_line);
+
+  for (let index = 1; index < hunks.length; index += 1) {
+    if (hunks[index].start_line <= hunks[index - 1].end_line) {
+      throw new Error("AI_INVALID_HUNKS");
+    }
   }
 
-  const systemPrompt = buildSystemPrompt(language, contextMode, intentMode);
-  const userPrompt = buildUserPrompt({
-    code: effectiveCode,
-    language,
-    selection,
-    prompt,
-    history,
-    contextMode,
-    actualStartLine,
-    actualEndLine,
+  return hunks.filter(
+    (hunk) =>
+      codeLines.slice(hunk.start_line - 1, hunk.end_line).join("\n") !==
+      hunk.text
+  );
+}
+
+// Produces the edited [startLine, endLine] block so clients that only know
+// about a single replacement keep working.
+function applyHunksToRange(codeLines, hunks, bounds) {
+  const rangeLines = codeLines.slice(bounds.startLine - 1, bounds.endLine);
+
+  [...hunks].reverse().forEach((hunk) => {
+    rangeLines.splice(
+      hunk.start_line - bounds.startLine,
+      hunk.end_line - hunk.start_line + 1,
+      ...(hunk.text ? hunk.text.split("\n") : [])
+    );
   });
 
-  const bedrockResponse = await invokeBedrockWithRetry(
-    userPrompt,
-    systemPrompt
-  );
-  const parsed = parseBedrockResponse(bedrockResponse);
+  return rangeLines.join("\n");
+}
 
-  // For explain mode, replacement should be empty
-  if (intentMode === "explain" && parsed.replacement && parsed.replacement.trim()) {
-    // AI provided code when it shouldn't have - just ignore it
-    parsed.replacement = "";
+// Test generation must return file content; filename and framework are
+// advisory and fall back to empty strings.
+function normalizeTestFile(rawTestFile) {
+  if (
+    !rawTestFile ||
+    typeof rawTestFile !== "object" ||
+    typeof rawTestFile.content !== "string" ||
+    !rawTestFile.content.trim()
+  ) {
+    throw new Error("AI_MALFORMED_RESPONSE");
   }
 
-  const analysisLength = parsed.analysis.length || 0;
-  const replacementLength = parsed.replacement?.length || 0;
-  const outputTokens = Math.ceil((analysisLength + replacementLength) / 4);
+  const optionalText = (value) =>
+    typeof value === "string" ? value.trim() : "";
 
   return {
-    analysis: parsed.analysis,
-    replacement: parsed.replacement || "",
-    context_mode: contextMode,
-    token_count: inputTokens + outputTokens,
-    intent: intentMode,
+    filename: optionalText(rawTestFile.filename),
+    framework: optionalText(rawTestFile.framework),
+    content: sanitizeReplacementCode(rawTestFile.content),
   };
 }
 
-async function handleAnalyze(event) {
-  const userId = getUserIdFromEvent(event);
-  if (!userId) {
-    return error(401, "UNAUTHORIZED", "Authentication required");
+function normalizeTranslatedCode(rawCode) {
+  if (typeof rawCode !== "string" || !rawCode.trim()) {
+    throw new Error("AI_MALFORMED_RESPONSE");
   }
 
-  const withinLimit = await assertWithinRateLimit(
-    event,
-    `ai_analyze#${userId}`,
-    AI_RATE_LIMIT_PER_MINUTE
-  );
+  return sanitizeReplacementCode(rawCode);
+}
 
-  if (!withinLimit) {
-    return error(
-      429,
-      "RATE_LIMIT_EXCEEDED",
-      "Too many AI requests. Please try again in a minute."
-    );
+// Audit findings are sorted most severe first. Unknown severities and
+// categories fall back to "medium" and "bug", and line ranges outside the
+// file are dropped rather than failing the whole audit.
+function normalizeFindings(
+  rawFindings,
+  lineCount,
+  categories = FINDING_CATEGORIES
+) {
+  if (!Array.isArray(rawFindings)) {
+    throw new Error("AI_MALFORMED_RESPONSE");
   }
 
-  let payload;
-  try {
-    payload = parseJsonBody(event);
-  } catch (err) {
-    return error(400, "INVALID_INPUT", "Malformed JSON body.");
-  }
+  return rawFindings
+    .filter(
+      (finding) =>
+        finding &&
+        typeof finding === "object" &&
+        typeof finding.title === "string" &&
+        finding.title.trim()
+    )
+    .map((finding) => {
+      const severity = String(finding.severity || "").toLowerCase();
+      const category = String(finding.category || "").toLowerCase();
+      const startLine = Number(finding.start_line);
+      const endLine = Number(finding.end_line ?? finding.start_line);
+      const hasLines =
+        Number.isInteger(startLine) &&
+        Number.isInteger(endLine) &&
+        startLine >= 1 &&
+        endLine >= startLine &&
+        endLine <= lineCount;
 
-  const rawThreadId = normalizeString(payload.thread_id || payload.threadId);
-  if (!rawThreadId) {
-    return error(400, "INVALID_INPUT", "thread_id is required.", "thread_id");
-  }
+      return {
+        severity: FINDING_SEVERITIES.includes(severity) ? severity : "medium",
+        category: categories.includes(category) ? category : "bug",
+        title: sanitizeAnalysisText(finding.title.trim()),
+        description:
+          typeof finding.description === "string"
+            ? sanitizeAnalysisText(finding.description)
+            : "",
+        ...(hasLines ? { start_line: startLine, end_line: endLine } : {}),
+      };
+    })
+    .sort(
+      (a, b) =>
+        FINDING_SEVERITIES.indexOf(a.severity) -
+        FINDING_SEVERITIES.indexOf(b.severity)
+    );
+}
 
-  const code = payload.code;
-  if (typeof code !== "string") {
-    return error(400, "INVALID_INPUT", "code must be a string value.", "code");
-  }
+function describeDiagnostics(diagnostics) {
+  return diagnostics
+    .map((diagnostic) =>
+      diagnostic.line
+        ? `- Line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message}`
+        : `- ${diagnostic.message}`
+    )
+    .join("\n");
+}
+
+function addUsage(total, extra) {
+  return {
+    input_tokens: total.input_tokens + (extra?.input_tokens || 0),
+    output_tokens: total.output_tokens + (extra?.output_tokens || 0),
+  };
+}
+
+/**
+ * Parses the file with the hunks applied and, when that fails, asks the model
+ * once to fix its own edit using the parser's diagnostics. Files that did not
+ * parse before the edit, and languages without a parser, are not validated.
+ *
+ * Resolves to { hunks, validation, usage }: `validation` is null or
+ * { status: "valid" | "repaired" | "invalid", parser, diagnostics }, and
+ * `usage` and `attempts` describe the repair call, if one was made. When the repair does
+ * not parse either, the original hunks are kept so the user can still review
+ * them, flagged as invalid. So are hunks whose repair `chargeRepair` refuses
+ * with AI_JOB_CANCELLED.
+ */
+async function validateEditHunks({
+  code,
+  codeLines,
+  language,
+  hunks,
+  editBounds,
+  userPrompt,
+  systemPrompt,
+  responseTool,
+  invocationContext,
+  previousResponse,
+  chargeRepair = (estimatedTokens, invoke) => invoke(),
+}) {
+  const fileBounds = { startLine: 1, endLine: codeLines.length };
+  const original = validateSyntax(code, language);
+  if (!original || !original.valid) {
+    return { hunks, validation: null, usage: null };
+  }
+
+  const edited = validateSyntax(
+    applyHunksToRange(codeLines, hunks, fileBounds),
+    language
+  );
+  if (edited.valid) {
+    return {
+      hunks,
+      validation: { status: "valid", parser: edited.parser, diagnostics: [] },
+      usage: null,
+    };
+  }
+
+  const invalid = {
+    hunks,
+    validation: {
+      status: "invalid",
+      parser: edited.parser,
+      diagnostics: edited.diagnostics,
+    },
+    usage: null,
+  };
+
+  const repairPrompt = [
+    userPrompt,
+    "",
+    "Your previous response was:",
+    previousResponse,
+    "",
+    `Applying its hunks leaves the file unparseable (${edited.parser}):`,
+    describeDiagnostics(edited.diagnostics),
+    "",
+    "Return the same JSON object with corrected hunks so the edited file parses. Keep the line numbers relative to the original file.",
+  ].join("\n");
+
+  let repairResult;
+  try {
+    repairResult = await chargeRepair(
+      Math.min(
+        estimateTokenCount({ code: "", prompt: repairPrompt, history: [] }),
+        MAX_INPUT_TOKENS
+      ),
+      () =>
+        invokeBedrockWithRetry(
+          repairPrompt,
+          systemPrompt,
+          { ...invocationContext, repair: true },
+          responseTool
+        )
+    );
+  } catch (err) {
+    if (err.message === "AI_JOB_CANCELLED") {
+      return invalid;
+    }
+    console.error("[ai] Replacement repair call failed:", err);
+    invalid.attempts = err.attempts || 0;
+    return invalid;
+  }
+  invalid.usage = repairResult.usage || null;
+  invalid.attempts = repairResult.attempts;
+
+  let repairedHunks;
+  try {
+    const repaired = parseModelResponse(repairResult, invocationContext);
+    repairedHunks = normalizeHunks(repaired.hunks || [], codeLines, editBounds);
+  } catch (err) {
+    console.warn("[ai] Replacement repair returned unusable hunks:", err.message);
+    return invalid;
+  }
+
+  if (repairedHunks.length === 0) {
+    return invalid;
+  }
+
+  const repairedCheck = validateSyntax(
+    applyHunksToRange(codeLines, repairedHunks, fileBounds),
+    language
+  );
+  if (!repairedCheck.valid) {
+    return invalid;
+  }
+
+  return {
+    hunks: repairedHunks,
+    validation: {
+      status: "repaired",
+      parser: repairedCheck.parser,
+      diagnostics: [],
+    },
+    usage: invalid.usage,
+    attempts: invalid.attempts,
+  };
+}
+
+// Error codes are upper snake case; anything else is an unexpected failure.
+function toErrorCode(err) {
+  return /^[A-Z][A-Z0-9_]*$/.test(err?.message || "")
+    ? err.message
+    : "INTERNAL_ERROR";
+}
+
+// `telemetry` is filled in as the analysis learns its intent, model, context
+// mode and model invocations, for analyzeWithModel to record.
+async function runModelAnalysis(
+  {
+    code,
+    prompt,
+    language,
+    selection,
+    history,
+    historySummary = "",
+    mode,
+    forceRefresh = false,
+    promptTemplate = null,
+    referencedSessions = [],
+    targetLanguage = null,
+    model = null,
+    onAnalysisDelta,
+    chargeRepair,
+    userId = null,
+  },
+  telemetry
+) {
+  const intentMode =
+    mode === "review" ||
+    (mode === "translate" && targetLanguage) ||
+    ANALYZE_INTENTS.includes(mode)
+      ? mode
+      : "improve";
+  const answeringModel = model || defaultModelFor(getCatalog(), intentMode);
+  telemetry.intent = intentMode;
+  telemetry.model = answeringModel;
+  // A smaller context window lowers both limits; the output budget is
+  // reserved out of the window.
+  const inputTokenLimit = Math.min(
+    MAX_INPUT_TOKENS,
+    answeringModel.context_window - answeringModel.max_output_tokens
+  );
+  const fallbackThreshold = Math.min(
+    FALLBACK_THRESHOLD_TOKENS,
+    Math.floor(inputTokenLimit * 0.8)
+  );
+  const modelView = { id: answeringModel.id, name: answeringModel.name };
+  const baselineTokens = estimateTokenCount({
+    code,
+    prompt,
+    history,
+    historySummary,
+  });
+
+  let contextMode = "full";
+  let contextBlocks = [{ start_line: 1, code }];
+  let contextRegions = null;
+
+  if (baselineTokens > fallbackThreshold) {
+    if (!selection) {
+      throw new Error("TOKEN_LIMIT_EXCEEDED_NEEDS_SELECTION");
+    }
+
+    const localContext = buildLocalContext({
+      code,
+      language,
+      selection,
+      tokenBudget: LOCAL_CONTEXT_TOKEN_BUDGET,
+    });
+    contextMode = "local";
+    contextBlocks = localContext.blocks;
+    contextRegions = localContext.regions;
+  }
+  telemetry.contextMode = contextMode;
+  const effectiveCode = contextBlocks.map((block) => block.code).join("\n");
+
+  let inputTokens = estimateTokenCount({
+    code: effectiveCode,
+    prompt,
+    history,
+    historySummary,
+  });
+  if (inputTokens > inputTokenLimit) {
+    throw new Error("TOKEN_LIMIT_EXCEEDED");
+  }
+
+  // Other sessions only get what is left of the input limit, so attaching
+  // them never turns an answerable question into TOKEN_LIMIT_EXCEEDED.
+  let referencedFiles = [];
+  if (referencedSessions.length > 0) {
+    const referencedContext = buildReferencedContext({
+      files: referencedSessions,
+      prompt,
+      focusCode: selection
+        ? code
+            .split("\n")
+            .slice(selection.start_line - 1, selection.end_line)
+            .join("\n")
+        : effectiveCode,
+      tokenBudget: Math.min(
+        REFERENCED_CONTEXT_TOKEN_BUDGET,
+        inputTokenLimit - inputTokens
+      ),
+    });
+    referencedFiles = referencedContext.files;
+    inputTokens += referencedContext.token_count;
+  }
+  const contextFiles =
+    referencedFiles.length > 0
+      ? { context_files: describeReferencedFiles(referencedFiles) }
+      : {};
+
+  const templateVariables = {
+    language,
+    intent: intentMode,
+    context_mode: contextMode,
+  };
+  const systemInstructions = renderPromptTemplate(
+    promptTemplate?.system_prompt,
+    templateVariables
+  );
+  const userInstructions = renderPromptTemplate(
+    promptTemplate?.user_prompt,
+    templateVariables
+  );
+  const promptTemplateVersion = promptTemplate?.version || 0;
+
+  const systemPrompt = buildSystemPrompt(
+    language,
+    contextMode,
+    intentMode,
+    systemInstructions,
+    targetLanguage
+  );
+  const userPrompt = buildUserPrompt({
+    language,
+    selection,
+    prompt,
+    history,
+    historySummary,
+    contextMode,
+    contextBlocks,
+    contextRegions,
+    referencedFiles,
+    instructions: userInstructions,
+  });
+
+  const codeLines = code.split("\n");
+  const editBounds = selection
+    ? {
+        startLine: selection.start_line,
+        endLine: Math.min(selection.end_line, codeLines.length),
+      }
+    : { startLine: 1, endLine: codeLines.length };
+
+  const cacheKey = buildResponseCacheKey({
+    userId,
+    contextBlocks,
+    referencedFiles,
+    selection,
+    prompt,
+    history,
+    historySummary,
+    intent: intentMode,
+    language,
+    instructions: [systemInstructions, userInstructions],
+    modelId: providerModelId(answeringModel),
+    promptTemplateVersion: PROMPT_TEMPLATE_VERSION,
+  });
+
+  if (!forceRefresh) {
+    const cached = await getCachedResponse(cacheKey);
+    if (cached) {
+      const {
+        analysis,
+        hunks,
+        test_file: testFile,
+        findings,
+        translated_code: translatedCode,
+        validation,
+        token_count: tokenCount,
+      } = cached.response;
+      if (onAnalysisDelta && analysis) {
+        onAnalysisDelta(analysis);
+      }
+
+      return {
+        analysis,
+        replacement:
+          hunks.length > 0
+            ? applyHunksToRange(codeLines, hunks, editBounds)
+            : "",
+        hunks,
+        ...(testFile ? { test_file: testFile } : {}),
+        ...(findings ? { findings } : {}),
+        ...(translatedCode ? { translated_code: translatedCode } : {}),
+        ...(validation ? { validation } : {}),
+        context_mode: contextMode,
+        ...(contextRegions ? { context_regions: contextRegions } : {}),
+        ...contextFiles,
+        token_count: tokenCount,
+        // Cache hits cost no model tokens, so nothing counts against quota.
+        usage: { input_tokens: 0, output_tokens: 0 },
+        intent: intentMode,
+        model: modelView,
+        prompt_template_version: promptTemplateVersion,
+        cached: true,
+        cached_at: cached.cachedAt,
+      };
+    }
+  }
+
+  const invocationContext = {
+    intent: intentMode,
+    selection,
+    model: answeringModel,
+    ...(targetLanguage ? { target_language: targetLanguage } : {}),
+  };
+  const responseTool = buildResponseTool(intentMode);
+  let modelResult;
+  if (onAnalysisDelta) {
+    const extractAnalysis = createAnalysisStreamExtractor();
+    modelResult = await invokeBedrockStreamWithRetry(
+      userPrompt,
+      systemPrompt,
+      invocationContext,
+      (textDelta) => {
+        const analysisDelta = extractAnalysis(textDelta);
+        if (analysisDelta) {
+          onAnalysisDelta(analysisDelta);
+        }
+      },
+      responseTool
+    );
+  } else {
+    modelResult = await invokeBedrockWithRetry(
+      userPrompt,
+      systemPrompt,
+      invocationContext,
+      responseTool
+    );
+  }
+  telemetry.attempts += modelResult.attempts;
+  const parsed = parseModelResponse(modelResult, invocationContext);
+
+  // Only edit intents produce hunks; code sent for any other intent is ignored
+  let hunks = [];
+  if (EDIT_INTENTS.has(intentMode)) {
+    if (parsed.hunks) {
+      hunks = normalizeHunks(parsed.hunks, codeLines, editBounds);
+    } else if (parsed.replacement.trim()) {
+      hunks = normalizeHunks(
+        [
+          {
+            start_line: editBounds.startLine,
+            end_line: editBounds.endLine,
+            text: parsed.replacement,
+          },
+        ],
+        codeLines,
+        editBounds
+      );
+    }
+  }
+
+  let validation = null;
+  let repairUsage = null;
+  let repairAttempts = 0;
+  if (hunks.length > 0) {
+    ({
+      hunks,
+      validation,
+      usage: repairUsage,
+      attempts: repairAttempts = 0,
+    } = await validateEditHunks({
+      code,
+      codeLines,
+      language,
+      hunks,
+      editBounds,
+      userPrompt,
+      systemPrompt,
+      responseTool,
+      invocationContext,
+      previousResponse: JSON.stringify({ analysis: parsed.analysis, hunks }),
+      chargeRepair,
+    }));
+  }
+  telemetry.attempts += repairAttempts;
+  const replacement =
+    hunks.length > 0 ? applyHunksToRange(codeLines, hunks, editBounds) : "";
+
+  const intentOutput = {};
+  if (intentMode === "tests") {
+    intentOutput.test_file = normalizeTestFile(parsed.testFile);
+  } else if (intentMode === "audit") {
+    intentOutput.findings = normalizeFindings(
+      parsed.findings,
+      codeLines.length
+    );
+  } else if (intentMode === "review") {
+    intentOutput.findings = normalizeFindings(
+      parsed.findings,
+      codeLines.length,
+      REVIEW_CATEGORIES
+    ).slice(0, MAX_REVIEW_FINDINGS);
+  } else if (intentMode === "translate") {
+    intentOutput.translated_code = normalizeTranslatedCode(
+      parsed.translatedCode
+    );
+
+    // Reported only; a translation that does not parse is still worth
+    // reviewing side by side with its source.
+    const check = validateSyntax(intentOutput.translated_code, targetLanguage);
+    if (check) {
+      validation = {
+        status: check.valid ? "valid" : "invalid",
+        parser: check.parser,
+        diagnostics: check.diagnostics,
+      };
+    }
+  }
+
+  const analysisLength = parsed.analysis.length || 0;
+  const replacementLength = hunks.reduce(
+    (total, hunk) => total + hunk.text.length,
+    0
+  );
+  let intentOutputLength = JSON.stringify(intentOutput.findings || []).length;
+  if (intentOutput.test_file) {
+    intentOutputLength = intentOutput.test_file.content.length;
+  } else if (intentOutput.translated_code) {
+    intentOutputLength = intentOutput.translated_code.length;
+  }
+  const estimatedOutputTokens = Math.ceil(
+    (analysisLength + replacementLength + intentOutputLength) / 4
+  );
+
+  // Prefer the provider's own token accounting when it reports one. A repair
+  // round-trip is billed on top of the original call.
+  const usage = addUsage(
+    modelResult.usage || {
+      input_tokens: inputTokens,
+      output_tokens: estimatedOutputTokens,
+    },
+    repairUsage
+  );
+
+  const tokenCount = usage.input_tokens + usage.output_tokens;
+
+  // The replacement is rebuilt from the hunks on a hit, which keeps cached
+  // items small for whole-file edits.
+  await putCachedResponse(cacheKey, {
+    analysis: parsed.analysis,
+    hunks,
+    ...intentOutput,
+    ...(validation ? { validation } : {}),
+    token_count: tokenCount,
+  });
+
+  return {
+    analysis: parsed.analysis,
+    replacement,
+    hunks,
+    ...intentOutput,
+    ...(validation ? { validation } : {}),
+    context_mode: contextMode,
+    ...(contextRegions ? { context_regions: contextRegions } : {}),
+    ...contextFiles,
+    token_count: tokenCount,
+    usage,
+    intent: intentMode,
+    model: modelView,
+    prompt_template_version: promptTemplateVersion,
+    cached: false,
+  };
+}
+
+// Every analysis leaves one call-metrics record, whether it was answered by
+// the model, from the cache or not at all.
+async function analyzeWithModel(options) {
+  const telemetry = {
+    intent: null,
+    model: null,
+    contextMode: null,
+    attempts: 0,
+  };
+  const startedAt = Date.now();
+  let response = null;
+  let errorCode = null;
+
+  try {
+    response = await runModelAnalysis(options, telemetry);
+    return response;
+  } catch (err) {
+    errorCode = toErrorCode(err);
+    telemetry.attempts += err.attempts || 0;
+    throw err;
+  } finally {
+    await recordCallMetrics({
+      modelId: telemetry.model ? providerModelId(telemetry.model) : null,
+      model: telemetry.model?.id,
+      intent: telemetry.intent,
+      contextMode: telemetry.contextMode,
+      attempts: telemetry.attempts,
+      latencyMs: Date.now() - startedAt,
+      usage: response?.usage,
+      cacheHit: response?.cached,
+      errorCode,
+    });
+  }
+}
+
+function describeSecretFindings(findings) {
+  return findings
+    .map((finding) => {
+      if (finding.line) {
+        return `${finding.label} on line ${finding.line}`;
+      }
+      return finding.source === "context"
+        ? `${finding.label} in a referenced file`
+        : finding.label;
+    })
+    .join(", ");
+}
+
+/**
+ * Runs an analysis with credentials masked: the code, referenced sessions,
+ * prompt, history and summary are redacted before they reach the model or
+ * the response cache, and the originals are put back into the returned hunks,
+ * replacement and translated code.
+ * The analysis text keeps the placeholders. The response lists what was
+ * masked as `redacted_secrets`. With `strictSecrets`, code that contains
+ * credentials is refused with SECRETS_DETECTED instead.
+ */
+async function callBedrock({
+  code,
+  prompt,
+  history,
+  historySummary = "",
+  strictSecrets = false,
+  referencedSessions = [],
+  ...options
+}) {
+  const redactor = createSecretRedactor();
+  const redactedCode = redactor.redact(code, { source: "code" });
+  const redactedSessions = referencedSessions.map((session) => ({
+    ...session,
+    code: redactor.redact(session.code, { source: "context" }),
+  }));
+
+  if (strictSecrets && redactor.findings().length > 0) {
+    const err = new Error("SECRETS_DETECTED");
+    err.details = { secrets: redactor.findings() };
+    throw err;
+  }
+
+  const redactedPrompt = redactor.redact(prompt, { source: "prompt" });
+  const response = await analyzeWithModel({
+    ...options,
+    code: redactedCode,
+    referencedSessions: redactedSessions,
+    prompt: redactedPrompt,
+    history: history.map((item) => ({
+      ...item,
+      content: redactor.redact(item.content),
+    })),
+    historySummary: redactor.redact(historySummary),
+  });
+
+  const secrets = redactor.findings();
+  if (secrets.length === 0) {
+    return response;
+  }
+
+  return {
+    ...response,
+    replacement: redactor.restore(response.replacement),
+    hunks: response.hunks.map((hunk) => ({
+      ...hunk,
+      text: redactor.restore(hunk.text),
+    })),
+    ...(response.translated_code
+      ? { translated_code: redactor.restore(response.translated_code) }
+      : {}),
+    ...(response.test_file
+      ? {
+          test_file: {
+            ...response.test_file,
+            content: redactor.restore(response.test_file.content),
+          },
+        }
+      : {}),
+    redacted_secrets: secrets,
+  };
+}
+
+function parseAnalyzeRequest(event) {
+  let payload;
+  try {
+    payload = parseJsonBody(event);
+  } catch (err) {
+    return { errorResponse: error(400, "INVALID_INPUT", "Malformed JSON body.") };
+  }
+
+  const rawThreadId = normalizeString(payload.thread_id || payload.threadId);
+  if (!rawThreadId) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "thread_id is required.",
+        "thread_id"
+      ),
+    };
+  }
+
+  const code = payload.code;
+  if (typeof code !== "string") {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "code must be a string value.",
+        "code"
+      ),
+    };
+  }
+
+  const codeBytes = Buffer.byteLength(code, "utf8");
+  if (codeBytes > MAX_CODE_BYTES) {
+    return {
+      errorResponse: error(
+        400,
+        "FILE_TOO_LARGE",
+        "Code payload exceeds the 5MB limit.",
+        "code"
+      ),
+    };
+  }
+
+  const language = normalizeString(payload.language);
+  if (!language) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "language is required.",
+        "language"
+      ),
+    };
+  }
+
+  if (typeof payload.prompt !== "string" || !payload.prompt.trim()) {
+    return {
+      errorResponse: error(400, "INVALID_INPUT", "prompt is required.", "prompt"),
+    };
+  }
+
+  const prompt = payload.prompt.trim();
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return {
+      errorResponse: error(
+        400,
+        "MESSAGE_TOO_LONG",
+        `Prompt must be ${MAX_PROMPT_LENGTH} characters or fewer.`,
+        "prompt"
+      ),
+    };
+  }
+
+  const modeRaw = normalizeString(payload.mode);
+  // "auto" leaves the intent to the classifier.
+  const classification = modeRaw === "auto" ? classifyIntent(prompt) : null;
+  let intent = ANALYZE_INTENTS.includes(modeRaw) ? modeRaw : "improve";
+  if (classification) {
+    intent = classification.intent;
+  }
+
+  // Set when mode is the user's answer to a clarifying question.
+  const clarified = payload.clarified ?? false;
+  if (typeof clarified !== "boolean" || (clarified && classification)) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "clarified must be a boolean, and can only be sent with the chosen mode.",
+        "clarified"
+      ),
+    };
+  }
+
+  let selection;
+  try {
+    selection = sanitizeSelection(payload.selection);
+  } catch (err) {
+    switch (err.message) {
+      case "INVALID_SELECTION":
+        return {
+          errorResponse: error(
+            400,
+            "INVALID_INPUT",
+            "selection must be an object with start_line and end_line.",
+            "selection"
+          ),
+        };
+      case "INVALID_SELECTION_START":
+        return {
+          errorResponse: error(
+            400,
+            "INVALID_INPUT",
+            "selection.start_line must be a positive integer.",
+            "selection.start_line"
+          ),
+        };
+      case "INVALID_SELECTION_END":
+        return {
+          errorResponse: error(
+            400,
+            "INVALID_INPUT",
+            "selection.end_line must be an integer greater than or equal to start_line.",
+            "selection.end_line"
+          ),
+        };
+      default:
+        return {
+          errorResponse: error(
+            400,
+            "INVALID_INPUT",
+            "Invalid selection payload.",
+            "selection"
+          ),
+        };
+    }
+  }
+
+  const forceRefresh = payload.force_refresh ?? false;
+  if (typeof forceRefresh !== "boolean") {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "force_refresh must be a boolean.",
+        "force_refresh"
+      ),
+    };
+  }
+
+  const rawContextSessionIds = payload.context_session_ids ?? [];
+  if (
+    !Array.isArray(rawContextSessionIds) ||
+    !rawContextSessionIds.every((id) => normalizeString(id))
+  ) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "context_session_ids must be an array of session ids.",
+        "context_session_ids"
+      ),
+    };
+  }
+
+  const contextSessionIds = [
+    ...new Set(rawContextSessionIds.map((id) => normalizeString(id))),
+  ];
+  if (contextSessionIds.length > MAX_CONTEXT_SESSIONS) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        `At most ${MAX_CONTEXT_SESSIONS} other sessions can be attached as context.`,
+        "context_session_ids"
+      ),
+    };
+  }
+
+  // Kept as the caller's choice rather than the resolved entry, so a queued
+  // job is resolved against the catalog the worker runs with.
+  const model =
+    payload.model === undefined || payload.model === null
+      ? null
+      : normalizeString(payload.model).toLowerCase();
+  if (model !== null && (!model || !resolveModel(getCatalog(), model, intent))) {
+    const choices = ["quick", "deep", ...getCatalog().map((entry) => entry.id)];
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        `model must be one of: ${choices.join(", ")}.`,
+        "model"
+      ),
+    };
+  }
+
+  return {
+    request: {
+      threadId: rawThreadId,
+      code,
+      language,
+      prompt,
+      intent,
+      selection,
+      forceRefresh,
+      contextSessionIds,
+      model,
+      classification,
+      clarified,
+    },
+  };
+}
+
+async function loadAuthorizedThread(threadId, userId) {
+  const thread = await fetchThreadById(threadId);
+
+  if (!thread) {
+    return {
+      accessError: error(404, "THREAD_NOT_FOUND", "Thread not found."),
+    };
+  }
+
+  if (thread.user_id !== userId) {
+    return {
+      accessError: error(
+        403,
+        "FORBIDDEN",
+        "You do not have access to this thread."
+      ),
+    };
+  }
+
+  return { thread };
+}
+
+async function loadAuthorizedSession(sessionId, userId) {
+  const session = await fetchSessionById(sessionId);
+
+  if (!session) {
+    return {
+      accessError: error(404, "SESSION_NOT_FOUND", "Session not found."),
+    };
+  }
+
+  if (session.user_id !== userId) {
+    return {
+      accessError: error(
+        403,
+        "FORBIDDEN",
+        "You do not have access to this session."
+      ),
+    };
+  }
+
+  return { session };
+}
+
+const SUMMARY_SYSTEM_PROMPT = [
+  "You maintain a running summary of a code review conversation between a user and an AI reviewer.",
+  "Merge the previous summary with the new messages into one updated summary.",
+  "Keep decisions, requested changes, open questions and any code identifiers that were discussed.",
+  "Respond with plain text only, at most 200 words, with no markdown.",
+].join("\n");
+
+async function summarizeConversation({ previousSummary, turns }) {
+  const prompt = [
+    previousSummary
+      ? `Previous summary:\n${previousSummary}`
+      : "Previous summary: (none)",
+    "",
+    "New messages:",
+    turns
+      .map((turn) => `${turn.role.toUpperCase()}: ${maskSecrets(turn.content)}`)
+      .join("\n\n"),
+  ].join("\n");
+
+  const model = defaultModelFor(getCatalog(), "summarize");
+  const startedAt = Date.now();
+  let result = null;
+  let failure = null;
+  try {
+    result = await invokeBedrockWithRetry(prompt, SUMMARY_SYSTEM_PROMPT, {
+      intent: "summarize",
+      turn_count: turns.length,
+      model,
+    });
+  } catch (err) {
+    failure = err;
+    throw err;
+  } finally {
+    await recordCallMetrics({
+      modelId: providerModelId(model),
+      model: model.id,
+      intent: "summarize",
+      attempts: result ? result.attempts : failure.attempts,
+      latencyMs: Date.now() - startedAt,
+      usage: result?.usage,
+      errorCode: failure ? toErrorCode(failure) : null,
+    });
+  }
+
+  return { text: result.text.trim(), usage: result.usage };
+}
+
+// History comes from MESSAGES_TABLE rather than the client, so turns cannot
+// be forged and long threads keep their context through the rolling summary.
+async function loadAnalyzeHistory(userId, thread, request) {
+  // Folding turns into the summary is a model call of its own, charged to
+  // the same token budgets as the analysis it prepares.
+  const conversation = await buildConversationHistory({
+    thread,
+    prompt: request.prompt,
+    summarize: (input) =>
+      withinTokenBudget(
+        userId,
+        estimateTokenCount({
+          code: "",
+          prompt: "",
+          history: input.turns,
+          historySummary: input.previousSummary,
+        }),
+        () => summarizeConversation(input)
+      ),
+  });
+
+  if (conversation.summaryUsage) {
+    await recordUsage({
+      userId,
+      threadId: request.threadId,
+      intent: "summarize",
+      modelId: providerModelId(defaultModelFor(getCatalog(), "summarize")),
+      usage: conversation.summaryUsage,
+    });
+  }
+
+  return conversation;
+}
+
+function buildAnalyzeErrorResponse(err) {
+  switch (err.message) {
+    case "TOKEN_LIMIT_EXCEEDED_NEEDS_SELECTION":
+      return error(
+        400,
+        "TOKEN_LIMIT_EXCEEDED",
+        "This file is too large for a full analysis. Select a smaller code block and try again.",
+        "code"
+      );
+    case "TOKEN_LIMIT_EXCEEDED":
+      return error(
+        400,
+        "TOKEN_LIMIT_EXCEEDED",
+        "This selection is too large for the AI context window. Reduce the selection and try again.",
+        "selection"
+      );
+    case "AI_TIMEOUT":
+      return error(
+        504,
+        "AI_TIMEOUT",
+        "AI request timed out. Try with a smaller code selection."
+      );
+    case "AI_MALFORMED_RESPONSE":
+      return error(
+        502,
+        "AI_MALFORMED_RESPONSE",
+        "AI response could not be processed. Please try again."
+      );
+    case "MONTHLY_TOKEN_QUOTA_EXCEEDED":
+      return error(
+        429,
+        "MONTHLY_TOKEN_QUOTA_EXCEEDED",
+        "You have used this month's AI token budget for your plan. It resets at the start of next month.",
+        undefined,
+        err.details
+      );
+    case "SECRETS_DETECTED":
+      return error(
+        400,
+        "SECRETS_DETECTED",
+        `This code contains what look like credentials (${describeSecretFindings(
+          err.details.secrets
+        )}). Remove them, or turn off strict secret mode in Settings, and try again.`,
+        "code",
+        err.details
+      );
+    case "TRANSLATION_SAME_LANGUAGE":
+      return error(
+        400,
+        "INVALID_INPUT",
+        "This session is already written in that language.",
+        "target_language"
+      );
+    case "TRANSLATION_EMPTY":
+      return error(
+        400,
+        "INVALID_INPUT",
+        "This session has no code to translate.",
+        "session_id"
+      );
+    case "TRANSLATION_TOO_LARGE":
+      return error(
+        400,
+        "TRANSLATION_TOO_LARGE",
+        "This file is too large to translate in one pass. Split it into smaller sessions and translate them one at a time.",
+        "session_id",
+        err.details
+      );
+    case "REVIEW_TOO_LARGE":
+      return error(
+        400,
+        "TOKEN_LIMIT_EXCEEDED",
+        "This file is too large to review in one pass. Start a thread on a smaller block instead.",
+        "code"
+      );
+    case "THREAD_LIMIT_EXCEEDED":
+      return error(
+        400,
+        "THREAD_LIMIT_EXCEEDED",
+        `Maximum of ${MAX_THREADS_PER_SESSION} threads per session reached.`
+      );
+    case "CONTEXT_SESSION_NOT_FOUND":
+      return error(
+        404,
+        "NOT_FOUND",
+        "A session attached as context no longer exists.",
+        "context_session_ids",
+        err.details
+      );
+    case "CONTEXT_SESSION_FORBIDDEN":
+      return error(
+        403,
+        "FORBIDDEN",
+        "You do not have access to a session attached as context.",
+        "context_session_ids",
+        err.details
+      );
+    case "AI_INVALID_HUNKS":
+      return error(
+        502,
+        "AI_INVALID_HUNKS",
+        "AI suggested edits that overlap or fall outside the code. Please try again."
+      );
+    case "RATE_LIMIT_EXCEEDED":
+      return error(
+        429,
+        "RATE_LIMIT_EXCEEDED",
+        "AI service is busy. Please try again in a moment."
+      );
+    case "TOKEN_RATE_LIMIT_EXCEEDED": {
+      const response = error(
+        429,
+        "TOKEN_RATE_LIMIT_EXCEEDED",
+        `You have used this ${err.details.window}'s AI token budget. Please try again in ${err.details.retry_after_seconds} seconds.`,
+        undefined,
+        err.details
+      );
+      return {
+        ...response,
+        headers: {
+          ...response.headers,
+          "Retry-After": String(err.details.retry_after_seconds),
+        },
+      };
+    }
+    case "BEDROCK_UNAVAILABLE":
+      return error(
+        503,
+        "BEDROCK_UNAVAILABLE",
+        "AI service is temporarily unavailable. Please try again later."
+      );
+    default:
+      return error(
+        500,
+        "INTERNAL_ERROR",
+        "Failed to analyze code. Please try again later."
+      );
+  }
+}
+
+async function assertNotCancelled(isCancelled) {
+  if (isCancelled && (await isCancelled())) {
+    throw new Error("AI_JOB_CANCELLED");
+  }
+}
+
+function totalTokens(usage) {
+  return usage ? usage.input_tokens + usage.output_tokens : 0;
+}
+
+// Runs a model call against the caller's per-minute and per-hour token
+// budgets: the estimated input is reserved up front and settled with the
+// tokens actually used, so cache hits and failed calls cost nothing.
+async function withinTokenBudget(
+  userId,
+  estimatedTokens,
+  invoke,
+  countUsedTokens = (result) => totalTokens(result.usage)
+) {
+  const reservation = await reserveTokens(userId, estimatedTokens);
+
+  let usedTokens = 0;
+  try {
+    const result = await invoke();
+    usedTokens = countUsedTokens(result);
+    return result;
+  } finally {
+    await settleTokens(reservation, usedTokens);
+  }
+}
+
+// callBedrock, charged to the caller's token budgets. A syntax repair is a
+// second model call, reserved on its own when it happens; its tokens are in
+// response.usage too, so they are left out when the first call settles.
+// Jobs pass `isCancelled`, checked before each call is reserved: a cancelled
+// job throws AI_JOB_CANCELLED before its model call and skips its repair.
+async function callBedrockWithinBudget(userId, { isCancelled, ...options }) {
+  await assertNotCancelled(isCancelled);
+
+  const estimatedTokens = Math.min(
+    estimateTokenCount({
+      code: options.code,
+      prompt: options.prompt,
+      history: options.history,
+      historySummary: options.historySummary,
+    }),
+    MAX_INPUT_TOKENS
+  );
+
+  let repairTokens = 0;
+  return withinTokenBudget(
+    userId,
+    estimatedTokens,
+    () =>
+      callBedrock({
+        ...options,
+        userId,
+        chargeRepair: async (repairEstimate, invoke) => {
+          await assertNotCancelled(isCancelled);
+          return withinTokenBudget(userId, repairEstimate, async () => {
+            const repairResult = await invoke();
+            repairTokens += totalTokens(repairResult.usage);
+            return repairResult;
+          });
+        },
+      }),
+    (response) => totalTokens(response.usage) - repairTokens
+  );
+}
+
+async function recordAnalyzeUsage(userId, request, response) {
+  if (response.cached) {
+    return;
+  }
+
+  await recordUsage({
+    userId,
+    threadId: request.threadId,
+    intent: request.intent,
+    modelId: providerModelId(
+      getCatalog().find((model) => model.id === response.model?.id)
+    ),
+    usage: response.usage,
+  });
+}
+
+// What the thread panel needs to show an answer again once the thread is
+// reloaded. Hunk line numbers count from the selection's first line.
+function buildAnswerMetadata(request, response) {
+  const metadata = {
+    intent: request.intent,
+    analysis: response.analysis,
+    replacement: response.replacement || "",
+    prompt_template_version: response.prompt_template_version,
+    model: response.model,
+  };
+
+  if (response.hunks?.length > 0) {
+    metadata.hunks = response.hunks;
+    metadata.hunk_base_line = request.selection?.start_line ?? 1;
+  }
+  if (response.test_file) {
+    metadata.test_file = response.test_file;
+  }
+  if (response.findings?.length > 0) {
+    metadata.findings = response.findings;
+  }
+  if (response.validation) {
+    metadata.validation = response.validation;
+  }
+  if (response.redacted_secrets?.length > 0) {
+    metadata.redacted_secrets = response.redacted_secrets;
+  }
+  if (response.context_files?.length > 0) {
+    metadata.context_files = response.context_files;
+  }
+  if (response.context_mode) {
+    metadata.context_mode = response.context_mode;
+  }
+  if (response.context_regions?.length > 0) {
+    metadata.context_regions = response.context_regions;
+  }
+  if (Number.isInteger(response.token_count)) {
+    metadata.token_count = response.token_count;
+  }
+  if (response.cached) {
+    metadata.cached = true;
+  }
+
+  return metadata;
+}
+
+// The analysis behind POST /ai/analyze, the stream endpoint and the job
+// worker, once the caller has been authorized for `thread`. The answer is
+// saved to the thread here, so the client never writes AI messages itself.
+async function runAnalysis({
+  userId,
+  thread,
+  request,
+  onAnalysisDelta,
+  isCancelled,
+}) {
+  // An unclear question is answered with a question, before anything counts
+  // against the user's budget.
+  if (request.classification && needsClarification(request.classification)) {
+    return {
+      clarification: buildClarification(request.classification),
+      intent: request.classification.intent,
+      intent_confidence: request.classification.confidence,
+    };
+  }
+
+  // Before the history is loaded, since updating its summary is billed too.
+  await assertWithinMonthlyQuota(userId);
+  if (request.clarified) {
+    await recordIntentFeedback({
+      prompt: request.prompt,
+      chosenIntent: request.intent,
+    });
+  }
+
+  // The thread's own session is already the code under review. Jobs queued
+  // before context sessions existed carry no contextSessionIds.
+  const contextSessionIds = (request.contextSessionIds || []).filter(
+    (sessionId) => sessionId !== thread.session_id
+  );
+  const [conversation, promptTemplate, strictSecrets, referencedSessions] =
+    await Promise.all([
+      loadAnalyzeHistory(userId, thread, request),
+      loadPromptTemplate(userId, request.language),
+      loadStrictSecretMode(userId),
+      loadReferencedSessions(userId, contextSessionIds),
+    ]);
+
+  const response = await callBedrockWithinBudget(userId, {
+    code: request.code,
+    prompt: request.prompt,
+    language: request.language,
+    selection: request.selection,
+    history: conversation.history,
+    historySummary: conversation.summary,
+    mode: request.intent,
+    forceRefresh: request.forceRefresh,
+    promptTemplate,
+    strictSecrets,
+    referencedSessions,
+    // Jobs queued before the catalog existed carry no model.
+    model: resolveModel(getCatalog(), request.model, request.intent),
+    onAnalysisDelta,
+    isCancelled,
+  });
+
+  await recordAnalyzeUsage(userId, request, response);
+  // A cancelled job's answer stays out of the thread.
+  await assertNotCancelled(isCancelled);
+  const message = await saveAIMessage({
+    threadId: thread.thread_id,
+    userId,
+    content: response.analysis,
+    metadata: buildAnswerMetadata(request, response),
+    contextMode: response.context_mode,
+    tokenCount: response.token_count,
+  });
+
+  return {
+    ...response,
+    intent: request.intent,
+    ...(request.classification
+      ? { intent_confidence: request.classification.confidence }
+      : {}),
+    message,
+  };
+}
+
+async function handleAnalyze(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
+
+  const { request, errorResponse } = parseAnalyzeRequest(event);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  try {
+    const { thread, accessError } = await loadAuthorizedThread(
+      request.threadId,
+      userId
+    );
+    if (accessError) {
+      return accessError;
+    }
+
+    try {
+      const response = await runAnalysis({ userId, thread, request });
+      return success(200, response);
+    } catch (err) {
+      console.error("[ai] Bedrock call failed:", err);
+      return buildAnalyzeErrorResponse(err);
+    }
+  } catch (err) {
+    console.error("[ai] Failed to handle analyze request:", err);
+    return error(
+      500,
+      "INTERNAL_ERROR",
+      "Failed to analyze code. Please try again later."
+    );
+  }
+}
+
+function parseReviewRequest(event) {
+  let payload;
+  try {
+    payload = parseJsonBody(event);
+  } catch (err) {
+    return { errorResponse: error(400, "INVALID_INPUT", "Malformed JSON body.") };
+  }
+
+  const sessionId = normalizeString(payload.session_id);
+  if (!sessionId) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "session_id is required.",
+        "session_id"
+      ),
+    };
+  }
+
+  if (typeof payload.code !== "string" || !payload.code.trim()) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "code must be a non-empty string.",
+        "code"
+      ),
+    };
+  }
+
+  if (Buffer.byteLength(payload.code, "utf8") > MAX_CODE_BYTES) {
+    return {
+      errorResponse: error(
+        400,
+        "FILE_TOO_LARGE",
+        "Code payload exceeds the 5MB limit.",
+        "code"
+      ),
+    };
+  }
+
+  const language = normalizeString(payload.language);
+  if (!language) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "language is required.",
+        "language"
+      ),
+    };
+  }
+
+  return {
+    request: {
+      sessionId,
+      code: payload.code,
+      language,
+      intent: "review",
+    },
+  };
+}
+
+// The review behind POST /ai/review and review jobs, once the caller has
+// been authorized for `session`. Findings open block threads within the
+// session's remaining MAX_THREADS_PER_SESSION allowance.
+async function runReview({ userId, request, onAnalysisDelta, isCancelled }) {
+  const existingThreads = await listSessionThreads(request.sessionId);
+  const remainingThreads = MAX_THREADS_PER_SESSION - existingThreads.length;
+  if (remainingThreads <= 0) {
+    throw new Error("THREAD_LIMIT_EXCEEDED");
+  }
+
+  await assertWithinMonthlyQuota(userId);
+
+  const [promptTemplate, strictSecrets] = await Promise.all([
+    loadPromptTemplate(userId, request.language),
+    loadStrictSecretMode(userId),
+  ]);
+
+  let response;
+  try {
+    response = await callBedrockWithinBudget(userId, {
+      code: request.code,
+      prompt: REVIEW_PROMPT,
+      language: request.language,
+      history: [],
+      mode: "review",
+      promptTemplate,
+      strictSecrets,
+      onAnalysisDelta,
+      isCancelled,
+    });
+  } catch (err) {
+    if (err.message === "TOKEN_LIMIT_EXCEEDED_NEEDS_SELECTION") {
+      throw new Error("REVIEW_TOO_LARGE");
+    }
+    throw err;
+  }
+
+  await recordAnalyzeUsage(userId, request, response);
+  await assertNotCancelled(isCancelled);
+
+  const { threads, skipped } = await createFindingThreads({
+    sessionId: request.sessionId,
+    userId,
+    code: request.code,
+    findings: response.findings,
+    existingThreads,
+    limit: remainingThreads,
+    promptTemplateVersion: response.prompt_template_version,
+  });
+
+  return {
+    analysis: response.analysis,
+    findings: response.findings,
+    threads,
+    skipped_findings: skipped,
+    intent: "review",
+    prompt_template_version: response.prompt_template_version,
+    ...(response.redacted_secrets
+      ? { redacted_secrets: response.redacted_secrets }
+      : {}),
+    cached: response.cached,
+  };
+}
+
+/**
+ * POST /ai/review: asks the model for line-anchored findings on the whole
+ * file and opens one block thread per finding. Long reviews should go
+ * through POST /ai/jobs with "kind": "review" instead.
+ */
+async function handleReviewFile(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
+
+  const { request, errorResponse } = parseReviewRequest(event);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  try {
+    const { accessError } = await loadAuthorizedSession(
+      request.sessionId,
+      userId
+    );
+    if (accessError) {
+      return accessError;
+    }
+
+    try {
+      const response = await runReview({ userId, request });
+      return success(201, response);
+    } catch (err) {
+      console.error("[ai] Review call failed:", err);
+      return buildAnalyzeErrorResponse(err);
+    }
+  } catch (err) {
+    console.error("[ai] Failed to handle review request:", err);
+    return error(
+      500,
+      "INTERNAL_ERROR",
+      "Failed to review file. Please try again later."
+    );
+  }
+}
+
+function parseTranslateRequest(event) {
+  let payload;
+  try {
+    payload = parseJsonBody(event);
+  } catch (err) {
+    return { errorResponse: error(400, "INVALID_INPUT", "Malformed JSON body.") };
+  }
+
+  const sessionId = normalizeString(payload.session_id);
+  if (!sessionId) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "session_id is required.",
+        "session_id"
+      ),
+    };
+  }
+
+  const targetLanguage = resolveTranslationLanguage(payload.target_language);
+  if (!targetLanguage) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "target_language must be one of the editor's languages.",
+        "target_language"
+      ),
+    };
+  }
+
+  const forceRefresh = payload.force_refresh ?? false;
+  if (typeof forceRefresh !== "boolean") {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        "force_refresh must be a boolean.",
+        "force_refresh"
+      ),
+    };
+  }
+
+  return {
+    request: {
+      sessionId,
+      targetLanguage,
+      intent: "translate",
+      forceRefresh,
+    },
+  };
+}
+
+// The translation behind POST /ai/translate and translate jobs, once the
+// caller has been authorized for `session`. The saved code is translated, so
+// the result can name the exact source version it came from.
+async function runTranslation({
+  userId,
+  session,
+  request,
+  onAnalysisDelta,
+  isCancelled,
+}) {
+  const sourceLanguage =
+    session.language_override || session.language_detected || "Plain Text";
+  if (resolveTranslationLanguage(sourceLanguage) === request.targetLanguage) {
+    throw new Error("TRANSLATION_SAME_LANGUAGE");
+  }
+
+  const code = await loadSessionContent(session);
+  if (!code.trim()) {
+    throw new Error("TRANSLATION_EMPTY");
+  }
+
+  const tokenCount = estimateTokenCount({ code, prompt: "", history: [] });
+  if (tokenCount > MAX_TRANSLATION_TOKENS) {
+    const err = new Error("TRANSLATION_TOO_LARGE");
+    err.details = { token_count: tokenCount, limit: MAX_TRANSLATION_TOKENS };
+    throw err;
+  }
+
+  await assertWithinMonthlyQuota(userId);
+
+  // The team's guidelines for the language being written apply.
+  const [promptTemplate, strictSecrets] = await Promise.all([
+    loadPromptTemplate(userId, request.targetLanguage),
+    loadStrictSecretMode(userId),
+  ]);
+
+  const response = await callBedrockWithinBudget(userId, {
+    code,
+    prompt: `Translate this file into ${request.targetLanguage}.`,
+    language: sourceLanguage,
+    history: [],
+    mode: "translate",
+    targetLanguage: request.targetLanguage,
+    forceRefresh: request.forceRefresh,
+    promptTemplate,
+    strictSecrets,
+    onAnalysisDelta,
+    isCancelled,
+  });
+
+  await recordAnalyzeUsage(userId, request, response);
+
+  return {
+    analysis: response.analysis,
+    translation: {
+      filename: deriveTranslatedFilename(
+        session.filename,
+        request.targetLanguage
+      ),
+      language: request.targetLanguage,
+      code: response.translated_code,
+    },
+    source: {
+      session_id: session.session_id,
+      filename: session.filename,
+      language: sourceLanguage,
+      version_number: session.version_number,
+    },
+    ...(response.validation ? { validation: response.validation } : {}),
+    ...(response.redacted_secrets
+      ? { redacted_secrets: response.redacted_secrets }
+      : {}),
+    token_count: response.token_count,
+    usage: response.usage,
+    intent: "translate",
+    prompt_template_version: response.prompt_template_version,
+    cached: response.cached,
+  };
+}
+
+/**
+ * POST /ai/translate: translates a saved session into another language. The
+ * client creates the new session from `translation`, linked to `source`.
+ */
+async function handleTranslate(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
+
+  const { request, errorResponse } = parseTranslateRequest(event);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  try {
+    const { session, accessError } = await loadAuthorizedSession(
+      request.sessionId,
+      userId
+    );
+    if (accessError) {
+      return accessError;
+    }
+
+    try {
+      const response = await runTranslation({ userId, session, request });
+      return success(200, response);
+    } catch (err) {
+      console.error("[ai] Translation call failed:", err);
+      return buildAnalyzeErrorResponse(err);
+    }
+  } catch (err) {
+    console.error("[ai] Failed to handle translate request:", err);
+    return error(
+      500,
+      "INTERNAL_ERROR",
+      "Failed to translate the file. Please try again later."
+    );
+  }
+}
+
+async function handleGetUsage(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
+
+  try {
+    const usage = await getUsageSummary(userId);
+    return success(200, { usage });
+  } catch (err) {
+    console.error("[ai] Failed to load AI usage:", err);
+    return error(
+      500,
+      "INTERNAL_ERROR",
+      "Failed to load AI usage. Please try again later."
+    );
+  }
+}
+
+async function handleGetModels(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
 
-  const codeBytes = Buffer.byteLength(code, "utf8");
-  if (codeBytes > MAX_CODE_BYTES) {
+  const catalog = getCatalog();
+  const defaults = {};
+  [...ANALYZE_INTENTS, "review", "translate"].forEach((intent) => {
+    defaults[intent] = defaultModelFor(catalog, intent).id;
+  });
+
+  return success(200, { models: catalog.map(describeModel), defaults });
+}
+
+async function handleGetMetrics(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
+
+  let range;
+  try {
+    if (!(await isAdminUser(userId))) {
+      return error(403, "FORBIDDEN", "AI metrics are only available to admins.");
+    }
+
+    range = parseMetricsRange(event.queryStringParameters || {});
+  } catch (err) {
+    if (err.message === "INVALID_METRICS_RANGE") {
+      return error(
+        400,
+        "INVALID_INPUT",
+        "from and to must be ISO timestamps, with from before to and the range no longer than the metrics retention period.",
+        err.field
+      );
+    }
+
+    console.error("[ai] Failed to check AI metrics access:", err);
     return error(
-      400,
-      "FILE_TOO_LARGE",
-      "Code payload exceeds the 5MB limit.",
-      "code"
+      500,
+      "INTERNAL_ERROR",
+      "Failed to load AI metrics. Please try again later."
     );
   }
 
-  const language = normalizeString(payload.language);
-  if (!language) {
-    return error(400, "INVALID_INPUT", "language is required.", "language");
+  try {
+    const metrics = await getCallMetricsSummary(range);
+    return success(200, { metrics });
+  } catch (err) {
+    console.error("[ai] Failed to load AI metrics:", err);
+    return error(
+      500,
+      "INTERNAL_ERROR",
+      "Failed to load AI metrics. Please try again later."
+    );
   }
+}
 
-  if (typeof payload.prompt !== "string" || !payload.prompt.trim()) {
-    return error(400, "INVALID_INPUT", "prompt is required.", "prompt");
+async function handleCreateStreamToken(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
   }
 
-  const prompt = payload.prompt.trim();
-  if (prompt.length > MAX_PROMPT_LENGTH) {
+  if (!AI_STREAM_URL) {
     return error(
-      400,
-      "MESSAGE_TOO_LONG",
-      `Prompt must be ${MAX_PROMPT_LENGTH} characters or fewer.`,
-      "prompt"
+      503,
+      "STREAMING_UNAVAILABLE",
+      "Streaming analysis is not configured."
     );
   }
 
-  const modeRaw = normalizeString(payload.mode);
-  const intent =
-    modeRaw === "explain" || modeRaw === "improve" ? modeRaw : "improve";
+  // The stream endpoint is a Lambda function URL on a different host, so the
+  // auth cookies never reach it. Hand out a short-lived bearer token instead.
+  const token = jwt.sign({ sub: userId, type: "ai_stream" }, JWT_SECRET, {
+    expiresIn: AI_STREAM_TOKEN_TTL_SECONDS,
+    issuer: JWT_ISSUER,
+  });
+
+  return success(200, {
+    token,
+    stream_url: AI_STREAM_URL,
+    expires_in: AI_STREAM_TOKEN_TTL_SECONDS,
+  });
+}
+
+function authenticateStreamEvent(event) {
+  const headers = event.headers || {};
+  const authHeader = headers.authorization || headers.Authorization || "";
+  const [scheme, token] = authHeader.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return null;
+  }
 
-  let selection;
   try {
-    selection = sanitizeSelection(payload.selection);
+    const payload = verifyAccessToken(token.trim());
+    if (payload.type !== "ai_stream") {
+      return null;
+    }
+    return payload.sub;
   } catch (err) {
-    switch (err.message) {
-      case "INVALID_SELECTION":
-        return error(
-          400,
-          "INVALID_INPUT",
-          "selection must be an object with start_line and end_line.",
-          "selection"
-        );
-      case "INVALID_SELECTION_START":
-        return error(
-          400,
-          "INVALID_INPUT",
-          "selection.start_line must be a positive integer.",
-          "selection.start_line"
-        );
-      case "INVALID_SELECTION_END":
-        return error(
-          400,
-          "INVALID_INPUT",
-          "selection.end_line must be an integer greater than or equal to start_line.",
-          "selection.end_line"
-        );
-      default:
-        return error(
-          400,
-          "INVALID_INPUT",
-          "Invalid selection payload.",
-          "selection"
-        );
+    return null;
+  }
+}
+
+function writeStreamLine(stream, message) {
+  stream.write(`${JSON.stringify(message)}\n`);
+}
+
+function writeErrorResponseToStream(responseStream, response) {
+  const stream = awslambda.HttpResponseStream.from(responseStream, {
+    statusCode: response.statusCode,
+    headers: { "Content-Type": "application/json" },
+  });
+  stream.write(response.body);
+  stream.end();
+}
+
+// Responds with newline-delimited JSON: zero or more
+// { type: "analysis_delta", text } lines while the model is writing, then a
+// single { type: "result", data } line carrying the same payload as
+// POST /ai/analyze, or { type: "error", status, error } if the call failed.
+async function handleAnalyzeStream(event, responseStream) {
+  const method = (
+    event.requestContext?.http?.method ||
+    event.httpMethod ||
+    ""
+  ).toUpperCase();
+  if (method !== "POST") {
+    writeErrorResponseToStream(
+      responseStream,
+      error(404, "NOT_FOUND", "Endpoint not found.")
+    );
+    return;
+  }
+
+  const userId = authenticateStreamEvent(event);
+  if (!userId) {
+    writeErrorResponseToStream(
+      responseStream,
+      error(401, "UNAUTHORIZED", "Invalid or expired token")
+    );
+    return;
+  }
+
+  if (event.isBase64Encoded && event.body) {
+    event.body = Buffer.from(event.body, "base64").toString("utf8");
+  }
+
+  let request;
+  let thread;
+  try {
+    const parsedRequest = parseAnalyzeRequest(event);
+    if (parsedRequest.errorResponse) {
+      writeErrorResponseToStream(responseStream, parsedRequest.errorResponse);
+      return;
+    }
+    request = parsedRequest.request;
+
+    const threadAccess = await loadAuthorizedThread(request.threadId, userId);
+    if (threadAccess.accessError) {
+      writeErrorResponseToStream(responseStream, threadAccess.accessError);
+      return;
     }
+    thread = threadAccess.thread;
+  } catch (err) {
+    console.error("[ai] Failed to handle analyze stream request:", err);
+    writeErrorResponseToStream(
+      responseStream,
+      error(
+        500,
+        "INTERNAL_ERROR",
+        "Failed to analyze code. Please try again later."
+      )
+    );
+    return;
+  }
+
+  const stream = awslambda.HttpResponseStream.from(responseStream, {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-cache",
+    },
+  });
+
+  try {
+    const response = await runAnalysis({
+      userId,
+      thread,
+      request,
+      onAnalysisDelta: (text) =>
+        writeStreamLine(stream, { type: "analysis_delta", text }),
+    });
+
+    writeStreamLine(stream, { type: "result", data: response });
+  } catch (err) {
+    console.error("[ai] Bedrock stream failed:", err);
+    const errorResponse = buildAnalyzeErrorResponse(err);
+    writeStreamLine(stream, {
+      type: "error",
+      status: errorResponse.statusCode,
+      error: JSON.parse(errorResponse.body).error,
+    });
+  } finally {
+    stream.end();
+  }
+}
+
+function getJobIdFromEvent(event) {
+  const fromParams =
+    event.pathParameters?.job_id || event.pathParameters?.id || null;
+  if (fromParams) {
+    return fromParams;
+  }
+
+  const match = (event.path || "").match(/\/ai\/jobs\/([^/]+)\/?$/i);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+async function loadAuthorizedJob(jobId, userId) {
+  const job = await getJob(jobId);
+
+  if (!job) {
+    return {
+      accessError: error(404, "JOB_NOT_FOUND", "Analysis job not found."),
+    };
+  }
+
+  if (job.user_id !== userId) {
+    return {
+      accessError: error(
+        403,
+        "FORBIDDEN",
+        "You do not have access to this analysis job."
+      ),
+    };
   }
 
-  let history = [];
+  return { job };
+}
+
+// Job errors keep the status and error body the synchronous endpoint would
+// have returned, so clients can handle both the same way.
+function toJobError(response) {
+  return { status: response.statusCode, ...JSON.parse(response.body).error };
+}
+
+async function startJobWorker(jobId) {
+  await lambdaClient.send(
+    new InvokeCommand({
+      FunctionName: AI_JOB_WORKER_FUNCTION,
+      InvocationType: "Event",
+      Payload: Buffer.from(JSON.stringify({ job_id: jobId })),
+    })
+  );
+}
+
+const JOB_REQUEST_PARSERS = {
+  analyze: parseAnalyzeRequest,
+  translate: parseTranslateRequest,
+  review: parseReviewRequest,
+};
+const JOB_KINDS = Object.keys(JOB_REQUEST_PARSERS);
+
+// A job body is an analyze, translate or review request plus its `kind`.
+function parseJobRequest(event) {
+  let payload;
   try {
-    history = sanitizeHistory(payload.history);
+    payload = parseJsonBody(event);
   } catch (err) {
+    return { errorResponse: error(400, "INVALID_INPUT", "Malformed JSON body.") };
+  }
+
+  const kind = payload.kind ?? "analyze";
+  if (!JOB_KINDS.includes(kind)) {
+    return {
+      errorResponse: error(
+        400,
+        "INVALID_INPUT",
+        `kind must be one of: ${JOB_KINDS.join(", ")}.`,
+        "kind"
+      ),
+    };
+  }
+
+  const { request, errorResponse } = JOB_REQUEST_PARSERS[kind](event);
+  if (errorResponse) {
+    return { errorResponse };
+  }
+
+  return { request: { ...request, kind } };
+}
+
+// Jobs created before translate jobs existed have no kind.
+function authorizeJobRequest(request, userId) {
+  return request.kind === "translate" || request.kind === "review"
+    ? loadAuthorizedSession(request.sessionId, userId)
+    : loadAuthorizedThread(request.threadId, userId);
+}
+
+// Runs a claimed job's request the way its synchronous endpoint would.
+function runJobRequest({ kind, ...options }) {
+  if (kind === "translate") {
+    return runTranslation(options);
+  }
+  if (kind === "review") {
+    return runReview(options);
+  }
+  return runAnalysis(options);
+}
+
+// POST /ai/jobs takes the same body as POST /ai/analyze, or as
+// POST /ai/translate or POST /ai/review with "kind": "translate" or "review",
+// and answers 202 with a pending job right away. The worker Lambda runs it without the API Gateway time
+// limit; clients poll GET /ai/jobs/{id} for the outcome.
+async function handleCreateJob(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
+
+  if (!AI_JOBS_TABLE || !AI_JOB_WORKER_FUNCTION) {
     return error(
-      400,
-      "INVALID_INPUT",
-      "history must be an array of { role, content } items.",
-      "history"
+      503,
+      "AI_JOBS_UNAVAILABLE",
+      "Background analysis is not configured."
     );
   }
 
+  const { request, errorResponse } = parseJobRequest(event);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
   try {
-    const thread = await fetchThreadById(rawThreadId);
+    const { accessError } = await authorizeJobRequest(request, userId);
+    if (accessError) {
+      return accessError;
+    }
 
-    if (!thread) {
-      return error(404, "THREAD_NOT_FOUND", "Thread not found.");
+    // Checked again by the worker; failing here saves a doomed job.
+    try {
+      await assertWithinMonthlyQuota(userId);
+      await assertTokenBudgetAvailable(userId);
+    } catch (err) {
+      return buildAnalyzeErrorResponse(err);
     }
 
-    if (thread.user_id !== userId) {
-      return error(403, "FORBIDDEN", "You do not have access to this thread.");
+    let job;
+    try {
+      job = await createJob({ userId, request });
+    } catch (err) {
+      if (err.message === "AI_JOB_TOO_LARGE") {
+        return error(
+          413,
+          "AI_JOB_TOO_LARGE",
+          "This file is too large for a background analysis. Select a smaller code block and try again.",
+          "code"
+        );
+      }
+      throw err;
     }
 
     try {
-      const response = await callBedrock({
-        code,
-        prompt,
-        language,
-        selection,
-        history,
-        mode: intent,
+      await startJobWorker(job.job_id);
+    } catch (err) {
+      console.error("[ai] Failed to start AI job worker:", err);
+      await failJob(job.job_id, {
+        status: 503,
+        code: "AI_JOBS_UNAVAILABLE",
+        message: "Background analysis could not be started.",
       });
+      return error(
+        503,
+        "AI_JOBS_UNAVAILABLE",
+        "Background analysis could not be started. Please try again later."
+      );
+    }
 
-      return success(200, { ...response, intent });
-    } catch (err) {
-      console.error("[ai] Bedrock call failed:", err);
+    return success(202, { job: toJobView(job) });
+  } catch (err) {
+    console.error("[ai] Failed to create AI job:", err);
+    return error(
+      500,
+      "INTERNAL_ERROR",
+      "Failed to start the analysis. Please try again later."
+    );
+  }
+}
 
-      switch (err.message) {
-        case "TOKEN_LIMIT_EXCEEDED_NEEDS_SELECTION":
-          return error(
-            400,
-            "TOKEN_LIMIT_EXCEEDED",
-            "This file is too large for a full analysis. Select a smaller code block and try again.",
-            "code"
-          );
-        case "TOKEN_LIMIT_EXCEEDED":
-          return error(
-            400,
-            "TOKEN_LIMIT_EXCEEDED",
-            "This selection is too large for the AI context window. Reduce the selection and try again.",
-            "selection"
-          );
-        case "AI_TIMEOUT":
-          return error(
-            504,
-            "AI_TIMEOUT",
-            "AI request timed out. Try with a smaller code selection."
-          );
-        case "AI_MALFORMED_RESPONSE":
-          return error(
-            502,
-            "AI_MALFORMED_RESPONSE",
-            "AI response could not be processed. Please try again."
-          );
-        case "RATE_LIMIT_EXCEEDED":
-          return error(
-            429,
-            "RATE_LIMIT_EXCEEDED",
-            "AI service is busy. Please try again in a moment."
-          );
-        case "BEDROCK_UNAVAILABLE":
-          return error(
-            503,
-            "BEDROCK_UNAVAILABLE",
-            "AI service is temporarily unavailable. Please try again later."
-          );
-        default:
-          return error(
-            500,
-            "INTERNAL_ERROR",
-            "Failed to analyze code. Please try again later."
-          );
-      }
+async function handleGetJob(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
+
+  const jobId = getJobIdFromEvent(event);
+  if (!jobId) {
+    return error(400, "INVALID_INPUT", "job_id is required.", "job_id");
+  }
+
+  try {
+    const { job, accessError } = await loadAuthorizedJob(jobId, userId);
+    if (accessError) {
+      return accessError;
     }
+
+    return success(200, { job: toJobView(job) });
   } catch (err) {
-    console.error("[ai] Failed to handle analyze request:", err);
+    console.error("[ai] Failed to load AI job:", err);
     return error(
       500,
       "INTERNAL_ERROR",
-      "Failed to analyze code. Please try again later."
+      "Failed to load the analysis job. Please try again later."
+    );
+  }
+}
+
+// A running job cannot interrupt a model call already under way. The worker
+// checks for cancellation before each model call it would start, and a job
+// cancelled mid-call is discarded when the call returns; the tokens that
+// call used still count.
+async function handleCancelJob(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, "UNAUTHORIZED", "Authentication required");
+  }
+
+  const jobId = getJobIdFromEvent(event);
+  if (!jobId) {
+    return error(400, "INVALID_INPUT", "job_id is required.", "job_id");
+  }
+
+  try {
+    const { job, accessError } = await loadAuthorizedJob(jobId, userId);
+    if (accessError) {
+      return accessError;
+    }
+
+    const cancelled = await cancelJob(jobId);
+    if (!cancelled) {
+      return error(
+        409,
+        "JOB_NOT_CANCELLABLE",
+        "This analysis has already finished.",
+        undefined,
+        { status: job.status }
+      );
+    }
+
+    return success(200, { job: toJobView(cancelled) });
+  } catch (err) {
+    console.error("[ai] Failed to cancel AI job:", err);
+    return error(
+      500,
+      "INTERNAL_ERROR",
+      "Failed to cancel the analysis job. Please try again later."
+    );
+  }
+}
+
+async function processJob(jobId) {
+  // Only a pending job can be claimed, so a job cancelled while queued (or
+  // delivered twice) is skipped.
+  const job = await claimJob(jobId);
+  if (!job) {
+    return;
+  }
+
+  try {
+    const request = unpackPayload(job.request);
+    const { thread, session, accessError } = await authorizeJobRequest(
+      request,
+      job.user_id
     );
+    if (accessError) {
+      await failJob(jobId, toJobError(accessError));
+      return;
+    }
+
+    await updateJobProgress(jobId, { stage: "analyzing" });
+
+    let analysisPreview = "";
+    let lastProgressAt = Date.now();
+    let progressWrite = Promise.resolve();
+    const onAnalysisDelta = (text) => {
+      analysisPreview += text;
+      if (Date.now() - lastProgressAt < JOB_PROGRESS_INTERVAL_MS) {
+        return;
+      }
+      lastProgressAt = Date.now();
+      progressWrite = updateJobProgress(jobId, {
+        stage: "analyzing",
+        analysis_preview: analysisPreview,
+      }).catch((err) => {
+        console.error("[ai] Failed to record AI job progress:", err);
+      });
+    };
+
+    const response = await runJobRequest({
+      kind: request.kind,
+      userId: job.user_id,
+      thread,
+      session,
+      request,
+      onAnalysisDelta,
+      isCancelled: async () => (await getJob(jobId))?.status === "cancelled",
+    });
+    await progressWrite;
+
+    const completed = await completeJob(jobId, response);
+    if (!completed) {
+      console.log(`[ai] AI job ${jobId} was cancelled; discarding its result.`);
+    }
+  } catch (err) {
+    if (err.message === "AI_JOB_CANCELLED") {
+      console.log(`[ai] AI job ${jobId} was cancelled; stopping.`);
+      return;
+    }
+    console.error(`[ai] AI job ${jobId} failed:`, err);
+    await failJob(jobId, toJobError(buildAnalyzeErrorResponse(err)));
   }
 }
 
@@ -804,14 +3449,90 @@ async function router(event) {
     return handleAnalyze(event);
   }
 
+  if (method === "POST" && resource === "/ai/stream-token") {
+    return handleCreateStreamToken(event);
+  }
+
+  if (method === "GET" && resource === "/ai/usage") {
+    return handleGetUsage(event);
+  }
+
+  if (method === "GET" && resource === "/ai/models") {
+    return handleGetModels(event);
+  }
+
+  if (method === "GET" && resource === "/ai/metrics") {
+    return handleGetMetrics(event);
+  }
+
+  if (method === "POST" && resource === "/ai/review") {
+    return handleReviewFile(event);
+  }
+
+  if (method === "POST" && resource === "/ai/translate") {
+    return handleTranslate(event);
+  }
+
+  if (method === "POST" && resource === "/ai/jobs") {
+    return handleCreateJob(event);
+  }
+
+  if (method === "GET" && resource === "/ai/jobs/{job_id}") {
+    return handleGetJob(event);
+  }
+
+  if (method === "DELETE" && resource === "/ai/jobs/{job_id}") {
+    return handleCancelJob(event);
+  }
+
   const normalizedPath = (event.path || "").toLowerCase();
   if (method === "POST" && normalizedPath.endsWith("/ai/analyze")) {
     return handleAnalyze(event);
   }
 
+  if (method === "POST" && normalizedPath.endsWith("/ai/stream-token")) {
+    return handleCreateStreamToken(event);
+  }
+
+  if (method === "GET" && normalizedPath.endsWith("/ai/usage")) {
+    return handleGetUsage(event);
+  }
+
+  if (method === "GET" && normalizedPath.endsWith("/ai/models")) {
+    return handleGetModels(event);
+  }
+
+  if (method === "GET" && normalizedPath.endsWith("/ai/metrics")) {
+    return handleGetMetrics(event);
+  }
+
+  if (method === "POST" && normalizedPath.endsWith("/ai/review")) {
+    return handleReviewFile(event);
+  }
+
+  if (method === "POST" && normalizedPath.endsWith("/ai/translate")) {
+    return handleTranslate(event);
+  }
+
+  if (method === "POST" && normalizedPath.endsWith("/ai/jobs")) {
+    return handleCreateJob(event);
+  }
+
+  if (method === "GET" && /\/ai\/jobs\/[^/]+\/?$/.test(normalizedPath)) {
+    return handleGetJob(event);
+  }
+
+  if (method === "DELETE" && /\/ai\/jobs\/[^/]+\/?$/.test(normalizedPath)) {
+    return handleCancelJob(event);
+  }
+
   return error(404, "NOT_FOUND", "Endpoint not found.");
 }
 
+// The offline evaluation runner (backend/eval) drives analyses directly.
+exports.callBedrock = callBedrock;
+exports.PROMPT_TEMPLATE_VERSION = PROMPT_TEMPLATE_VERSION;
+
 exports.handler = authRequired(async (event, context) => {
   try {
     return await router(event, context);
@@ -824,3 +3545,30 @@ exports.handler = authRequired(async (event, context) => {
     );
   }
 });
+
+// Job worker entry point, invoked asynchronously by POST /ai/jobs with
+// { job_id }. Failures are recorded on the job, never thrown, so Lambda does
+// not retry an analysis the user may already have given up on.
+exports.jobWorker = async (event) => {
+  try {
+    await processJob(event.job_id);
+  } catch (err) {
+    console.error("[ai] Unexpected AI job worker error:", err);
+  }
+};
+
+// Lambda function URL entry point (InvokeMode: RESPONSE_STREAM).
+// streamifyResponse is only provided by the Lambda Node.js runtime; the AWS
+// SDK defines a bare awslambda global elsewhere.
+if (typeof globalThis.awslambda?.streamifyResponse === "function") {
+  exports.streamHandler = awslambda.streamifyResponse(
+    async (event, responseStream) => {
+      try {
+        await handleAnalyzeStream(event, responseStream);
+      } catch (err) {
+        console.error("[ai] Unexpected stream error:", err);
+        responseStream.end();
+      }
+    }
+  );
+}
@@ -0,0 +1,202 @@
+// Picks the intent for a question sent with mode "auto". Each rule that
+// matches the lowercased prompt adds its weight to its intent. The rule ids
+// are stored with clarification feedback, so when users keep overriding a
+// prediction the rules behind it can be found and reweighted. Bump
+// INTENT_RULESET_VERSION whenever the rules change.
+const INTENT_RULESET_VERSION = 1;
+
+const INTENT_RULES = [
+  {
+    id: "tests.request",
+    intent: "tests",
+    pattern: /\b(write|generate|add|create)\b.*\btests?\b/,
+    weight: 6,
+  },
+  {
+    id: "tests.kind",
+    intent: "tests",
+    pattern: /\bunit tests?\b|\btest (cases?|file|suite)\b/,
+    weight: 6,
+  },
+  {
+    id: "tests.coverage",
+    intent: "tests",
+    pattern: /\bcoverage\b/,
+    weight: 2,
+  },
+  {
+    id: "document.doc_comments",
+    intent: "document",
+    pattern: /\b(docstrings?|jsdoc|javadoc|doc ?comments?)\b/,
+    weight: 6,
+  },
+  {
+    id: "document.request",
+    intent: "document",
+    pattern: /\bdocument (this|the|it)\b|\badd (documentation|comments)\b/,
+    weight: 6,
+  },
+  {
+    id: "document.comment",
+    intent: "document",
+    pattern: /\bcomments?\b/,
+    weight: 2,
+  },
+  {
+    id: "audit.security",
+    intent: "audit",
+    pattern:
+      /\b(security|insecure|vulnerab\w*|injection|xss|csrf|unsafe|exploit\w*)\b/,
+    weight: 6,
+  },
+  {
+    id: "audit.bugs",
+    intent: "audit",
+    pattern: /\baudit\b|\b(find|any|spot|look for) (the )?bugs\b/,
+    weight: 6,
+  },
+  {
+    id: "explain.verb",
+    intent: "explain",
+    pattern:
+      /\b(explain|describe|walk me through|help me understand|tell me about)\b/,
+    weight: 3,
+  },
+  {
+    id: "explain.why",
+    intent: "explain",
+    pattern: /\bwhy\b/,
+    weight: 2,
+  },
+  {
+    id: "explain.what_how",
+    intent: "explain",
+    pattern: /^(what|where|when|which)\b|\b(what|how) (does|do|is|are)\b/,
+    weight: 2,
+  },
+  {
+    id: "explain.noun",
+    intent: "explain",
+    pattern: /\bexplanation\b/,
+    weight: 1,
+  },
+  {
+    id: "explain.question",
+    intent: "explain",
+    pattern: /\?\s*$/,
+    weight: 1,
+  },
+  {
+    id: "improve.refactor",
+    intent: "improve",
+    pattern:
+      /\b(improve|refactor|rewrite|clean ?up|simplify|optimi[sz]e|speed up)\b/,
+    weight: 3,
+  },
+  {
+    id: "improve.fix",
+    intent: "improve",
+    pattern: /\b(fix|repair|resolve|correct)\b/,
+    weight: 3,
+  },
+  {
+    id: "improve.better",
+    intent: "improve",
+    pattern: /\b(better|cleaner|faster|clearer|more readable)\b/,
+    weight: 2,
+  },
+  {
+    id: "improve.change",
+    intent: "improve",
+    pattern: /\b(change|rename|replace|convert|add|remove|make)\b/,
+    weight: 1,
+  },
+  {
+    id: "improve.problem",
+    intent: "improve",
+    pattern: /\b(bugs?|errors?|fails?|failing|broken|crash\w*|issues?)\b/,
+    weight: 1,
+  },
+];
+
+// Ties go to the narrower intent. Its strongest rules also outweigh explain
+// and improve ones: "explain the security issues" is an audit.
+const INTENT_PRIORITY = ["tests", "document", "audit", "explain", "improve"];
+
+const INTENT_CONFIDENCE_THRESHOLD = Number(
+  process.env.INTENT_CONFIDENCE_THRESHOLD || 0.6
+);
+
+/**
+ * Returns { intent, confidence, rules }. Confidence compares the winning
+ * intent's score with the runner-up's, plus one so a single weak match is
+ * never certain: 0 when nothing matched, 0.75 for one unopposed rule of
+ * weight 3. Prompts with nothing to go on default to improve.
+ */
+function classifyIntent(prompt) {
+  const normalized = String(prompt || "").trim().toLowerCase();
+  const scores = Object.fromEntries(
+    INTENT_PRIORITY.map((intent) => [intent, 0])
+  );
+  const rules = [];
+
+  INTENT_RULES.forEach((rule) => {
+    if (rule.pattern.test(normalized)) {
+      scores[rule.intent] += rule.weight;
+      rules.push(rule.id);
+    }
+  });
+
+  const [top, runnerUp] = [...INTENT_PRIORITY].sort(
+    (a, b) => scores[b] - scores[a]
+  );
+  const topScore = scores[top];
+
+  return {
+    intent: topScore > 0 ? top : "improve",
+    confidence:
+      Math.round((topScore / (topScore + scores[runnerUp] + 1)) * 100) / 100,
+    rules,
+  };
+}
+
+function needsClarification(classification) {
+  return classification.confidence < INTENT_CONFIDENCE_THRESHOLD;
+}
+
+const CLARIFICATION_OPTIONS = {
+  explain: "Explain the code",
+  improve: "Suggest changes",
+  tests: "Write tests",
+  document: "Add documentation",
+  audit: "Check for bugs and security issues",
+};
+
+// The answer to a low-confidence question. Explain and improve are always
+// offered; a narrower best guess is offered first.
+function buildClarification(classification) {
+  const intents = [
+    ...new Set([
+      ...(["explain", "improve"].includes(classification.intent)
+        ? []
+        : [classification.intent]),
+      "explain",
+      "improve",
+    ]),
+  ];
+
+  return {
+    question: "Do you want an explanation of this code, or changes to it?",
+    options: intents.map((intent) => ({
+      intent,
+      label: CLARIFICATION_OPTIONS[intent],
+    })),
+  };
+}
+
+module.exports = {
+  INTENT_RULESET_VERSION,
+  classifyIntent,
+  needsClarification,
+  buildClarification,
+};
@@ -0,0 +1,81 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand } = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+const {
+  INTENT_RULESET_VERSION,
+  classifyIntent,
+} = require("./intent-classifier");
+const { maskSecrets } = require("./secret-scanner");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const METRICS_NAMESPACE = process.env.AI_METRICS_NAMESPACE || "CodeSensei/AI";
+const AI_INTENT_FEEDBACK_TABLE = process.env.AI_INTENT_FEEDBACK_TABLE;
+const FEEDBACK_TTL_DAYS = 90;
+
+if (!AI_INTENT_FEEDBACK_TABLE) {
+  console.warn("[ai] AI_INTENT_FEEDBACK_TABLE environment variable is not set.");
+}
+
+/**
+ * Records the intent a user picked after a clarifying question, next to
+ * what the classifier predicted for the same prompt and the rules that
+ * matched. Counted as an IntentClarification metric by PredictedIntent and
+ * ChosenIntent, and saved with the masked prompt to AI_INTENT_FEEDBACK_TABLE
+ * for tuning the rules. Failures are logged rather than thrown.
+ */
+async function recordIntentFeedback({ prompt, chosenIntent }) {
+  const classification = classifyIntent(prompt);
+  const now = new Date();
+  const recordedAt = now.toISOString();
+
+  console.log(
+    JSON.stringify({
+      _aws: {
+        Timestamp: now.getTime(),
+        CloudWatchMetrics: [
+          {
+            Namespace: METRICS_NAMESPACE,
+            Dimensions: [["PredictedIntent", "ChosenIntent"]],
+            Metrics: [{ Name: "IntentClarification", Unit: "Count" }],
+          },
+        ],
+      },
+      PredictedIntent: classification.intent,
+      ChosenIntent: chosenIntent,
+      IntentClarification: 1,
+      RulesetVersion: INTENT_RULESET_VERSION,
+    })
+  );
+
+  if (!AI_INTENT_FEEDBACK_TABLE) {
+    return;
+  }
+
+  try {
+    await documentClient.send(
+      new PutCommand({
+        TableName: AI_INTENT_FEEDBACK_TABLE,
+        Item: {
+          day: recordedAt.slice(0, 10),
+          feedback_key: `${recordedAt}#${uuidv4()}`,
+          prompt: maskSecrets(prompt),
+          predicted_intent: classification.intent,
+          chosen_intent: chosenIntent,
+          confidence: classification.confidence,
+          rules: classification.rules,
+          ruleset_version: INTENT_RULESET_VERSION,
+          recorded_at: recordedAt,
+          ttl: Math.floor(now.getTime() / 1000) + FEEDBACK_TTL_DAYS * 86400,
+        },
+      })
+    );
+  } catch (err) {
+    console.error("[ai] Failed to record intent feedback:", err);
+  }
+}
+
+module.exports = {
+  recordIntentFeedback,
+};
@@ -0,0 +1,268 @@
+const zlib = require("zlib");
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const AI_JOBS_TABLE = process.env.AI_JOBS_TABLE;
+const AI_JOB_TTL_SECONDS = Number(
+  process.env.AI_JOB_TTL_SECONDS || 24 * 60 * 60
+);
+// A job the worker has not touched for this long is reported as failed: the
+// worker was killed (timeout, crash) before it could record an outcome.
+const AI_JOB_STALE_SECONDS = Number(process.env.AI_JOB_STALE_SECONDS || 360);
+// DynamoDB items are capped at 400KB; the request and result are stored
+// gzipped, with room left for the other attributes.
+const MAX_JOB_PAYLOAD_BYTES = 350 * 1024;
+
+const ACTIVE_JOB_STATUSES = ["pending", "running"];
+// The request holds the user's code, unmasked. It is only needed until the
+// worker has read it, so finished jobs drop it rather than keep it for
+// AI_JOB_TTL_SECONDS.
+const FINISHED_JOB_REMOVALS = ["request"];
+
+if (!AI_JOBS_TABLE) {
+  console.warn("[ai] AI_JOBS_TABLE environment variable is not set.");
+}
+
+function packPayload(value) {
+  const packed = zlib.gzipSync(JSON.stringify(value));
+  if (packed.length > MAX_JOB_PAYLOAD_BYTES) {
+    throw new Error("AI_JOB_TOO_LARGE");
+  }
+  return packed;
+}
+
+function unpackPayload(packed) {
+  return JSON.parse(zlib.gunzipSync(Buffer.from(packed)).toString("utf8"));
+}
+
+function isConditionFailure(err) {
+  return err.name === "ConditionalCheckFailedException";
+}
+
+/**
+ * Stores a pending job for the worker to claim. `request` is the parsed
+ * analyze, translate or review request and is kept gzipped; throws
+ * AI_JOB_TOO_LARGE when it would not fit in a DynamoDB item.
+ */
+async function createJob({ userId, request }) {
+  const now = new Date();
+  const item = {
+    job_id: uuidv4(),
+    user_id: userId,
+    kind: request.kind,
+    ...(request.threadId ? { thread_id: request.threadId } : {}),
+    ...(request.sessionId ? { session_id: request.sessionId } : {}),
+    intent: request.intent,
+    status: "pending",
+    progress: { stage: "queued" },
+    request: packPayload(request),
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    ttl: Math.floor(now.getTime() / 1000) + AI_JOB_TTL_SECONDS,
+  };
+
+  await documentClient.send(
+    new PutCommand({
+      TableName: AI_JOBS_TABLE,
+      Item: item,
+      ConditionExpression: "attribute_not_exists(job_id)",
+    })
+  );
+
+  return item;
+}
+
+async function getJob(jobId) {
+  const result = await documentClient.send(
+    new GetCommand({
+      TableName: AI_JOBS_TABLE,
+      Key: { job_id: jobId },
+    })
+  );
+
+  return result.Item || null;
+}
+
+// Every transition is conditional on the job still being in one of
+// `fromStatuses`, so a cancelled job is never resurrected by a late worker
+// write. `remove` lists attributes to delete. Resolves to the updated item,
+// or null when the condition failed.
+async function transitionJob(
+  jobId,
+  fromStatuses,
+  { status, ...fields },
+  remove = []
+) {
+  const now = new Date().toISOString();
+  const names = { "#status": "status" };
+  const values = { ":now": now };
+  const assignments = ["updated_at = :now"];
+
+  if (status) {
+    assignments.push("#status = :status");
+    values[":status"] = status;
+  }
+  Object.entries(fields).forEach(([key, value]) => {
+    names[`#${key}`] = key;
+    values[`:${key}`] = value;
+    assignments.push(`#${key} = :${key}`);
+  });
+  fromStatuses.forEach((fromStatus, index) => {
+    values[`:from${index}`] = fromStatus;
+  });
+  remove.forEach((key) => {
+    names[`#${key}`] = key;
+  });
+  const removal = remove.length
+    ? ` REMOVE ${remove.map((key) => `#${key}`).join(", ")}`
+    : "";
+
+  try {
+    const result = await documentClient.send(
+      new UpdateCommand({
+        TableName: AI_JOBS_TABLE,
+        Key: { job_id: jobId },
+        UpdateExpression: `SET ${assignments.join(", ")}${removal}`,
+        ConditionExpression: `#status IN (${fromStatuses
+          .map((fromStatus, index) => `:from${index}`)
+          .join(", ")})`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    return result.Attributes;
+  } catch (err) {
+    if (isConditionFailure(err)) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+function claimJob(jobId) {
+  return transitionJob(jobId, ["pending"], {
+    status: "running",
+    progress: { stage: "loading_context" },
+  });
+}
+
+function updateJobProgress(jobId, progress) {
+  return transitionJob(jobId, ["running"], { progress });
+}
+
+// A result too large to store is recorded as a failure instead, so the
+// job still reaches a final state.
+function completeJob(jobId, result) {
+  let packedResult;
+  try {
+    packedResult = packPayload(result);
+  } catch (err) {
+    return failJob(jobId, {
+      status: 502,
+      code: "AI_JOB_TOO_LARGE",
+      message:
+        "The AI response was too large to store. Select a smaller code block and try again.",
+    });
+  }
+
+  return transitionJob(
+    jobId,
+    ["running"],
+    {
+      status: "succeeded",
+      progress: { stage: "done" },
+      result: packedResult,
+    },
+    FINISHED_JOB_REMOVALS
+  );
+}
+
+function failJob(jobId, jobError) {
+  return transitionJob(
+    jobId,
+    ACTIVE_JOB_STATUSES,
+    {
+      status: "failed",
+      progress: { stage: "done" },
+      error: jobError,
+    },
+    FINISHED_JOB_REMOVALS
+  );
+}
+
+function cancelJob(jobId) {
+  return transitionJob(
+    jobId,
+    ACTIVE_JOB_STATUSES,
+    {
+      status: "cancelled",
+      progress: { stage: "done" },
+    },
+    FINISHED_JOB_REMOVALS
+  );
+}
+
+/**
+ * Public shape of a job for GET /ai/jobs/{id}. Active jobs whose worker went
+ * quiet for AI_JOB_STALE_SECONDS are reported as failed.
+ */
+function toJobView(item) {
+  const view = {
+    job_id: item.job_id,
+    kind: item.kind || "analyze",
+    thread_id: item.thread_id,
+    session_id: item.session_id,
+    intent: item.intent,
+    status: item.status,
+    progress: item.progress || null,
+    created_at: item.created_at,
+    updated_at: item.updated_at,
+  };
+
+  const idleSeconds = (Date.now() - Date.parse(item.updated_at)) / 1000;
+  if (
+    ACTIVE_JOB_STATUSES.includes(item.status) &&
+    idleSeconds > AI_JOB_STALE_SECONDS
+  ) {
+    return {
+      ...view,
+      status: "failed",
+      progress: { stage: "done" },
+      error: {
+        status: 504,
+        code: "AI_TIMEOUT",
+        message: "The analysis stopped responding. Please try again.",
+      },
+    };
+  }
+
+  if (item.status === "succeeded" && item.result) {
+    view.result = unpackPayload(item.result);
+  }
+  if (item.status === "failed" && item.error) {
+    view.error = item.error;
+  }
+
+  return view;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  claimJob,
+  updateJobProgress,
+  completeJob,
+  failJob,
+  cancelJob,
+  toJobView,
+  unpackPayload,
+};
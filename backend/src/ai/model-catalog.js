@@ -0,0 +1,184 @@
+// The models a request may pick with `model`. AI_MODEL_CATALOG replaces the
+// built-in catalog with a JSON array of entries shaped like
+//   { id, name, provider_model_id, tier, context_window, max_output_tokens,
+//     relative_cost, default_for? }
+// where provider_model_id is what the provider is called with (null keeps the
+// provider's own model), tier is "quick" or "deep", relative_cost compares
+// models with each other, and default_for lists the intents the model
+// answers when a request does not pick one.
+
+const MODEL_TIERS = ["quick", "deep"];
+
+// Intents that do not need the strongest model unless the caller asks for it.
+const QUICK_INTENTS = new Set(["explain", "summarize"]);
+
+const MODEL_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+const DEFAULT_BEDROCK_QUICK_MODEL_ID =
+  "anthropic.claude-3-5-haiku-20241022-v1:0";
+
+function buildDefaultCatalog(provider) {
+  const maxOutputTokens = Number(process.env.BEDROCK_MAX_OUTPUT_TOKENS || 4000);
+
+  if (provider.name !== "bedrock") {
+    return [
+      {
+        id: "default",
+        name: provider.modelId,
+        provider_model_id: null,
+        tier: "deep",
+        context_window: 128000,
+        max_output_tokens: maxOutputTokens,
+        relative_cost: 1,
+      },
+    ];
+  }
+
+  return [
+    {
+      id: "claude-3-5-haiku",
+      name: "Claude 3.5 Haiku",
+      provider_model_id:
+        process.env.BEDROCK_QUICK_MODEL_ID || DEFAULT_BEDROCK_QUICK_MODEL_ID,
+      tier: "quick",
+      context_window: 200000,
+      max_output_tokens: maxOutputTokens,
+      relative_cost: 1,
+    },
+    {
+      id: "claude-3-5-sonnet",
+      name: "Claude 3.5 Sonnet",
+      provider_model_id: provider.modelId,
+      tier: "deep",
+      context_window: 200000,
+      max_output_tokens: maxOutputTokens,
+      relative_cost: 4,
+    },
+  ];
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Throws INVALID_MODEL_CATALOG, naming the first problem, so a bad deploy
+// fails loudly instead of quietly falling back to the built-in models.
+function parseModelCatalog(json) {
+  let entries;
+  try {
+    entries = JSON.parse(json);
+  } catch (err) {
+    throw new Error("INVALID_MODEL_CATALOG: AI_MODEL_CATALOG is not JSON.");
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(
+      "INVALID_MODEL_CATALOG: AI_MODEL_CATALOG must be a non-empty array."
+    );
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    const valid =
+      entry &&
+      typeof entry === "object" &&
+      typeof entry.id === "string" &&
+      MODEL_ID_PATTERN.test(entry.id) &&
+      !MODEL_TIERS.includes(entry.id) &&
+      !seen.has(entry.id) &&
+      typeof entry.name === "string" &&
+      entry.name.trim() &&
+      (entry.provider_model_id === undefined ||
+        entry.provider_model_id === null ||
+        (typeof entry.provider_model_id === "string" &&
+          entry.provider_model_id.trim())) &&
+      MODEL_TIERS.includes(entry.tier) &&
+      isPositiveInteger(entry.context_window) &&
+      isPositiveInteger(entry.max_output_tokens) &&
+      entry.max_output_tokens < entry.context_window &&
+      typeof entry.relative_cost === "number" &&
+      entry.relative_cost > 0 &&
+      (entry.default_for === undefined ||
+        (Array.isArray(entry.default_for) &&
+          entry.default_for.every((intent) => typeof intent === "string")));
+
+    if (!valid) {
+      throw new Error(
+        `INVALID_MODEL_CATALOG: entry ${index} is missing a field, has an invalid value or reuses an id.`
+      );
+    }
+    seen.add(entry.id);
+
+    return {
+      id: entry.id,
+      name: entry.name.trim(),
+      provider_model_id: entry.provider_model_id || null,
+      tier: entry.tier,
+      context_window: entry.context_window,
+      max_output_tokens: entry.max_output_tokens,
+      relative_cost: entry.relative_cost,
+      ...(entry.default_for ? { default_for: entry.default_for } : {}),
+    };
+  });
+}
+
+let cachedCatalog = null;
+
+function getModelCatalog(provider) {
+  if (!cachedCatalog) {
+    cachedCatalog = process.env.AI_MODEL_CATALOG
+      ? parseModelCatalog(process.env.AI_MODEL_CATALOG)
+      : buildDefaultCatalog(provider);
+  }
+  return cachedCatalog;
+}
+
+function findByTier(catalog, tier) {
+  return catalog.find((model) => model.tier === tier) || null;
+}
+
+function defaultModelFor(catalog, intent) {
+  return (
+    catalog.find((model) => model.default_for?.includes(intent)) ||
+    findByTier(catalog, QUICK_INTENTS.has(intent) ? "quick" : "deep") ||
+    catalog[0]
+  );
+}
+
+/**
+ * The catalog entry that answers a request. `choice` is a catalog id, a tier
+ * ("quick" or "deep", which picks the first model of that tier, or the
+ * intent's default when the catalog has none) or empty for the intent's
+ * default. Returns null for an unknown choice.
+ */
+function resolveModel(catalog, choice, intent) {
+  if (!choice) {
+    return defaultModelFor(catalog, intent);
+  }
+
+  if (MODEL_TIERS.includes(choice)) {
+    return findByTier(catalog, choice) || defaultModelFor(catalog, intent);
+  }
+
+  return catalog.find((model) => model.id === choice) || null;
+}
+
+// What clients see: the provider's model ids stay server-side.
+function describeModel(model) {
+  return {
+    id: model.id,
+    name: model.name,
+    tier: model.tier,
+    context_window: model.context_window,
+    max_output_tokens: model.max_output_tokens,
+    relative_cost: model.relative_cost,
+  };
+}
+
+module.exports = {
+  MODEL_TIERS,
+  getModelCatalog,
+  resolveModel,
+  defaultModelFor,
+  describeModel,
+};
@@ -0,0 +1,77 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+const NO_PROMPT_TEMPLATE = {
+  version: 0,
+  system_prompt: "",
+  user_prompt: "",
+};
+
+/**
+ * Loads the user's prompt template (saved from Settings on the user item as
+ * prompt_template) and picks the entry for `language`: a language override
+ * replaces the default entry entirely. Resolves to { version, system_prompt,
+ * user_prompt }; version 0 means the user has no template.
+ *
+ * A failed read is logged and treated as no template, like the response
+ * cache, so a DynamoDB hiccup never blocks an analysis.
+ */
+async function loadPromptTemplate(userId, language) {
+  if (!USERS_TABLE) {
+    return NO_PROMPT_TEMPLATE;
+  }
+
+  let template;
+  try {
+    const result = await documentClient.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { user_id: userId },
+        ProjectionExpression: "prompt_template",
+      })
+    );
+    template = result.Item?.prompt_template;
+  } catch (err) {
+    console.error("[ai] Failed to load prompt template:", err);
+    return NO_PROMPT_TEMPLATE;
+  }
+
+  if (!template || !Number.isInteger(template.version)) {
+    return NO_PROMPT_TEMPLATE;
+  }
+
+  const languageKey = String(language || "").trim().toLowerCase();
+  const overrideKey = Object.keys(template.languages || {}).find(
+    (key) => key.toLowerCase() === languageKey
+  );
+  const entry = overrideKey
+    ? template.languages[overrideKey]
+    : template.default || {};
+
+  return {
+    version: template.version,
+    system_prompt: entry.system_prompt || "",
+    user_prompt: entry.user_prompt || "",
+  };
+}
+
+// Fills {{name}} placeholders. Unknown names are left untouched so a typo
+// shows up in the prompt instead of silently disappearing.
+function renderPromptTemplate(text, variables) {
+  return String(text || "")
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name)
+        ? String(variables[name])
+        : match
+    )
+    .trim();
+}
+
+module.exports = {
+  loadPromptTemplate,
+  renderPromptTemplate,
+};
@@ -0,0 +1,191 @@
+const {
+  BedrockRuntimeClient,
+  InvokeModelCommand,
+  InvokeModelWithResponseStreamCommand,
+} = require("@aws-sdk/client-bedrock-runtime");
+const { TextDecoder } = require("util");
+
+const DEFAULT_MODEL_ID = "anthropic.claude-3-5-sonnet-20241022-v2:0";
+
+function extractResponseText(responseBody) {
+  if (!responseBody || !Array.isArray(responseBody.content)) {
+    return "";
+  }
+
+  const textSegment = responseBody.content.find(
+    (segment) => segment.type === "text"
+  );
+  if (!textSegment || typeof textSegment.text !== "string") {
+    return "";
+  }
+
+  return textSegment.text;
+}
+
+function extractToolInput(responseBody, tool) {
+  if (!tool || !responseBody || !Array.isArray(responseBody.content)) {
+    return null;
+  }
+
+  const toolSegment = responseBody.content.find(
+    (segment) => segment.type === "tool_use" && segment.name === tool.name
+  );
+  return toolSegment?.input && typeof toolSegment.input === "object"
+    ? toolSegment.input
+    : null;
+}
+
+function parseToolJson(json) {
+  if (!json) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    return null;
+  }
+}
+
+function normalizeUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+
+  return {
+    input_tokens: usage.input_tokens ?? usage.inputTokenCount ?? 0,
+    output_tokens: usage.output_tokens ?? usage.outputTokenCount ?? 0,
+  };
+}
+
+function createBedrockProvider(config = {}) {
+  const region =
+    config.region ||
+    process.env.BEDROCK_REGION ||
+    process.env.AWS_REGION ||
+    "us-east-1";
+  const modelId =
+    config.modelId || process.env.BEDROCK_MODEL_ID || DEFAULT_MODEL_ID;
+  const maxOutputTokens = Number(
+    config.maxOutputTokens || process.env.BEDROCK_MAX_OUTPUT_TOKENS || 4000
+  );
+  const temperature = Number(
+    config.temperature ?? process.env.BEDROCK_TEMPERATURE ?? 0.7
+  );
+
+  const client = new BedrockRuntimeClient({
+    region,
+    maxAttempts: config.maxAttempts || 3,
+  });
+
+  function buildRequestBody({ systemPrompt, prompt, tool, model }) {
+    return JSON.stringify({
+      anthropic_version: "bedrock-2023-05-31",
+      max_tokens: model?.maxOutputTokens || maxOutputTokens,
+      temperature,
+      system: systemPrompt,
+      messages: [
+        {
+          role: "user",
+          content: [{ type: "text", text: prompt }],
+        },
+      ],
+      ...(tool
+        ? {
+            tools: [
+              {
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.inputSchema,
+              },
+            ],
+            tool_choice: { type: "tool", name: tool.name },
+          }
+        : {}),
+    });
+  }
+
+  async function invoke({ systemPrompt, prompt, tool, model, abortSignal }) {
+    const command = new InvokeModelCommand({
+      modelId: model?.modelId || modelId,
+      contentType: "application/json",
+      accept: "application/json",
+      body: buildRequestBody({ systemPrompt, prompt, tool, model }),
+    });
+
+    const response = await client.send(command, { abortSignal });
+    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+
+    return {
+      text: extractResponseText(responseBody),
+      toolInput: extractToolInput(responseBody, tool),
+      usage: normalizeUsage(responseBody.usage),
+    };
+  }
+
+  async function invokeStream({
+    systemPrompt,
+    prompt,
+    tool,
+    model,
+    abortSignal,
+    onTextDelta,
+  }) {
+    const command = new InvokeModelWithResponseStreamCommand({
+      modelId: model?.modelId || modelId,
+      contentType: "application/json",
+      accept: "application/json",
+      body: buildRequestBody({ systemPrompt, prompt, tool, model }),
+    });
+
+    const response = await client.send(command, { abortSignal });
+    const decoder = new TextDecoder();
+    let text = "";
+    let toolJson = "";
+    let usage = null;
+
+    for await (const streamEvent of response.body) {
+      if (!streamEvent.chunk?.bytes) {
+        continue;
+      }
+
+      const chunk = JSON.parse(decoder.decode(streamEvent.chunk.bytes));
+
+      if (
+        chunk.type === "content_block_delta" &&
+        chunk.delta?.type === "text_delta" &&
+        typeof chunk.delta.text === "string"
+      ) {
+        text += chunk.delta.text;
+        onTextDelta(chunk.delta.text);
+      }
+
+      if (
+        tool &&
+        chunk.type === "content_block_delta" &&
+        chunk.delta?.type === "input_json_delta" &&
+        typeof chunk.delta.partial_json === "string"
+      ) {
+        toolJson += chunk.delta.partial_json;
+        onTextDelta(chunk.delta.partial_json);
+      }
+
+      if (chunk["amazon-bedrock-invocationMetrics"]) {
+        usage = normalizeUsage(chunk["amazon-bedrock-invocationMetrics"]);
+      }
+    }
+
+    return { text, toolInput: parseToolJson(toolJson), usage };
+  }
+
+  return {
+    name: "bedrock",
+    modelId,
+    invoke,
+    invokeStream,
+  };
+}
+
+module.exports = {
+  createBedrockProvider,
+};
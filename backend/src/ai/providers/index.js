@@ -0,0 +1,50 @@
+const { createBedrockProvider } = require("./bedrock");
+const { createOpenAICompatibleProvider } = require("./openai-compatible");
+const { createMockProvider } = require("./mock");
+
+// Every provider exposes the same shape:
+//   { name, modelId, invoke(request), invokeStream(request) }
+// where request is { systemPrompt, prompt, context, tool, abortSignal } (plus
+// onTextDelta for invokeStream) and both calls resolve to
+// { text, toolInput, usage }. `model`, when set, is the { modelId,
+// maxOutputTokens } picked from the model catalog for this call and
+// overrides the provider's configured model. `tool` is an optional { name, description,
+// inputSchema } the model is forced to call; toolInput holds its arguments,
+// or null when the model answered in plain text. While a tool call streams,
+// onTextDelta receives the argument JSON as it is generated.
+const PROVIDER_FACTORIES = {
+  bedrock: createBedrockProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+const providerCache = new Map();
+
+function getModelProvider(name = process.env.AI_PROVIDER || "bedrock") {
+  const normalized = String(name).trim().toLowerCase();
+  if (providerCache.has(normalized)) {
+    return providerCache.get(normalized);
+  }
+
+  const factory = PROVIDER_FACTORIES[normalized];
+  if (!factory) {
+    throw new Error(`UNKNOWN_AI_PROVIDER: ${name}`);
+  }
+
+  providerCache.set(normalized, factory());
+  return providerCache.get(normalized);
+}
+
+// Makes a ready-made provider instance selectable by name, for tools such as
+// the offline evaluation runner that replay recorded model responses.
+function registerModelProvider(name, provider) {
+  providerCache.set(String(name).trim().toLowerCase(), provider);
+}
+
+module.exports = {
+  getModelProvider,
+  registerModelProvider,
+  createBedrockProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+};
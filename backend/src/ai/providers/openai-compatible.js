@@ -0,0 +1,235 @@
+const { TextDecoder } = require("util");
+
+function createHttpError(message, statusCode, cause) {
+  const httpError = new Error(message);
+  httpError.statusCode = statusCode;
+  if (cause) {
+    httpError.cause = cause;
+  }
+  return httpError;
+}
+
+function normalizeUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+
+  return {
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0,
+  };
+}
+
+function parseToolArguments(json) {
+  if (!json) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(json);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Talks to any server implementing the OpenAI chat completions API
+// (vLLM, Ollama, LM Studio, llama.cpp server, ...).
+function createOpenAICompatibleProvider(config = {}) {
+  const baseUrl = (
+    config.baseUrl ||
+    process.env.OPENAI_BASE_URL ||
+    "http://localhost:11434/v1"
+  ).replace(/\/+$/, "");
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+  const modelId = config.modelId || process.env.OPENAI_MODEL;
+  const maxOutputTokens = Number(
+    config.maxOutputTokens || process.env.BEDROCK_MAX_OUTPUT_TOKENS || 4000
+  );
+  const temperature = Number(
+    config.temperature ?? process.env.BEDROCK_TEMPERATURE ?? 0.7
+  );
+
+  if (!modelId) {
+    console.warn("[ai] OPENAI_MODEL environment variable is not set.");
+  }
+
+  async function postChatCompletion({
+    systemPrompt,
+    prompt,
+    tool,
+    model,
+    abortSignal,
+    stream,
+  }) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        signal: abortSignal,
+        body: JSON.stringify({
+          model: model?.modelId || modelId,
+          max_tokens: model?.maxOutputTokens || maxOutputTokens,
+          temperature,
+          stream,
+          ...(stream ? { stream_options: { include_usage: true } } : {}),
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: prompt },
+          ],
+          ...(tool
+            ? {
+                tools: [
+                  {
+                    type: "function",
+                    function: {
+                      name: tool.name,
+                      description: tool.description,
+                      parameters: tool.inputSchema,
+                    },
+                  },
+                ],
+                tool_choice: {
+                  type: "function",
+                  function: { name: tool.name },
+                },
+              }
+            : {}),
+        }),
+      });
+    } catch (err) {
+      if (err.name === "AbortError") {
+        throw err;
+      }
+      throw createHttpError("Model endpoint unreachable", 503, err);
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw createHttpError(
+        `Model endpoint returned ${response.status}: ${detail.slice(0, 200)}`,
+        response.status
+      );
+    }
+
+    return response;
+  }
+
+  async function invoke({ systemPrompt, prompt, tool, model, abortSignal }) {
+    const response = await postChatCompletion({
+      systemPrompt,
+      prompt,
+      tool,
+      model,
+      abortSignal,
+      stream: false,
+    });
+    const responseBody = await response.json();
+    const message = responseBody.choices?.[0]?.message;
+    const toolCall = tool
+      ? message?.tool_calls?.find((call) => call.function?.name === tool.name)
+      : null;
+
+    return {
+      text: message?.content || "",
+      toolInput: parseToolArguments(toolCall?.function?.arguments),
+      usage: normalizeUsage(responseBody.usage),
+    };
+  }
+
+  async function invokeStream({
+    systemPrompt,
+    prompt,
+    tool,
+    model,
+    abortSignal,
+    onTextDelta,
+  }) {
+    const response = await postChatCompletion({
+      systemPrompt,
+      prompt,
+      tool,
+      model,
+      abortSignal,
+      stream: true,
+    });
+    const decoder = new TextDecoder();
+    let buffered = "";
+    let text = "";
+    let toolArguments = "";
+    let usage = null;
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) {
+        return;
+      }
+
+      const data = trimmed.slice("data:".length).trim();
+      if (!data || data === "[DONE]") {
+        return;
+      }
+
+      // A line that is not JSON (a proxy's keep-alive, a truncated frame) is
+      // skipped like an event the stream does not know.
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (err) {
+        console.warn(
+          "[ai] Skipping unparseable OpenAI stream line:",
+          err.message
+        );
+        return;
+      }
+
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (typeof delta === "string" && delta) {
+        text += delta;
+        onTextDelta(delta);
+      }
+
+      // Servers stream one tool call here; argument fragments are appended.
+      const argumentsDelta =
+        chunk.choices?.[0]?.delta?.tool_calls?.[0]?.function?.arguments;
+      if (tool && typeof argumentsDelta === "string" && argumentsDelta) {
+        toolArguments += argumentsDelta;
+        onTextDelta(argumentsDelta);
+      }
+
+      if (chunk.usage) {
+        usage = normalizeUsage(chunk.usage);
+      }
+    };
+
+    for await (const bytes of response.body) {
+      buffered += decoder.decode(bytes, { stream: true });
+      let newlineIndex = buffered.indexOf("\n");
+      while (newlineIndex !== -1) {
+        handleLine(buffered.slice(0, newlineIndex));
+        buffered = buffered.slice(newlineIndex + 1);
+        newlineIndex = buffered.indexOf("\n");
+      }
+    }
+    handleLine(buffered + decoder.decode());
+
+    return { text, toolInput: parseToolArguments(toolArguments), usage };
+  }
+
+  return {
+    name: "openai",
+    modelId,
+    invoke,
+    invokeStream,
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
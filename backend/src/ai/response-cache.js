@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const AI_RESPONSE_CACHE_TABLE = process.env.AI_RESPONSE_CACHE_TABLE;
+const AI_RESPONSE_CACHE_TTL_SECONDS = Number(
+  process.env.AI_RESPONSE_CACHE_TTL_SECONDS || 7 * 24 * 60 * 60
+);
+
+if (!AI_RESPONSE_CACHE_TABLE) {
+  console.warn("[ai] AI_RESPONSE_CACHE_TABLE environment variable is not set.");
+}
+
+function isResponseCacheEnabled() {
+  return Boolean(AI_RESPONSE_CACHE_TABLE) && AI_RESPONSE_CACHE_TTL_SECONDS > 0;
+}
+
+/**
+ * Content-addressed key for an analysis. Only inputs that reach the model
+ * belong here: the code actually sent (full file or local context blocks),
+ * the excerpts of any other sessions attached as context, the selection,
+ * prompt, history and its rolling summary, intent and the user's rendered
+ * template instructions, plus the model id and prompt template version so a
+ * model or prompt change never serves stale answers. The user id scopes
+ * entries to their owner, so one user's code and answers are never served to
+ * another.
+ */
+function buildResponseCacheKey({
+  userId,
+  contextBlocks,
+  referencedFiles = [],
+  selection,
+  prompt,
+  history,
+  historySummary,
+  intent,
+  language,
+  instructions,
+  modelId,
+  promptTemplateVersion,
+}) {
+  const material = JSON.stringify({
+    user_id: userId,
+    blocks: contextBlocks.map((block) => [block.start_line, block.code]),
+    // Left out when empty so keys for plain analyses stay as they were.
+    ...(referencedFiles.length > 0
+      ? {
+          references: referencedFiles.map((file) => [
+            file.filename,
+            file.language,
+            file.blocks.map((block) => [block.start_line, block.code]),
+          ]),
+        }
+      : {}),
+    selection: selection
+      ? [selection.start_line, selection.end_line]
+      : null,
+    prompt,
+    history: history.map((item) => [item.role, item.content]),
+    history_summary: historySummary,
+    intent,
+    language,
+    instructions,
+    model_id: modelId,
+    template: promptTemplateVersion,
+  });
+
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+// Cache reads and writes never fail an analysis: any DynamoDB error is
+// logged and treated as a miss.
+async function getCachedResponse(cacheKey) {
+  if (!isResponseCacheEnabled()) {
+    return null;
+  }
+
+  try {
+    const result = await documentClient.send(
+      new GetCommand({
+        TableName: AI_RESPONSE_CACHE_TABLE,
+        Key: { cache_key: cacheKey },
+      })
+    );
+
+    const item = result.Item;
+    // DynamoDB TTL deletes lazily, so expired items can still be returned.
+    if (!item || item.ttl <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return { response: item.response, cachedAt: item.created_at };
+  } catch (err) {
+    console.error("[ai] Failed to read AI response cache:", err);
+    return null;
+  }
+}
+
+async function putCachedResponse(cacheKey, response) {
+  if (!isResponseCacheEnabled()) {
+    return;
+  }
+
+  const now = new Date();
+  try {
+    await documentClient.send(
+      new PutCommand({
+        TableName: AI_RESPONSE_CACHE_TABLE,
+        Item: {
+          cache_key: cacheKey,
+          response,
+          created_at: now.toISOString(),
+          ttl: Math.floor(now.getTime() / 1000) + AI_RESPONSE_CACHE_TTL_SECONDS,
+        },
+      })
+    );
+  } catch (err) {
+    console.error("[ai] Failed to write AI response cache:", err);
+  }
+}
+
+module.exports = {
+  buildResponseCacheKey,
+  getCachedResponse,
+  putCachedResponse,
+};
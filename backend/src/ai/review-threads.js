@@ -0,0 +1,157 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+const { AI_MESSAGE_SOURCE } = require("./conversation-history");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const SESSIONS_TABLE = process.env.SESSIONS_TABLE;
+const THREADS_TABLE = process.env.THREADS_TABLE;
+const MESSAGES_TABLE = process.env.MESSAGES_TABLE;
+
+async function fetchSessionById(sessionId) {
+  const result = await documentClient.send(
+    new GetCommand({
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: sessionId },
+    })
+  );
+
+  return result.Item;
+}
+
+async function listSessionThreads(sessionId) {
+  const threads = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await documentClient.send(
+      new QueryCommand({
+        TableName: THREADS_TABLE,
+        IndexName: "SessionIdIndex",
+        KeyConditionExpression: "session_id = :session_id",
+        ExpressionAttributeValues: {
+          ":session_id": sessionId,
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    threads.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return threads;
+}
+
+function isSameFinding(thread, finding) {
+  return (
+    thread.finding?.title === finding.title &&
+    thread.start_line === finding.start_line
+  );
+}
+
+/**
+ * Turns review findings into block threads, each seeded with the finding as
+ * its first AI message. Findings without a line range, on blank lines, or
+ * already present as a thread (same title and start line) are skipped, and
+ * at most `limit` threads are created. Resolves to { threads, skipped }.
+ */
+async function createFindingThreads({
+  sessionId,
+  userId,
+  code,
+  findings,
+  existingThreads,
+  limit,
+  promptTemplateVersion,
+}) {
+  const codeLines = code.split("\n");
+  const anchored = findings
+    .map((finding) => ({
+      finding,
+      selectedText: Number.isInteger(finding.start_line)
+        ? codeLines
+            .slice(finding.start_line - 1, finding.end_line)
+            .join("\n")
+            .trim()
+        : "",
+    }))
+    .filter(
+      ({ finding, selectedText }) =>
+        selectedText &&
+        !existingThreads.some((thread) => isSameFinding(thread, finding))
+    )
+    .slice(0, Math.max(0, limit));
+
+  const timestamp = new Date().toISOString();
+  const threads = await Promise.all(
+    anchored.map(async ({ finding, selectedText }) => {
+      const thread = {
+        thread_id: uuidv4(),
+        session_id: sessionId,
+        user_id: userId,
+        type: "block",
+        start_line: finding.start_line,
+        end_line: finding.end_line,
+        selected_text: selectedText,
+        anchor_status: "stable",
+        finding: {
+          severity: finding.severity,
+          category: finding.category,
+          title: finding.title,
+        },
+        created_at: timestamp,
+        updated_at: timestamp,
+      };
+
+      await documentClient.send(
+        new PutCommand({
+          TableName: THREADS_TABLE,
+          Item: thread,
+          ConditionExpression: "attribute_not_exists(thread_id)",
+        })
+      );
+
+      const content = finding.description
+        ? `${finding.title}: ${finding.description}`
+        : finding.title;
+      await documentClient.send(
+        new PutCommand({
+          TableName: MESSAGES_TABLE,
+          Item: {
+            thread_id: thread.thread_id,
+            timestamp,
+            message_id: uuidv4(),
+            user_id: userId,
+            role: "ai",
+            source: AI_MESSAGE_SOURCE,
+            content,
+            created_at: timestamp,
+            metadata: {
+              intent: "audit",
+              analysis: content,
+              findings: [finding],
+              prompt_template_version: promptTemplateVersion,
+            },
+          },
+        })
+      );
+
+      return thread;
+    })
+  );
+
+  return { threads, skipped: findings.length - threads.length };
+}
+
+module.exports = {
+  fetchSessionById,
+  listSessionThreads,
+  createFindingThreads,
+};
@@ -0,0 +1,135 @@
+const { fetchSessionById } = require("./review-threads");
+const { loadSessionContent } = require("./shared/session-content");
+const {
+  buildReferenceExcerpt,
+  collectIdentifiers,
+} = require("./context-builder");
+
+// Every referenced file keeps at least this much of the budget in reserve,
+// so the most relevant file cannot crowd out all the others.
+const MIN_REFERENCE_TOKENS = 200;
+
+/**
+ * Loads the sessions a question references as extra context. Throws
+ * CONTEXT_SESSION_NOT_FOUND or CONTEXT_SESSION_FORBIDDEN, with the offending
+ * session_id in err.details, unless every session exists and belongs to
+ * `userId`.
+ */
+async function loadReferencedSessions(userId, sessionIds) {
+  if (sessionIds.length === 0) {
+    return [];
+  }
+
+  const sessions = await Promise.all(sessionIds.map(fetchSessionById));
+
+  sessions.forEach((session, index) => {
+    if (!session || session.user_id !== userId) {
+      const err = new Error(
+        session ? "CONTEXT_SESSION_FORBIDDEN" : "CONTEXT_SESSION_NOT_FOUND"
+      );
+      err.details = { session_id: sessionIds[index] };
+      throw err;
+    }
+  });
+
+  // Code is only downloaded once every session is known to be the user's.
+  return Promise.all(
+    sessions.map(async (session) => ({
+      session_id: session.session_id,
+      filename: session.filename,
+      language:
+        session.language_override || session.language_detected || "Plain Text",
+      code: await loadSessionContent(session),
+    }))
+  );
+}
+
+function isMentioned(prompt, filename) {
+  return Boolean(filename) && prompt.includes(filename);
+}
+
+/**
+ * Fits the referenced files into tokenBudget. Files named in the prompt come
+ * first, then those sharing the most identifiers with the prompt and the code
+ * in question (the selection, or the whole file). Each file is sent in full
+ * when it fits and as an excerpt of its relevant symbols otherwise, so the
+ * least relevant files are the first to be cut down or left out.
+ *
+ * Returns { files, token_count }, files being in prompt order with
+ * mode "full", "excerpt" or "omitted" and the blocks to render.
+ */
+function buildReferencedContext({ files, prompt, focusCode, tokenBudget }) {
+  const identifiers = collectIdentifiers(`${prompt}\n${focusCode}`);
+
+  const ranked = files
+    .map((file, index) => {
+      const fileIdentifiers = collectIdentifiers(file.code);
+      let sharedIdentifiers = 0;
+      identifiers.forEach((position, name) => {
+        if (fileIdentifiers.has(name)) {
+          sharedIdentifiers += 1;
+        }
+      });
+
+      return {
+        file,
+        index,
+        mentioned: isMentioned(prompt, file.filename),
+        sharedIdentifiers,
+      };
+    })
+    .sort(
+      (a, b) =>
+        Number(b.mentioned) - Number(a.mentioned) ||
+        b.sharedIdentifiers - a.sharedIdentifiers ||
+        a.index - b.index
+    );
+
+  let remaining = tokenBudget;
+  const referencedFiles = ranked.map(({ file }, rank) => {
+    const reserve = MIN_REFERENCE_TOKENS * (ranked.length - rank - 1);
+    const excerpt = buildReferenceExcerpt({
+      code: file.code,
+      language: file.language,
+      identifiers,
+      tokenBudget: Math.max(0, remaining - reserve),
+    });
+    const base = {
+      session_id: file.session_id,
+      filename: file.filename,
+      language: file.language,
+    };
+
+    if (!excerpt) {
+      return { ...base, mode: "omitted", blocks: [], token_count: 0 };
+    }
+
+    remaining -= excerpt.token_count;
+    return {
+      ...base,
+      mode: excerpt.mode,
+      blocks: excerpt.blocks,
+      token_count: excerpt.token_count,
+    };
+  });
+
+  return {
+    files: referencedFiles,
+    token_count: tokenBudget - remaining,
+  };
+}
+
+// What the response and the saved message say about the referenced files.
+function describeReferencedFiles(referencedFiles) {
+  return referencedFiles.map((file) => ({
+    session_id: file.session_id,
+    filename: file.filename,
+    mode: file.mode,
+  }));
+}
+
+module.exports = {
+  loadReferencedSessions,
+  buildReferencedContext,
+  describeReferencedFiles,
+};
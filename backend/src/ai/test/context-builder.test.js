@@ -0,0 +1,155 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildLocalContext } = require("../context-builder");
+
+const CART = [
+  'import { formatPrice } from "./format";',
+  'const { taxRate } = require("./tax");',
+  "",
+  "function applyDiscount(total, code) {",
+  "  return code ? total * 0.9 : total;",
+  "}",
+  "",
+  "class Cart {",
+  "  constructor(items) {",
+  "    this.items = items;",
+  "  }",
+  "",
+  "  total(code) {",
+  "    const sum = this.items.reduce((acc, item) => acc + item.price, 0);",
+  "    return formatPrice(applyDiscount(sum * (1 + taxRate), code));",
+  "  }",
+  "}",
+  "",
+  "module.exports = Cart;",
+].join("\n");
+
+// The return statement in Cart#total.
+const SELECTION = { start_line: 15, end_line: 15 };
+
+function regionsOf(context, ...kinds) {
+  return context.regions
+    .filter((region) => kinds.includes(region.kind))
+    .map(({ kind, start_line, end_line, label }) =>
+      label ? [kind, start_line, end_line, label] : [kind, start_line, end_line]
+    );
+}
+
+test("scopes, imports and referenced symbols are sent with the selection", () => {
+  const context = buildLocalContext({
+    code: CART,
+    language: "javascript",
+    selection: SELECTION,
+    tokenBudget: 1000,
+  });
+
+  assert.deepEqual(
+    regionsOf(context, "selection", "enclosing", "imports", "reference"),
+    [
+      ["imports", 1, 2],
+      ["reference", 4, 4, "function applyDiscount"],
+      ["enclosing", 8, 17, "class Cart"],
+      ["enclosing", 13, 16, "method total"],
+      ["selection", 15, 15],
+    ]
+  );
+  assert.deepEqual(
+    context.blocks.map((block) => [block.start_line, block.end_line]),
+    [[1, 19]]
+  );
+});
+
+test("a scope that does not fit is sent as its signature", () => {
+  const context = buildLocalContext({
+    code: CART,
+    language: "javascript",
+    selection: SELECTION,
+    tokenBudget: 44,
+  });
+
+  // The innermost scope is tried first and fits; the class does not.
+  assert.deepEqual(regionsOf(context, "enclosing", "enclosing_signature"), [
+    ["enclosing_signature", 8, 8, "class Cart"],
+    ["enclosing", 13, 16, "method total"],
+  ]);
+  assert.ok(context.token_count <= 44);
+});
+
+test("the selection is sent even when it alone exceeds the budget", () => {
+  const context = buildLocalContext({
+    code: CART,
+    language: "javascript",
+    selection: SELECTION,
+    tokenBudget: 0,
+  });
+
+  assert.deepEqual(context.regions, [
+    { kind: "selection", start_line: 15, end_line: 15 },
+  ]);
+  assert.equal(context.blocks[0].code, CART.split("\n")[14]);
+  assert.ok(context.token_count > 0);
+});
+
+test("Python scopes are found from their indentation", () => {
+  const code = [
+    "import os",
+    "",
+    "class Cart:",
+    "    def __init__(self, items):",
+    "        self.items = items",
+    "",
+    "    def total(self):",
+    "        return sum(item.price for item in self.items)",
+    "",
+    "def cwd():",
+    "    return os.getcwd()",
+  ].join("\n");
+
+  const context = buildLocalContext({
+    code,
+    language: "python",
+    selection: { start_line: 8, end_line: 8 },
+    tokenBudget: 1000,
+  });
+
+  assert.deepEqual(regionsOf(context, "enclosing", "imports"), [
+    ["imports", 1, 1],
+    ["enclosing", 3, 8, "class Cart"],
+    ["enclosing", 7, 8, "function total"],
+  ]);
+});
+
+test("JSON selections are placed in their enclosing objects", () => {
+  const code = JSON.stringify(
+    { name: "app", scripts: { build: "vite build", test: "vitest" } },
+    null,
+    2
+  );
+
+  const context = buildLocalContext({
+    code,
+    language: "json",
+    selection: { start_line: 4, end_line: 4 },
+    tokenBudget: 1000,
+  });
+
+  assert.deepEqual(regionsOf(context, "enclosing"), [
+    ["enclosing", 1, 7, "object (root)"],
+    ["enclosing", 3, 6, "object scripts"],
+  ]);
+});
+
+test("languages without an outline get the surrounding lines", () => {
+  const context = buildLocalContext({
+    code: CART,
+    language: "ruby",
+    selection: SELECTION,
+    tokenBudget: 40,
+  });
+
+  assert.deepEqual(
+    context.regions.map((region) => region.kind),
+    ["surrounding", "selection", "surrounding"]
+  );
+  assert.ok(context.token_count <= 40);
+});
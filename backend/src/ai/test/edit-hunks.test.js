@@ -0,0 +1,141 @@
+// Edit intents answer with hunks numbered against the whole file. They are
+// checked against the lines the request allowed to change before anything
+// is applied.
+
+process.env.AI_PROVIDER = "hunks-test";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { registerModelProvider } = require("../providers");
+const { callBedrock } = require("..");
+
+const CODE = [
+  "const a = 1;",
+  "const b = 2;",
+  "const c = 3;",
+  "const d = 4;",
+  "const e = 5;",
+].join("\n");
+
+let answer = {};
+registerModelProvider("hunks-test", {
+  name: "hunks-test",
+  modelId: "hunks-test",
+  async invoke() {
+    return {
+      text: "",
+      toolInput: { analysis: "Bumps the constants.", ...answer },
+      usage: { input_tokens: 100, output_tokens: 40 },
+    };
+  },
+  async invokeStream(request) {
+    return this.invoke(request);
+  },
+});
+
+function improve(toolInput, selection) {
+  answer = toolInput;
+  return callBedrock({
+    code: CODE,
+    prompt: "Bump the constants.",
+    language: "javascript",
+    history: [],
+    mode: "improve",
+    ...(selection ? { selection } : {}),
+  });
+}
+
+function hunk(startLine, endLine, text) {
+  return { start_line: startLine, end_line: endLine, text };
+}
+
+test("hunks are sorted, and ones that change nothing are dropped", async () => {
+  const response = await improve({
+    hunks: [
+      hunk(4, 4, "const d = 40;"),
+      hunk(3, 3, "const c = 3;"),
+      hunk(1, 2, "const a = 10;\nconst b = 20;"),
+    ],
+  });
+
+  assert.deepEqual(response.hunks, [
+    hunk(1, 2, "const a = 10;\nconst b = 20;"),
+    hunk(4, 4, "const d = 40;"),
+  ]);
+  assert.equal(
+    response.replacement,
+    [
+      "const a = 10;",
+      "const b = 20;",
+      "const c = 3;",
+      "const d = 40;",
+      "const e = 5;",
+    ].join("\n")
+  );
+  assert.equal(response.validation.status, "valid");
+});
+
+test("overlapping hunks are rejected", async () => {
+  for (const hunks of [
+    [hunk(2, 3, "const b = 20;"), hunk(3, 4, "const c = 30;")],
+    [hunk(2, 2, "const b = 20;"), hunk(2, 2, "const b = 21;")],
+  ]) {
+    await assert.rejects(improve({ hunks }), { message: "AI_INVALID_HUNKS" });
+  }
+});
+
+test("hunks outside the file or with inverted lines are rejected", async () => {
+  for (const hunks of [
+    [hunk(0, 1, "const a = 10;")],
+    [hunk(5, 6, "const e = 50;")],
+    [hunk(3, 2, "const c = 30;")],
+    [hunk(1.5, 2, "const b = 20;")],
+    [{ start_line: 1, end_line: 1 }],
+  ]) {
+    await assert.rejects(improve({ hunks }), { message: "AI_INVALID_HUNKS" });
+  }
+});
+
+test("a selection limits hunks to its lines, numbered in the file", async () => {
+  const selection = { start_line: 3, end_line: 4 };
+
+  const response = await improve(
+    { hunks: [hunk(4, 4, "const d = 40;")] },
+    selection
+  );
+
+  assert.deepEqual(response.hunks, [hunk(4, 4, "const d = 40;")]);
+  assert.equal(response.replacement, "const c = 3;\nconst d = 40;");
+
+  // Numbered from the start of the selection instead of the file.
+  await assert.rejects(
+    improve({ hunks: [hunk(1, 1, "const c = 30;")] }, selection),
+    { message: "AI_INVALID_HUNKS" }
+  );
+});
+
+test("a selection running past a file that shrank ends at its last line", async () => {
+  const selection = { start_line: 4, end_line: 9 };
+
+  const response = await improve(
+    { hunks: [hunk(5, 5, "const e = 50;")] },
+    selection
+  );
+  assert.equal(response.replacement, "const d = 4;\nconst e = 50;");
+
+  await assert.rejects(
+    improve({ hunks: [hunk(5, 6, "const e = 50;")] }, selection),
+    { message: "AI_INVALID_HUNKS" }
+  );
+});
+
+test("a whole-block replacement becomes one hunk over the selection", async () => {
+  const response = await improve(
+    { replacement: "const b = 20;\nconst c = 30;" },
+    { start_line: 2, end_line: 3 }
+  );
+
+  assert.deepEqual(response.hunks, [
+    hunk(2, 3, "const b = 20;\nconst c = 30;"),
+  ]);
+});
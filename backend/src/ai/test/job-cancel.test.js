@@ -0,0 +1,136 @@
+// A cancelled job stops at the next model call it would start: nothing more
+// is reserved against the token budget and nothing is saved to the thread.
+
+process.env.THREADS_TABLE = "Threads";
+process.env.MESSAGES_TABLE = "Messages";
+process.env.SESSIONS_TABLE = "Sessions";
+process.env.RATE_LIMITS_TABLE = "RateLimits";
+process.env.AI_JOBS_TABLE = "AIJobs";
+process.env.AI_PROVIDER = "job-cancel-test";
+
+const zlib = require("zlib");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+const { registerModelProvider } = require("../providers");
+
+const USER_ID = "user-1";
+const THREAD_ID = "thread-1";
+const JOB_ID = "job-1";
+const CODE = "function cartTotal(items) {\n  return 0;\n}";
+
+let modelCalls = 0;
+let onModelCall = () => {};
+
+// The answer drops a closing parenthesis, so it would be sent for repair.
+async function answer() {
+  modelCalls += 1;
+  onModelCall();
+  return {
+    text: "",
+    toolInput: {
+      analysis: "Sums the item prices.",
+      hunks: [
+        {
+          start_line: 2,
+          end_line: 2,
+          text: "  return items.reduce((sum, item) => sum + item.price, 0;",
+        },
+      ],
+    },
+    usage: { input_tokens: 120, output_tokens: 30 },
+  };
+}
+
+registerModelProvider("job-cancel-test", {
+  name: "job-cancel-test",
+  modelId: "job-cancel-test",
+  invoke: answer,
+  invokeStream: answer,
+});
+
+// Runs the job with the given status reported for it from the start, and
+// records what the worker wrote.
+async function runJob(job) {
+  const writes = { reservations: 0, puts: [], jobUpdates: [] };
+
+  DynamoDBDocumentClient.prototype.send = async function send(command) {
+    const { input } = command;
+    const name = command.constructor.name;
+
+    if (name === "UpdateCommand" && input.TableName === "AIJobs") {
+      writes.jobUpdates.push(input.ExpressionAttributeValues);
+      return {
+        Attributes: {
+          job_id: JOB_ID,
+          user_id: USER_ID,
+          status: "running",
+          request: zlib.gzipSync(
+            JSON.stringify({
+              kind: "analyze",
+              threadId: THREAD_ID,
+              code: CODE,
+              language: "javascript",
+              prompt: "Make cartTotal add up the prices.",
+              intent: "improve",
+            })
+          ),
+        },
+      };
+    }
+    if (name === "GetCommand" && input.TableName === "AIJobs") {
+      return { Item: { job_id: JOB_ID, status: job.status } };
+    }
+    if (name === "GetCommand" && input.TableName === "Threads") {
+      return {
+        Item: { thread_id: THREAD_ID, user_id: USER_ID, session_id: "s-1" },
+      };
+    }
+    if (name === "UpdateCommand" && input.TableName === "RateLimits") {
+      if (input.UpdateExpression.includes("SET #ttl")) {
+        writes.reservations += 1;
+      }
+      return {};
+    }
+    if (name === "PutCommand") {
+      writes.puts.push(input);
+    }
+    return { Items: [] };
+  };
+
+  const { jobWorker } = require("..");
+  await jobWorker({ job_id: JOB_ID });
+  return writes;
+}
+
+test("a job cancelled before its model call makes none", async () => {
+  modelCalls = 0;
+  onModelCall = () => {};
+
+  const writes = await runJob({ status: "cancelled" });
+
+  assert.equal(modelCalls, 0);
+  assert.equal(writes.reservations, 0);
+  assert.equal(
+    writes.jobUpdates.some((values) => values[":status"] === "failed"),
+    false
+  );
+});
+
+test("a job cancelled during its model call skips the repair", async () => {
+  modelCalls = 0;
+  const job = { status: "running" };
+  onModelCall = () => {
+    job.status = "cancelled";
+  };
+
+  const writes = await runJob(job);
+
+  assert.equal(modelCalls, 1);
+  // One reservation, against the minute and the hour window.
+  assert.equal(writes.reservations, 2);
+  assert.equal(
+    writes.puts.some((put) => put.TableName === "Messages"),
+    false
+  );
+});
@@ -0,0 +1,54 @@
+// OpenAI-compatible servers and the proxies in front of them do not all
+// stream clean server-sent events.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createOpenAICompatibleProvider,
+} = require("../providers/openai-compatible");
+
+function streamOf(lines) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    body: (async function* body() {
+      for (const line of lines) {
+        yield encoder.encode(`${line}\n`);
+      }
+    })(),
+  };
+}
+
+function chunk(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}`;
+}
+
+test("stream lines that are not JSON are skipped", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(globalThis, "fetch", async () =>
+    streamOf([
+      chunk("The total "),
+      "data: {not json",
+      ": keep-alive",
+      chunk("is never summed."),
+      `data: ${JSON.stringify({
+        choices: [],
+        usage: { prompt_tokens: 12, completion_tokens: 5 },
+      })}`,
+      "data: [DONE]",
+    ])
+  );
+  const provider = createOpenAICompatibleProvider({ modelId: "local-model" });
+
+  const deltas = [];
+  const result = await provider.invokeStream({
+    systemPrompt: "You review code.",
+    prompt: "Why is the total 0?",
+    onTextDelta: (text) => deltas.push(text),
+  });
+
+  assert.equal(result.text, "The total is never summed.");
+  assert.deepEqual(deltas, ["The total ", "is never summed."]);
+  assert.deepEqual(result.usage, { input_tokens: 12, output_tokens: 5 });
+  assert.equal(console.warn.mock.callCount(), 1);
+});
@@ -0,0 +1,23 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildResponseCacheKey } = require("../response-cache");
+
+const REQUEST = {
+  contextBlocks: [{ start_line: 1, code: "const total = 0;" }],
+  selection: null,
+  prompt: "Why is the total 0?",
+  history: [],
+  historySummary: "",
+  intent: "explain",
+  language: "javascript",
+  instructions: ["", ""],
+  modelId: "model-1",
+  promptTemplateVersion: "v1",
+};
+
+test("identical requests from different users get different keys", () => {
+  const first = buildResponseCacheKey({ ...REQUEST, userId: "user-1" });
+
+  assert.equal(buildResponseCacheKey({ ...REQUEST, userId: "user-1" }), first);
+  assert.notEqual(buildResponseCacheKey({ ...REQUEST, userId: "user-2" }), first);
+});
@@ -0,0 +1,101 @@
+// A whole-file review runs in the job worker, outside the API's time limit,
+// and the finished job holds the threads it opened.
+
+process.env.THREADS_TABLE = "Threads";
+process.env.MESSAGES_TABLE = "Messages";
+process.env.SESSIONS_TABLE = "Sessions";
+process.env.RATE_LIMITS_TABLE = "RateLimits";
+process.env.AI_JOBS_TABLE = "AIJobs";
+process.env.AI_PROVIDER = "review-job-test";
+
+const zlib = require("zlib");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+const { registerModelProvider } = require("../providers");
+
+const USER_ID = "user-1";
+const SESSION_ID = "session-1";
+const JOB_ID = "job-1";
+const CODE = "function cartTotal(items) {\n  return 0;\n}";
+
+const FINDING = {
+  severity: "high",
+  category: "bug",
+  title: "Total is always 0",
+  description: "Sum the item prices instead of returning 0.",
+  start_line: 2,
+  end_line: 2,
+};
+
+async function answer() {
+  return {
+    text: "",
+    toolInput: { analysis: "cartTotal ignores its items.", findings: [FINDING] },
+    usage: { input_tokens: 100, output_tokens: 40 },
+  };
+}
+
+registerModelProvider("review-job-test", {
+  name: "review-job-test",
+  modelId: "review-job-test",
+  invoke: answer,
+  invokeStream: answer,
+});
+
+function packed(value) {
+  return zlib.gzipSync(JSON.stringify(value));
+}
+
+test("a review job opens a thread per finding and stores the result", async () => {
+  const jobUpdates = [];
+  const puts = [];
+
+  DynamoDBDocumentClient.prototype.send = async function send(command) {
+    const { input } = command;
+    const name = command.constructor.name;
+
+    if (name === "UpdateCommand" && input.TableName === "AIJobs") {
+      jobUpdates.push(input.ExpressionAttributeValues);
+      return {
+        Attributes: {
+          job_id: JOB_ID,
+          user_id: USER_ID,
+          status: input.ExpressionAttributeValues[":status"] || "running",
+          request: packed({
+            kind: "review",
+            sessionId: SESSION_ID,
+            code: CODE,
+            language: "javascript",
+            intent: "review",
+          }),
+        },
+      };
+    }
+    if (name === "GetCommand" && input.TableName === "Sessions") {
+      return { Item: { session_id: SESSION_ID, user_id: USER_ID } };
+    }
+    if (name === "QueryCommand" && input.TableName === "Threads") {
+      return { Items: [] };
+    }
+    if (name === "PutCommand") {
+      puts.push(input);
+    }
+    return {};
+  };
+
+  const { jobWorker } = require("..");
+  await jobWorker({ job_id: JOB_ID });
+
+  const finished = jobUpdates[jobUpdates.length - 1];
+  assert.equal(finished[":status"], "succeeded");
+  const result = JSON.parse(zlib.gunzipSync(finished[":result"]).toString());
+  assert.equal(result.intent, "review");
+  assert.deepEqual(result.findings, [FINDING]);
+  assert.equal(result.threads.length, 1);
+  assert.equal(result.threads[0].start_line, 2);
+
+  const threadPut = puts.find((put) => put.TableName === "Threads");
+  assert.equal(threadPut.Item.session_id, SESSION_ID);
+  assert.equal(threadPut.Item.finding.title, FINDING.title);
+});
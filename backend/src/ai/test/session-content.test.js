@@ -0,0 +1,49 @@
+// Content-addressed keys are re-uploaded by later saves, and the bucket
+// expires the versions that leaves noncurrent, so an item can outlive the
+// exact version it references.
+
+process.env.SESSION_CONTENT_BUCKET = "session-content";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { S3Client } = require("@aws-sdk/client-s3");
+const { loadSessionContent } = require("../shared/session-content");
+
+const CODE = "export const total = (items) => items.length;\n";
+
+function objectNotFound(name) {
+  const err = new Error(name);
+  err.name = name;
+  return err;
+}
+
+test("an expired version falls back to the key's current version", async () => {
+  const requestedVersions = [];
+  S3Client.prototype.send = async function send(command) {
+    requestedVersions.push(command.input.VersionId);
+    if (command.input.VersionId) {
+      throw objectNotFound("NoSuchVersion");
+    }
+    return { Body: { transformToString: async () => CODE } };
+  };
+
+  const code = await loadSessionContent({
+    code_ref: { key: "sessions/s-1/abc", version_id: "v-1" },
+  });
+
+  assert.equal(code, CODE);
+  assert.deepEqual(requestedVersions, ["v-1", undefined]);
+});
+
+test("a deleted key is reported as missing content", async () => {
+  S3Client.prototype.send = async function send(command) {
+    throw objectNotFound(command.input.VersionId ? "NoSuchVersion" : "NoSuchKey");
+  };
+
+  await assert.rejects(
+    loadSessionContent({
+      code_ref: { key: "sessions/s-1/abc", version_id: "v-1" },
+    }),
+    { message: "SESSION_CONTENT_MISSING" }
+  );
+});
@@ -0,0 +1,172 @@
+// Runs an analysis through the streaming Lambda with Bedrock permissions
+// taken from AIStreamFunction in template.yaml, and checks that a thread
+// long enough to need a new summary gets one.
+
+process.env.JWT_SECRET = "test-secret";
+process.env.THREADS_TABLE = "Threads";
+process.env.MESSAGES_TABLE = "Messages";
+process.env.SESSIONS_TABLE = "Sessions";
+process.env.AI_PROVIDER = "bedrock";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const jwt = require("jsonwebtoken");
+const { BedrockRuntimeClient } = require("@aws-sdk/client-bedrock-runtime");
+const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+
+const TEMPLATE_PATH = path.join(__dirname, "..", "..", "..", "template.yaml");
+const USER_ID = "user-1";
+const THREAD_ID = "thread-1";
+
+// Bedrock actions granted by a function's inline policy statements.
+function bedrockActions(functionName) {
+  const template = YAML.parse(fs.readFileSync(TEMPLATE_PATH, "utf8"), {
+    logLevel: "silent",
+  });
+  const policies = template.Resources[functionName].Properties.Policies;
+
+  return new Set(
+    policies
+      .flatMap((policy) => policy.Statement || [])
+      .flatMap((statement) => [].concat(statement.Action))
+      .filter((action) => action.startsWith("bedrock:"))
+  );
+}
+
+const COMMAND_ACTIONS = {
+  InvokeModelCommand: "bedrock:InvokeModel",
+  InvokeModelWithResponseStreamCommand: "bedrock:InvokeModelWithResponseStream",
+};
+
+function encode(value) {
+  return new TextEncoder().encode(JSON.stringify(value));
+}
+
+async function* streamAnswer(toolInput) {
+  yield {
+    chunk: {
+      bytes: encode({
+        type: "content_block_delta",
+        delta: {
+          type: "input_json_delta",
+          partial_json: JSON.stringify(toolInput),
+        },
+      }),
+    },
+  };
+  yield {
+    chunk: {
+      bytes: encode({
+        type: "message_stop",
+        "amazon-bedrock-invocationMetrics": {
+          inputTokenCount: 120,
+          outputTokenCount: 30,
+        },
+      }),
+    },
+  };
+}
+
+// Enough alternating turns that the oldest no longer fit the recent window.
+function buildMessages(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    thread_id: THREAD_ID,
+    ...(index % 2 === 0
+      ? { role: "user" }
+      : { role: "ai", source: "ai_service" }),
+    content: `Turn ${index + 1} about the cart total.`,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, index)).toISOString(),
+  }));
+}
+
+test("the stream function can update a thread's rolling summary", async () => {
+  const allowedActions = bedrockActions("AIStreamFunction");
+  const deniedActions = [];
+  const savedSummaries = [];
+
+  BedrockRuntimeClient.prototype.send = async function send(command) {
+    const action = COMMAND_ACTIONS[command.constructor.name];
+    if (!allowedActions.has(action)) {
+      deniedActions.push(action);
+      const err = new Error(`Not authorized to perform ${action}`);
+      err.name = "AccessDeniedException";
+      err.$metadata = { httpStatusCode: 403 };
+      throw err;
+    }
+
+    if (action === "bedrock:InvokeModel") {
+      return {
+        body: encode({
+          content: [{ type: "text", text: "The user is tidying cartTotal." }],
+          usage: { input_tokens: 80, output_tokens: 12 },
+        }),
+      };
+    }
+
+    return { body: streamAnswer({ analysis: "It sums the cart.", hunks: [] }) };
+  };
+
+  DynamoDBDocumentClient.prototype.send = async function send(command) {
+    const { input } = command;
+    const name = command.constructor.name;
+
+    if (name === "GetCommand" && input.TableName === "Threads") {
+      return {
+        Item: {
+          thread_id: THREAD_ID,
+          user_id: USER_ID,
+          session_id: "session-1",
+        },
+      };
+    }
+    if (name === "QueryCommand" && input.TableName === "Messages") {
+      return { Items: buildMessages(18) };
+    }
+    if (
+      name === "UpdateCommand" &&
+      input.TableName === "Threads" &&
+      input.ExpressionAttributeValues?.[":summary"]
+    ) {
+      savedSummaries.push(input.ExpressionAttributeValues[":summary"]);
+    }
+    return {};
+  };
+
+  const written = [];
+  globalThis.awslambda = {
+    streamifyResponse: (handler) => handler,
+    HttpResponseStream: {
+      from: (responseStream) => responseStream,
+    },
+  };
+  const { streamHandler } = require("..");
+
+  const token = jwt.sign({ sub: USER_ID, type: "ai_stream" }, "test-secret", {
+    issuer: "codesensei",
+  });
+  await streamHandler(
+    {
+      requestContext: { http: { method: "POST" } },
+      headers: { authorization: `Bearer ${token}` },
+      body: JSON.stringify({
+        thread_id: THREAD_ID,
+        code: "function cartTotal(items) {\n  return 0;\n}",
+        language: "javascript",
+        prompt: "What does cartTotal do?",
+        mode: "explain",
+      }),
+    },
+    {
+      write: (line) => written.push(JSON.parse(line)),
+      end: () => {},
+    }
+  );
+
+  assert.deepEqual(deniedActions, []);
+  assert.equal(written.at(-1).type, "result");
+  assert.equal(savedSummaries.length, 1);
+  assert.equal(savedSummaries[0].text, "The user is tidying cartTotal.");
+});
@@ -0,0 +1,168 @@
+// Every model call an analysis makes (the summary update, the answer and a
+// syntax repair) is reserved against the caller's token windows and settled
+// with its real usage, each exactly once.
+
+process.env.JWT_SECRET = "test-secret";
+process.env.THREADS_TABLE = "Threads";
+process.env.MESSAGES_TABLE = "Messages";
+process.env.SESSIONS_TABLE = "Sessions";
+process.env.RATE_LIMITS_TABLE = "RateLimits";
+process.env.AI_PROVIDER = "budget-test";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+const { registerModelProvider } = require("../providers");
+
+const USER_ID = "user-1";
+const THREAD_ID = "thread-1";
+const CODE = "function cartTotal(items) {\n  return 0;\n}";
+
+const USAGE = {
+  summarize: { input_tokens: 80, output_tokens: 12 },
+  analysis: { input_tokens: 120, output_tokens: 30 },
+  repair: { input_tokens: 140, output_tokens: 25 },
+};
+
+const calls = [];
+registerModelProvider("budget-test", {
+  name: "budget-test",
+  modelId: "budget-test",
+  async invoke({ context }) {
+    if (context.intent === "summarize") {
+      calls.push("summarize");
+      return { text: "The user is tidying cartTotal.", usage: USAGE.summarize };
+    }
+
+    calls.push("repair");
+    return {
+      text: "",
+      toolInput: {
+        analysis: "Sums the item prices.",
+        hunks: [
+          {
+            start_line: 2,
+            end_line: 2,
+            text: "  return items.reduce((sum, item) => sum + item.price, 0);",
+          },
+        ],
+      },
+      usage: USAGE.repair,
+    };
+  },
+  // The first answer drops a closing parenthesis.
+  async invokeStream() {
+    calls.push("analysis");
+    return {
+      text: "",
+      toolInput: {
+        analysis: "Sums the item prices.",
+        hunks: [
+          {
+            start_line: 2,
+            end_line: 2,
+            text: "  return items.reduce((sum, item) => sum + item.price, 0;",
+          },
+        ],
+      },
+      usage: USAGE.analysis,
+    };
+  },
+});
+
+// Enough alternating turns that the oldest no longer fit the recent window.
+function buildMessages(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    thread_id: THREAD_ID,
+    ...(index % 2 === 0
+      ? { role: "user" }
+      : { role: "ai", source: "ai_service" }),
+    content: `Turn ${index + 1} about the cart total.`,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, index)).toISOString(),
+  }));
+}
+
+function totalTokens(usage) {
+  return usage.input_tokens + usage.output_tokens;
+}
+
+test("summary and repair calls are charged to the token budget", async () => {
+  const windowTokens = new Map();
+  let reservations = 0;
+
+  DynamoDBDocumentClient.prototype.send = async function send(command) {
+    const { input } = command;
+    const name = command.constructor.name;
+
+    if (name === "UpdateCommand" && input.TableName === "RateLimits") {
+      const key = input.Key.rate_key;
+      if (input.UpdateExpression.includes("SET #ttl")) {
+        reservations += 1;
+      }
+      windowTokens.set(
+        key,
+        (windowTokens.get(key) || 0) + input.ExpressionAttributeValues[":tokens"]
+      );
+      return {};
+    }
+    if (name === "GetCommand" && input.TableName === "Threads") {
+      return {
+        Item: {
+          thread_id: THREAD_ID,
+          user_id: USER_ID,
+          session_id: "session-1",
+        },
+      };
+    }
+    if (name === "QueryCommand" && input.TableName === "Messages") {
+      return { Items: buildMessages(18) };
+    }
+    return {};
+  };
+
+  const written = [];
+  globalThis.awslambda = {
+    streamifyResponse: (handler) => handler,
+    HttpResponseStream: {
+      from: (responseStream) => responseStream,
+    },
+  };
+  const { streamHandler } = require("..");
+
+  const token = jwt.sign({ sub: USER_ID, type: "ai_stream" }, "test-secret", {
+    issuer: "codesensei",
+  });
+  await streamHandler(
+    {
+      requestContext: { http: { method: "POST" } },
+      headers: { authorization: `Bearer ${token}` },
+      body: JSON.stringify({
+        thread_id: THREAD_ID,
+        code: CODE,
+        language: "javascript",
+        prompt: "Make cartTotal add up the prices.",
+        mode: "improve",
+      }),
+    },
+    {
+      write: (line) => written.push(JSON.parse(line)),
+      end: () => {},
+    }
+  );
+
+  assert.equal(written.at(-1).type, "result");
+  assert.equal(written.at(-1).data.validation.status, "repaired");
+  assert.deepEqual(calls, ["summarize", "analysis", "repair"]);
+
+  // One reservation per call, each in both the minute and the hour window.
+  assert.equal(reservations, 3 * 2);
+  const expected =
+    totalTokens(USAGE.summarize) +
+    totalTokens(USAGE.analysis) +
+    totalTokens(USAGE.repair);
+  assert.equal(windowTokens.size, 2);
+  for (const tokens of windowTokens.values()) {
+    assert.equal(tokens, expected);
+  }
+});
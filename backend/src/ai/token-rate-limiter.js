@@ -0,0 +1,176 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const RATE_LIMITS_TABLE = process.env.RATE_LIMITS_TABLE;
+
+// Fixed windows per user, kept in RATE_LIMITS_TABLE next to the request
+// counters of the other endpoints.
+const TOKEN_WINDOWS = [
+  {
+    name: "minute",
+    seconds: 60,
+    limit: Number(process.env.AI_TOKENS_PER_MINUTE || 60000),
+  },
+  {
+    name: "hour",
+    seconds: 3600,
+    limit: Number(process.env.AI_TOKENS_PER_HOUR || 600000),
+  },
+];
+
+function locateWindow(userId, window, now) {
+  const index = Math.floor(now / (window.seconds * 1000));
+  return {
+    rateKey: `ai_tokens#${userId}#${window.name}#${index}`,
+    resetsAt: (index + 1) * window.seconds * 1000,
+  };
+}
+
+// A request bigger than a whole window's budget still runs, alone, in a
+// fresh window, so large files are slowed down rather than locked out.
+function tokenCeiling(window, tokens) {
+  return Math.max(0, window.limit - tokens);
+}
+
+async function readWindowTokens(rateKey) {
+  const result = await documentClient.send(
+    new GetCommand({
+      TableName: RATE_LIMITS_TABLE,
+      Key: { rate_key: rateKey },
+    })
+  );
+  return result.Item?.tokens || 0;
+}
+
+function buildLimitError(window, resetsAt, used, requested, now) {
+  const limitError = new Error("TOKEN_RATE_LIMIT_EXCEEDED");
+  limitError.details = {
+    window: window.name,
+    limit: window.limit,
+    remaining: Math.max(0, window.limit - used),
+    requested_tokens: requested,
+    retry_after_seconds: Math.max(1, Math.ceil((resetsAt - now) / 1000)),
+    resets_at: new Date(resetsAt).toISOString(),
+  };
+  return limitError;
+}
+
+async function adjustTokens(rateKeys, tokens) {
+  await Promise.all(
+    rateKeys.map((rateKey) =>
+      documentClient
+        .send(
+          new UpdateCommand({
+            TableName: RATE_LIMITS_TABLE,
+            Key: { rate_key: rateKey },
+            UpdateExpression: "ADD tokens :tokens",
+            // An expired window is not brought back without its TTL.
+            ConditionExpression: "attribute_exists(rate_key)",
+            ExpressionAttributeValues: { ":tokens": tokens },
+          })
+        )
+        .catch((err) => {
+          if (err.name !== "ConditionalCheckFailedException") {
+            throw err;
+          }
+        })
+    )
+  );
+}
+
+/**
+ * Deducts `estimatedTokens` from the user's minute and hour budgets before a
+ * model call. Throws TOKEN_RATE_LIMIT_EXCEEDED (with err.details naming the
+ * window, what is left of it and when it resets) when either would go over;
+ * nothing stays deducted then. The returned reservation goes to
+ * settleTokens once the call's real usage is known.
+ */
+async function reserveTokens(userId, estimatedTokens) {
+  if (!RATE_LIMITS_TABLE) {
+    return null;
+  }
+
+  const now = Date.now();
+  const reservedKeys = [];
+
+  for (const window of TOKEN_WINDOWS) {
+    const { rateKey, resetsAt } = locateWindow(userId, window, now);
+    try {
+      await documentClient.send(
+        new UpdateCommand({
+          TableName: RATE_LIMITS_TABLE,
+          Key: { rate_key: rateKey },
+          UpdateExpression: "ADD tokens :tokens SET #ttl = :ttl",
+          ConditionExpression:
+            "attribute_not_exists(tokens) OR tokens <= :ceiling",
+          ExpressionAttributeNames: { "#ttl": "ttl" },
+          ExpressionAttributeValues: {
+            ":tokens": estimatedTokens,
+            ":ceiling": tokenCeiling(window, estimatedTokens),
+            ":ttl": Math.floor(resetsAt / 1000) + 60,
+          },
+        })
+      );
+      reservedKeys.push(rateKey);
+    } catch (err) {
+      await adjustTokens(reservedKeys, -estimatedTokens);
+      if (err.name !== "ConditionalCheckFailedException") {
+        throw err;
+      }
+
+      const used = await readWindowTokens(rateKey);
+      throw buildLimitError(window, resetsAt, used, estimatedTokens, now);
+    }
+  }
+
+  return { rateKeys: reservedKeys, estimatedTokens };
+}
+
+/**
+ * Replaces a reservation's estimate with the tokens the call really used,
+ * charged to the windows it was reserved in. Failed calls and cache hits
+ * settle with 0. Failures are logged rather than thrown.
+ */
+async function settleTokens(reservation, usedTokens) {
+  if (!reservation || usedTokens === reservation.estimatedTokens) {
+    return;
+  }
+
+  try {
+    await adjustTokens(
+      reservation.rateKeys,
+      usedTokens - reservation.estimatedTokens
+    );
+  } catch (err) {
+    console.error("[ai] Failed to settle AI token budget:", err);
+  }
+}
+
+// Throws TOKEN_RATE_LIMIT_EXCEEDED when a budget is already spent, for
+// requests that reserve later, such as background jobs.
+async function assertTokenBudgetAvailable(userId) {
+  if (!RATE_LIMITS_TABLE) {
+    return;
+  }
+
+  const now = Date.now();
+  for (const window of TOKEN_WINDOWS) {
+    const { rateKey, resetsAt } = locateWindow(userId, window, now);
+    const used = await readWindowTokens(rateKey);
+    if (used >= window.limit) {
+      throw buildLimitError(window, resetsAt, used, 0, now);
+    }
+  }
+}
+
+module.exports = {
+  reserveTokens,
+  settleTokens,
+  assertTokenBudgetAvailable,
+};
@@ -0,0 +1,49 @@
+// Languages a session can be translated into, matching the editor's language
+// picker, with the file extension a translated session gets.
+const TRANSLATION_LANGUAGES = {
+  JavaScript: ".js",
+  TypeScript: ".ts",
+  Python: ".py",
+  Java: ".java",
+  Go: ".go",
+  Rust: ".rs",
+  "C++": ".cpp",
+  C: ".c",
+  "C#": ".cs",
+  PHP: ".php",
+  Ruby: ".rb",
+  HTML: ".html",
+  CSS: ".css",
+  SQL: ".sql",
+  JSON: ".json",
+  YAML: ".yaml",
+  Markdown: ".md",
+  Shell: ".sh",
+};
+
+// Canonical name for a language, matched case-insensitively; null when the
+// language cannot be a translation target.
+function resolveTranslationLanguage(value) {
+  const normalized = String(value || "").trim().toLowerCase();
+  return (
+    Object.keys(TRANSLATION_LANGUAGES).find(
+      (language) => language.toLowerCase() === normalized
+    ) || null
+  );
+}
+
+// cart_utils.py -> cart_utils.go. Dotfiles and names without an extension
+// keep their whole name as the stem.
+function deriveTranslatedFilename(filename, language) {
+  const name = String(filename || "").trim() || "untitled";
+  const lastDot = name.lastIndexOf(".");
+  const stem = lastDot > 0 ? name.slice(0, lastDot) : name;
+
+  return `${stem}${TRANSLATION_LANGUAGES[language] || ""}`;
+}
+
+module.exports = {
+  TRANSLATION_LANGUAGES,
+  resolveTranslationLanguage,
+  deriveTranslatedFilename,
+};
@@ -0,0 +1,265 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const AI_USAGE_TABLE = process.env.AI_USAGE_TABLE;
+const DEFAULT_PLAN = "free";
+const DEFAULT_MONTHLY_TOKEN_BUDGETS = {
+  free: 200000,
+  pro: 2000000,
+  team: 10000000,
+};
+const CALL_RECORD_TTL_DAYS = 400;
+const USAGE_HISTORY_MONTHS = 6;
+
+if (!AI_USAGE_TABLE) {
+  console.warn("[ai] AI_USAGE_TABLE environment variable is not set.");
+}
+
+// AI_MONTHLY_TOKEN_BUDGETS is a JSON object of plan -> tokens, merged over
+// the defaults so a deployment only has to list the tiers it changes.
+function loadMonthlyBudgets() {
+  const raw = process.env.AI_MONTHLY_TOKEN_BUDGETS;
+  if (!raw) {
+    return DEFAULT_MONTHLY_TOKEN_BUDGETS;
+  }
+
+  try {
+    return { ...DEFAULT_MONTHLY_TOKEN_BUDGETS, ...JSON.parse(raw) };
+  } catch (err) {
+    console.error("[ai] Invalid AI_MONTHLY_TOKEN_BUDGETS, using defaults:", err);
+    return DEFAULT_MONTHLY_TOKEN_BUDGETS;
+  }
+}
+
+const MONTHLY_TOKEN_BUDGETS = loadMonthlyBudgets();
+
+function getPeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function getPeriodResetAt(date = new Date()) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+  ).toISOString();
+}
+
+function getMonthlyBudget(plan) {
+  const budget = Number(MONTHLY_TOKEN_BUDGETS[plan]);
+  return Number.isFinite(budget) && budget >= 0
+    ? budget
+    : Number(MONTHLY_TOKEN_BUDGETS[DEFAULT_PLAN]);
+}
+
+async function getUserPlan(userId) {
+  if (!USERS_TABLE) {
+    return DEFAULT_PLAN;
+  }
+
+  const result = await documentClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { user_id: userId },
+      ProjectionExpression: "#plan",
+      ExpressionAttributeNames: { "#plan": "plan" },
+    })
+  );
+
+  const plan = result.Item?.plan;
+  return typeof plan === "string" && MONTHLY_TOKEN_BUDGETS[plan] !== undefined
+    ? plan
+    : DEFAULT_PLAN;
+}
+
+async function getPeriodTotals(userId, period) {
+  const result = await documentClient.send(
+    new GetCommand({
+      TableName: AI_USAGE_TABLE,
+      Key: { user_id: userId, usage_key: `MONTH#${period}` },
+    })
+  );
+
+  return {
+    input_tokens: result.Item?.input_tokens || 0,
+    output_tokens: result.Item?.output_tokens || 0,
+    total_tokens: result.Item?.total_tokens || 0,
+    calls: result.Item?.calls || 0,
+  };
+}
+
+/**
+ * Throws MONTHLY_TOKEN_QUOTA_EXCEEDED (with err.details) once the user has
+ * spent their plan's budget for the current calendar month (UTC).
+ */
+async function assertWithinMonthlyQuota(userId) {
+  if (!AI_USAGE_TABLE) {
+    return;
+  }
+
+  const plan = await getUserPlan(userId);
+  const budget = getMonthlyBudget(plan);
+  const period = getPeriod();
+  const totals = await getPeriodTotals(userId, period);
+
+  if (totals.total_tokens >= budget) {
+    const quotaError = new Error("MONTHLY_TOKEN_QUOTA_EXCEEDED");
+    quotaError.details = {
+      plan,
+      period,
+      budget,
+      used: totals.total_tokens,
+      resets_at: getPeriodResetAt(),
+    };
+    throw quotaError;
+  }
+}
+
+function buildCounterUpdate(userId, usageKey, usage, label) {
+  return new UpdateCommand({
+    TableName: AI_USAGE_TABLE,
+    Key: { user_id: userId, usage_key: usageKey },
+    UpdateExpression:
+      "ADD input_tokens :input, output_tokens :output, total_tokens :total, calls :one SET #label = :label, updated_at = :now",
+    ExpressionAttributeNames: {
+      "#label": label.name,
+    },
+    ExpressionAttributeValues: {
+      ":input": usage.input_tokens,
+      ":output": usage.output_tokens,
+      ":total": usage.input_tokens + usage.output_tokens,
+      ":one": 1,
+      ":label": label.value,
+      ":now": new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Records one AI call: a CALL# item for the ledger plus running totals on
+ * the MONTH# and DAY# counters that quota checks and GET /ai/usage read.
+ * Failures are logged rather than thrown so a ledger hiccup never fails a
+ * response the user has already paid for.
+ */
+async function recordUsage({ userId, threadId, intent, modelId, usage }) {
+  if (!AI_USAGE_TABLE || !usage) {
+    return;
+  }
+
+  const now = new Date();
+  const createdAt = now.toISOString();
+  const period = getPeriod(now);
+  const day = createdAt.slice(0, 10);
+
+  try {
+    await documentClient.send(
+      new PutCommand({
+        TableName: AI_USAGE_TABLE,
+        Item: {
+          user_id: userId,
+          usage_key: `CALL#${createdAt}#${uuidv4()}`,
+          ...(threadId ? { thread_id: threadId } : {}),
+          intent,
+          model_id: modelId,
+          input_tokens: usage.input_tokens,
+          output_tokens: usage.output_tokens,
+          total_tokens: usage.input_tokens + usage.output_tokens,
+          created_at: createdAt,
+          ttl: Math.floor(now.getTime() / 1000) + CALL_RECORD_TTL_DAYS * 86400,
+        },
+      })
+    );
+
+    await Promise.all([
+      documentClient.send(
+        buildCounterUpdate(userId, `MONTH#${period}`, usage, {
+          name: "period",
+          value: period,
+        })
+      ),
+      documentClient.send(
+        buildCounterUpdate(userId, `DAY#${day}`, usage, {
+          name: "day",
+          value: day,
+        })
+      ),
+    ]);
+  } catch (err) {
+    console.error("[ai] Failed to record AI usage:", err);
+  }
+}
+
+async function queryCounters(userId, prefix, limit) {
+  const result = await documentClient.send(
+    new QueryCommand({
+      TableName: AI_USAGE_TABLE,
+      KeyConditionExpression:
+        "user_id = :userId AND begins_with(usage_key, :prefix)",
+      ExpressionAttributeValues: {
+        ":userId": userId,
+        ":prefix": prefix,
+      },
+      ScanIndexForward: false,
+      ...(limit ? { Limit: limit } : {}),
+    })
+  );
+
+  return (result.Items || []).map((item) => ({
+    ...(item.period ? { period: item.period } : {}),
+    ...(item.day ? { day: item.day } : {}),
+    input_tokens: item.input_tokens || 0,
+    output_tokens: item.output_tokens || 0,
+    total_tokens: item.total_tokens || 0,
+    calls: item.calls || 0,
+  }));
+}
+
+async function getUsageSummary(userId) {
+  const plan = await getUserPlan(userId);
+  const budget = getMonthlyBudget(plan);
+  const period = getPeriod();
+
+  if (!AI_USAGE_TABLE) {
+    return {
+      plan,
+      period,
+      budget,
+      used: { input_tokens: 0, output_tokens: 0, total_tokens: 0, calls: 0 },
+      remaining: budget,
+      resets_at: getPeriodResetAt(),
+      daily: [],
+      monthly: [],
+    };
+  }
+
+  const [used, daily, monthly] = await Promise.all([
+    getPeriodTotals(userId, period),
+    queryCounters(userId, `DAY#${period}`),
+    queryCounters(userId, "MONTH#", USAGE_HISTORY_MONTHS),
+  ]);
+
+  return {
+    plan,
+    period,
+    budget,
+    used,
+    remaining: Math.max(0, budget - used.total_tokens),
+    resets_at: getPeriodResetAt(),
+    daily: daily.reverse(),
+    monthly: monthly.reverse(),
+  };
+}
+
+module.exports = {
+  assertWithinMonthlyQuota,
+  recordUsage,
+  getUsageSummary,
+};
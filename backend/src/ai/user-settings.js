@@ -0,0 +1,53 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
+
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+/**
+ * Whether the user turned on strict secret mode in Settings, which refuses
+ * to send code containing credentials to the model instead of masking them.
+ *
+ * Unlike the prompt template, a failed read is not ignored: silently falling
+ * back to masking would break the user's explicit choice.
+ */
+async function loadStrictSecretMode(userId) {
+  if (!USERS_TABLE) {
+    return false;
+  }
+
+  const result = await documentClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { user_id: userId },
+      ProjectionExpression: "strict_secret_mode",
+    })
+  );
+
+  return result.Item?.strict_secret_mode === true;
+}
+
+// Admins are marked with role "admin" on their user item; there is no
+// endpoint for granting it.
+async function isAdminUser(userId) {
+  if (!USERS_TABLE) {
+    return false;
+  }
+
+  const result = await documentClient.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { user_id: userId },
+      ProjectionExpression: "#role",
+      ExpressionAttributeNames: { "#role": "role" },
+    })
+  );
+
+  return result.Item?.role === "admin";
+}
+
+module.exports = {
+  loadStrictSecretMode,
+  isAdminUser,
+};
@@ -21,9 +21,6 @@ const MAX_MESSAGES_PER_THREAD = Number(
 const MAX_USER_MESSAGE_LENGTH = Number(
   process.env.MAX_USER_MESSAGE_LENGTH || 5000,
 );
-const MAX_AI_MESSAGE_LENGTH = Number(
-  process.env.MAX_AI_MESSAGE_LENGTH || 20000,
-);
 
 if (!MESSAGES_TABLE) {
   console.warn(
@@ -72,6 +69,9 @@ function encodeCursor(key) {
   return Buffer.from(JSON.stringify(key)).toString('base64');
 }
 
+// AI messages are written only by the AI service, which the conversation
+// history trusts; clients post their own questions and system notes such as
+// patch confirmations.
 function sanitizeRole(value) {
   if (typeof value !== 'string') {
     throw new Error('INVALID_ROLE');
@@ -79,14 +79,14 @@ function sanitizeRole(value) {
 
   const normalized = value.trim().toLowerCase();
 
-  if (normalized !== 'user' && normalized !== 'ai') {
+  if (normalized !== 'user' && normalized !== 'system') {
     throw new Error('INVALID_ROLE');
   }
 
   return normalized;
 }
 
-function sanitizeContent(value, role) {
+function sanitizeContent(value) {
   if (typeof value !== 'string') {
     throw new Error('INVALID_CONTENT');
   }
@@ -97,49 +97,29 @@ function sanitizeContent(value, role) {
     throw new Error('INVALID_CONTENT_EMPTY');
   }
 
-  if (role === 'user' && trimmed.length > MAX_USER_MESSAGE_LENGTH) {
-    throw new Error('MESSAGE_TOO_LONG_USER');
-  }
-
-  if (role === 'ai' && trimmed.length > MAX_AI_MESSAGE_LENGTH) {
-    throw new Error('MESSAGE_TOO_LONG_AI');
+  if (trimmed.length > MAX_USER_MESSAGE_LENGTH) {
+    throw new Error('MESSAGE_TOO_LONG');
   }
 
   return trimmed;
 }
 
-function sanitizeContextMode(value) {
-  if (value === undefined || value === null) {
-    return undefined;
-  }
-
-  if (typeof value !== 'string') {
-    throw new Error('INVALID_CONTEXT_MODE');
-  }
-
-  const normalized = value.trim().toLowerCase();
-
-  if (normalized !== 'full' && normalized !== 'local') {
-    throw new Error('INVALID_CONTEXT_MODE');
-  }
-
-  return normalized;
-}
-
-function sanitizeTokenCount(value) {
-  if (value === undefined || value === null) {
-    return undefined;
-  }
-
-  if (typeof value !== 'number' || !Number.isFinite(value)) {
-    throw new Error('INVALID_TOKEN_COUNT');
-  }
-
-  if (!Number.isInteger(value) || value < 0) {
-    throw new Error('INVALID_TOKEN_COUNT');
+// System messages record that an AI answer's patch was applied.
+function sanitizeConfirmationMetadata(value) {
+  if (
+    !value ||
+    typeof value !== 'object' ||
+    value.patch_applied !== true ||
+    typeof value.applied_from_message_id !== 'string' ||
+    !value.applied_from_message_id
+  ) {
+    throw new Error('INVALID_METADATA');
   }
 
-  return value;
+  return {
+    patch_applied: true,
+    applied_from_message_id: value.applied_from_message_id,
+  };
 }
 
 async function fetchThreadById(threadId) {
@@ -192,113 +172,13 @@ async function handleCreateMessage(event) {
 
   let role;
   let content;
-  let contextMode;
-  let tokenCount;
   let metadata;
 
   try {
     role = sanitizeRole(payload.role);
-    content = sanitizeContent(payload.content, role);
-
-    if (payload.context_mode !== undefined) {
-      contextMode = sanitizeContextMode(payload.context_mode);
-    }
-
-    if (payload.token_count !== undefined) {
-      tokenCount = sanitizeTokenCount(payload.token_count);
-    }
-
-    if (role === 'ai' && payload.metadata !== undefined) {
-      if (payload.metadata === null || typeof payload.metadata !== 'object' || Array.isArray(payload.metadata)) {
-        throw new Error('INVALID_METADATA');
-      }
-
-      metadata = {};
-
-      if (payload.metadata.analysis !== undefined) {
-        if (typeof payload.metadata.analysis !== 'string') {
-          throw new Error('INVALID_METADATA_ANALYSIS');
-        }
-        metadata.analysis = payload.metadata.analysis;
-      }
-
-      // Support new format: single replacement field
-      if (payload.metadata.replacement !== undefined) {
-        if (typeof payload.metadata.replacement !== 'string') {
-          throw new Error('INVALID_METADATA_REPLACEMENT');
-        }
-        metadata.replacement = payload.metadata.replacement;
-      }
-
-      // Legacy support: changes array (for backwards compatibility)
-      if (payload.metadata.changes !== undefined) {
-        if (!Array.isArray(payload.metadata.changes)) {
-          throw new Error('INVALID_METADATA_CHANGES');
-        }
-
-        metadata.changes = payload.metadata.changes.map((change) => {
-          if (
-            !change ||
-            typeof change !== 'object' ||
-            !Number.isInteger(change.start_line) ||
-            !Number.isInteger(change.end_line) ||
-            change.start_line < 1 ||
-            change.end_line < change.start_line ||
-            typeof change.replacement !== 'string'
-          ) {
-            throw new Error('INVALID_METADATA_CHANGE');
-          }
-
-          return {
-            start_line: change.start_line,
-            end_line: change.end_line,
-            replacement: change.replacement,
-          };
-        });
-      }
-
-      if (payload.metadata.context_mode !== undefined) {
-        metadata.context_mode = sanitizeContextMode(payload.metadata.context_mode);
-        if (contextMode === undefined) {
-          contextMode = metadata.context_mode;
-        }
-      }
-
-      if (payload.metadata.token_count !== undefined) {
-        metadata.token_count = sanitizeTokenCount(payload.metadata.token_count);
-        if (tokenCount === undefined) {
-          tokenCount = metadata.token_count;
-        }
-      }
-
-      if (payload.metadata.patch_applied !== undefined) {
-        if (typeof payload.metadata.patch_applied !== 'boolean') {
-          throw new Error('INVALID_METADATA_PATCH_APPLIED');
-        }
-        metadata.patch_applied = payload.metadata.patch_applied;
-      }
-
-      if (payload.metadata.applied_from_message_id !== undefined) {
-        if (typeof payload.metadata.applied_from_message_id !== 'string') {
-          throw new Error('INVALID_METADATA_APPLIED_FROM');
-        }
-        metadata.applied_from_message_id = payload.metadata.applied_from_message_id;
-      }
-
-      if (payload.metadata.intent !== undefined) {
-        if (typeof payload.metadata.intent !== 'string') {
-          throw new Error('INVALID_METADATA_INTENT');
-        }
-        const normalizedIntent = payload.metadata.intent.trim().toLowerCase();
-        if (
-          normalizedIntent !== 'improve' &&
-          normalizedIntent !== 'explain' &&
-          normalizedIntent !== 'info'
-        ) {
-          throw new Error('INVALID_METADATA_INTENT');
-        }
-        metadata.intent = normalizedIntent;
-      }
+    content = sanitizeContent(payload.content);
+    if (role === 'system') {
+      metadata = sanitizeConfirmationMetadata(payload.metadata);
     }
   } catch (err) {
     switch (err.message) {
@@ -306,7 +186,7 @@ async function handleCreateMessage(event) {
         return error(
           400,
           'INVALID_INPUT',
-          'role must be either "user" or "ai".',
+          'role must be either "user" or "system". AI messages are saved by the AI service.',
           'role',
         );
       case 'INVALID_CONTENT':
@@ -317,113 +197,25 @@ async function handleCreateMessage(event) {
           'content must be a non-empty string.',
           'content',
         );
-      case 'MESSAGE_TOO_LONG_USER':
+      case 'MESSAGE_TOO_LONG':
         return error(
           400,
           'MESSAGE_TOO_LONG',
-          `User messages are limited to ${MAX_USER_MESSAGE_LENGTH} characters.`,
+          `Messages are limited to ${MAX_USER_MESSAGE_LENGTH} characters.`,
           'content',
         );
-      case 'MESSAGE_TOO_LONG_AI':
-        return error(
-          400,
-          'MESSAGE_TOO_LONG',
-          `AI messages are limited to ${MAX_AI_MESSAGE_LENGTH} characters.`,
-          'content',
-        );
-      case 'INVALID_CONTEXT_MODE':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'context_mode must be "full" or "local".',
-          'context_mode',
-        );
-      case 'INVALID_TOKEN_COUNT':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'token_count must be a non-negative integer.',
-          'token_count',
-        );
       case 'INVALID_METADATA':
         return error(
           400,
           'INVALID_INPUT',
-          'metadata must be an object.',
+          'System messages need metadata with patch_applied: true and an applied_from_message_id string.',
           'metadata',
         );
-      case 'INVALID_METADATA_ANALYSIS':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'metadata.analysis must be a string.',
-          'metadata.analysis',
-        );
-      case 'INVALID_METADATA_REPLACEMENT':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'metadata.replacement must be a string.',
-          'metadata.replacement',
-        );
-      case 'INVALID_METADATA_CHANGES':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'metadata.changes must be an array.',
-          'metadata.changes',
-        );
-      case 'INVALID_METADATA_CHANGE':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'Each metadata.changes item must include start_line, end_line, and replacement.',
-          'metadata.changes',
-        );
-      case 'INVALID_METADATA_PATCH_APPLIED':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'metadata.patch_applied must be a boolean.',
-          'metadata.patch_applied',
-        );
-      case 'INVALID_METADATA_APPLIED_FROM':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'metadata.applied_from_message_id must be a string.',
-          'metadata.applied_from_message_id',
-        );
-      case 'INVALID_METADATA_INTENT':
-        return error(
-          400,
-          'INVALID_INPUT',
-          'metadata.intent must be "improve", "explain", or "info".',
-          'metadata.intent',
-        );
       default:
         throw err;
     }
   }
 
-  if (contextMode !== undefined && role !== 'ai') {
-    return error(
-      400,
-      'INVALID_INPUT',
-      'context_mode can only be set for AI messages.',
-      'context_mode',
-    );
-  }
-
-  if (tokenCount !== undefined && role !== 'ai') {
-    return error(
-      400,
-      'INVALID_INPUT',
-      'token_count can only be set for AI messages.',
-      'token_count',
-    );
-  }
-
   try {
     const thread = await fetchThreadById(threadId);
 
@@ -465,14 +257,6 @@ async function handleCreateMessage(event) {
         created_at: timestamp,
       };
 
-      if (contextMode !== undefined) {
-        item.context_mode = contextMode;
-      }
-
-      if (tokenCount !== undefined) {
-        item.token_count = tokenCount;
-      }
-
       if (metadata && Object.keys(metadata).length > 0) {
         item.metadata = metadata;
       }
@@ -495,14 +279,6 @@ async function handleCreateMessage(event) {
           user_id: item.user_id,
         };
 
-        if (item.context_mode !== undefined) {
-          responseMessage.context_mode = item.context_mode;
-        }
-
-        if (item.token_count !== undefined) {
-          responseMessage.token_count = item.token_count;
-        }
-
         if (item.metadata !== undefined) {
           responseMessage.metadata = item.metadata;
         }
@@ -3,15 +3,40 @@ const {
   DynamoDBDocumentClient,
   QueryCommand,
   GetCommand,
-  PutCommand,
   UpdateCommand,
   DeleteCommand,
+  TransactWriteCommand,
 } = require('@aws-sdk/lib-dynamodb');
 const { v4: uuidv4 } = require('uuid');
 
 const { authRequired } = require('./shared/auth-middleware');
 const { success, error } = require('./shared/response-helpers');
 const { assertWithinRateLimit } = require('./shared/rate-limiter');
+const {
+  CONTENT_FIELDS,
+  storeSessionContent,
+  pickStoredContent,
+  loadSessionContent,
+  discardStoredContent,
+  deleteSessionContent,
+} = require('./shared/session-content');
+const {
+  MAX_VERSION_LABEL_LENGTH,
+  sanitizeVersionLabel,
+  buildVersionItem,
+  buildVersionPut,
+  toVersionSummary,
+  listSessionVersions,
+  getSessionVersion,
+  deleteSessionVersions,
+} = require('./session-versions');
+const { mergeThreeWay } = require('./three-way-merge');
+const {
+  MAX_SAVE_EDITS,
+  parseTextEdits,
+  applyTextEdits,
+  hashContent,
+} = require('./text-edits');
 
 const client = new DynamoDBClient({});
 const documentClient = DynamoDBDocumentClient.from(client);
@@ -20,12 +45,16 @@ const SESSIONS_TABLE = process.env.SESSIONS_TABLE;
 const MAX_SESSIONS_PER_USER = Number(process.env.MAX_SESSIONS_PER_USER || 100);
 const MAX_CODE_SIZE_BYTES =
   Number(process.env.MAX_SESSION_CODE_BYTES || 5 * 1024 * 1024);
+// Lambda responses are capped at 6MB, and a merge conflict carries the code
+// up to four times over, so larger conflicts are reported without it.
+const MAX_MERGE_CONFLICT_BYTES = 5 * 1024 * 1024;
 const SESSION_SAVE_RATE_LIMIT = Number(
   process.env.SESSION_SAVE_RATE_LIMIT_PER_MINUTE || 60,
 );
 const SESSION_CREATE_RATE_LIMIT = Number(
   process.env.SESSION_CREATE_RATE_LIMIT_PER_MINUTE || 20,
 );
+const MAX_TRANSLATION_NOTES_LENGTH = 5000;
 
 if (!SESSIONS_TABLE) {
   console.warn('[sessions] SESSIONS_TABLE environment variable is not set.');
@@ -96,6 +125,34 @@ function sanitizeLanguage(value, { allowNull = true } = {}) {
   return trimmed;
 }
 
+// translated_from links a translated session to the source session and the
+// version it was translated from. Returns undefined when absent and throws
+// INVALID_TRANSLATED_FROM when malformed.
+function sanitizeTranslatedFrom(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  if (
+    typeof value !== 'object' ||
+    typeof value.session_id !== 'string' ||
+    !value.session_id.trim() ||
+    !Number.isInteger(value.version_number) ||
+    value.version_number < 1 ||
+    (value.notes !== undefined &&
+      (typeof value.notes !== 'string' ||
+        value.notes.length > MAX_TRANSLATION_NOTES_LENGTH))
+  ) {
+    throw new Error('INVALID_TRANSLATED_FROM');
+  }
+
+  return {
+    session_id: value.session_id.trim(),
+    version_number: value.version_number,
+    ...(value.notes ? { notes: value.notes.trim() } : {}),
+  };
+}
+
 async function handleListSessions(event) {
   const userId = getUserIdFromEvent(event);
   if (!userId) {
@@ -229,6 +286,18 @@ async function handleCreateSession(event) {
     return error(400, 'INVALID_INPUT', 'Malformed JSON body.');
   }
 
+  let translatedFrom;
+  try {
+    translatedFrom = sanitizeTranslatedFrom(payload.translated_from);
+  } catch (err) {
+    return error(
+      400,
+      'INVALID_INPUT',
+      `translated_from must be { session_id, version_number, notes? } with notes of at most ${MAX_TRANSLATION_NOTES_LENGTH} characters.`,
+      'translated_from',
+    );
+  }
+
   const filename = sanitizeFilename(payload.filename);
   const codeContent =
     Object.prototype.hasOwnProperty.call(payload, 'code_content') &&
@@ -295,14 +364,41 @@ async function handleCreateSession(event) {
       );
     }
 
+    // The source's filename and language are copied so the link still reads
+    // well after the source is renamed or deleted.
+    if (translatedFrom) {
+      const source = await fetchSessionById(translatedFrom.session_id);
+      if (!source || source.user_id !== userId) {
+        return error(
+          404,
+          'SESSION_NOT_FOUND',
+          'The session this was translated from was not found.',
+          'translated_from',
+        );
+      }
+      if (translatedFrom.version_number > source.version_number) {
+        return error(
+          400,
+          'INVALID_INPUT',
+          'translated_from.version_number is newer than the source session.',
+          'translated_from',
+        );
+      }
+
+      translatedFrom.filename = source.filename;
+      translatedFrom.language =
+        source.language_override || source.language_detected || null;
+    }
+
     const sessionId = uuidv4();
     const timestamp = new Date().toISOString();
+    const content = await storeSessionContent(sessionId, codeContent);
 
     const item = {
       session_id: sessionId,
       user_id: userId,
       filename,
-      code_content: codeContent,
+      ...content,
       language_detected:
         languageDetected !== undefined ? languageDetected : null,
       language_override:
@@ -311,15 +407,42 @@ async function handleCreateSession(event) {
       created_at: timestamp,
       updated_at: timestamp,
       last_modified_by: userId,
+      // The first version kept in SESSION_VERSIONS_TABLE. Sessions created
+      // before version history have none until their next save.
+      history_since: 1,
+      ...(translatedFrom ? { translated_from: translatedFrom } : {}),
     };
 
-    await documentClient.send(
-      new PutCommand({
-        TableName: SESSIONS_TABLE,
-        Item: item,
-        ConditionExpression: 'attribute_not_exists(session_id)',
-      }),
-    );
+    try {
+      await documentClient.send(
+        new TransactWriteCommand({
+          TransactItems: [
+            {
+              Put: {
+                TableName: SESSIONS_TABLE,
+                Item: item,
+                ConditionExpression: 'attribute_not_exists(session_id)',
+              },
+            },
+            buildVersionPut(
+              buildVersionItem({
+                sessionId,
+                versionNumber: 1,
+                content,
+                authorId: userId,
+                createdAt: timestamp,
+                label: translatedFrom
+                  ? `Translated from ${translatedFrom.filename} v${translatedFrom.version_number}`
+                  : null,
+              }),
+            ),
+          ],
+        }),
+      );
+    } catch (err) {
+      await discardStoredContent(content);
+      throw err;
+    }
 
     return success(201, {
       session: {
@@ -330,6 +453,9 @@ async function handleCreateSession(event) {
         version_number: item.version_number,
         created_at: item.created_at,
         updated_at: item.updated_at,
+        ...(item.translated_from
+          ? { translated_from: item.translated_from }
+          : {}),
       },
     });
   } catch (err) {
@@ -353,6 +479,141 @@ async function fetchSessionById(sessionId) {
   return result.Item;
 }
 
+function isConditionalCheckFailure(err) {
+  return (
+    err.name === 'ConditionalCheckFailedException' ||
+    (err.name === 'TransactionCanceledException' &&
+      (err.CancellationReasons || []).some(
+        (reason) => reason.Code === 'ConditionalCheckFailed',
+      ))
+  );
+}
+
+// Returns an error response unless the payload carries a valid
+// expected_version_number.
+function validateExpectedVersion(payload) {
+  if (!Object.prototype.hasOwnProperty.call(payload, 'expected_version_number')) {
+    return error(
+      400,
+      'INVALID_INPUT',
+      'expected_version_number is required.',
+      'expected_version_number',
+    );
+  }
+
+  const expectedVersion = payload.expected_version_number;
+  if (
+    typeof expectedVersion !== 'number' ||
+    !Number.isInteger(expectedVersion) ||
+    expectedVersion < 1
+  ) {
+    return error(
+      400,
+      'INVALID_INPUT',
+      'expected_version_number must be a positive integer.',
+      'expected_version_number',
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Saves the next version of a session: `updates` and the new stored code, if
+ * `content` is given, are set on the session item and a snapshot of the
+ * resulting code is stored in SESSION_VERSIONS_TABLE, both or neither.
+ * Sessions created before version history also get the version being
+ * replaced stored, so its code is not lost. Throws
+ * ConditionalCheckFailed (see isConditionalCheckFailure) when the session is
+ * no longer at session.version_number.
+ */
+async function commitSessionVersion(
+  session,
+  { userId, updates, content = null, label = null, restoredFrom = null },
+) {
+  const versionNumber = session.version_number + 1;
+  const updatedAt = new Date().toISOString();
+  const versionContent = content || pickStoredContent(session);
+  const fields = {
+    ...updates,
+    ...content,
+    version_number: versionNumber,
+    updated_at: updatedAt,
+    last_modified_by: userId,
+  };
+  const transactItems = [];
+
+  if (!session.history_since) {
+    fields.history_since = session.version_number;
+    transactItems.push(
+      buildVersionPut(
+        buildVersionItem({
+          sessionId: session.session_id,
+          versionNumber: session.version_number,
+          content: pickStoredContent(session),
+          authorId: session.last_modified_by || session.user_id,
+          createdAt: session.updated_at,
+        }),
+      ),
+    );
+  }
+
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {
+    ':expected_version': session.version_number,
+  };
+  const updateExpressions = Object.entries(fields).map(([field, value]) => {
+    expressionAttributeNames[`#${field}`] = field;
+    expressionAttributeValues[`:${field}`] = value;
+    return `#${field} = :${field}`;
+  });
+
+  // Code moving between inline and the bucket drops the field it left.
+  const removedFields = content
+    ? CONTENT_FIELDS.filter((field) => !(field in content))
+    : [];
+  removedFields.forEach((field) => {
+    expressionAttributeNames[`#${field}`] = field;
+  });
+  const removeExpression = removedFields.length
+    ? ` REMOVE ${removedFields.map((field) => `#${field}`).join(', ')}`
+    : '';
+
+  transactItems.unshift({
+    Update: {
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: session.session_id },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}${removeExpression}`,
+      ConditionExpression: '#version_number = :expected_version',
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+    },
+  });
+  transactItems.push(
+    buildVersionPut(
+      buildVersionItem({
+        sessionId: session.session_id,
+        versionNumber,
+        content: versionContent,
+        authorId: userId,
+        createdAt: updatedAt,
+        label,
+        restoredFrom,
+      }),
+    ),
+  );
+
+  await documentClient.send(
+    new TransactWriteCommand({ TransactItems: transactItems }),
+  );
+
+  return {
+    session_id: session.session_id,
+    version_number: versionNumber,
+    updated_at: updatedAt,
+  };
+}
+
 async function handleGetSession(event) {
   const userId = getUserIdFromEvent(event);
   if (!userId) {
@@ -379,7 +640,13 @@ async function handleGetSession(event) {
       return error(403, 'FORBIDDEN', 'You do not have access to this session');
     }
 
-    return success(200, { session });
+    const { code_ref: codeRef, ...sessionFields } = session;
+    return success(200, {
+      session: {
+        ...sessionFields,
+        code_content: await loadSessionContent(session),
+      },
+    });
   } catch (err) {
     console.error('[sessions] Failed to get session:', err);
     return error(
@@ -425,26 +692,21 @@ async function handleUpdateSession(event) {
     return error(400, 'INVALID_INPUT', 'Malformed JSON body.');
   }
 
-  if (!Object.prototype.hasOwnProperty.call(payload, 'expected_version_number')) {
-    return error(
-      400,
-      'INVALID_INPUT',
-      'expected_version_number is required.',
-      'expected_version_number',
-    );
+  const invalidExpectedVersion = validateExpectedVersion(payload);
+  if (invalidExpectedVersion) {
+    return invalidExpectedVersion;
   }
-
   const expectedVersion = payload.expected_version_number;
-  if (
-    typeof expectedVersion !== 'number' ||
-    !Number.isInteger(expectedVersion) ||
-    expectedVersion < 1
-  ) {
+
+  let versionLabel;
+  try {
+    versionLabel = sanitizeVersionLabel(payload.version_label);
+  } catch (err) {
     return error(
       400,
       'INVALID_INPUT',
-      'expected_version_number must be a positive integer.',
-      'expected_version_number',
+      `version_label must be a string of at most ${MAX_VERSION_LABEL_LENGTH} characters.`,
+      'version_label',
     );
   }
 
@@ -472,6 +734,44 @@ async function handleUpdateSession(event) {
     }
   }
 
+  // Edits are an alternative to code_content: changes to the code of
+  // expected_version_number, with the hash of the code they should produce.
+  const hasEdits = Object.prototype.hasOwnProperty.call(payload, 'edits');
+  let edits;
+  if (hasEdits) {
+    if (hasCodeContent) {
+      return error(
+        400,
+        'INVALID_INPUT',
+        'Send either code_content or edits, not both.',
+        'edits',
+      );
+    }
+
+    try {
+      edits = parseTextEdits(payload.edits);
+    } catch (err) {
+      return error(
+        400,
+        'INVALID_INPUT',
+        `edits must be a list of 1 to ${MAX_SAVE_EDITS} changes with rangeOffset, rangeLength and text.`,
+        'edits',
+      );
+    }
+
+    if (
+      typeof payload.content_sha256 !== 'string' ||
+      !/^[0-9a-f]{64}$/.test(payload.content_sha256)
+    ) {
+      return error(
+        400,
+        'INVALID_INPUT',
+        'content_sha256 must be the hex SHA-256 of the edited code.',
+        'content_sha256',
+      );
+    }
+  }
+
   const hasLanguageOverride = Object.prototype.hasOwnProperty.call(
     payload,
     'language_override',
@@ -507,7 +807,21 @@ async function handleUpdateSession(event) {
       return error(403, 'FORBIDDEN', 'You do not have access to this session');
     }
 
-    if (currentSession.version_number !== expectedVersion) {
+    // A save based on an older version is merged with what was saved since,
+    // using the stored base version. Without one there is nothing to merge
+    // against.
+    const changesCode = hasCodeContent || hasEdits;
+    const isStale = currentSession.version_number !== expectedVersion;
+    const baseVersion =
+      isStale && changesCode && expectedVersion < currentSession.version_number
+        ? await getSessionVersion(sessionId, expectedVersion)
+        : null;
+
+    // The saved code is only needed to report, merge or apply edits to.
+    const currentCode =
+      isStale || hasEdits ? await loadSessionContent(currentSession) : null;
+
+    if (isStale && !baseVersion) {
       return error(
         409,
         'VERSION_CONFLICT',
@@ -515,42 +829,90 @@ async function handleUpdateSession(event) {
         null,
         {
           current_version: currentSession.version_number,
-          current_code: currentSession.code_content,
+          current_code: currentCode,
         },
       );
     }
 
-    const updateExpressions = [
-      '#version_number = :new_version',
-      '#updated_at = :updated_at',
-      '#last_modified_by = :user_id',
-    ];
-    const expressionAttributeNames = {
-      '#version_number': 'version_number',
-      '#updated_at': 'updated_at',
-      '#last_modified_by': 'last_modified_by',
-    };
-    const expressionAttributeValues = {
-      ':new_version': expectedVersion + 1,
-      ':updated_at': new Date().toISOString(),
-      ':user_id': userId,
-      ':expected_version': expectedVersion,
-    };
+    const baseCode = baseVersion
+      ? await loadSessionContent(baseVersion)
+      : currentCode;
 
-    if (hasCodeContent) {
-      updateExpressions.push('#code_content = :code_content');
-      expressionAttributeNames['#code_content'] = 'code_content';
-      expressionAttributeValues[':code_content'] = payload.code_content;
+    let codeContent = payload.code_content;
+    if (hasEdits) {
+      try {
+        codeContent = applyTextEdits(baseCode, edits);
+      } catch (err) {
+        return error(
+          400,
+          'INVALID_INPUT',
+          `edits do not fit the code of version ${expectedVersion}.`,
+          'edits',
+        );
+      }
+
+      if (hashContent(codeContent) !== payload.content_sha256) {
+        return error(
+          409,
+          'CONTENT_HASH_MISMATCH',
+          'The edits did not produce the expected code. Save the full code_content instead.',
+          'content_sha256',
+        );
+      }
+
+      if (Buffer.byteLength(codeContent, 'utf8') > MAX_CODE_SIZE_BYTES) {
+        return error(
+          400,
+          'FILE_TOO_LARGE',
+          'Code content exceeds the maximum size of 5MB.',
+        );
+      }
+    }
+
+    let mergedWithVersion = null;
+    if (isStale) {
+      const merge = mergeThreeWay(baseCode, currentCode, codeContent);
+      if (!merge.clean) {
+        const conflict = {
+          base_version: expectedVersion,
+          current_version: currentSession.version_number,
+          current_code: currentCode,
+          conflicts: merge.conflicts,
+          chunks: merge.chunks,
+        };
+        if (
+          Buffer.byteLength(JSON.stringify(conflict), 'utf8') >
+          MAX_MERGE_CONFLICT_BYTES
+        ) {
+          return error(
+            409,
+            'VERSION_CONFLICT',
+            'Session has been modified by another client, and the conflicting changes are too large to merge here.',
+            null,
+            { current_version: currentSession.version_number },
+          );
+        }
+
+        return error(
+          409,
+          'MERGE_CONFLICT',
+          `Your changes conflict with changes saved since version ${expectedVersion}.`,
+          null,
+          conflict,
+        );
+      }
+
+      codeContent = merge.code;
+      mergedWithVersion = currentSession.version_number;
     }
 
+    const updates = {};
+
     if (hasLanguageOverride) {
-      updateExpressions.push('#language_override = :language_override');
-      expressionAttributeNames['#language_override'] = 'language_override';
-      expressionAttributeValues[':language_override'] =
-        payload.language_override;
+      updates.language_override = payload.language_override;
     }
 
-    if (updateExpressions.length === 3) {
+    if (!changesCode && Object.keys(updates).length === 0) {
       // Nothing to update besides version/timestamps
       return success(200, {
         session: {
@@ -562,30 +924,44 @@ async function handleUpdateSession(event) {
       });
     }
 
-    const updateResult = await documentClient.send(
-      new UpdateCommand({
-        TableName: SESSIONS_TABLE,
-        Key: { session_id: sessionId },
-        UpdateExpression: `SET ${updateExpressions.join(', ')}`,
-        ConditionExpression: '#version_number = :expected_version',
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: expressionAttributeValues,
-        ReturnValues: 'ALL_NEW',
-      }),
-    );
+    const content = changesCode
+      ? await storeSessionContent(sessionId, codeContent)
+      : null;
+    let updatedSession;
+    try {
+      updatedSession = await commitSessionVersion(currentSession, {
+        userId,
+        updates,
+        content,
+        label:
+          versionLabel ||
+          (mergedWithVersion
+            ? `Merged with version ${mergedWithVersion}`
+            : null),
+      });
+    } catch (err) {
+      // The upload is only referenced by the version that failed to commit.
+      await discardStoredContent(content);
+      throw err;
+    }
 
-    const updatedSession = updateResult.Attributes;
+    if (mergedWithVersion) {
+      return success(200, {
+        session: { ...updatedSession, code_content: codeContent },
+        merge: {
+          base_version: expectedVersion,
+          merged_with_version: mergedWithVersion,
+        },
+        message: `Session saved and merged with version ${mergedWithVersion}.`,
+      });
+    }
 
     return success(200, {
-      session: {
-        session_id: updatedSession.session_id,
-        version_number: updatedSession.version_number,
-        updated_at: updatedSession.updated_at,
-      },
+      session: updatedSession,
       message: 'Session saved successfully.',
     });
   } catch (err) {
-    if (err.name === 'ConditionalCheckFailedException') {
+    if (isConditionalCheckFailure(err)) {
       return error(
         409,
         'VERSION_CONFLICT',
@@ -714,6 +1090,8 @@ async function handleDeleteSession(event) {
         Key: { session_id: sessionId },
       }),
     );
+    await deleteSessionVersions(sessionId);
+    await deleteSessionContent(sessionId);
 
     return success(200, {
       session_id: sessionId,
@@ -729,6 +1107,263 @@ async function handleDeleteSession(event) {
   }
 }
 
+// Session ID and version number of /sessions/{id}/versions[/{version}...]
+// requests; versionNumber is NaN unless the version is a positive integer.
+function getVersionPathParameters(event) {
+  const pathMatch = (event.path || '').match(
+    /\/sessions\/([^/]+)\/versions(?:\/([^/]+))?/,
+  );
+  const sessionId =
+    event.pathParameters?.id ||
+    event.pathParameters?.session_id ||
+    pathMatch?.[1];
+  const rawVersion = event.pathParameters?.version || pathMatch?.[2];
+
+  return {
+    sessionId,
+    versionNumber: /^[1-9]\d*$/.test(rawVersion || '')
+      ? Number(rawVersion)
+      : NaN,
+  };
+}
+
+// Loads the session for a versions request, or returns the error response
+// when it is missing or belongs to someone else.
+async function fetchOwnedSession(sessionId, userId) {
+  const session = await fetchSessionById(sessionId);
+
+  if (!session) {
+    return { response: error(404, 'SESSION_NOT_FOUND', 'Session not found') };
+  }
+
+  if (session.user_id !== userId) {
+    return {
+      response: error(
+        403,
+        'FORBIDDEN',
+        'You do not have access to this session',
+      ),
+    };
+  }
+
+  return { session };
+}
+
+async function handleListVersions(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, 'UNAUTHORIZED', 'User ID not found in token');
+  }
+
+  const { sessionId } = getVersionPathParameters(event);
+  if (!sessionId) {
+    return error(400, 'INVALID_INPUT', 'Session ID is required');
+  }
+
+  const params = event.queryStringParameters || {};
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 50, 1), 100);
+
+  let exclusiveStartKey;
+  try {
+    exclusiveStartKey = decodeCursor(params.cursor);
+  } catch (err) {
+    return error(400, 'INVALID_INPUT', 'Invalid pagination cursor', 'cursor');
+  }
+
+  try {
+    const { session, response } = await fetchOwnedSession(sessionId, userId);
+    if (response) {
+      return response;
+    }
+
+    const { versions, lastEvaluatedKey } = await listSessionVersions(
+      sessionId,
+      { limit, exclusiveStartKey },
+    );
+
+    const result = {
+      versions,
+      count: versions.length,
+      current_version: session.version_number,
+      history_since: session.history_since || null,
+    };
+
+    const cursor = encodeCursor(lastEvaluatedKey);
+    if (cursor) {
+      result.cursor = cursor;
+    }
+
+    return success(200, result);
+  } catch (err) {
+    console.error('[sessions] Failed to list session versions:', err);
+    return error(
+      500,
+      'INTERNAL_ERROR',
+      'Failed to retrieve session versions. Please try again later.',
+    );
+  }
+}
+
+async function handleGetVersion(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, 'UNAUTHORIZED', 'User ID not found in token');
+  }
+
+  const { sessionId, versionNumber } = getVersionPathParameters(event);
+  if (!sessionId) {
+    return error(400, 'INVALID_INPUT', 'Session ID is required');
+  }
+
+  if (Number.isNaN(versionNumber)) {
+    return error(
+      400,
+      'INVALID_INPUT',
+      'Version must be a positive integer.',
+      'version',
+    );
+  }
+
+  try {
+    const { response } = await fetchOwnedSession(sessionId, userId);
+    if (response) {
+      return response;
+    }
+
+    const version = await getSessionVersion(sessionId, versionNumber);
+    if (!version) {
+      return error(404, 'VERSION_NOT_FOUND', 'Session version not found');
+    }
+
+    return success(200, {
+      version: {
+        ...toVersionSummary(version),
+        code_content: await loadSessionContent(version),
+      },
+    });
+  } catch (err) {
+    console.error('[sessions] Failed to get session version:', err);
+    return error(
+      500,
+      'INTERNAL_ERROR',
+      'Failed to retrieve session version. Please try again later.',
+    );
+  }
+}
+
+// Restoring never rewrites history: the old code becomes a new version.
+async function handleRestoreVersion(event) {
+  const userId = getUserIdFromEvent(event);
+  if (!userId) {
+    return error(401, 'UNAUTHORIZED', 'User ID not found in token');
+  }
+
+  const withinLimit = await assertWithinRateLimit(
+    event,
+    `session_save#${userId}`,
+    SESSION_SAVE_RATE_LIMIT,
+  );
+  if (!withinLimit) {
+    return error(
+      429,
+      'RATE_LIMIT_EXCEEDED',
+      'Too many save requests. Please try again later.',
+    );
+  }
+
+  const { sessionId, versionNumber } = getVersionPathParameters(event);
+  if (!sessionId) {
+    return error(400, 'INVALID_INPUT', 'Session ID is required');
+  }
+
+  if (Number.isNaN(versionNumber)) {
+    return error(
+      400,
+      'INVALID_INPUT',
+      'Version must be a positive integer.',
+      'version',
+    );
+  }
+
+  let payload;
+  try {
+    payload = parseJsonBody(event);
+  } catch (err) {
+    return error(400, 'INVALID_INPUT', 'Malformed JSON body.');
+  }
+
+  const invalidExpectedVersion = validateExpectedVersion(payload);
+  if (invalidExpectedVersion) {
+    return invalidExpectedVersion;
+  }
+
+  try {
+    const { session, response } = await fetchOwnedSession(sessionId, userId);
+    if (response) {
+      return response;
+    }
+
+    if (session.version_number !== payload.expected_version_number) {
+      return error(
+        409,
+        'VERSION_CONFLICT',
+        'Session has been modified by another client.',
+        null,
+        {
+          current_version: session.version_number,
+          current_code: await loadSessionContent(session),
+        },
+      );
+    }
+
+    if (versionNumber === session.version_number) {
+      return error(
+        400,
+        'INVALID_INPUT',
+        `Version ${versionNumber} is already the current version.`,
+        'version',
+      );
+    }
+
+    const version = await getSessionVersion(sessionId, versionNumber);
+    if (!version) {
+      return error(404, 'VERSION_NOT_FOUND', 'Session version not found');
+    }
+
+    // The version's stored code is reused, so large files are not copied.
+    const restoredSession = await commitSessionVersion(session, {
+      userId,
+      updates: {},
+      content: pickStoredContent(version),
+      label: `Restored from version ${versionNumber}`,
+      restoredFrom: versionNumber,
+    });
+
+    return success(200, {
+      session: {
+        ...restoredSession,
+        code_content: await loadSessionContent(version),
+      },
+      message: `Version ${versionNumber} restored.`,
+    });
+  } catch (err) {
+    if (isConditionalCheckFailure(err)) {
+      return error(
+        409,
+        'VERSION_CONFLICT',
+        'Session has been modified during restore.',
+      );
+    }
+
+    console.error('[sessions] Failed to restore session version:', err);
+    return error(
+      500,
+      'INTERNAL_ERROR',
+      'Failed to restore session version. Please try again later.',
+    );
+  }
+}
+
 async function router(event) {
   const method = event.httpMethod || event.requestContext?.http?.method;
   const resource =
@@ -762,6 +1397,21 @@ async function router(event) {
     return handleDeleteSession(event);
   }
 
+  if (method === 'GET' && resource === '/sessions/{id}/versions') {
+    return handleListVersions(event);
+  }
+
+  if (method === 'GET' && resource === '/sessions/{id}/versions/{version}') {
+    return handleGetVersion(event);
+  }
+
+  if (
+    method === 'POST' &&
+    resource === '/sessions/{id}/versions/{version}/restore'
+  ) {
+    return handleRestoreVersion(event);
+  }
+
   // Fallback for cases where resource isn't populated (e.g., custom integrations)
   const path = event.path || '';
 
@@ -781,6 +1431,21 @@ async function router(event) {
     return handleDeleteSession(event);
   }
 
+  if (method === 'GET' && path.match(/\/sessions\/[^/]+\/versions$/)) {
+    return handleListVersions(event);
+  }
+
+  if (method === 'GET' && path.match(/\/sessions\/[^/]+\/versions\/[^/]+$/)) {
+    return handleGetVersion(event);
+  }
+
+  if (
+    method === 'POST' &&
+    path.match(/\/sessions\/[^/]+\/versions\/[^/]+\/restore$/)
+  ) {
+    return handleRestoreVersion(event);
+  }
+
   return error(404, 'NOT_FOUND', 'Endpoint not found.');
 }
 
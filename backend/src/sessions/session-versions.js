@@ -0,0 +1,183 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  QueryCommand,
+  GetCommand,
+  BatchWriteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+
+const { storedContentSize } = require('./shared/session-content');
+
+const client = new DynamoDBClient({});
+const documentClient = DynamoDBDocumentClient.from(client);
+
+const SESSION_VERSIONS_TABLE = process.env.SESSION_VERSIONS_TABLE;
+const MAX_VERSION_LABEL_LENGTH = 200;
+const MAX_BATCH_DELETE_ATTEMPTS = 5;
+
+if (!SESSION_VERSIONS_TABLE) {
+  console.warn(
+    '[sessions] SESSION_VERSIONS_TABLE environment variable is not set.',
+  );
+}
+
+// Returns the trimmed label, or null when none was given. Throws
+// INVALID_VERSION_LABEL for anything but a string of at most
+// MAX_VERSION_LABEL_LENGTH characters.
+function sanitizeVersionLabel(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'string' || value.length > MAX_VERSION_LABEL_LENGTH) {
+    throw new Error('INVALID_VERSION_LABEL');
+  }
+
+  return value.trim() || null;
+}
+
+// `content` is the stored code, as returned by storeSessionContent.
+function buildVersionItem({
+  sessionId,
+  versionNumber,
+  content,
+  authorId,
+  createdAt,
+  label = null,
+  restoredFrom = null,
+}) {
+  return {
+    session_id: sessionId,
+    version_number: versionNumber,
+    ...content,
+    size_bytes: storedContentSize(content),
+    author_id: authorId,
+    created_at: createdAt,
+    label,
+    ...(restoredFrom ? { restored_from: restoredFrom } : {}),
+  };
+}
+
+// A version is written once and never updated, so a put only succeeds for a
+// version number that is still free.
+function buildVersionPut(item) {
+  return {
+    Put: {
+      TableName: SESSION_VERSIONS_TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(version_number)',
+    },
+  };
+}
+
+function toVersionSummary(item) {
+  return {
+    version_number: item.version_number,
+    size_bytes: item.size_bytes,
+    author_id: item.author_id,
+    created_at: item.created_at,
+    label: item.label || null,
+    restored_from: item.restored_from || null,
+  };
+}
+
+// Newest first, without the code.
+async function listSessionVersions(sessionId, { limit, exclusiveStartKey }) {
+  const result = await documentClient.send(
+    new QueryCommand({
+      TableName: SESSION_VERSIONS_TABLE,
+      KeyConditionExpression: 'session_id = :session_id',
+      ProjectionExpression:
+        'session_id, version_number, size_bytes, author_id, created_at, #label, restored_from',
+      ExpressionAttributeNames: { '#label': 'label' },
+      ExpressionAttributeValues: {
+        ':session_id': sessionId,
+      },
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey,
+      ScanIndexForward: false,
+    }),
+  );
+
+  return {
+    versions: (result.Items || []).map(toVersionSummary),
+    lastEvaluatedKey: result.LastEvaluatedKey,
+  };
+}
+
+async function getSessionVersion(sessionId, versionNumber) {
+  const result = await documentClient.send(
+    new GetCommand({
+      TableName: SESSION_VERSIONS_TABLE,
+      Key: { session_id: sessionId, version_number: versionNumber },
+    }),
+  );
+
+  return result.Item;
+}
+
+async function deleteVersionBatch(keys) {
+  let requests = keys.map((key) => ({ DeleteRequest: { Key: key } }));
+
+  for (
+    let attempt = 1;
+    requests.length > 0 && attempt <= MAX_BATCH_DELETE_ATTEMPTS;
+    attempt += 1
+  ) {
+    const result = await documentClient.send(
+      new BatchWriteCommand({
+        RequestItems: { [SESSION_VERSIONS_TABLE]: requests },
+      }),
+    );
+    requests = result.UnprocessedItems?.[SESSION_VERSIONS_TABLE] || [];
+  }
+
+  if (requests.length > 0) {
+    throw new Error('VERSION_DELETE_INCOMPLETE');
+  }
+}
+
+/**
+ * Removes every stored version of a deleted session. Failures are logged
+ * rather than thrown, since the session itself is already gone.
+ */
+async function deleteSessionVersions(sessionId) {
+  try {
+    let exclusiveStartKey;
+    do {
+      const result = await documentClient.send(
+        new QueryCommand({
+          TableName: SESSION_VERSIONS_TABLE,
+          KeyConditionExpression: 'session_id = :session_id',
+          ProjectionExpression: 'session_id, version_number',
+          ExpressionAttributeValues: {
+            ':session_id': sessionId,
+          },
+          ExclusiveStartKey: exclusiveStartKey,
+        }),
+      );
+
+      const keys = result.Items || [];
+      for (let index = 0; index < keys.length; index += 25) {
+        await deleteVersionBatch(keys.slice(index, index + 25));
+      }
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+  } catch (err) {
+    console.error(
+      `[sessions] Failed to delete versions of session ${sessionId}:`,
+      err,
+    );
+  }
+}
+
+module.exports = {
+  MAX_VERSION_LABEL_LENGTH,
+  sanitizeVersionLabel,
+  buildVersionItem,
+  buildVersionPut,
+  toVersionSummary,
+  listSessionVersions,
+  getSessionVersion,
+  deleteSessionVersions,
+};
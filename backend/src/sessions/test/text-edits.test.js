@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_SAVE_EDITS,
+  parseTextEdits,
+  applyTextEdits,
+  hashContent,
+} = require('../text-edits');
+
+function edit(rangeOffset, rangeLength, text) {
+  return { rangeOffset, rangeLength, text };
+}
+
+test('each edit applies to the text the previous one produced', () => {
+  // Typing "let " at the start moves the "1" from offset 4 to offset 8.
+  const edits = [edit(0, 0, 'let '), edit(8, 1, '2')];
+
+  assert.equal(applyTextEdits('x = 1;', edits), 'let x = 2;');
+});
+
+test('edits can insert, replace and delete', () => {
+  const edits = [
+    edit(9, 0, ' brown'),
+    edit(0, 3, 'A'),
+    edit(7, 6, ''),
+  ];
+
+  assert.equal(applyTextEdits('the quick fox', edits), 'A quick fox');
+});
+
+test('offsets count UTF-16 code units', () => {
+  assert.equal(applyTextEdits('a😀b', [edit(3, 1, 'c')]), 'a😀c');
+});
+
+test('an edit reaching past the end of the text is rejected', () => {
+  assert.throws(() => applyTextEdits('abc', [edit(2, 2, '')]), {
+    message: 'INVALID_EDITS',
+  });
+  assert.throws(
+    () => applyTextEdits('abc', [edit(0, 3, ''), edit(1, 0, 'x')]),
+    { message: 'INVALID_EDITS' },
+  );
+});
+
+test('edits are parsed down to offset, length and text', () => {
+  const range = {
+    startLineNumber: 1,
+    startColumn: 1,
+    endLineNumber: 1,
+    endColumn: 2,
+  };
+
+  assert.deepEqual(parseTextEdits([{ range, ...edit(0, 1, 'y') }]), [
+    edit(0, 1, 'y'),
+  ]);
+});
+
+test('malformed edit lists are rejected', () => {
+  for (const value of [
+    undefined,
+    [],
+    'edits',
+    [null],
+    [edit(-1, 0, 'x')],
+    [edit(0, 1.5, 'x')],
+    [edit(0, 0, 7)],
+  ]) {
+    assert.throws(() => parseTextEdits(value), { message: 'INVALID_EDITS' });
+  }
+});
+
+test('at most MAX_SAVE_EDITS edits are accepted', () => {
+  const edits = Array.from({ length: MAX_SAVE_EDITS }, () => edit(0, 0, 'x'));
+
+  assert.equal(parseTextEdits(edits).length, MAX_SAVE_EDITS);
+  assert.throws(() => parseTextEdits([...edits, edit(0, 0, 'x')]), {
+    message: 'INVALID_EDITS',
+  });
+});
+
+test('content is hashed as hex SHA-256 of its UTF-8 bytes', () => {
+  assert.equal(
+    hashContent('abc'),
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+  );
+  // Precomposed and combining forms are different bytes.
+  assert.notEqual(hashContent('\u00e9'), hashContent('e\u0301'));
+});
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_EDIT_DISTANCE, mergeThreeWay } = require('../three-way-merge');
+
+function lines(...values) {
+  return values.join('\n');
+}
+
+const BASE = lines('one', 'two', 'three', 'four', 'five');
+
+test('edits to different lines merge cleanly', () => {
+  const result = mergeThreeWay(
+    BASE,
+    lines('ONE', 'two', 'three', 'four', 'five'),
+    lines('one', 'two', 'three', 'four', 'FIVE'),
+  );
+
+  assert.equal(result.clean, true);
+  assert.equal(result.conflicts, 0);
+  assert.equal(result.code, lines('ONE', 'two', 'three', 'four', 'FIVE'));
+  assert.deepEqual(result.chunks, [
+    { type: 'resolved', lines: ['ONE', 'two', 'three', 'four', 'FIVE'] },
+  ]);
+});
+
+test('the same edit on both sides is taken once', () => {
+  const edited = lines('one', 'TWO', 'three', 'four', 'five');
+  const result = mergeThreeWay(BASE, edited, edited);
+
+  assert.equal(result.clean, true);
+  assert.equal(result.code, edited);
+});
+
+test('a side that changed nothing takes the other side', () => {
+  const edited = lines('one', 'three', 'extra', 'four', 'five');
+
+  assert.equal(mergeThreeWay(BASE, BASE, edited).code, edited);
+  assert.equal(mergeThreeWay(BASE, edited, BASE).code, edited);
+});
+
+test('deleting a line the other side changed is a conflict', () => {
+  const result = mergeThreeWay(
+    BASE,
+    lines('one', 'three', 'four', 'five'),
+    lines('one', 'TWO', 'three', 'four', 'five'),
+  );
+
+  assert.equal(result.clean, false);
+  assert.equal(result.code, null);
+  assert.equal(result.conflicts, 1);
+  assert.deepEqual(result.chunks, [
+    { type: 'resolved', lines: ['one'] },
+    {
+      type: 'conflict',
+      base: ['two'],
+      current: [],
+      incoming: ['TWO'],
+      current_start_line: 2,
+    },
+    { type: 'resolved', lines: ['three', 'four', 'five'] },
+  ]);
+});
+
+test('lines inserted at the start and the end both land', () => {
+  const result = mergeThreeWay(
+    BASE,
+    lines('header', 'one', 'two', 'three', 'four', 'five'),
+    lines('one', 'two', 'three', 'four', 'five', 'footer'),
+  );
+
+  assert.equal(
+    result.code,
+    lines('header', 'one', 'two', 'three', 'four', 'five', 'footer'),
+  );
+});
+
+test('different inserts at the same place conflict', () => {
+  const result = mergeThreeWay(
+    BASE,
+    lines('current', 'one', 'two', 'three', 'four', 'five'),
+    lines('incoming', 'one', 'two', 'three', 'four', 'five'),
+  );
+
+  assert.equal(result.conflicts, 1);
+  assert.deepEqual(result.chunks[0], {
+    type: 'conflict',
+    base: [],
+    current: ['current'],
+    incoming: ['incoming'],
+    current_start_line: 1,
+  });
+});
+
+test('a trailing newline added on one side is kept', () => {
+  const result = mergeThreeWay(
+    BASE,
+    `${BASE}\n`,
+    lines('ONE', 'two', 'three', 'four', 'five'),
+  );
+
+  assert.equal(result.code, `${lines('ONE', 'two', 'three', 'four', 'five')}\n`);
+});
+
+test('conflicts are numbered by their first line in the current text', () => {
+  const result = mergeThreeWay(
+    BASE,
+    lines('added', 'one', 'two', 'three', 'FOUR (current)', 'five'),
+    lines('one', 'two', 'three', 'FOUR (incoming)', 'five'),
+  );
+
+  const conflicts = result.chunks.filter((chunk) => chunk.type === 'conflict');
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].current_start_line, 5);
+  assert.deepEqual(conflicts[0].current, ['FOUR (current)']);
+});
+
+test('texts too far apart to diff merge as one whole-file conflict', () => {
+  // Every line replaced is two edits; the shared last line would otherwise
+  // anchor a resolved chunk after the conflict.
+  const count = MAX_EDIT_DISTANCE / 2 + 1;
+  const numbered = (prefix) => [
+    ...Array.from({ length: count }, (_, i) => `${prefix} ${i}`),
+    'end',
+  ];
+  const base = numbered('base').join('\n');
+  const current = numbered('current').join('\n');
+  const incoming = lines('one small change', 'end');
+
+  const result = mergeThreeWay(base, current, incoming);
+
+  assert.equal(result.clean, false);
+  assert.equal(result.conflicts, 1);
+  assert.deepEqual(result.chunks, [
+    {
+      type: 'conflict',
+      base: base.split('\n'),
+      current: current.split('\n'),
+      incoming: ['one small change', 'end'],
+      current_start_line: 1,
+    },
+  ]);
+});
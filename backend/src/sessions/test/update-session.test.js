@@ -0,0 +1,223 @@
+// PUT /sessions/{id} against in-memory tables and a stubbed content bucket.
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSIONS_TABLE = 'Sessions';
+process.env.SESSION_VERSIONS_TABLE = 'SessionVersions';
+process.env.SESSION_CONTENT_BUCKET = 'session-content';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { handler } = require('..');
+const { MAX_SAVE_EDITS, hashContent } = require('../text-edits');
+
+const USER_ID = 'user-1';
+const SESSION_ID = 'session-1';
+
+// Stores the session at `versions.length` with each version's code, and
+// records the transactions a save writes. `transactionError` fails them.
+function useTables(versions, options = {}) {
+  const transactions = [];
+  const session = {
+    session_id: SESSION_ID,
+    user_id: USER_ID,
+    filename: 'cart.js',
+    version_number: versions.length,
+    code_content: versions[versions.length - 1],
+    updated_at: '2026-01-01T00:00:00.000Z',
+  };
+
+  DynamoDBDocumentClient.prototype.send = async function send(command) {
+    const { input } = command;
+    const name = command.constructor.name;
+
+    if (name === 'GetCommand' && input.TableName === 'Sessions') {
+      return { Item: session };
+    }
+    if (name === 'GetCommand' && input.TableName === 'SessionVersions') {
+      const code = versions[input.Key.version_number - 1];
+      return {
+        Item:
+          code === undefined
+            ? undefined
+            : {
+                session_id: SESSION_ID,
+                version_number: input.Key.version_number,
+                code_content: code,
+              },
+      };
+    }
+    if (name === 'TransactWriteCommand') {
+      transactions.push(input.TransactItems);
+      if (options.transactionError) {
+        throw options.transactionError;
+      }
+      return {};
+    }
+    return {};
+  };
+
+  return { transactions };
+}
+
+// Records the commands sent to the content bucket. Uploads get `versionId`.
+function useBucket(versionId) {
+  const commands = [];
+  S3Client.prototype.send = async function send(command) {
+    commands.push({ name: command.constructor.name, input: command.input });
+    return command.constructor.name === 'PutObjectCommand'
+      ? { VersionId: versionId }
+      : {};
+  };
+  return commands;
+}
+
+async function putSession(body) {
+  const token = jwt.sign({ sub: USER_ID }, 'test-secret', {
+    issuer: 'codesensei',
+  });
+  const response = await handler({
+    httpMethod: 'PUT',
+    resource: '/sessions/{id}',
+    pathParameters: { id: SESSION_ID },
+    headers: { Authorization: `Bearer ${token}` },
+    requestContext: { authorizer: { user: { user_id: USER_ID } } },
+    body: JSON.stringify(body),
+  });
+  return { ...response, body: JSON.parse(response.body) };
+}
+
+// `count` lines of about `width` characters, each starting with `prefix`.
+function longLines(prefix, count, width) {
+  return Array.from(
+    { length: count },
+    (_, index) => `${prefix} ${index} `.padEnd(width, 'x'),
+  ).join('\n');
+}
+
+test('a conflict small enough to send opens the merge view', async () => {
+  useTables(['a\nb\nc', 'a\nsaved\nc']);
+
+  const response = await putSession({
+    expected_version_number: 1,
+    code_content: 'a\nmine\nc',
+  });
+
+  assert.equal(response.statusCode, 409);
+  assert.equal(response.body.error.code, 'MERGE_CONFLICT');
+  assert.equal(response.body.error.details.current_code, 'a\nsaved\nc');
+  assert.equal(response.body.error.details.conflicts, 1);
+});
+
+test('a conflict too large for a response is a version conflict', async () => {
+  const base = longLines('base', 1500, 1000);
+  const { transactions } = useTables([base, longLines('saved', 1500, 1000)]);
+
+  const response = await putSession({
+    expected_version_number: 1,
+    code_content: longLines('mine', 1500, 1000),
+  });
+
+  assert.equal(response.statusCode, 409);
+  assert.equal(response.body.error.code, 'VERSION_CONFLICT');
+  assert.deepEqual(response.body.error.details, { current_version: 2 });
+  assert.ok(Buffer.byteLength(JSON.stringify(response.body)) < 1024);
+  assert.equal(transactions.length, 0);
+});
+
+test('edits are applied to the expected version and saved', async () => {
+  const { transactions } = useTables(['const total = 0;']);
+
+  const response = await putSession({
+    expected_version_number: 1,
+    edits: [
+      { rangeOffset: 0, rangeLength: 5, text: 'let' },
+      // "0" was at offset 14 before "const" became "let"
+      { rangeOffset: 12, rangeLength: 1, text: '42' },
+    ],
+    content_sha256: hashContent('let total = 42;'),
+  });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.session.version_number, 2);
+  assert.equal(transactions.length, 1);
+  // The first save also backfills version 1 with the code it started from.
+  const versionPut = transactions[0].find(
+    (item) =>
+      item.Put?.TableName === 'SessionVersions' &&
+      item.Put.Item.version_number === 2,
+  );
+  assert.equal(versionPut.Put.Item.code_content, 'let total = 42;');
+});
+
+test('edits outside the code are rejected as invalid', async () => {
+  useTables(['short']);
+
+  const response = await putSession({
+    expected_version_number: 1,
+    edits: [{ rangeOffset: 3, rangeLength: 10, text: '' }],
+    content_sha256: hashContent('sho'),
+  });
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(response.body.error.code, 'INVALID_INPUT');
+  assert.equal(response.body.error.field, 'edits');
+});
+
+test('more than MAX_SAVE_EDITS edits are rejected', async () => {
+  useTables(['']);
+
+  const response = await putSession({
+    expected_version_number: 1,
+    edits: Array.from({ length: MAX_SAVE_EDITS + 1 }, () => ({
+      rangeOffset: 0,
+      rangeLength: 0,
+      text: 'x',
+    })),
+    content_sha256: hashContent('x'.repeat(MAX_SAVE_EDITS + 1)),
+  });
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(response.body.error.field, 'edits');
+});
+
+test('edits producing other code than hashed are not saved', async () => {
+  const { transactions } = useTables(['const total = 0;']);
+
+  const response = await putSession({
+    expected_version_number: 1,
+    edits: [{ rangeOffset: 14, rangeLength: 1, text: '1' }],
+    content_sha256: hashContent('const total = 2;'),
+  });
+
+  assert.equal(response.statusCode, 409);
+  assert.equal(response.body.error.code, 'CONTENT_HASH_MISMATCH');
+  assert.equal(transactions.length, 0);
+});
+
+test('code uploaded for a save that fails to commit is deleted', async () => {
+  const conflict = new Error('Transaction cancelled');
+  conflict.name = 'TransactionCanceledException';
+  conflict.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }];
+  useTables(['const total = 0;'], { transactionError: conflict });
+  const bucket = useBucket('version-2');
+
+  const response = await putSession({
+    expected_version_number: 1,
+    code_content: longLines('line', 200, 1000),
+  });
+
+  assert.equal(response.statusCode, 409);
+  assert.equal(response.body.error.code, 'VERSION_CONFLICT');
+  const [upload, discard] = bucket;
+  assert.equal(upload.name, 'PutObjectCommand');
+  assert.equal(discard.name, 'DeleteObjectCommand');
+  // Only the failed save's version: the key is shared by equal code.
+  assert.deepEqual(discard.input, {
+    Bucket: 'session-content',
+    Key: upload.input.Key,
+    VersionId: 'version-2',
+  });
+});
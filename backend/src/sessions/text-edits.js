@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// More edits than this are cheaper to send as the whole file.
+const MAX_SAVE_EDITS = 5000;
+
+function isOffset(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks a save's `edits`: a non-empty list of at most MAX_SAVE_EDITS
+ * changes shaped like Monaco's IModelContentChange. Only `rangeOffset`,
+ * `rangeLength` and `text` are used; `range` may be sent along and is
+ * ignored. Throws INVALID_EDITS.
+ */
+function parseTextEdits(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('INVALID_EDITS');
+  }
+
+  if (value.length > MAX_SAVE_EDITS) {
+    throw new Error('INVALID_EDITS');
+  }
+
+  return value.map((edit) => {
+    if (
+      !edit ||
+      typeof edit !== 'object' ||
+      !isOffset(edit.rangeOffset) ||
+      !isOffset(edit.rangeLength) ||
+      typeof edit.text !== 'string'
+    ) {
+      throw new Error('INVALID_EDITS');
+    }
+
+    return {
+      rangeOffset: edit.rangeOffset,
+      rangeLength: edit.rangeLength,
+      text: edit.text,
+    };
+  });
+}
+
+/**
+ * Applies edits in order, each against the text the previous one produced,
+ * as Monaco reports them in its content change events. Offsets count UTF-16
+ * code units, like JavaScript strings. Throws INVALID_EDITS when an edit
+ * reaches past the end of the text.
+ */
+function applyTextEdits(text, edits) {
+  return edits.reduce((result, edit) => {
+    if (edit.rangeOffset + edit.rangeLength > result.length) {
+      throw new Error('INVALID_EDITS');
+    }
+
+    return (
+      result.slice(0, edit.rangeOffset) +
+      edit.text +
+      result.slice(edit.rangeOffset + edit.rangeLength)
+    );
+  }, text);
+}
+
+// Hex SHA-256 of the UTF-8 text, as the client computes it for
+// content_sha256.
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+module.exports = {
+  MAX_SAVE_EDITS,
+  parseTextEdits,
+  applyTextEdits,
+  hashContent,
+};
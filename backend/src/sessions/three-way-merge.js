@@ -0,0 +1,214 @@
+// Line-based three-way merge of two edits of the same base text, in the
+// style of diff3: lines unchanged on both sides anchor the merge, and each
+// region between anchors is taken from whichever side changed it. Regions
+// both sides changed differently are conflicts.
+
+// Myers' diff keeps a trace that grows with the square of the edit count, so
+// texts further apart than this are not diffed; they merge as one conflict.
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+  return text.split('\n');
+}
+
+function sameLines(left, right) {
+  return (
+    left.length === right.length &&
+    left.every((line, index) => line === right[index])
+  );
+}
+
+// Myers' O(ND) diff of the line arrays between the given bounds. Fills
+// matches[i] with the index in `b` of each `a` line kept by the shortest
+// edit script. Returns false when more than MAX_EDIT_DISTANCE edits apart.
+function matchMiddle(a, b, matches, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const limit = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d += 1) {
+    // The furthest x per diagonal after d - 1 edits, for diagonals -d-1..d+1
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        let backX = n;
+        let backY = m;
+        for (let step = d; step >= 0; step -= 1) {
+          const previous = trace[step];
+          const at = (diagonal) => previous[diagonal + step + 1];
+          const diagonal = backX - backY;
+          const previousDiagonal =
+            step === 0
+              ? 0
+              : diagonal === -step ||
+                  (diagonal !== step && at(diagonal - 1) < at(diagonal + 1))
+                ? diagonal + 1
+                : diagonal - 1;
+          const previousX = step === 0 ? 0 : at(previousDiagonal);
+          const previousY = previousX - previousDiagonal;
+
+          while (backX > previousX && backY > previousY) {
+            backX -= 1;
+            backY -= 1;
+            matches[aStart + backX] = bStart + backY;
+          }
+          backX = previousX;
+          backY = previousY;
+        }
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+// For each line of `a`, the index of the matching line of `b`, or -1. Null
+// when the two are too far apart to diff.
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start += 1;
+  }
+
+  let aEnd = a.length;
+  let bEnd = b.length;
+  while (aEnd > start && bEnd > start && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd -= 1;
+    bEnd -= 1;
+    matches[aEnd] = bEnd;
+  }
+
+  if (!matchMiddle(a, b, matches, start, aEnd, start, bEnd)) {
+    return null;
+  }
+  return matches;
+}
+
+function pushResolved(chunks, lines) {
+  if (lines.length === 0) {
+    return;
+  }
+  const last = chunks[chunks.length - 1];
+  if (last && last.type === 'resolved') {
+    last.lines.push(...lines);
+  } else {
+    chunks.push({ type: 'resolved', lines: [...lines] });
+  }
+}
+
+/**
+ * Merges `current` (saved since `base`) with `incoming` (the caller's edit
+ * of `base`). Returns { clean, code, chunks, conflicts }: `chunks` is the
+ * merged text as a list of { type: 'resolved', lines } and
+ * { type: 'conflict', base, current, incoming, current_start_line } entries,
+ * `conflicts` counts the latter, and `code` is the merged text when there
+ * are none (null otherwise).
+ */
+function mergeThreeWay(base, current, incoming) {
+  const baseLines = splitLines(base);
+  const currentLines = splitLines(current);
+  const incomingLines = splitLines(incoming);
+  const currentMatches = matchLines(baseLines, currentLines);
+  const incomingMatches = matchLines(baseLines, incomingLines);
+  const chunks = [];
+
+  if (!currentMatches || !incomingMatches) {
+    chunks.push({
+      type: 'conflict',
+      base: baseLines,
+      current: currentLines,
+      incoming: incomingLines,
+      current_start_line: 1,
+    });
+    return { clean: false, code: null, chunks, conflicts: 1 };
+  }
+
+  let conflicts = 0;
+  let baseIndex = 0;
+  let currentIndex = 0;
+  let incomingIndex = 0;
+  let currentLineCount = 0;
+
+  while (baseIndex <= baseLines.length) {
+    // The next base line both sides kept, or the end of all three texts
+    let anchor = baseIndex;
+    while (
+      anchor < baseLines.length &&
+      (currentMatches[anchor] < 0 || incomingMatches[anchor] < 0)
+    ) {
+      anchor += 1;
+    }
+    const currentAnchor =
+      anchor < baseLines.length ? currentMatches[anchor] : currentLines.length;
+    const incomingAnchor =
+      anchor < baseLines.length
+        ? incomingMatches[anchor]
+        : incomingLines.length;
+
+    const baseRegion = baseLines.slice(baseIndex, anchor);
+    const currentRegion = currentLines.slice(currentIndex, currentAnchor);
+    const incomingRegion = incomingLines.slice(incomingIndex, incomingAnchor);
+
+    if (sameLines(currentRegion, baseRegion)) {
+      pushResolved(chunks, incomingRegion);
+    } else if (
+      sameLines(incomingRegion, baseRegion) ||
+      sameLines(incomingRegion, currentRegion)
+    ) {
+      pushResolved(chunks, currentRegion);
+    } else {
+      chunks.push({
+        type: 'conflict',
+        base: baseRegion,
+        current: currentRegion,
+        incoming: incomingRegion,
+        current_start_line: currentLineCount + 1,
+      });
+      conflicts += 1;
+    }
+    currentLineCount += currentRegion.length;
+
+    if (anchor < baseLines.length) {
+      pushResolved(chunks, [baseLines[anchor]]);
+      currentLineCount += 1;
+    }
+
+    baseIndex = anchor + 1;
+    currentIndex = currentAnchor + 1;
+    incomingIndex = incomingAnchor + 1;
+  }
+
+  return {
+    clean: conflicts === 0,
+    code:
+      conflicts === 0
+        ? chunks.flatMap((chunk) => chunk.lines).join('\n')
+        : null,
+    chunks,
+    conflicts,
+  };
+}
+
+module.exports = {
+  MAX_EDIT_DISTANCE,
+  mergeThreeWay,
+};
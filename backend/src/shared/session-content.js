@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectVersionsCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+} = require('@aws-sdk/client-s3');
+
+// Code is stored either inline on an item, as `code_content`, or in
+// SESSION_CONTENT_BUCKET, as a `code_ref` of { key, version_id, sha256,
+// size_bytes }. An item has exactly one of the two.
+const CONTENT_FIELDS = ['code_content', 'code_ref'];
+
+const SESSION_CONTENT_BUCKET = process.env.SESSION_CONTENT_BUCKET;
+// A save writes its code into both the session item and its version item,
+// each capped at 400KB by DynamoDB, so anything near that goes to the bucket.
+const INLINE_CONTENT_BYTES = Number(
+  process.env.SESSION_INLINE_CONTENT_BYTES || 100 * 1024,
+);
+
+// S3_ENDPOINT points the client at an S3-compatible store such as MinIO,
+// which serves buckets by path rather than by subdomain.
+const s3Client = new S3Client(
+  process.env.S3_ENDPOINT
+    ? { endpoint: process.env.S3_ENDPOINT, forcePathStyle: true }
+    : {},
+);
+
+if (!SESSION_CONTENT_BUCKET) {
+  console.warn(
+    '[session-content] SESSION_CONTENT_BUCKET environment variable is not set; code is always stored inline.',
+  );
+}
+
+function sessionPrefix(sessionId) {
+  return `sessions/${sessionId}/`;
+}
+
+/**
+ * Stores a session's code and returns the fields to save on its item. Code
+ * up to INLINE_CONTENT_BYTES stays inline. Larger code is uploaded under a
+ * key derived from its hash, so saving the same code twice reuses the key.
+ * The bucket is versioned, though, so every upload adds an object version:
+ * re-saves leave the older versions noncurrent, which the bucket's lifecycle
+ * rule expires. A save that fails after storing its code hands the fields
+ * to discardStoredContent; everything else is removed with the session.
+ */
+async function storeSessionContent(sessionId, code) {
+  const sizeBytes = Buffer.byteLength(code, 'utf8');
+  if (!SESSION_CONTENT_BUCKET || sizeBytes <= INLINE_CONTENT_BYTES) {
+    return { code_content: code };
+  }
+
+  const sha256 = crypto.createHash('sha256').update(code, 'utf8').digest('hex');
+  const key = `${sessionPrefix(sessionId)}${sha256}`;
+  const result = await s3Client.send(
+    new PutObjectCommand({
+      Bucket: SESSION_CONTENT_BUCKET,
+      Key: key,
+      Body: code,
+      ContentType: 'text/plain; charset=utf-8',
+    }),
+  );
+
+  return {
+    code_ref: {
+      key,
+      // Only set when the bucket has versioning enabled
+      version_id: result.VersionId || null,
+      sha256,
+      size_bytes: sizeBytes,
+    },
+  };
+}
+
+// The stored code fields of a session or version item, to save on another
+// item without downloading the code.
+function pickStoredContent(item) {
+  return item.code_ref
+    ? { code_ref: item.code_ref }
+    : { code_content: item.code_content || '' };
+}
+
+function storedContentSize(stored) {
+  return stored.code_ref
+    ? stored.code_ref.size_bytes
+    : Buffer.byteLength(stored.code_content || '', 'utf8');
+}
+
+async function getObjectText(key, versionId) {
+  const result = await s3Client.send(
+    new GetObjectCommand({
+      Bucket: SESSION_CONTENT_BUCKET,
+      Key: key,
+      VersionId: versionId || undefined,
+    }),
+  );
+  return result.Body.transformToString('utf-8');
+}
+
+/**
+ * Resolves with the code of a session or version item, downloading it when
+ * the item holds a reference. Throws SESSION_CONTENT_MISSING when the
+ * referenced object is gone.
+ */
+async function loadSessionContent(item) {
+  if (!item.code_ref) {
+    return typeof item.code_content === 'string' ? item.code_content : '';
+  }
+
+  const { key, version_id: versionId } = item.code_ref;
+  try {
+    try {
+      return await getObjectText(key, versionId);
+    } catch (err) {
+      // Every version of a key holds the same code, so once a re-save has
+      // made the referenced one noncurrent and it has expired, the current
+      // version stands in for it.
+      if (err.name !== 'NoSuchVersion' || !versionId) {
+        throw err;
+      }
+      return await getObjectText(key, null);
+    }
+  } catch (err) {
+    if (err.name === 'NoSuchKey' || err.name === 'NoSuchVersion') {
+      throw new Error('SESSION_CONTENT_MISSING');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Deletes the object version storeSessionContent uploaded for a save that
+ * was then not committed. Only that version goes: other versions of the
+ * content-addressed key may be referenced by other items. Unversioned
+ * buckets overwrite in place, so they have nothing to remove. Failures are
+ * logged rather than thrown, so the save's own error is the one reported.
+ */
+async function discardStoredContent(stored) {
+  if (!stored?.code_ref?.version_id) {
+    return;
+  }
+
+  const { key, version_id: versionId } = stored.code_ref;
+  try {
+    await s3Client.send(
+      new DeleteObjectCommand({
+        Bucket: SESSION_CONTENT_BUCKET,
+        Key: key,
+        VersionId: versionId,
+      }),
+    );
+  } catch (err) {
+    console.error(
+      `[session-content] Failed to discard ${key} version ${versionId}:`,
+      err,
+    );
+  }
+}
+
+/**
+ * Removes every stored object of a deleted session, all object versions
+ * included. Failures are logged rather than thrown, since the session itself
+ * is already gone.
+ */
+async function deleteSessionContent(sessionId) {
+  if (!SESSION_CONTENT_BUCKET) {
+    return;
+  }
+
+  try {
+    let keyMarker;
+    let versionIdMarker;
+    let isTruncated;
+    do {
+      const result = await s3Client.send(
+        new ListObjectVersionsCommand({
+          Bucket: SESSION_CONTENT_BUCKET,
+          Prefix: sessionPrefix(sessionId),
+          KeyMarker: keyMarker,
+          VersionIdMarker: versionIdMarker,
+        }),
+      );
+
+      const objects = [
+        ...(result.Versions || []),
+        ...(result.DeleteMarkers || []),
+      ].map(({ Key, VersionId }) => ({ Key, VersionId }));
+
+      if (objects.length > 0) {
+        const deleted = await s3Client.send(
+          new DeleteObjectsCommand({
+            Bucket: SESSION_CONTENT_BUCKET,
+            Delete: { Objects: objects, Quiet: true },
+          }),
+        );
+        if (deleted.Errors && deleted.Errors.length > 0) {
+          throw new Error('CONTENT_DELETE_INCOMPLETE');
+        }
+      }
+
+      keyMarker = result.NextKeyMarker;
+      versionIdMarker = result.NextVersionIdMarker;
+      isTruncated = result.IsTruncated;
+    } while (isTruncated);
+  } catch (err) {
+    console.error(
+      `[session-content] Failed to delete content of session ${sessionId}:`,
+      err,
+    );
+  }
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  storeSessionContent,
+  pickStoredContent,
+  storedContentSize,
+  loadSessionContent,
+  discardStoredContent,
+  deleteSessionContent,
+};
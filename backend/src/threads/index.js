@@ -361,6 +361,7 @@ async function handleListThreads(event) {
       end_line: item.end_line,
       selected_text: item.selected_text || "",
       anchor_status: item.anchor_status || "stable",
+      ...(item.finding ? { finding: item.finding } : {}),
       created_at: item.created_at,
       updated_at: item.updated_at || item.created_at,
     }));
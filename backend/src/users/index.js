@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const {
   getUserById,
   updateUser,
+  savePromptTemplate,
   deleteUser,
   queryUserByEmail,
   queryUserByUsername,
@@ -26,8 +27,14 @@ const ERROR_CODES = {
   USER_ALREADY_EXISTS: 'USER_ALREADY_EXISTS',
   INVALID_PASSWORD: 'INVALID_PASSWORD',
   USER_NOT_FOUND: 'USER_NOT_FOUND',
+  VERSION_CONFLICT: 'VERSION_CONFLICT',
 };
 
+const MAX_PROMPT_TEMPLATE_LENGTH = 4000;
+const MAX_PROMPT_TEMPLATE_LANGUAGES = 20;
+const MAX_LANGUAGE_NAME_LENGTH = 40;
+const PROMPT_TEMPLATE_FIELDS = ['system_prompt', 'user_prompt'];
+
 function parseBody(event) {
   if (!event.body) {
     return {};
@@ -46,10 +53,64 @@ function buildUserResponse(user) {
     name: user.name,
     email: user.email,
     username: user.username,
+    strict_secret_mode: user.strict_secret_mode === true,
     created_at: user.created_at,
   };
 }
 
+function buildPromptTemplateResponse(template) {
+  return {
+    version: template?.version || 0,
+    default: {
+      system_prompt: template?.default?.system_prompt || '',
+      user_prompt: template?.default?.user_prompt || '',
+    },
+    languages: template?.languages || {},
+    updated_at: template?.updated_at || null,
+  };
+}
+
+function parsePromptTemplateEntry(rawEntry, field) {
+  if (!rawEntry || typeof rawEntry !== 'object' || Array.isArray(rawEntry)) {
+    return {
+      errorResponse: error(
+        400,
+        ERROR_CODES.INVALID_INPUT,
+        `${field} must be an object with system_prompt and user_prompt.`,
+        field,
+      ),
+    };
+  }
+
+  const entry = {};
+  for (const key of PROMPT_TEMPLATE_FIELDS) {
+    const value = rawEntry[key] ?? '';
+    if (typeof value !== 'string') {
+      return {
+        errorResponse: error(
+          400,
+          ERROR_CODES.INVALID_INPUT,
+          `${field}.${key} must be a string.`,
+          `${field}.${key}`,
+        ),
+      };
+    }
+    if (value.length > MAX_PROMPT_TEMPLATE_LENGTH) {
+      return {
+        errorResponse: error(
+          400,
+          ERROR_CODES.INVALID_INPUT,
+          `${field}.${key} must be at most ${MAX_PROMPT_TEMPLATE_LENGTH} characters.`,
+          `${field}.${key}`,
+        ),
+      };
+    }
+    entry[key] = value.trim();
+  }
+
+  return { entry };
+}
+
 function getUserIdFromEvent(event) {
   return event.requestContext?.authorizer?.user?.user_id;
 }
@@ -157,6 +218,23 @@ async function handleUpdateProfile(event) {
     }
   }
 
+  // When on, the AI refuses code that contains credentials instead of
+  // masking them before the model call.
+  if (payload.strict_secret_mode !== undefined) {
+    if (typeof payload.strict_secret_mode !== 'boolean') {
+      return error(
+        400,
+        ERROR_CODES.INVALID_INPUT,
+        'strict_secret_mode must be a boolean.',
+        'strict_secret_mode',
+      );
+    }
+
+    if (payload.strict_secret_mode !== (user.strict_secret_mode === true)) {
+      updates.strict_secret_mode = payload.strict_secret_mode;
+    }
+  }
+
   if (Object.keys(updates).length === 0) {
     return success(200, {
       user: buildUserResponse(user),
@@ -235,6 +313,154 @@ async function handleChangePassword(event) {
   });
 }
 
+async function handleGetPromptTemplate(event) {
+  const userId = getUserIdFromEvent(event);
+
+  if (!userId) {
+    return error(401, 'UNAUTHORIZED', 'User ID not found in token');
+  }
+
+  const user = await getUserById(userId);
+
+  if (!user) {
+    return error(404, ERROR_CODES.USER_NOT_FOUND, 'User not found');
+  }
+
+  return success(200, {
+    prompt_template: buildPromptTemplateResponse(user.prompt_template),
+  });
+}
+
+async function handleUpdatePromptTemplate(event) {
+  const userId = getUserIdFromEvent(event);
+
+  if (!userId) {
+    return error(401, 'UNAUTHORIZED', 'User ID not found in token');
+  }
+
+  let payload;
+  try {
+    payload = parseBody(event);
+  } catch (err) {
+    return error(400, ERROR_CODES.INVALID_INPUT, 'Malformed JSON body.');
+  }
+
+  const expectedVersion = payload.expected_version;
+  if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+    return error(
+      400,
+      ERROR_CODES.INVALID_INPUT,
+      'expected_version must be a non-negative integer.',
+      'expected_version',
+    );
+  }
+
+  const defaultEntry = parsePromptTemplateEntry(
+    payload.default ?? {},
+    'default',
+  );
+  if (defaultEntry.errorResponse) {
+    return defaultEntry.errorResponse;
+  }
+
+  const rawLanguages = payload.languages ?? {};
+  if (typeof rawLanguages !== 'object' || Array.isArray(rawLanguages)) {
+    return error(
+      400,
+      ERROR_CODES.INVALID_INPUT,
+      'languages must be an object keyed by language name.',
+      'languages',
+    );
+  }
+
+  // Overrides with no text are dropped; language names match the AI request
+  // case-insensitively, so names differing only in case are rejected.
+  const languages = {};
+  const seenLanguages = new Set();
+  for (const [rawLanguage, rawEntry] of Object.entries(rawLanguages)) {
+    const language = normalizeString(rawLanguage);
+    if (!language || language.length > MAX_LANGUAGE_NAME_LENGTH) {
+      return error(
+        400,
+        ERROR_CODES.INVALID_INPUT,
+        `Language names must be 1-${MAX_LANGUAGE_NAME_LENGTH} characters.`,
+        'languages',
+      );
+    }
+    if (seenLanguages.has(language.toLowerCase())) {
+      return error(
+        400,
+        ERROR_CODES.INVALID_INPUT,
+        `languages contains ${language} more than once.`,
+        'languages',
+      );
+    }
+    seenLanguages.add(language.toLowerCase());
+
+    const parsed = parsePromptTemplateEntry(rawEntry, `languages.${language}`);
+    if (parsed.errorResponse) {
+      return parsed.errorResponse;
+    }
+    if (PROMPT_TEMPLATE_FIELDS.some((key) => parsed.entry[key])) {
+      languages[language] = parsed.entry;
+    }
+  }
+
+  if (Object.keys(languages).length > MAX_PROMPT_TEMPLATE_LANGUAGES) {
+    return error(
+      400,
+      ERROR_CODES.INVALID_INPUT,
+      `At most ${MAX_PROMPT_TEMPLATE_LANGUAGES} language overrides are allowed.`,
+      'languages',
+    );
+  }
+
+  const user = await getUserById(userId);
+
+  if (!user) {
+    return error(404, ERROR_CODES.USER_NOT_FOUND, 'User not found');
+  }
+
+  const currentVersion = user.prompt_template?.version || 0;
+  if (currentVersion !== expectedVersion) {
+    return error(
+      409,
+      ERROR_CODES.VERSION_CONFLICT,
+      'Prompt template has been changed elsewhere. Reload and try again.',
+      null,
+      { current_version: currentVersion },
+    );
+  }
+
+  let savedTemplate;
+  try {
+    savedTemplate = await savePromptTemplate(
+      userId,
+      {
+        version: expectedVersion + 1,
+        default: defaultEntry.entry,
+        languages,
+        updated_at: new Date().toISOString(),
+      },
+      expectedVersion,
+    );
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      return error(
+        409,
+        ERROR_CODES.VERSION_CONFLICT,
+        'Prompt template has been changed elsewhere. Reload and try again.',
+      );
+    }
+    throw err;
+  }
+
+  return success(200, {
+    prompt_template: buildPromptTemplateResponse(savedTemplate),
+    message: 'Prompt template saved',
+  });
+}
+
 async function handleDeleteAccount(event) {
   const userId = getUserIdFromEvent(event);
 
@@ -298,6 +524,14 @@ async function router(event) {
     return success(204, {});
   }
 
+  if (method === 'GET' && path.includes('/users/me/prompt-template')) {
+    return handleGetPromptTemplate(event);
+  }
+
+  if (method === 'PUT' && path.includes('/users/me/prompt-template')) {
+    return handleUpdatePromptTemplate(event);
+  }
+
   if (method === 'GET' && path.includes('/users/me')) {
     return handleGetProfile(event);
   }
@@ -77,6 +77,11 @@ function authRequired(handler) {
 
     try {
       const payload = verifyAccessToken(token);
+      // Stream tokens travel in function URL requests and only authenticate
+      // the AI stream handler, never the API.
+      if (payload.type === 'ai_stream') {
+        throw new Error('TOKEN_INVALID');
+      }
       event.requestContext = event.requestContext || {};
       event.requestContext.authorizer = {
         ...(event.requestContext.authorizer || {}),
@@ -104,6 +104,12 @@ async function updateUser(userId, updates) {
     expressionAttributeValues[':username'] = normalize(updates.username);
   }
 
+  if (updates.strict_secret_mode !== undefined) {
+    updateExpressions.push('#strict_secret_mode = :strict_secret_mode');
+    expressionAttributeNames['#strict_secret_mode'] = 'strict_secret_mode';
+    expressionAttributeValues[':strict_secret_mode'] = updates.strict_secret_mode;
+  }
+
   if (updates.password_hash !== undefined) {
     updateExpressions.push('#password_hash = :password_hash');
     expressionAttributeNames['#password_hash'] = 'password_hash';
@@ -128,6 +134,34 @@ async function updateUser(userId, updates) {
   return result.Attributes;
 }
 
+// Replaces the user's prompt template only while it is still at
+// expectedVersion (0 when none has been saved), so two open Settings tabs
+// cannot silently overwrite each other.
+async function savePromptTemplate(userId, template, expectedVersion) {
+  const hasTemplate = expectedVersion > 0;
+  const result = await documentClient.send(
+    new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { user_id: userId },
+      UpdateExpression: 'SET #prompt_template = :template',
+      ConditionExpression: hasTemplate
+        ? '#prompt_template.#version = :expected_version'
+        : 'attribute_exists(user_id) AND attribute_not_exists(#prompt_template)',
+      ExpressionAttributeNames: {
+        '#prompt_template': 'prompt_template',
+        ...(hasTemplate ? { '#version': 'version' } : {}),
+      },
+      ExpressionAttributeValues: {
+        ':template': template,
+        ...(hasTemplate ? { ':expected_version': expectedVersion } : {}),
+      },
+      ReturnValues: 'ALL_NEW',
+    }),
+  );
+
+  return result.Attributes.prompt_template;
+}
+
 async function deleteUser(userId) {
   await documentClient.send(
     new DeleteCommand({
@@ -143,6 +177,7 @@ module.exports = {
   queryUserByEmail,
   queryUserByUsername,
   updateUser,
+  savePromptTemplate,
   deleteUser,
 };
 
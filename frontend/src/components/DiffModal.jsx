@@ -1,21 +1,70 @@
-import { useCallback, useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import PropTypes from "prop-types";
 import { DiffEditor } from "@monaco-editor/react";
 
+// Applies hunks (absolute line numbers) to a snippet that starts at startLine
+function applyHunksToSnippet(snippet, hunks, startLine) {
+  const lines = snippet.split("\n");
+
+  [...hunks]
+    .sort((a, b) => b.start_line - a.start_line)
+    .forEach((hunk) => {
+      lines.splice(
+        hunk.start_line - startLine,
+        hunk.end_line - hunk.start_line + 1,
+        ...(hunk.text ? hunk.text.split("\n") : [])
+      );
+    });
+
+  return lines.join("\n");
+}
+
+function describeHunk(hunk) {
+  const range =
+    hunk.start_line === hunk.end_line
+      ? `Line ${hunk.start_line}`
+      : `Lines ${hunk.start_line}\u2013${hunk.end_line}`;
+
+  if (!hunk.text) {
+    return `${range}: remove`;
+  }
+
+  const lineCount = hunk.text.split("\n").length;
+  return `${range}: replace with ${lineCount} line${lineCount === 1 ? "" : "s"}`;
+}
+
 export default function DiffModal({
   isOpen,
   onClose,
   onApply,
   originalCode,
   modifiedCode,
+  hunks,
   language,
   startLine,
   endLine,
+  validation,
   isApplying,
   canApply,
 }) {
   const editorRef = useRef(null);
   const [editorKey, setEditorKey] = useState(0);
+  const [rejectedHunks, setRejectedHunks] = useState(() => new Set());
+
+  const hasHunks = Array.isArray(hunks) && hunks.length > 0;
+  const isInvalid = validation?.status === "invalid";
+  const acceptedHunks = useMemo(
+    () => (hasHunks ? hunks.filter((_, index) => !rejectedHunks.has(index)) : []),
+    [hasHunks, hunks, rejectedHunks]
+  );
+
+  // With hunks, the right-hand side previews only the accepted ones
+  const previewCode = useMemo(() => {
+    if (!hasHunks || typeof startLine !== "number") {
+      return modifiedCode;
+    }
+    return applyHunksToSnippet(originalCode, acceptedHunks, startLine);
+  }, [hasHunks, startLine, modifiedCode, originalCode, acceptedHunks]);
 
   const handleKeyDown = useCallback(
     (event) => {
@@ -40,9 +89,26 @@ export default function DiffModal({
   useEffect(() => {
     if (isOpen) {
       setEditorKey((prev) => prev + 1);
+      setRejectedHunks(new Set());
     }
   }, [isOpen]);
 
+  const toggleHunk = useCallback((index) => {
+    setRejectedHunks((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  }, []);
+
+  const handleApply = useCallback(() => {
+    onApply(hasHunks ? acceptedHunks : undefined);
+  }, [onApply, hasHunks, acceptedHunks]);
+
   const handleEditorDidMount = (editor) => {
     editorRef.current = editor;
   };
@@ -104,7 +170,7 @@ export default function DiffModal({
             <DiffEditor
               key={editorKey}
               original={originalCode}
-              modified={modifiedCode}
+              modified={previewCode}
               language={language}
               theme="vs-dark"
               onMount={handleEditorDidMount}
@@ -119,6 +185,54 @@ export default function DiffModal({
             />
           ) : null}
         </div>
+        {isInvalid ? (
+          <div className="diff-validation-warning" role="alert">
+            <p className="diff-validation-title">
+              The edited file does not parse ({validation.parser}). Applying
+              this change will likely break the code.
+            </p>
+            {validation.diagnostics.length > 0 ? (
+              <ul className="diff-validation-list">
+                {validation.diagnostics.map((diagnostic, index) => (
+                  <li key={`${diagnostic.line}-${diagnostic.column}-${index}`}>
+                    {diagnostic.line
+                      ? `Line ${diagnostic.line}:${diagnostic.column} \u2013 `
+                      : ""}
+                    {diagnostic.message}
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+          </div>
+        ) : null}
+        {hasHunks ? (
+          <ul className="diff-hunk-list" aria-label="Suggested changes">
+            {hunks.map((hunk, index) => {
+              const isAccepted = !rejectedHunks.has(index);
+              return (
+                <li
+                  key={`${hunk.start_line}-${hunk.end_line}`}
+                  className={`diff-hunk-item${
+                    isAccepted ? "" : " diff-hunk-rejected"
+                  }`}
+                >
+                  <span className="diff-hunk-label">{describeHunk(hunk)}</span>
+                  <button
+                    type="button"
+                    className={`btn btn-small ${
+                      isAccepted ? "btn-secondary" : "btn-primary"
+                    }`}
+                    onClick={() => toggleHunk(index)}
+                    disabled={isApplying}
+                    aria-pressed={isAccepted}
+                  >
+                    {isAccepted ? "Reject" : "Accept"}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        ) : null}
         <footer className="diff-modal-footer">
           <button
             type="button"
@@ -131,11 +245,19 @@ export default function DiffModal({
           {canApply ? (
             <button
               type="button"
-              className="btn btn-primary btn-small"
-              onClick={onApply}
-              disabled={isApplying}
+              className={`btn btn-small ${
+                isInvalid ? "btn-danger" : "btn-primary"
+              }`}
+              onClick={handleApply}
+              disabled={isApplying || (hasHunks && acceptedHunks.length === 0)}
             >
-              {isApplying ? "Applying..." : "Apply Patch"}
+              {isApplying
+                ? "Applying..."
+                : isInvalid
+                  ? "Apply Anyway"
+                  : hasHunks
+                  ? `Apply ${acceptedHunks.length} of ${hunks.length} Changes`
+                  : "Apply Patch"}
             </button>
           ) : null}
         </footer>
@@ -150,17 +272,37 @@ DiffModal.propTypes = {
   onApply: PropTypes.func.isRequired,
   originalCode: PropTypes.string.isRequired,
   modifiedCode: PropTypes.string.isRequired,
+  hunks: PropTypes.arrayOf(
+    PropTypes.shape({
+      start_line: PropTypes.number.isRequired,
+      end_line: PropTypes.number.isRequired,
+      text: PropTypes.string.isRequired,
+    })
+  ),
   language: PropTypes.string,
   startLine: PropTypes.number,
   endLine: PropTypes.number,
+  validation: PropTypes.shape({
+    status: PropTypes.oneOf(["valid", "repaired", "invalid"]).isRequired,
+    parser: PropTypes.string,
+    diagnostics: PropTypes.arrayOf(
+      PropTypes.shape({
+        message: PropTypes.string.isRequired,
+        line: PropTypes.number,
+        column: PropTypes.number,
+      })
+    ),
+  }),
   isApplying: PropTypes.bool,
   canApply: PropTypes.bool,
 };
 
 DiffModal.defaultProps = {
+  hunks: undefined,
   language: "plaintext",
   startLine: undefined,
   endLine: undefined,
+  validation: null,
   isApplying: false,
   canApply: true,
 };
@@ -0,0 +1,253 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { DiffEditor } from "@monaco-editor/react";
+
+const RESOLUTIONS = [
+  { value: "incoming", label: "Keep mine" },
+  { value: "current", label: "Keep saved" },
+  { value: "both", label: "Keep both" },
+];
+
+function resolveChunk(chunk, resolution) {
+  if (chunk.type === "resolved") {
+    return chunk.lines;
+  }
+  if (resolution === "current") {
+    return chunk.current;
+  }
+  if (resolution === "both") {
+    return [...chunk.current, ...chunk.incoming];
+  }
+  return chunk.incoming;
+}
+
+function describeConflict(chunk) {
+  const count = chunk.current.length;
+  if (count === 0) {
+    return `Before line ${chunk.current_start_line}`;
+  }
+  return count === 1
+    ? `Line ${chunk.current_start_line}`
+    : `Lines ${chunk.current_start_line}–${chunk.current_start_line + count - 1}`;
+}
+
+// Resolves a save that conflicted with changes saved since its base version.
+// The left side is the saved code; the right side is the merge, built from
+// the choice made for each conflict and editable before saving.
+export default function MergeConflictModal({
+  baseVersion,
+  currentVersion,
+  currentCode,
+  chunks,
+  language,
+  onResolve,
+  onCancel,
+}) {
+  const diffEditorRef = useRef(null);
+  const conflicts = useMemo(
+    () => chunks.filter((chunk) => chunk.type === "conflict"),
+    [chunks]
+  );
+  const [resolutions, setResolutions] = useState(() =>
+    conflicts.map(() => "incoming")
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const mergedCode = useMemo(() => {
+    let conflictIndex = 0;
+    return chunks
+      .flatMap((chunk) =>
+        resolveChunk(
+          chunk,
+          chunk.type === "conflict" ? resolutions[conflictIndex++] : null
+        )
+      )
+      .join("\n");
+  }, [chunks, resolutions]);
+
+  // Changing a choice rebuilds the right side, so hand edits made to it
+  // are replaced.
+  const handleResolutionChange = useCallback((index, resolution) => {
+    setResolutions((prev) =>
+      prev.map((value, position) => (position === index ? resolution : value))
+    );
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    // Detach the models first, as in DiffModal, so closing mid-render does
+    // not touch a disposed model
+    if (diffEditorRef.current) {
+      try {
+        diffEditorRef.current.getModifiedEditor()?.setModel(null);
+        diffEditorRef.current.getOriginalEditor()?.setModel(null);
+      } catch {
+        // Ignore disposal errors
+      }
+      diffEditorRef.current = null;
+    }
+    onCancel();
+  }, [onCancel]);
+
+  const handleKeyDown = useCallback(
+    (event) => {
+      if (event.key === "Escape" && !saving) {
+        event.preventDefault();
+        handleCancel();
+      }
+    },
+    [handleCancel, saving]
+  );
+
+  useEffect(() => {
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [handleKeyDown]);
+
+  const handleSave = useCallback(async () => {
+    const code =
+      diffEditorRef.current?.getModifiedEditor()?.getValue() ?? mergedCode;
+
+    try {
+      setSaving(true);
+      setError("");
+      await onResolve(code);
+    } catch (err) {
+      setError(err.message || "Failed to save the merge.");
+    } finally {
+      setSaving(false);
+    }
+  }, [mergedCode, onResolve]);
+
+  return (
+    <div
+      className="diff-modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Resolve merge conflicts"
+    >
+      <div className="diff-modal-card">
+        <header className="diff-modal-header">
+          <h2 className="diff-modal-title">
+            Resolve Conflicts ({conflicts.length})
+          </h2>
+          <button
+            type="button"
+            className="diff-modal-close"
+            onClick={handleCancel}
+            disabled={saving}
+            aria-label="Close merge view"
+          >
+            ×
+          </button>
+        </header>
+        <div className="translation-compare-warning" role="status">
+          Version {currentVersion} was saved while you were editing version{" "}
+          {baseVersion}. The left side shows it; the right side is the merge
+          that will be saved, and can be edited.
+        </div>
+        {error ? (
+          <div className="editor-error-banner" role="alert">
+            {error}
+          </div>
+        ) : null}
+        <div className="diff-modal-body">
+          <DiffEditor
+            key={resolutions.join(",")}
+            original={currentCode}
+            modified={mergedCode}
+            language={language}
+            theme="vs-dark"
+            onMount={(editor) => {
+              diffEditorRef.current = editor;
+            }}
+            options={{
+              renderSideBySide: true,
+              readOnly: false,
+              originalEditable: false,
+              automaticLayout: true,
+              minimap: { enabled: false },
+            }}
+            height="100%"
+          />
+        </div>
+        <ul className="diff-hunk-list" aria-label="Conflicts">
+          {conflicts.map((chunk, index) => (
+            <li
+              key={`${chunk.current_start_line}-${index}`}
+              className="diff-hunk-item"
+            >
+              <span className="diff-hunk-label">
+                {describeConflict(chunk)}
+              </span>
+              <span className="merge-conflict-choices">
+                {RESOLUTIONS.map((option) => {
+                  const isSelected = resolutions[index] === option.value;
+                  return (
+                    <button
+                      key={option.value}
+                      type="button"
+                      className={`btn btn-small ${
+                        isSelected ? "btn-primary" : "btn-secondary"
+                      }`}
+                      onClick={() =>
+                        handleResolutionChange(index, option.value)
+                      }
+                      disabled={saving}
+                      aria-pressed={isSelected}
+                    >
+                      {option.label}
+                    </button>
+                  );
+                })}
+              </span>
+            </li>
+          ))}
+        </ul>
+        <footer className="diff-modal-footer">
+          <button
+            type="button"
+            className="btn btn-secondary btn-small"
+            onClick={handleCancel}
+            disabled={saving}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary btn-small"
+            onClick={handleSave}
+            disabled={saving}
+          >
+            {saving ? "Saving..." : "Save Merge"}
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
+
+const linesPropType = PropTypes.arrayOf(PropTypes.string);
+
+MergeConflictModal.propTypes = {
+  baseVersion: PropTypes.number.isRequired,
+  currentVersion: PropTypes.number.isRequired,
+  currentCode: PropTypes.string.isRequired,
+  chunks: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.oneOf(["resolved", "conflict"]).isRequired,
+      lines: linesPropType,
+      base: linesPropType,
+      current: linesPropType,
+      incoming: linesPropType,
+      current_start_line: PropTypes.number,
+    })
+  ).isRequired,
+  language: PropTypes.string,
+  onResolve: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+MergeConflictModal.defaultProps = {
+  language: "plaintext",
+};
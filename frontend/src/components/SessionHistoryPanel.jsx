@@ -0,0 +1,335 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useNavigate } from "react-router-dom";
+import { DiffEditor } from "@monaco-editor/react";
+
+import { api, APIError } from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Lists a session's saved versions and diffs the selected one (left) against
+// the code in the editor (right), unsaved edits included.
+export default function SessionHistoryPanel({
+  sessionId,
+  currentVersion,
+  currentCode,
+  language,
+  hasUnsavedChanges,
+  onRestore,
+  onClose,
+}) {
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+  const diffEditorRef = useRef(null);
+  const [versions, setVersions] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [historySince, setHistorySince] = useState(null);
+  const [loadingVersions, setLoadingVersions] = useState(true);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [loadingVersion, setLoadingVersion] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleAuthFailure = useCallback(async () => {
+    await logout();
+    navigate("/login", { replace: true });
+  }, [logout, navigate]);
+
+  const selectVersion = useCallback(
+    async (versionNumber) => {
+      try {
+        setLoadingVersion(true);
+        setError("");
+        const response = await api.getSessionVersion(sessionId, versionNumber);
+        setSelectedVersion(response.version);
+      } catch (err) {
+        if (err instanceof APIError && err.statusCode === 401) {
+          await handleAuthFailure();
+          return;
+        }
+        setError(
+          err instanceof APIError
+            ? err.message || "Failed to load this version."
+            : "Failed to load this version. Please try again."
+        );
+      } finally {
+        setLoadingVersion(false);
+      }
+    },
+    [sessionId, handleAuthFailure]
+  );
+
+  const loadVersions = useCallback(
+    async (pageCursor) => {
+      try {
+        setLoadingVersions(true);
+        setError("");
+        const response = await api.getSessionVersions(sessionId, pageCursor);
+        const page = response.versions || [];
+
+        setVersions((prev) => (pageCursor ? [...prev, ...page] : page));
+        setCursor(response.cursor || null);
+        setHistorySince(response.history_since ?? null);
+
+        // Opens on the latest version before the current one
+        if (!pageCursor) {
+          const previous =
+            page.find((version) => version.version_number < currentVersion) ||
+            page[0];
+          if (previous) {
+            selectVersion(previous.version_number);
+          }
+        }
+      } catch (err) {
+        if (err instanceof APIError && err.statusCode === 401) {
+          await handleAuthFailure();
+          return;
+        }
+        setError(
+          err instanceof APIError
+            ? err.message || "Failed to load version history."
+            : "Failed to load version history. Please try again."
+        );
+      } finally {
+        setLoadingVersions(false);
+      }
+    },
+    [sessionId, currentVersion, selectVersion, handleAuthFailure]
+  );
+
+  useEffect(() => {
+    loadVersions(null);
+  }, [loadVersions]);
+
+  const handleClose = useCallback(() => {
+    // Detach the models first, as in DiffModal, so closing mid-render does
+    // not touch a disposed model
+    if (diffEditorRef.current) {
+      try {
+        diffEditorRef.current.getModifiedEditor()?.setModel(null);
+        diffEditorRef.current.getOriginalEditor()?.setModel(null);
+      } catch {
+        // Ignore disposal errors
+      }
+      diffEditorRef.current = null;
+    }
+    onClose();
+  }, [onClose]);
+
+  const handleKeyDown = useCallback(
+    (event) => {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        handleClose();
+      }
+    },
+    [handleClose]
+  );
+
+  useEffect(() => {
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [handleKeyDown]);
+
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget) {
+      handleClose();
+    }
+  };
+
+  const handleRestore = useCallback(async () => {
+    if (!selectedVersion) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      setError("");
+      await onRestore(selectedVersion);
+    } catch (err) {
+      setError(err.message || "Failed to restore this version.");
+    } finally {
+      setRestoring(false);
+    }
+  }, [selectedVersion, onRestore]);
+
+  const isCurrentSelected =
+    selectedVersion?.version_number === currentVersion;
+
+  return (
+    <div
+      className="diff-modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Version history"
+      onClick={handleOverlayClick}
+    >
+      <div className="diff-modal-card">
+        <header className="diff-modal-header">
+          <h2 className="diff-modal-title">
+            Version History
+            {selectedVersion
+              ? ` – v${selectedVersion.version_number} vs. editor`
+              : ""}
+          </h2>
+          <button
+            type="button"
+            className="diff-modal-close"
+            onClick={handleClose}
+            aria-label="Close version history"
+          >
+            ×
+          </button>
+        </header>
+        {error ? (
+          <div className="editor-error-banner" role="alert">
+            {error}
+          </div>
+        ) : null}
+        <div className="diff-modal-body session-history-body">
+          <aside className="session-history-list-container">
+            <ul className="session-history-list" aria-label="Saved versions">
+              {versions.map((version) => {
+                const isSelected =
+                  version.version_number === selectedVersion?.version_number;
+                return (
+                  <li key={version.version_number}>
+                    <button
+                      type="button"
+                      className={`session-history-item${
+                        isSelected ? " selected" : ""
+                      }`}
+                      onClick={() => selectVersion(version.version_number)}
+                      disabled={loadingVersion || restoring}
+                      aria-pressed={isSelected}
+                    >
+                      <span className="session-history-item-header">
+                        <span className="session-history-item-number">
+                          v{version.version_number}
+                        </span>
+                        {version.version_number === currentVersion ? (
+                          <span className="session-history-item-current">
+                            Current
+                          </span>
+                        ) : null}
+                        <span className="session-history-item-size">
+                          {formatSize(version.size_bytes)}
+                        </span>
+                      </span>
+                      {version.label ? (
+                        <span className="session-history-item-label">
+                          {version.label}
+                        </span>
+                      ) : null}
+                      <span className="session-history-item-time">
+                        {new Date(version.created_at).toLocaleString()}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+            {loadingVersions ? (
+              <p className="session-history-note">Loading versions...</p>
+            ) : null}
+            {!loadingVersions && cursor ? (
+              <button
+                type="button"
+                className="btn btn-secondary btn-small session-history-more"
+                onClick={() => loadVersions(cursor)}
+              >
+                Load older versions
+              </button>
+            ) : null}
+            {!loadingVersions && !cursor && historySince > 1 ? (
+              <p className="session-history-note">
+                Versions before v{historySince} were saved before version
+                history was kept.
+              </p>
+            ) : null}
+          </aside>
+          <div className="session-history-diff">
+            {selectedVersion ? (
+              <DiffEditor
+                key={selectedVersion.version_number}
+                original={selectedVersion.code_content}
+                modified={currentCode}
+                language={language}
+                theme="vs-dark"
+                onMount={(editor) => {
+                  diffEditorRef.current = editor;
+                }}
+                options={{
+                  renderSideBySide: true,
+                  readOnly: true,
+                  automaticLayout: true,
+                  minimap: { enabled: false },
+                }}
+                height="100%"
+              />
+            ) : (
+              <p className="session-history-note">
+                {loadingVersion || loadingVersions
+                  ? "Loading..."
+                  : "Select a version to compare it with the editor."}
+              </p>
+            )}
+          </div>
+        </div>
+        <footer className="diff-modal-footer">
+          {hasUnsavedChanges && selectedVersion && !isCurrentSelected ? (
+            <span className="session-history-warning">
+              Restoring replaces your unsaved changes.
+            </span>
+          ) : null}
+          <button
+            type="button"
+            className="btn btn-secondary btn-small"
+            onClick={handleClose}
+            disabled={restoring}
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary btn-small"
+            onClick={handleRestore}
+            disabled={
+              !selectedVersion ||
+              isCurrentSelected ||
+              loadingVersion ||
+              restoring
+            }
+          >
+            {restoring
+              ? "Restoring..."
+              : selectedVersion && !isCurrentSelected
+                ? `Restore v${selectedVersion.version_number}`
+                : "Restore"}
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
+
+SessionHistoryPanel.propTypes = {
+  sessionId: PropTypes.string.isRequired,
+  currentVersion: PropTypes.number.isRequired,
+  currentCode: PropTypes.string.isRequired,
+  language: PropTypes.string,
+  hasUnsavedChanges: PropTypes.bool,
+  onRestore: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+SessionHistoryPanel.defaultProps = {
+  language: "plaintext",
+  hasUnsavedChanges: false,
+};
@@ -1,15 +1,26 @@
-import { useCallback, useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import PropTypes from "prop-types";
 import { useNavigate } from "react-router-dom";
 
 import { api, APIError } from "../utils/api";
-import classifyIntent from "../utils/aiIntent";
+import {
+  findMentionInProgress,
+  hasMentions,
+  insertMention,
+  resolveMentionedSessionIds,
+} from "../utils/sessionMentions";
 import { useAuth } from "../context/AuthContext";
 import DiffModal from "./DiffModal";
 
 const MAX_MESSAGE_LENGTH = 5000;
 const WARNING_THRESHOLD = 4500;
-const MAX_HISTORY_FOR_AI = 10;
+const MAX_MENTION_SUGGESTIONS = 6;
+
+const CONTEXT_FILE_MODE_LABELS = {
+  full: "whole file",
+  excerpt: "relevant excerpts",
+  omitted: "left out, no room in the context budget",
+};
 
 const LANGUAGE_TO_MONACO = {
   javascript: "javascript",
@@ -33,6 +44,26 @@ const LANGUAGE_TO_MONACO = {
   "plain text": "plaintext",
 };
 
+async function writeToClipboard(text) {
+  if (
+    typeof navigator === "undefined" ||
+    !navigator.clipboard ||
+    !navigator.clipboard.writeText
+  ) {
+    throw new Error("Clipboard API is not available");
+  }
+  await navigator.clipboard.writeText(text);
+}
+
+function formatFindingLines(finding) {
+  if (!Number.isInteger(finding.start_line)) {
+    return "";
+  }
+  return finding.start_line === finding.end_line
+    ? `line ${finding.start_line}`
+    : `lines ${finding.start_line}-${finding.end_line}`;
+}
+
 function toMonacoLanguage(languageName) {
   if (!languageName || typeof languageName !== "string") {
     return "plaintext";
@@ -68,6 +99,92 @@ function formatRelativeTime(timestamp) {
   return `${diffDays} days ago`;
 }
 
+// "0:42", or "12:05" while an hourly token budget refills.
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+// Progress of a background analysis job, shown while its answer is pending.
+const JOB_STAGE_LABELS = {
+  queued: "Waiting for a worker...",
+  loading_context: "Loading the conversation...",
+  analyzing: "Analyzing the file...",
+};
+
+const CONTEXT_REGION_LABELS = {
+  selection: "Selection",
+  enclosing: "Enclosing",
+  enclosing_signature: "Signature",
+  imports: "Imports",
+  reference: "Referenced",
+  surrounding: "Nearby lines",
+};
+
+function describeContextRegions(regions) {
+  if (!Array.isArray(regions) || regions.length === 0) {
+    return undefined;
+  }
+
+  return regions
+    .map((region) => {
+      const kindLabel = CONTEXT_REGION_LABELS[region.kind] || region.kind;
+      const suffix = region.label ? ` ${region.label}` : "";
+      return `Lines ${region.start_line}–${region.end_line}: ${kindLabel}${suffix}`;
+    })
+    .join("\n");
+}
+
+function describeContextFiles(files) {
+  return files
+    .map(
+      (file) =>
+        `${file.filename}: ${CONTEXT_FILE_MODE_LABELS[file.mode] || file.mode}`
+    )
+    .join("\n");
+}
+
+function describeRedactedSecrets(secrets) {
+  return [
+    "These values were masked before the request was sent and restored in the suggestion:",
+    ...secrets.map((secret) =>
+      Number.isInteger(secret.line)
+        ? `${secret.label} (line ${secret.line})`
+        : secret.source === "context"
+          ? `${secret.label} (in a referenced file)`
+          : `${secret.label} (in your ${secret.source})`
+    ),
+  ].join("\n");
+}
+
+const MODEL_TIER_LABELS = {
+  quick: "Quick",
+  deep: "Deep",
+};
+
+const MODEL_TIER_DESCRIPTIONS = {
+  quick: "Faster and cheaper, for questions about what code does.",
+  deep: "Slower and costlier, for refactors and reviews.",
+};
+
+// Tooltip for a quick/deep button, naming the model it picks and its cost
+// next to the cheapest model in the catalog.
+function describeModelTier(catalog, tier) {
+  const models = Array.isArray(catalog?.models) ? catalog.models : [];
+  const model = models.find((entry) => entry.tier === tier);
+  if (!model) {
+    return MODEL_TIER_DESCRIPTIONS[tier];
+  }
+
+  const cheapest = Math.min(...models.map((entry) => entry.relative_cost));
+  const cost = Math.round((model.relative_cost / cheapest) * 10) / 10;
+  return `${MODEL_TIER_DESCRIPTIONS[tier]} Uses ${model.name}${
+    cost > 1 ? `, about ${cost}× the cost of the cheapest model` : ""
+  }. Click again to let the question pick.`;
+}
+
 function normalizeMessagesResponse(payload) {
   if (!payload) {
     return [];
@@ -107,9 +224,20 @@ export default function ThreadPanel({
   const [diffState, setDiffState] = useState(null);
   const [appliedMessageIds, setAppliedMessageIds] = useState(() => new Set());
   const [applyingPatch, setApplyingPatch] = useState(false);
+  const [contextSessions, setContextSessions] = useState(null);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [activeMentionIndex, setActiveMentionIndex] = useState(0);
+  // null lets the backend pick the model for the question's intent.
+  const [modelTier, setModelTier] = useState(null);
+  const [modelCatalog, setModelCatalog] = useState(null);
+  // Set while the AI token budget is spent: { resetsAt, window, remaining,
+  // requested }, with resetsAt on the local clock.
+  const [rateLimit, setRateLimit] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
 
   const messagesEndRef = useRef(null);
   const textareaRef = useRef(null);
+  const contextSessionsRequestRef = useRef(null);
 
   const threadId = thread?.thread_id;
   const effectiveCode = typeof sessionCode === "string" ? sessionCode : "";
@@ -151,6 +279,15 @@ export default function ThreadPanel({
         const restoredApplied = new Set();
 
         threadMessages.forEach((message) => {
+          if (
+            message.role === "system" &&
+            message.metadata?.patch_applied === true &&
+            typeof message.metadata.applied_from_message_id === "string"
+          ) {
+            restoredApplied.add(message.metadata.applied_from_message_id);
+            return;
+          }
+
           if (message.role !== "ai" || !message.metadata) {
             return;
           }
@@ -166,19 +303,66 @@ export default function ThreadPanel({
               .join("\n");
           }
 
+          const hunks = Array.isArray(message.metadata.hunks)
+            ? message.metadata.hunks
+            : [];
+          const hunkBaseLine = Number.isInteger(message.metadata.hunk_base_line)
+            ? message.metadata.hunk_base_line
+            : null;
+
           const contextMode =
             typeof message.metadata.context_mode === "string"
               ? message.metadata.context_mode
               : null;
+          const contextRegions = Array.isArray(message.metadata.context_regions)
+            ? message.metadata.context_regions
+            : [];
           const intent =
             typeof message.metadata.intent === "string"
               ? message.metadata.intent
               : "improve";
 
+          const testFile =
+            message.metadata.test_file &&
+            typeof message.metadata.test_file.content === "string"
+              ? message.metadata.test_file
+              : null;
+          const findings = Array.isArray(message.metadata.findings)
+            ? message.metadata.findings
+            : [];
+          const validation =
+            message.metadata.validation &&
+            typeof message.metadata.validation.status === "string"
+              ? message.metadata.validation
+              : null;
+          const redactedSecrets = Array.isArray(
+            message.metadata.redacted_secrets
+          )
+            ? message.metadata.redacted_secrets
+            : [];
+          const contextFiles = Array.isArray(message.metadata.context_files)
+            ? message.metadata.context_files
+            : [];
+          const model =
+            message.metadata.model &&
+            typeof message.metadata.model.name === "string"
+              ? message.metadata.model
+              : null;
+
           restoredExtras[message.message_id] = {
             replacement,
+            hunks,
+            hunkBaseLine,
             context_mode: contextMode,
+            contextRegions,
             intent,
+            testFile,
+            findings,
+            validation,
+            redactedSecrets,
+            contextFiles,
+            model,
+            cached: message.metadata.cached === true,
           };
 
           if (
@@ -215,6 +399,7 @@ export default function ThreadPanel({
 
     setMessages([]);
     setUserInput("");
+    setMentionQuery(null);
     setError("");
     setLoading(true);
     setMessageExtras({});
@@ -249,8 +434,76 @@ export default function ThreadPanel({
     return () => window.removeEventListener("keydown", handleEsc);
   }, [onClose]);
 
-  const handleSendMessage = useCallback(async () => {
-    const trimmed = userInput.trim();
+  useEffect(() => {
+    let isSubscribed = true;
+
+    api
+      .getAIModels()
+      .then((response) => {
+        if (isSubscribed) {
+          setModelCatalog(response);
+        }
+      })
+      .catch((err) => {
+        console.error("[thread-panel] Failed to load AI models:", err);
+      });
+
+    return () => {
+      isSubscribed = false;
+    };
+  }, []);
+
+  // Ticks the rate limit countdown and lifts the limit once it has passed.
+  useEffect(() => {
+    if (!rateLimit) {
+      return undefined;
+    }
+
+    const intervalId = setInterval(() => {
+      const current = Date.now();
+      if (current >= rateLimit.resetsAt) {
+        setRateLimit(null);
+      } else {
+        setNow(current);
+      }
+    }, 1000);
+
+    return () => clearInterval(intervalId);
+  }, [rateLimit]);
+
+  const handleModelTierToggle = useCallback((tier) => {
+    setModelTier((current) => (current === tier ? null : tier));
+  }, []);
+
+  // The user's sessions for @mentions, fetched once per panel on first use.
+  const loadContextSessions = useCallback(() => {
+    if (!contextSessionsRequestRef.current) {
+      contextSessionsRequestRef.current = api
+        .getSessions()
+        .then((response) => {
+          const sessions = Array.isArray(response?.sessions)
+            ? response.sessions
+            : [];
+          setContextSessions(sessions);
+          return sessions;
+        })
+        .catch((err) => {
+          contextSessionsRequestRef.current = null;
+          console.error("[thread-panel] Failed to load sessions:", err);
+          return [];
+        });
+    }
+
+    return contextSessionsRequestRef.current;
+  }, []);
+
+  // `clarifying` is the clarifying question being answered: its prompt was
+  // already posted, so the answer replaces the question instead.
+  const sendPrompt = useCallback(async (
+    rawPrompt,
+    { forceRefresh = false, intent: forcedIntent, clarifying = null } = {}
+  ) => {
+    const trimmed = rawPrompt.trim();
 
     if (!threadId || !trimmed || sending) {
       return;
@@ -269,8 +522,12 @@ export default function ThreadPanel({
       _optimistic: true,
     };
 
-    const optimisticTimeline = [...messages, tempMessage];
-    let userMessageCreated = false;
+    const optimisticTimeline = clarifying
+      ? messages.filter(
+          (message) => message.message_id !== clarifying.message_id
+        )
+      : [...messages, tempMessage];
+    let userMessageCreated = Boolean(clarifying);
     let thinkingMessage = null;
     let timelineWithUser = optimisticTimeline;
 
@@ -278,26 +535,27 @@ export default function ThreadPanel({
       setSending(true);
       setError("");
       setMessages(optimisticTimeline);
-      setUserInput("");
-
-      const createResponse = await api.createMessage(threadId, {
-        role: "user",
-        content: trimmed,
-      });
-      const createdMessage = createResponse?.message || createResponse;
-      userMessageCreated = true;
+      // A re-ask must not clobber whatever the user is drafting
+      if (!forceRefresh && !clarifying) {
+        setUserInput("");
+        setMentionQuery(null);
+      }
 
-      timelineWithUser = optimisticTimeline.map((message) =>
-        message.message_id === tempMessage.message_id ? createdMessage : message
-      );
-      setMessages(timelineWithUser);
+      if (!clarifying) {
+        const createResponse = await api.createMessage(threadId, {
+          role: "user",
+          content: trimmed,
+        });
+        const createdMessage = createResponse?.message || createResponse;
+        userMessageCreated = true;
 
-      const historyPayload = timelineWithUser
-        .slice(-MAX_HISTORY_FOR_AI)
-        .map((message) => ({
-          role: message.role,
-          content: message.content,
-        }));
+        timelineWithUser = optimisticTimeline.map((message) =>
+          message.message_id === tempMessage.message_id
+            ? createdMessage
+            : message
+        );
+        setMessages(timelineWithUser);
+      }
 
       thinkingMessage = {
         message_id: `thinking-${Date.now()}`,
@@ -322,71 +580,128 @@ export default function ThreadPanel({
                 : {}),
             };
 
-      const requestedIntent = classifyIntent(trimmed);
+      const contextSessionIds = hasMentions(trimmed)
+        ? resolveMentionedSessionIds(
+            trimmed,
+            await loadContextSessions(),
+            thread?.session_id
+          )
+        : [];
 
-      const aiResponse = await api.analyzeCode({
+      const streamingMessageId = thinkingMessage.message_id;
+      const analyzePayload = {
         thread_id: threadId,
         code: effectiveCode,
         language: effectiveLanguage,
         prompt: trimmed,
-        mode: requestedIntent,
+        // The server picks the intent, or asks, unless one was chosen.
+        mode: forcedIntent || "auto",
+        ...(clarifying ? { clarified: true } : {}),
         selection: selectionPayload,
-        history: historyPayload,
-      });
+        ...(forceRefresh ? { force_refresh: true } : {}),
+        ...(contextSessionIds.length > 0
+          ? { context_session_ids: contextSessionIds }
+          : {}),
+        ...(modelTier ? { model: modelTier } : {}),
+      };
+      const onAnalysisDelta = (text) => {
+        setMessages((prev) =>
+          prev.map((message) =>
+            message.message_id === streamingMessageId
+              ? { ...message, content: `${message.content}${text}` }
+              : message
+          )
+        );
+      };
+
+      // Full-file requests can outlast the API Gateway timeout, so they run
+      // as background jobs and the thinking message follows the job instead.
+      const aiResponse = selectionPayload
+        ? await api.analyzeCodeStream(analyzePayload, { onAnalysisDelta })
+        : await api.analyzeCodeAsJob(analyzePayload, {
+            onAnalysisDelta,
+            onJobUpdate: (job) => {
+              setMessages((prev) =>
+                prev.map((message) =>
+                  message.message_id === streamingMessageId
+                    ? {
+                        ...message,
+                        content: job.progress?.analysis_preview || "",
+                        _jobId: job.job_id,
+                        _jobStage: job.progress?.stage,
+                      }
+                    : message
+                )
+              );
+            },
+          });
+
+      if (aiResponse?.clarification) {
+        setMessages((prev) =>
+          prev.map((message) =>
+            message.message_id === streamingMessageId
+              ? {
+                  ...message,
+                  content: aiResponse.clarification.question,
+                  _thinking: false,
+                  _clarification: {
+                    prompt: trimmed,
+                    options: aiResponse.clarification.options,
+                  },
+                }
+              : message
+          )
+        );
+        return;
+      }
 
       const intent =
         typeof aiResponse?.intent === "string"
           ? aiResponse.intent
-          : requestedIntent;
+          : forcedIntent || "improve";
 
-      const analysis =
-        typeof aiResponse?.analysis === "string" ? aiResponse.analysis : "";
-      // New format: AI returns a single "replacement" field with the complete improved code
+      // The AI returns individual hunks plus the complete edited block as "replacement"
       const replacement =
         typeof aiResponse?.replacement === "string"
           ? aiResponse.replacement
           : "";
+      const hunks = Array.isArray(aiResponse?.hunks) ? aiResponse.hunks : [];
+      const testFile =
+        aiResponse?.test_file &&
+        typeof aiResponse.test_file.content === "string"
+          ? aiResponse.test_file
+          : null;
+      const findings = Array.isArray(aiResponse?.findings)
+        ? aiResponse.findings
+        : [];
+      const validation =
+        aiResponse?.validation &&
+        typeof aiResponse.validation.status === "string"
+          ? aiResponse.validation
+          : null;
+      const redactedSecrets = Array.isArray(aiResponse?.redacted_secrets)
+        ? aiResponse.redacted_secrets
+        : [];
+      const contextFiles = Array.isArray(aiResponse?.context_files)
+        ? aiResponse.context_files
+        : [];
+      const model =
+        aiResponse?.model && typeof aiResponse.model.name === "string"
+          ? aiResponse.model
+          : null;
+      const hunkBaseLine = selectionPayload?.start_line ?? 1;
 
       const contextMode =
         typeof aiResponse?.context_mode === "string"
           ? aiResponse.context_mode
           : null;
-      const tokenCount =
-        typeof aiResponse?.token_count === "number"
-          ? aiResponse.token_count
-          : null;
+      const contextRegions = Array.isArray(aiResponse?.context_regions)
+        ? aiResponse.context_regions
+        : [];
+      const cached = aiResponse?.cached === true;
 
-      const metadata = {
-        intent,
-        analysis,
-        replacement,
-      };
-
-      if (contextMode) {
-        metadata.context_mode = contextMode;
-      }
-      if (tokenCount !== null) {
-        metadata.token_count = tokenCount;
-      }
-
-      const aiMessagePayload = {
-        role: "ai",
-        content: analysis,
-        metadata,
-      };
-
-      if (contextMode) {
-        aiMessagePayload.context_mode = contextMode;
-      }
-      if (tokenCount !== null) {
-        aiMessagePayload.token_count = tokenCount;
-      }
-
-      const aiMessageResponse = await api.createMessage(
-        threadId,
-        aiMessagePayload
-      );
-      const aiMessage = aiMessageResponse?.message || aiMessageResponse;
+      // The AI service saves its answer to the thread and returns it.
+      const aiMessage = aiResponse.message;
 
       setMessages((prev) =>
         prev.map((message) =>
@@ -402,8 +717,18 @@ export default function ThreadPanel({
         }
         next[aiMessage.message_id] = {
           replacement,
+          hunks,
+          hunkBaseLine,
           context_mode: contextMode,
+          contextRegions,
           intent,
+          testFile,
+          findings,
+          validation,
+          redactedSecrets,
+          contextFiles,
+          model,
+          cached,
         };
         return next;
       });
@@ -414,12 +739,21 @@ export default function ThreadPanel({
             (message) => message.message_id !== tempMessage.message_id
           )
         );
-        setUserInput(trimmed);
+        if (!forceRefresh) {
+          setUserInput(trimmed);
+        }
       } else if (thinkingMessage) {
+        // A failed answer to a clarifying question puts the question back.
         setMessages((prev) =>
-          prev.filter(
-            (message) => message.message_id !== thinkingMessage.message_id
-          )
+          clarifying
+            ? prev.map((message) =>
+                message.message_id === thinkingMessage.message_id
+                  ? clarifying
+                  : message
+              )
+            : prev.filter(
+                (message) => message.message_id !== thinkingMessage.message_id
+              )
         );
         setMessageExtras((prev) => {
           const next = { ...prev };
@@ -435,6 +769,26 @@ export default function ThreadPanel({
         return;
       }
 
+      if (err instanceof APIError && err.code === "AI_JOB_CANCELLED") {
+        return;
+      }
+
+      if (
+        err instanceof APIError &&
+        err.code === "TOKEN_RATE_LIMIT_EXCEEDED" &&
+        err.details
+      ) {
+        const current = Date.now();
+        setNow(current);
+        setRateLimit({
+          resetsAt: current + err.details.retry_after_seconds * 1000,
+          window: err.details.window,
+          remaining: err.details.remaining,
+          requested: err.details.requested_tokens,
+        });
+        return;
+      }
+
       const message =
         err instanceof APIError
           ? err.message || "Failed to process AI request."
@@ -445,27 +799,160 @@ export default function ThreadPanel({
     }
   }, [
     threadId,
-    userInput,
     sending,
     handleAuthFailure,
     messages,
     effectiveCode,
     effectiveLanguage,
     thread,
+    loadContextSessions,
+    modelTier,
   ]);
 
-  const handleTextareaChange = useCallback((event) => {
-    setUserInput(event.target.value);
-  }, []);
+  const handleSendMessage = useCallback(
+    () => sendPrompt(userInput),
+    [sendPrompt, userInput]
+  );
+
+  // The pending request sees the cancellation on its next poll.
+  const handleCancelJob = useCallback(
+    async (jobId) => {
+      try {
+        await api.cancelAIJob(jobId);
+      } catch (err) {
+        if (err instanceof APIError && err.statusCode === 401) {
+          await handleAuthFailure();
+          return;
+        }
+        // 409: the job finished first, and its answer is on the way.
+        if (!(err instanceof APIError) || err.statusCode !== 409) {
+          setError(err.message || "Failed to cancel the analysis.");
+        }
+      }
+    },
+    [handleAuthFailure]
+  );
+
+  // Re-asks the user prompt that produced a cached answer, bypassing the
+  // cache, with the intent the cached answer was given for.
+  const handleAskAgain = useCallback(
+    (messageId) => {
+      const index = messages.findIndex(
+        (message) => message.message_id === messageId
+      );
+      const previousUserMessage = messages
+        .slice(0, index)
+        .reverse()
+        .find((message) => message.role === "user");
+      if (previousUserMessage) {
+        sendPrompt(previousUserMessage.content, {
+          forceRefresh: true,
+          intent: messageExtras[messageId]?.intent,
+        });
+      }
+    },
+    [messages, messageExtras, sendPrompt]
+  );
+
+  const handleClarificationChoice = useCallback(
+    (message, intent) => {
+      sendPrompt(message._clarification.prompt, {
+        intent,
+        clarifying: message,
+      });
+    },
+    [sendPrompt]
+  );
+
+  const mentionSuggestions = useMemo(() => {
+    if (mentionQuery === null || !contextSessions) {
+      return [];
+    }
+
+    const query = mentionQuery.toLowerCase();
+    return contextSessions
+      .filter(
+        (session) =>
+          session.session_id !== thread?.session_id &&
+          session.filename.toLowerCase().includes(query)
+      )
+      .slice(0, MAX_MENTION_SUGGESTIONS);
+  }, [mentionQuery, contextSessions, thread]);
+
+  const handleTextareaChange = useCallback(
+    (event) => {
+      const { value, selectionStart } = event.target;
+      setUserInput(value);
+
+      const query = findMentionInProgress(value.slice(0, selectionStart));
+      setMentionQuery(query);
+      setActiveMentionIndex(0);
+      if (query !== null) {
+        loadContextSessions();
+      }
+    },
+    [loadContextSessions]
+  );
+
+  const handleSelectMention = useCallback(
+    (session) => {
+      const textarea = textareaRef.current;
+      const caret = textarea ? textarea.selectionStart : userInput.length;
+      const next = insertMention(userInput, caret, session.filename);
+
+      setUserInput(next.text);
+      setMentionQuery(null);
+      requestAnimationFrame(() => {
+        if (textareaRef.current) {
+          textareaRef.current.focus();
+          textareaRef.current.setSelectionRange(next.caret, next.caret);
+        }
+      });
+    },
+    [userInput]
+  );
 
   const handleTextareaKeyDown = useCallback(
     (event) => {
+      if (mentionSuggestions.length > 0) {
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+          event.preventDefault();
+          const step = event.key === "ArrowDown" ? 1 : -1;
+          setActiveMentionIndex(
+            (index) =>
+              (index + step + mentionSuggestions.length) %
+              mentionSuggestions.length
+          );
+          return;
+        }
+        if (event.key === "Enter" || event.key === "Tab") {
+          event.preventDefault();
+          handleSelectMention(
+            mentionSuggestions[
+              Math.min(activeMentionIndex, mentionSuggestions.length - 1)
+            ]
+          );
+          return;
+        }
+        if (event.key === "Escape") {
+          // Keep the panel open; only the suggestions close
+          event.stopPropagation();
+          setMentionQuery(null);
+          return;
+        }
+      }
+
       if ((event.metaKey || event.ctrlKey) && event.key === "Enter") {
         event.preventDefault();
         handleSendMessage();
       }
     },
-    [handleSendMessage]
+    [
+      mentionSuggestions,
+      activeMentionIndex,
+      handleSelectMention,
+      handleSendMessage,
+    ]
   );
 
   const handleCopyCode = useCallback(
@@ -479,14 +966,23 @@ export default function ThreadPanel({
       }
 
       try {
-        if (
-          typeof navigator === "undefined" ||
-          !navigator.clipboard ||
-          !navigator.clipboard.writeText
-        ) {
-          throw new Error("Clipboard API is not available");
-        }
-        await navigator.clipboard.writeText(replacement);
+        await writeToClipboard(replacement);
+      } catch {
+        setError("Unable to copy to clipboard. Please copy manually.");
+      }
+    },
+    [messageExtras]
+  );
+
+  const handleCopyTestFile = useCallback(
+    async (messageId) => {
+      const testFile = messageExtras[messageId]?.testFile;
+      if (!testFile) {
+        return;
+      }
+
+      try {
+        await writeToClipboard(testFile.content);
       } catch {
         setError("Unable to copy to clipboard. Please copy manually.");
       }
@@ -494,6 +990,40 @@ export default function ThreadPanel({
     [messageExtras]
   );
 
+  const handleDownloadTestFile = useCallback(
+    (messageId) => {
+      const testFile = messageExtras[messageId]?.testFile;
+      if (!testFile) {
+        return;
+      }
+
+      const filename = testFile.filename.split("/").pop() || "tests.txt";
+      const url = URL.createObjectURL(
+        new Blob([testFile.content], { type: "text/plain" })
+      );
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+    [messageExtras]
+  );
+
+  // Audit findings become an ordinary improve request scoped by the finding.
+  const handleFixFinding = useCallback(
+    (finding) => {
+      const lines = formatFindingLines(finding);
+      sendPrompt(
+        `Fix this ${finding.category} issue${lines ? ` at ${lines}` : ""}: ${
+          finding.title
+        }. ${finding.description}`.trim(),
+        { intent: "improve" }
+      );
+    },
+    [sendPrompt]
+  );
+
   const handleViewDiff = useCallback(
     (messageId) => {
       if (appliedMessageIds.has(messageId)) {
@@ -522,15 +1052,31 @@ export default function ThreadPanel({
       // Original snippet is the FULL thread selection that will be replaced
       const originalSnippet = lines.slice(safeStart - 1, safeEnd).join("\n");
 
-      // The AI now returns the complete replacement for the entire selected block
-      // No need to merge patches - just use the replacement directly
+      // Hunks use the line numbers the AI saw, so shift them by however far
+      // the thread anchor has moved since. If they no longer fit inside the
+      // thread range, fall back to the whole-block replacement.
+      const lineShift =
+        Number.isInteger(extras.hunkBaseLine) && extras.hunks?.length
+          ? safeStart - extras.hunkBaseLine
+          : 0;
+      const hunks = (extras.hunks || []).map((hunk) => ({
+        start_line: hunk.start_line + lineShift,
+        end_line: hunk.end_line + lineShift,
+        text: hunk.text,
+      }));
+      const hunksFitRange = hunks.every(
+        (hunk) => hunk.start_line >= safeStart && hunk.end_line <= safeEnd
+      );
+
       setDiffState({
         messageId,
         originalCode: originalSnippet,
         modifiedCode: replacement,
+        hunks: hunksFitRange ? hunks : [],
         language: toMonacoLanguage(sessionLanguage),
         startLine: safeStart,
         endLine: safeEnd,
+        validation: extras.validation,
       });
     },
     [appliedMessageIds, messageExtras, sessionLanguage, sessionCode, thread]
@@ -540,7 +1086,7 @@ export default function ThreadPanel({
     setDiffState(null);
   }, []);
 
-  const handleApplyPatchFromDiff = useCallback(async () => {
+  const handleApplyPatchFromDiff = useCallback(async (acceptedHunks) => {
     if (
       !diffState?.modifiedCode ||
       !diffState?.startLine ||
@@ -553,17 +1099,25 @@ export default function ThreadPanel({
 
     const { modifiedCode, startLine, endLine, messageId } = diffState;
 
+    if (diffState.hunks?.length && !acceptedHunks?.length) {
+      return;
+    }
+
     try {
       setApplyingPatch(true);
       setError("");
 
-      // Pass a single patch that replaces the entire original range with the complete modified code
-      // This avoids issues with applying multiple patches with shifting line numbers
-      await onApplyPatch({
-        start_line: startLine,
-        end_line: endLine,
-        replacement: modifiedCode,
-      });
+      // Hunks the user accepted are applied individually; messages without
+      // hunks replace the entire original range with the modified code
+      await onApplyPatch(
+        diffState.hunks?.length
+          ? { start_line: startLine, end_line: endLine, hunks: acceptedHunks }
+          : {
+              start_line: startLine,
+              end_line: endLine,
+              replacement: modifiedCode,
+            }
+      );
 
       setAppliedMessageIds((prev) => {
         const next = new Set(prev);
@@ -574,14 +1128,12 @@ export default function ThreadPanel({
       setDiffState(null);
 
       const confirmationPayload = {
-        role: "ai",
+        role: "system",
         content:
           "Patch applied successfully. The code has been updated. Feel free to ask for more suggestions if needed.",
         metadata: {
           patch_applied: true,
           applied_from_message_id: messageId,
-          replacement: "",
-          intent: "info",
         },
       };
 
@@ -670,6 +1222,20 @@ export default function ThreadPanel({
         </div>
       ) : null}
 
+      {rateLimit ? (
+        <div className="thread-panel-rate-limit" role="status">
+          You have used this {rateLimit.window}&apos;s AI token budget
+          {rateLimit.remaining > 0 && rateLimit.requested > 0
+            ? ` (${rateLimit.remaining.toLocaleString()} tokens left, this question needs about ${rateLimit.requested.toLocaleString()})`
+            : ""}
+          . You can ask again in{" "}
+          <span className="thread-panel-rate-limit-countdown">
+            {formatCountdown(rateLimit.resetsAt - now)}
+          </span>
+          .
+        </div>
+      ) : null}
+
       <div className="thread-panel-messages">
         {loading ? (
           <div className="thread-panel-loading">
@@ -692,8 +1258,10 @@ export default function ThreadPanel({
               const isApplied =
                 message.role === "ai" &&
                 appliedMessageIds.has(message.message_id);
+              // Confirmations saved before they became system messages are
+              // AI messages.
               const isConfirmation =
-                message.role === "ai" &&
+                (message.role === "system" || message.role === "ai") &&
                 (message.metadata?.patch_applied === true ||
                   message.metadata?.applied_from_message_id);
               const contextMode =
@@ -710,10 +1278,20 @@ export default function ThreadPanel({
                     isConfirmation ? " message-confirmation" : ""
                   }`}
                 >
-                  {message._thinking ? (
+                  {message._thinking && !message.content ? (
                     <div className="message-content message-thinking">
                       <div className="spinner" aria-hidden="true" />
-                      <span>AI is thinking...</span>
+                      <span>
+                        {JOB_STAGE_LABELS[message._jobStage] ||
+                          "AI is thinking..."}
+                      </span>
+                    </div>
+                  ) : message._thinking ? (
+                    <div
+                      className="message-content message-streaming"
+                      aria-live="polite"
+                    >
+                      {message.content}
                     </div>
                   ) : (
                     <div className="message-content">
@@ -725,21 +1303,196 @@ export default function ThreadPanel({
                       {message.content}
                     </div>
                   )}
+                  {message._clarification ? (
+                    <div
+                      className="message-actions message-clarification"
+                      role="group"
+                      aria-label="Choose what you want"
+                    >
+                      {message._clarification.options.map((option) => (
+                        <button
+                          key={option.intent}
+                          type="button"
+                          className="btn btn-secondary btn-small"
+                          onClick={() =>
+                            handleClarificationChoice(message, option.intent)
+                          }
+                          disabled={sending}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  ) : null}
+                  {extras.testFile ? (
+                    <div className="message-test-file">
+                      <div className="message-test-file-header">
+                        <span className="message-test-file-name">
+                          {extras.testFile.filename || "Generated tests"}
+                        </span>
+                        {extras.testFile.framework ? (
+                          <span className="message-context-badge">
+                            {extras.testFile.framework}
+                          </span>
+                        ) : null}
+                      </div>
+                      <pre className="message-test-file-code">
+                        {extras.testFile.content}
+                      </pre>
+                    </div>
+                  ) : null}
+                  {extras.findings?.length > 0 ? (
+                    <ul className="finding-list">
+                      {extras.findings.map((finding, index) => (
+                        <li
+                          key={`${finding.title}-${index}`}
+                          className="finding-item"
+                        >
+                          <div className="finding-header">
+                            <span
+                              className={`finding-severity finding-severity-${finding.severity}`}
+                            >
+                              {finding.severity}
+                            </span>
+                            <span className="finding-title">
+                              {finding.title}
+                            </span>
+                          </div>
+                          <p className="finding-meta">
+                            {finding.category}
+                            {formatFindingLines(finding)
+                              ? ` · ${formatFindingLines(finding)}`
+                              : ""}
+                          </p>
+                          {finding.description ? (
+                            <p className="finding-description">
+                              {finding.description}
+                            </p>
+                          ) : null}
+                          <button
+                            type="button"
+                            className="btn btn-secondary btn-small"
+                            onClick={() => handleFixFinding(finding)}
+                            disabled={sending}
+                          >
+                            Fix This
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : null}
                   <div className="message-timestamp">
                     {message._thinking
                       ? "Analyzing..."
                       : formatRelativeTime(message.timestamp)}
+                    {message._thinking && message._jobId ? (
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-small message-cancel-job"
+                        onClick={() => handleCancelJob(message._jobId)}
+                      >
+                        Cancel
+                      </button>
+                    ) : null}
                     {contextMode === "local" ? (
-                      <span className="message-context-badge">
+                      <span
+                        className="message-context-badge"
+                        title={describeContextRegions(extras.contextRegions)}
+                      >
                         Used local context
                       </span>
                     ) : null}
+                    {extras.model ? (
+                      <span
+                        className="message-context-badge"
+                        title={`Answered by ${extras.model.name}`}
+                      >
+                        {extras.model.name}
+                      </span>
+                    ) : null}
+                    {extras.cached ? (
+                      <span
+                        className="message-context-badge"
+                        title="Served from cache: the same question was already answered for this code."
+                      >
+                        Cached answer
+                      </span>
+                    ) : null}
+                    {extras.validation?.status === "repaired" ? (
+                      <span
+                        className="message-context-badge"
+                        title="The first suggestion did not parse, so the model was asked once to fix it."
+                      >
+                        Syntax auto-fixed
+                      </span>
+                    ) : null}
+                    {extras.validation?.status === "invalid" ? (
+                      <span
+                        className="message-context-badge message-validation-badge"
+                        title="The suggested change does not parse. Review it before applying."
+                      >
+                        Syntax errors
+                      </span>
+                    ) : null}
+                    {extras.contextFiles?.length > 0 ? (
+                      <span
+                        className="message-context-badge"
+                        title={describeContextFiles(extras.contextFiles)}
+                      >
+                        {extras.contextFiles.length === 1
+                          ? "Used 1 other file"
+                          : `Used ${extras.contextFiles.length} other files`}
+                      </span>
+                    ) : null}
+                    {extras.redactedSecrets?.length > 0 ? (
+                      <span
+                        className="message-context-badge"
+                        title={describeRedactedSecrets(extras.redactedSecrets)}
+                      >
+                        {extras.redactedSecrets.length === 1
+                          ? "1 secret masked"
+                          : `${extras.redactedSecrets.length} secrets masked`}
+                      </span>
+                    ) : null}
                     {isApplied ? (
                       <span className="message-applied-badge">
                         Patch applied
                       </span>
                     ) : null}
                   </div>
+                  {extras.cached && !message._thinking ? (
+                    <div className="message-actions">
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-small"
+                        onClick={() => handleAskAgain(message.message_id)}
+                        disabled={sending}
+                        title="Ask the model again instead of using the cached answer"
+                      >
+                        Get Fresh Answer
+                      </button>
+                    </div>
+                  ) : null}
+                  {extras.testFile && !message._thinking ? (
+                    <div className="message-actions">
+                      <button
+                        type="button"
+                        className="btn btn-primary btn-small"
+                        onClick={() => handleCopyTestFile(message.message_id)}
+                      >
+                        Copy Tests
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-small"
+                        onClick={() =>
+                          handleDownloadTestFile(message.message_id)
+                        }
+                      >
+                        Download
+                      </button>
+                    </div>
+                  ) : null}
                   {hasDiff ? (
                     <div className="message-actions">
                       <button
@@ -752,10 +1505,16 @@ export default function ThreadPanel({
                         title={
                           isApplied
                             ? "This patch has already been applied"
-                            : "View suggested changes"
+                            : intent === "document"
+                              ? "Review the documentation comments to insert"
+                              : "View suggested changes"
                         }
                       >
-                        {isApplied ? "Applied" : "View Diff"}
+                        {isApplied
+                          ? "Applied"
+                          : intent === "document"
+                            ? "Review Docs"
+                            : "View Diff"}
                       </button>
                       {!isApplied ? (
                         <button
@@ -777,13 +1536,46 @@ export default function ThreadPanel({
       </div>
 
       <div className="thread-panel-input-area">
+        {mentionSuggestions.length > 0 ? (
+          <ul
+            className="mention-suggestions"
+            role="listbox"
+            aria-label="Sessions to attach as context"
+          >
+            {mentionSuggestions.map((session, index) => (
+              <li
+                key={session.session_id}
+                role="option"
+                aria-selected={index === activeMentionIndex}
+              >
+                <button
+                  type="button"
+                  className={`mention-suggestion${
+                    index === activeMentionIndex
+                      ? " mention-suggestion-active"
+                      : ""
+                  }`}
+                  onMouseDown={(event) => event.preventDefault()}
+                  onClick={() => handleSelectMention(session)}
+                >
+                  <span>{session.filename}</span>
+                  <span className="mention-suggestion-language">
+                    {session.language_override ||
+                      session.language_detected ||
+                      "Plain Text"}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : null}
         <textarea
           ref={textareaRef}
           className="thread-panel-textarea"
           value={userInput}
           onChange={handleTextareaChange}
           onKeyDown={handleTextareaKeyDown}
-          placeholder="Ask AI about this code..."
+          placeholder="Ask AI about this code... Type @ to add another file."
           rows={3}
           maxLength={MAX_MESSAGE_LENGTH}
           disabled={sending}
@@ -798,13 +1590,40 @@ export default function ThreadPanel({
           >
             {charCount} / {MAX_MESSAGE_LENGTH}
           </span>
+          <div
+            className="model-tier-toggle"
+            role="group"
+            aria-label="Model for the next question"
+          >
+            {Object.keys(MODEL_TIER_LABELS).map((tier) => (
+              <button
+                key={tier}
+                type="button"
+                className={`model-tier-option${
+                  modelTier === tier ? " model-tier-option-active" : ""
+                }`}
+                onClick={() => handleModelTierToggle(tier)}
+                aria-pressed={modelTier === tier}
+                title={describeModelTier(modelCatalog, tier)}
+                disabled={sending}
+              >
+                {MODEL_TIER_LABELS[tier]}
+              </button>
+            ))}
+          </div>
           <button
             type="button"
             className="btn btn-primary btn-small"
             onClick={handleSendMessage}
-            disabled={!userInput.trim() || isOverLimit || sending}
+            disabled={
+              !userInput.trim() || isOverLimit || sending || Boolean(rateLimit)
+            }
           >
-            {sending ? "Analyzing..." : "Send"}
+            {sending
+              ? "Analyzing..."
+              : rateLimit
+                ? `Wait ${formatCountdown(rateLimit.resetsAt - now)}`
+                : "Send"}
           </button>
         </div>
       </div>
@@ -814,12 +1633,14 @@ export default function ThreadPanel({
         onApply={handleApplyPatchFromDiff}
         originalCode={diffState?.originalCode || ""}
         modifiedCode={diffState?.modifiedCode || ""}
+        hunks={diffState?.hunks}
         language={
           diffState?.language ||
           toMonacoLanguage(sessionLanguage || "Plain Text")
         }
         startLine={diffState?.startLine}
         endLine={diffState?.endLine}
+        validation={diffState?.validation}
         isApplying={applyingPatch}
         canApply={
           Boolean(
@@ -837,6 +1658,7 @@ export default function ThreadPanel({
 ThreadPanel.propTypes = {
   thread: PropTypes.shape({
     thread_id: PropTypes.string.isRequired,
+    session_id: PropTypes.string,
     type: PropTypes.oneOf(["block", "file"]).isRequired,
     start_line: PropTypes.number.isRequired,
     end_line: PropTypes.number.isRequired,
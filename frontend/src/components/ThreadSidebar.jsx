@@ -9,6 +9,9 @@ function ThreadSidebar({
   onNewThread,
   hasSelection,
   creatingThread,
+  onReviewFile,
+  reviewingFile,
+  onCancelReview,
 }) {
   return (
     <aside className="thread-sidebar" aria-label="Thread list">
@@ -19,14 +22,36 @@ function ThreadSidebar({
             {threads.length} {threads.length === 1 ? "thread" : "threads"}
           </p>
         </div>
-        <button
-          type="button"
-          className="btn btn-small btn-primary"
-          onClick={onNewThread}
-          disabled={!hasSelection || creatingThread || loading}
-        >
-          {creatingThread ? "Creating..." : "Ask AI"}
-        </button>
+        <div className="thread-sidebar-actions">
+          {onReviewFile ? (
+            <button
+              type="button"
+              className="btn btn-small btn-secondary"
+              onClick={onReviewFile}
+              disabled={reviewingFile || loading}
+              title="Ask AI to review the whole file and open a thread per finding"
+            >
+              {reviewingFile ? "Reviewing..." : "Review File"}
+            </button>
+          ) : null}
+          {reviewingFile && onCancelReview ? (
+            <button
+              type="button"
+              className="btn btn-small btn-secondary"
+              onClick={onCancelReview}
+            >
+              Cancel
+            </button>
+          ) : null}
+          <button
+            type="button"
+            className="btn btn-small btn-primary"
+            onClick={onNewThread}
+            disabled={!hasSelection || creatingThread || loading}
+          >
+            {creatingThread ? "Creating..." : "Ask AI"}
+          </button>
+        </div>
       </div>
 
       {loading ? (
@@ -55,9 +80,12 @@ function ThreadSidebar({
               ? "Full file"
               : `Lines ${thread.start_line}\u2013${thread.end_line}`;
 
-            const preview = thread.selected_text
-              ? thread.selected_text.trim()
-              : "";
+            // Review threads lead with the finding rather than the code
+            const preview = thread.finding
+              ? thread.finding.title
+              : thread.selected_text
+                ? thread.selected_text.trim()
+                : "";
             const previewDisplay =
               preview.length > 0 ? preview : "(No selection captured)";
 
@@ -87,6 +115,13 @@ function ThreadSidebar({
                     >
                       {isFileThread ? "File" : "Block"}
                     </span>
+                    {thread.finding ? (
+                      <span
+                        className={`finding-severity finding-severity-${thread.finding.severity}`}
+                      >
+                        {thread.finding.severity}
+                      </span>
+                    ) : null}
                     <span className="thread-line-range">{lineLabel}</span>
                   </div>
                   <p className="thread-preview" title={previewDisplay}>
@@ -115,6 +150,11 @@ ThreadSidebar.propTypes = {
       end_line: PropTypes.number.isRequired,
       selected_text: PropTypes.string,
       anchor_status: PropTypes.oneOf(["stable", "approximate"]).isRequired,
+      finding: PropTypes.shape({
+        severity: PropTypes.string.isRequired,
+        category: PropTypes.string.isRequired,
+        title: PropTypes.string.isRequired,
+      }),
     })
   ).isRequired,
   loading: PropTypes.bool,
@@ -123,12 +163,18 @@ ThreadSidebar.propTypes = {
   onNewThread: PropTypes.func.isRequired,
   hasSelection: PropTypes.bool.isRequired,
   creatingThread: PropTypes.bool,
+  onReviewFile: PropTypes.func,
+  reviewingFile: PropTypes.bool,
+  onCancelReview: PropTypes.func,
 };
 
 ThreadSidebar.defaultProps = {
   loading: false,
   selectedThreadId: null,
   creatingThread: false,
+  onReviewFile: null,
+  reviewingFile: false,
+  onCancelReview: null,
 };
 
 export default memo(ThreadSidebar);
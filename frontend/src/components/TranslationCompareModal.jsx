@@ -0,0 +1,139 @@
+import { useCallback, useEffect } from "react";
+import PropTypes from "prop-types";
+import Editor from "@monaco-editor/react";
+
+const READ_ONLY_EDITOR_OPTIONS = {
+  readOnly: true,
+  domReadOnly: true,
+  automaticLayout: true,
+  minimap: { enabled: false },
+  scrollBeyondLastLine: false,
+  fontSize: 13,
+};
+
+function ComparePane({ label, file }) {
+  return (
+    <section className="translation-compare-pane" aria-label={label}>
+      <header className="translation-compare-pane-header">
+        <span className="translation-compare-pane-label">{label}</span>
+        <span className="translation-compare-pane-file">
+          {file.filename} · {file.languageName}
+        </span>
+      </header>
+      <div className="translation-compare-pane-editor">
+        <Editor
+          height="100%"
+          language={file.language}
+          theme="vs-dark"
+          value={file.code}
+          options={READ_ONLY_EDITOR_OPTIONS}
+        />
+      </div>
+    </section>
+  );
+}
+
+const filePropType = PropTypes.shape({
+  filename: PropTypes.string.isRequired,
+  language: PropTypes.string.isRequired,
+  languageName: PropTypes.string.isRequired,
+  code: PropTypes.string.isRequired,
+});
+
+ComparePane.propTypes = {
+  label: PropTypes.string.isRequired,
+  file: filePropType.isRequired,
+};
+
+// Shows a translated session next to the source it was translated from. The
+// source is its current saved version, which may have moved on since.
+export default function TranslationCompareModal({
+  onClose,
+  source,
+  translation,
+  translatedFromVersion,
+  sourceVersion,
+  notes,
+}) {
+  const handleKeyDown = useCallback(
+    (event) => {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        onClose();
+      }
+    },
+    [onClose]
+  );
+
+  useEffect(() => {
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [handleKeyDown]);
+
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="diff-modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Compare translation with source"
+      onClick={handleOverlayClick}
+    >
+      <div className="diff-modal-card">
+        <header className="diff-modal-header">
+          <h2 className="diff-modal-title">Compare with Source</h2>
+          <button
+            type="button"
+            className="diff-modal-close"
+            onClick={onClose}
+            aria-label="Close comparison"
+          >
+            ×
+          </button>
+        </header>
+        {sourceVersion > translatedFromVersion ? (
+          <div className="translation-compare-warning" role="status">
+            {source.filename} has changed since it was translated (v
+            {translatedFromVersion}, now v{sourceVersion}). The left side shows
+            its latest version.
+          </div>
+        ) : null}
+        <div className="diff-modal-body translation-compare-body">
+          <ComparePane label="Source" file={source} />
+          <ComparePane label="Translation" file={translation} />
+        </div>
+        {notes ? (
+          <div className="translation-compare-notes">
+            <h3 className="translation-compare-notes-title">
+              Translation notes
+            </h3>
+            <p className="translation-compare-notes-text">{notes}</p>
+          </div>
+        ) : null}
+        <footer className="diff-modal-footer">
+          <button
+            type="button"
+            className="btn btn-secondary btn-small"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
+
+TranslationCompareModal.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  source: filePropType.isRequired,
+  translation: filePropType.isRequired,
+  translatedFromVersion: PropTypes.number.isRequired,
+  sourceVersion: PropTypes.number.isRequired,
+  notes: PropTypes.string,
+};
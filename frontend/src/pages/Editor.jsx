@@ -1,11 +1,15 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { useNavigate, useParams } from "react-router-dom";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
 import Editor from "@monaco-editor/react";
 
 import { api, APIError } from "../utils/api";
+import { saveSessionCode, toSaveEdits } from "../utils/sessionSave";
 import { useAuth } from "../context/AuthContext";
 import ThreadSidebar from "../components/ThreadSidebar";
 import ThreadPanel from "../components/ThreadPanel";
+import TranslationCompareModal from "../components/TranslationCompareModal";
+import SessionHistoryPanel from "../components/SessionHistoryPanel";
+import MergeConflictModal from "../components/MergeConflictModal";
 
 const LANGUAGE_OPTIONS = [
   "JavaScript",
@@ -31,6 +35,23 @@ const LANGUAGE_OPTIONS = [
 
 const DEFAULT_LANGUAGE = "Plain Text";
 
+// Version labels are capped at 200 characters by the sessions API.
+const MAX_VERSION_LABEL_LENGTH = 200;
+
+// Labels the version saved by an AI patch with the thread it came from.
+function describePatchSource(thread) {
+  if (!thread) {
+    return "AI patch";
+  }
+
+  const source = thread.finding
+    ? `"${thread.finding.title}"`
+    : thread.type === "file"
+      ? "on the whole file"
+      : `on lines ${thread.start_line}\u2013${thread.end_line}`;
+  return `AI patch from thread ${source}`.slice(0, MAX_VERSION_LABEL_LENGTH);
+}
+
 const LANGUAGE_TO_MONACO = {
   JavaScript: "javascript",
   TypeScript: "typescript",
@@ -53,6 +74,20 @@ const LANGUAGE_TO_MONACO = {
   "Plain Text": "plaintext",
 };
 
+// Plain Text has nothing to translate into.
+const TRANSLATION_TARGETS = LANGUAGE_OPTIONS.filter(
+  (option) => option !== DEFAULT_LANGUAGE
+);
+
+// Matches the cap the sessions API puts on translated_from.notes.
+const MAX_TRANSLATION_NOTES_LENGTH = 5000;
+
+const TRANSLATION_STAGE_LABELS = {
+  queued: "Waiting for a worker...",
+  loading_context: "Loading the file...",
+  analyzing: "Translating...",
+};
+
 function normalizeLanguageName(rawValue) {
   if (!rawValue || typeof rawValue !== "string") {
     return DEFAULT_LANGUAGE;
@@ -78,9 +113,16 @@ function getMonacoLanguage(languageName) {
 export default function EditorPage() {
   const { sessionId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const { logout } = useAuth();
 
   const editorRef = useRef(null);
+  // Edits made since the last saved version, sent instead of the whole file
+  // on save. Null once they can no longer be replayed (the model was reset).
+  const pendingEditsRef = useRef([]);
+  // Set while code from the server is written into the editor, so the
+  // change is not recorded as an edit.
+  const syncingCodeRef = useRef(false);
   const monacoRef = useRef(null);
   const editorDisposablesRef = useRef([]);
   const gutterDecorationsRef = useRef([]);
@@ -107,9 +149,20 @@ export default function EditorPage() {
   const [threads, setThreads] = useState([]);
   const [threadsLoading, setThreadsLoading] = useState(false);
   const [creatingThread, setCreatingThread] = useState(false);
+  const [reviewingFile, setReviewingFile] = useState(false);
+  const [reviewJob, setReviewJob] = useState(null);
   const [selectedThreadId, setSelectedThreadId] = useState(null);
   const [hasSelection, setHasSelection] = useState(false);
   const [toast, setToast] = useState(null);
+  const [translating, setTranslating] = useState(false);
+  const [translationJob, setTranslationJob] = useState(null);
+  const [translationCompare, setTranslationCompare] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  // Set when a save conflicts with a newer version: the server's merge
+  // details, resolved in MergeConflictModal.
+  const [mergeConflict, setMergeConflict] = useState(null);
+  const [loadingTranslationSource, setLoadingTranslationSource] =
+    useState(false);
 
   const normalizeSessionResponse = useCallback(
     (payload) => payload?.session ?? payload ?? null,
@@ -136,6 +189,35 @@ export default function EditorPage() {
     return payload.thread ?? payload;
   }, []);
 
+  // Makes `savedCode` the editor's content and its new saved baseline. It is
+  // written into the model here rather than left to the `value` prop, which
+  // would replace the whole file through an edit handleEditorChange records.
+  const applySavedCode = useCallback((savedCode) => {
+    const editorInstance = editorRef.current;
+    const model = editorInstance?.getModel();
+    if (model && model.getValue() !== savedCode) {
+      syncingCodeRef.current = true;
+      try {
+        editorInstance.pushUndoStop();
+        editorInstance.executeEdits("codesensei.sync", [
+          {
+            range: model.getFullModelRange(),
+            text: savedCode,
+            forceMoveMarkers: true,
+          },
+        ]);
+        editorInstance.pushUndoStop();
+      } finally {
+        syncingCodeRef.current = false;
+      }
+    }
+
+    setCode(savedCode);
+    setLastSavedContent(savedCode);
+    pendingEditsRef.current = [];
+    setIsDirty(false);
+  }, []);
+
   const fetchThreads = useCallback(async () => {
     if (!sessionId) {
       return;
@@ -198,10 +280,19 @@ export default function EditorPage() {
 
     const newDecorations = threads.map((thread) => {
       const lineThreads = lineGroups[thread.start_line] || [];
-      const glyphClassName =
+      let glyphClassName =
         lineThreads.length > 1
           ? "thread-gutter-marker-multiple"
           : "thread-gutter-marker";
+      let hoverMessage = `**Thread**\n\n${hoverFromThread(thread)}`;
+
+      // Review findings get a severity-coloured marker of their own
+      if (thread.finding && lineThreads.length === 1) {
+        glyphClassName = `thread-gutter-marker-finding thread-gutter-marker-${thread.finding.severity}`;
+      }
+      if (thread.finding) {
+        hoverMessage = `**${thread.finding.severity} · ${thread.finding.category}**\n\n${thread.finding.title}`;
+      }
 
       return {
         range: new Range(thread.start_line, 1, thread.start_line, 1),
@@ -210,7 +301,7 @@ export default function EditorPage() {
           glyphMarginClassName: glyphClassName,
           glyphMarginHoverMessage: [
             {
-              value: `**Thread**\n\n${hoverFromThread(thread)}`,
+              value: hoverMessage,
             },
           ],
           stickiness:
@@ -312,9 +403,7 @@ export default function EditorPage() {
 
         setSession(fetchedSession);
         setSessionName(fetchedSession?.filename || "");
-        setCode(initialCode);
-        setLastSavedContent(initialCode);
-        setIsDirty(false);
+        applySavedCode(initialCode);
         setNameDirty(false);
         await fetchThreads();
       } catch (err) {
@@ -338,7 +427,14 @@ export default function EditorPage() {
     }
 
     fetchSession();
-  }, [sessionId, logout, navigate, normalizeSessionResponse, fetchThreads]);
+  }, [
+    sessionId,
+    logout,
+    navigate,
+    normalizeSessionResponse,
+    fetchThreads,
+    applySavedCode,
+  ]);
 
   useEffect(() => {
     if (!session) {
@@ -392,29 +488,42 @@ export default function EditorPage() {
       setSaving(true);
       setError("");
 
-      const payload = {
-        code_content: currentCode,
-        expected_version_number: session.version_number,
-      };
-
-      const response = await api.updateSession(sessionId, payload);
+      const response = await saveSessionCode(sessionId, {
+        code: currentCode,
+        edits: pendingEditsRef.current,
+        expectedVersion: session.version_number,
+      });
       const updatedSession = normalizeSessionResponse(response);
+      // A save based on an older version comes back merged with it
+      const savedCode = response?.merge
+        ? updatedSession.code_content
+        : currentCode;
 
       setSession((prev) => ({
         ...(prev || {}),
         ...(updatedSession || {}),
-        code_content: currentCode,
+        code_content: savedCode,
       }));
-      setCode(currentCode);
-      setLastSavedContent(currentCode);
-      setIsDirty(false);
+      applySavedCode(savedCode);
+      if (response?.merge) {
+        setToast({
+          type: "success",
+          message: `Saved and merged with version ${response.merge.merged_with_version}`,
+        });
+      }
     } catch (err) {
       if (err instanceof APIError && err.statusCode === 401) {
         await logout();
         navigate("/login", { replace: true });
         return;
       }
-      if (err instanceof APIError && err.statusCode === 409) {
+      if (
+        err instanceof APIError &&
+        err.code === "MERGE_CONFLICT" &&
+        err.details
+      ) {
+        setMergeConflict(err.details);
+      } else if (err instanceof APIError && err.statusCode === 409) {
         setError(
           "Version conflict detected. Reload the session to see the latest changes."
         );
@@ -436,6 +545,7 @@ export default function EditorPage() {
     logout,
     navigate,
     normalizeSessionResponse,
+    applySavedCode,
   ]);
 
   useEffect(() => {
@@ -515,13 +625,354 @@ export default function EditorPage() {
     }
   }, [fetchThreads, normalizeThreadEntity, sessionId]);
 
+  const handleReviewFile = useCallback(async () => {
+    if (!sessionId) {
+      setError("Session ID missing. Cannot review file.");
+      return;
+    }
+
+    if (!code.trim()) {
+      setError("Add some code before requesting a review.");
+      return;
+    }
+
+    try {
+      setReviewingFile(true);
+      setReviewJob(null);
+      setError("");
+
+      const response = await api.reviewFileAsJob(
+        {
+          session_id: sessionId,
+          code,
+          language: selectedLanguage,
+        },
+        { onJobUpdate: setReviewJob }
+      );
+      const createdCount = Array.isArray(response?.threads)
+        ? response.threads.length
+        : 0;
+      const skippedCount = response?.skipped_findings || 0;
+
+      await fetchThreads();
+
+      setToast({
+        type: "success",
+        message:
+          createdCount === 0
+            ? "Review finished with no new findings"
+            : `Review opened ${createdCount} ${
+                createdCount === 1 ? "thread" : "threads"
+              }${skippedCount > 0 ? ` (${skippedCount} skipped)` : ""}`,
+      });
+    } catch (err) {
+      if (err instanceof APIError && err.code === "AI_JOB_CANCELLED") {
+        setToast({ type: "info", message: "Review cancelled" });
+        return;
+      }
+      const message =
+        err instanceof APIError
+          ? err.message || "Failed to review file."
+          : "Failed to review file. Please try again.";
+      setError(message);
+    } finally {
+      setReviewingFile(false);
+      setReviewJob(null);
+    }
+  }, [code, fetchThreads, selectedLanguage, sessionId]);
+
+  const handleCancelReview = useCallback(async () => {
+    if (!reviewJob?.job_id) {
+      return;
+    }
+
+    try {
+      await api.cancelAIJob(reviewJob.job_id);
+    } catch (err) {
+      const message =
+        err instanceof APIError
+          ? err.message || "Failed to cancel review."
+          : "Failed to cancel review. Please try again.";
+      setError(message);
+    }
+  }, [reviewJob]);
+
+  // Translates the saved file with the AI and opens the result as a new
+  // session linked back to this one.
+  const handleTranslate = useCallback(
+    async (event) => {
+      const targetLanguage = event.target.value;
+      if (!targetLanguage || !sessionId || translating) {
+        return;
+      }
+
+      if (isDirty || nameDirty) {
+        setError("Save your changes before translating.");
+        return;
+      }
+
+      if (!code.trim()) {
+        setError("Add some code before translating.");
+        return;
+      }
+
+      try {
+        setTranslating(true);
+        setTranslationJob(null);
+        setError("");
+
+        const response = await api.translateSessionAsJob(
+          { session_id: sessionId, target_language: targetLanguage },
+          { onJobUpdate: setTranslationJob }
+        );
+        const { translation, source, analysis } = response;
+
+        const created = await api.createSession({
+          filename: translation.filename,
+          code_content: translation.code,
+          language_override: translation.language,
+          translated_from: {
+            session_id: source.session_id,
+            version_number: source.version_number,
+            notes: (analysis || "").slice(0, MAX_TRANSLATION_NOTES_LENGTH),
+          },
+        });
+        const createdSession = normalizeSessionResponse(created);
+
+        navigate(`/editor/${createdSession.session_id}`, {
+          state: { compareWithSource: true },
+        });
+      } catch (err) {
+        if (err instanceof APIError && err.code === "AI_JOB_CANCELLED") {
+          setToast({ type: "info", message: "Translation cancelled" });
+          return;
+        }
+        const message =
+          err instanceof APIError
+            ? err.message || "Failed to translate file."
+            : "Failed to translate file. Please try again.";
+        setError(message);
+      } finally {
+        setTranslating(false);
+        setTranslationJob(null);
+      }
+    },
+    [
+      code,
+      isDirty,
+      nameDirty,
+      navigate,
+      normalizeSessionResponse,
+      sessionId,
+      translating,
+    ]
+  );
+
+  const handleCancelTranslation = useCallback(async () => {
+    if (!translationJob?.job_id) {
+      return;
+    }
+
+    try {
+      await api.cancelAIJob(translationJob.job_id);
+    } catch (err) {
+      const message =
+        err instanceof APIError
+          ? err.message || "Failed to cancel translation."
+          : "Failed to cancel translation. Please try again.";
+      setError(message);
+    }
+  }, [translationJob]);
+
+  // The source is loaded fresh each time, so the comparison can point out
+  // when it has changed since the translation.
+  const handleCompareWithSource = useCallback(async () => {
+    const translatedFrom = session?.translated_from;
+    if (!translatedFrom) {
+      return;
+    }
+
+    try {
+      setLoadingTranslationSource(true);
+      const response = await api.getSession(translatedFrom.session_id);
+      const sourceSession = normalizeSessionResponse(response);
+      const sourceLanguage = normalizeLanguageName(
+        sourceSession.language_override || sourceSession.language_detected
+      );
+
+      setTranslationCompare({
+        source: {
+          filename: sourceSession.filename,
+          language: getMonacoLanguage(sourceLanguage),
+          languageName: sourceLanguage,
+          code: sourceSession.code_content ?? "",
+        },
+        sourceVersion: sourceSession.version_number,
+      });
+    } catch (err) {
+      if (err instanceof APIError && err.statusCode === 404) {
+        setError(
+          `The source session ${translatedFrom.filename} no longer exists.`
+        );
+        return;
+      }
+      const message =
+        err instanceof APIError
+          ? err.message || "Failed to load the source session."
+          : "Failed to load the source session. Please try again.";
+      setError(message);
+    } finally {
+      setLoadingTranslationSource(false);
+    }
+  }, [session, normalizeSessionResponse]);
+
+  const handleCloseTranslationCompare = useCallback(() => {
+    setTranslationCompare(null);
+  }, []);
+
+  const handleCancelMerge = useCallback(() => {
+    setMergeConflict(null);
+  }, []);
+
+  // Saves the resolved merge on top of the version it was resolved against.
+  // If yet another version was saved meanwhile, the merge view reopens with
+  // the new conflicts; other errors are shown in the merge view.
+  const handleResolveMerge = useCallback(
+    async (resolvedCode) => {
+      try {
+        const response = await api.updateSession(sessionId, {
+          code_content: resolvedCode,
+          expected_version_number: mergeConflict.current_version,
+          version_label: `Resolved conflicts with version ${mergeConflict.current_version}`,
+        });
+        const updatedSession = normalizeSessionResponse(response);
+        const savedCode = response?.merge
+          ? updatedSession.code_content
+          : resolvedCode;
+
+        setSession((prev) => ({
+          ...(prev || {}),
+          ...(updatedSession || {}),
+          code_content: savedCode,
+        }));
+        applySavedCode(savedCode);
+        setMergeConflict(null);
+        setToast({ type: "success", message: "Merge saved" });
+      } catch (err) {
+        if (err instanceof APIError && err.statusCode === 401) {
+          await logout();
+          navigate("/login", { replace: true });
+          return;
+        }
+        if (
+          err instanceof APIError &&
+          err.code === "MERGE_CONFLICT" &&
+          err.details
+        ) {
+          setMergeConflict(err.details);
+          return;
+        }
+        throw err instanceof APIError
+          ? err
+          : new Error("Failed to save the merge. Please try again.");
+      }
+    },
+    [
+      sessionId,
+      mergeConflict,
+      normalizeSessionResponse,
+      logout,
+      navigate,
+      applySavedCode,
+    ]
+  );
+
+  const handleOpenHistory = useCallback(() => {
+    setShowHistory(true);
+  }, []);
+
+  const handleCloseHistory = useCallback(() => {
+    setShowHistory(false);
+  }, []);
+
+  // Errors other than an expired login are thrown back to the history panel,
+  // which shows them next to the version being restored.
+  const handleRestoreVersion = useCallback(
+    async (version) => {
+      try {
+        const response = await api.restoreSessionVersion(
+          sessionId,
+          version.version_number,
+          { expected_version_number: session.version_number }
+        );
+        const restoredSession = normalizeSessionResponse(response);
+        const restoredCode = restoredSession.code_content ?? "";
+
+        setSession((prev) => ({
+          ...(prev || {}),
+          ...restoredSession,
+        }));
+        applySavedCode(restoredCode);
+        setShowHistory(false);
+        setToast({
+          type: "success",
+          message: `Version ${version.version_number} restored as version ${restoredSession.version_number}`,
+        });
+      } catch (err) {
+        if (err instanceof APIError && err.statusCode === 401) {
+          await logout();
+          navigate("/login", { replace: true });
+          return;
+        }
+        if (err instanceof APIError && err.statusCode === 409) {
+          throw new Error(
+            "The session was changed elsewhere. Reload it before restoring."
+          );
+        }
+        throw err instanceof APIError
+          ? err
+          : new Error("Failed to restore this version. Please try again.");
+      }
+    },
+    [
+      sessionId,
+      session,
+      normalizeSessionResponse,
+      logout,
+      navigate,
+      applySavedCode,
+    ]
+  );
+
+  // A freshly translated session opens side by side with its source.
+  useEffect(() => {
+    if (
+      !location.state?.compareWithSource ||
+      session?.session_id !== sessionId ||
+      !session?.translated_from
+    ) {
+      return;
+    }
+
+    navigate(location.pathname, { replace: true, state: null });
+    handleCompareWithSource();
+  }, [
+    location.state,
+    location.pathname,
+    navigate,
+    session,
+    sessionId,
+    handleCompareWithSource,
+  ]);
+
   const handleApplyPatch = useCallback(
     async (patch) => {
       const editorInstance = editorRef.current;
       const monaco = monacoRef.current;
 
-      // Validate the patch
-      if (!patch || typeof patch.replacement !== "string") {
+      // Validate the patch: either hunks inside the range or a single replacement
+      const hunks = Array.isArray(patch?.hunks) ? patch.hunks : null;
+      if (!patch || (!hunks && typeof patch.replacement !== "string")) {
         setError("Invalid patch payload received from AI.");
         return;
       }
@@ -533,7 +984,17 @@ export default function EditorPage() {
         !Number.isInteger(startLine) ||
         !Number.isInteger(endLine) ||
         startLine < 1 ||
-        endLine < startLine
+        endLine < startLine ||
+        (hunks &&
+          hunks.some(
+            (hunk) =>
+              typeof hunk?.text !== "string" ||
+              !Number.isInteger(hunk.start_line) ||
+              !Number.isInteger(hunk.end_line) ||
+              hunk.start_line < startLine ||
+              hunk.end_line > endLine ||
+              hunk.end_line < hunk.start_line
+          ))
       ) {
         setError(
           "Unable to apply AI patch because the provided line numbers are invalid."
@@ -557,47 +1018,93 @@ export default function EditorPage() {
       const boundedEnd = Math.max(boundedStart, Math.min(endLine, lineCount));
       const endColumn = model.getLineMaxColumn(boundedEnd) || 1;
 
-      // Build the edit to replace the entire range with the modified code
-      let edit;
-      if (startLine > lineCount) {
-        edit = {
-          range: new monaco.Range(
-            lineCount,
-            model.getLineMaxColumn(lineCount),
-            lineCount,
-            model.getLineMaxColumn(lineCount)
-          ),
-          text:
-            (lineCount > 0 && model.getLineContent(lineCount).length > 0
-              ? "\n"
-              : "") + patch.replacement,
+      // Replaces whole lines [fromLine, toLine] with text
+      const buildLineEdit = (fromLine, toLine, text) => {
+        if (text || toLine >= lineCount) {
+          return {
+            range: new monaco.Range(
+              fromLine,
+              1,
+              toLine,
+              model.getLineMaxColumn(toLine) || 1
+            ),
+            text,
+            forceMoveMarkers: true,
+          };
+        }
+
+        // Deleting lines also removes the trailing line break
+        return {
+          range: new monaco.Range(fromLine, 1, toLine + 1, 1),
+          text: "",
           forceMoveMarkers: true,
         };
+      };
+
+      // Build the edits: one per hunk, or one replacing the entire range
+      let edits;
+      let lineDelta = 0;
+      if (hunks) {
+        if (endLine > lineCount) {
+          setError(
+            "Unable to apply AI patch because the code changed since it was suggested."
+          );
+          return;
+        }
+
+        edits = hunks.map((hunk) => {
+          const hunkLineCount = hunk.text ? hunk.text.split("\n").length : 0;
+          lineDelta += hunkLineCount - (hunk.end_line - hunk.start_line + 1);
+          return buildLineEdit(hunk.start_line, hunk.end_line, hunk.text);
+        });
+      } else if (startLine > lineCount) {
+        edits = [
+          {
+            range: new monaco.Range(
+              lineCount,
+              model.getLineMaxColumn(lineCount),
+              lineCount,
+              model.getLineMaxColumn(lineCount)
+            ),
+            text:
+              (lineCount > 0 && model.getLineContent(lineCount).length > 0
+                ? "\n"
+                : "") + patch.replacement,
+            forceMoveMarkers: true,
+          },
+        ];
       } else {
-        edit = {
-          range: new monaco.Range(boundedStart, 1, boundedEnd, endColumn),
-          text: patch.replacement,
-          forceMoveMarkers: true,
-        };
+        edits = [
+          {
+            range: new monaco.Range(boundedStart, 1, boundedEnd, endColumn),
+            text: patch.replacement,
+            forceMoveMarkers: true,
+          },
+        ];
       }
 
       editorInstance.pushUndoStop();
-      editorInstance.executeEdits("codesensei.aiPatch", [edit]);
+      editorInstance.executeEdits("codesensei.aiPatch", edits);
       editorInstance.pushUndoStop();
 
       const updatedCode = model.getValue();
       setCode(updatedCode);
       setIsDirty(true);
 
-      // Calculate the new end line based on the replacement
-      const replacementLineCount =
-        patch.replacement.length === 0
-          ? 0
-          : patch.replacement.split("\n").length;
-      const newEndLine =
-        replacementLineCount > 0
-          ? boundedStart + replacementLineCount - 1
-          : boundedStart;
+      // Calculate the new end line based on the replacement or hunk deltas
+      let newEndLine;
+      if (hunks) {
+        newEndLine = Math.max(boundedStart, boundedEnd + lineDelta);
+      } else {
+        const replacementLineCount =
+          patch.replacement.length === 0
+            ? 0
+            : patch.replacement.split("\n").length;
+        newEndLine =
+          replacementLineCount > 0
+            ? boundedStart + replacementLineCount - 1
+            : boundedStart;
+      }
 
       // Get the new selected text from the updated code
       const updatedLines = updatedCode.split("\n");
@@ -623,21 +1130,25 @@ export default function EditorPage() {
         setSaving(true);
         setError("");
 
-        const payload = {
-          code_content: updatedCode,
-          expected_version_number: session.version_number,
-        };
-
-        const response = await api.updateSession(sessionId, payload);
+        // The patch's edits were recorded by handleEditorChange, so only
+        // they and any unsaved typing are sent.
+        const response = await saveSessionCode(sessionId, {
+          code: updatedCode,
+          edits: pendingEditsRef.current,
+          expectedVersion: session.version_number,
+          versionLabel: describePatchSource(selectedThread),
+        });
         const updatedSession = normalizeSessionResponse(response);
+        const savedCode = response?.merge
+          ? updatedSession.code_content
+          : updatedCode;
 
         setSession((prev) => ({
           ...(prev || {}),
           ...(updatedSession || {}),
-          code_content: updatedCode,
+          code_content: savedCode,
         }));
-        setLastSavedContent(updatedCode);
-        setIsDirty(false);
+        applySavedCode(savedCode);
         if (selectedThreadId) {
           try {
             const anchorResponse = await api.updateThreadAnchor(
@@ -686,7 +1197,13 @@ export default function EditorPage() {
           return;
         }
 
-        if (err instanceof APIError && err.statusCode === 409) {
+        if (
+          err instanceof APIError &&
+          err.code === "MERGE_CONFLICT" &&
+          err.details
+        ) {
+          setMergeConflict(err.details);
+        } else if (err instanceof APIError && err.statusCode === 409) {
           setError(
             "Version conflict detected while applying the patch. Reload to view the latest changes."
           );
@@ -708,6 +1225,8 @@ export default function EditorPage() {
       logout,
       navigate,
       selectedThreadId,
+      selectedThread,
+      applySavedCode,
     ]
   );
 
@@ -786,8 +1305,17 @@ export default function EditorPage() {
   );
 
   const handleEditorChange = useCallback(
-    (nextValue) => {
+    (nextValue, event) => {
+      if (syncingCodeRef.current) {
+        return;
+      }
+
       const normalizedValue = nextValue ?? "";
+      if (event?.isFlush) {
+        pendingEditsRef.current = null;
+      } else if (pendingEditsRef.current && event?.changes) {
+        pendingEditsRef.current.push(...toSaveEdits(event.changes));
+      }
       setCode(normalizedValue);
       setIsDirty(normalizedValue !== lastSavedContent);
     },
@@ -948,6 +1476,14 @@ export default function EditorPage() {
     requestNavigation(() => navigate("/dashboard"));
   }, [navigate, requestNavigation]);
 
+  const handleOpenTranslationSource = useCallback(() => {
+    if (session?.translated_from) {
+      requestNavigation(() =>
+        navigate(`/editor/${session.translated_from.session_id}`)
+      );
+    }
+  }, [session, navigate, requestNavigation]);
+
   const handleNameChange = useCallback((event) => {
     setSessionName(event.target.value);
     setNameDirty(true);
@@ -1194,6 +1730,27 @@ export default function EditorPage() {
               aria-label="Session name"
             />
           </div>
+          {session.translated_from ? (
+            <div className="translation-link">
+              <button
+                type="button"
+                className="translation-link-source"
+                onClick={handleOpenTranslationSource}
+                title="Open the source session"
+              >
+                Translated from {session.translated_from.filename} (v
+                {session.translated_from.version_number})
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary btn-small"
+                onClick={handleCompareWithSource}
+                disabled={loadingTranslationSource}
+              >
+                {loadingTranslationSource ? "Loading..." : "Compare with source"}
+              </button>
+            </div>
+          ) : null}
         </div>
         <div className="editor-nav-right">
           <div className="language-picker">
@@ -1220,6 +1777,54 @@ export default function EditorPage() {
               ))}
             </select>
           </div>
+          <div className="language-picker">
+            <label htmlFor="editor-translate-select" className="sr-only">
+              Translate to another language
+            </label>
+            {translating ? (
+              <>
+                <span className="language-saving-indicator" aria-live="polite">
+                  {TRANSLATION_STAGE_LABELS[translationJob?.progress?.stage] ||
+                    "Translating..."}
+                </span>
+                {translationJob?.job_id ? (
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-small"
+                    onClick={handleCancelTranslation}
+                  >
+                    Cancel
+                  </button>
+                ) : null}
+              </>
+            ) : (
+              <select
+                id="editor-translate-select"
+                className="language-dropdown"
+                value=""
+                onChange={handleTranslate}
+                disabled={saving || loading}
+                aria-label="Translate to another language"
+              >
+                <option value="">Translate to…</option>
+                {TRANSLATION_TARGETS.filter(
+                  (languageOption) => languageOption !== selectedLanguage
+                ).map((languageOption) => (
+                  <option key={languageOption} value={languageOption}>
+                    {languageOption}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          <button
+            type="button"
+            className="btn btn-secondary btn-small"
+            onClick={handleOpenHistory}
+            disabled={saving || loading}
+          >
+            History
+          </button>
           <button
             type="button"
             className={`btn btn-small ${
@@ -1275,6 +1880,9 @@ export default function EditorPage() {
           onNewThread={handleCreateThread}
           hasSelection={hasSelection}
           creatingThread={creatingThread}
+          onReviewFile={handleReviewFile}
+          reviewingFile={reviewingFile}
+          onCancelReview={reviewJob?.job_id ? handleCancelReview : null}
         />
         {selectedThread ? (
           <ThreadPanel
@@ -1287,6 +1895,47 @@ export default function EditorPage() {
         ) : null}
       </div>
 
+      {translationCompare ? (
+        <TranslationCompareModal
+          onClose={handleCloseTranslationCompare}
+          source={translationCompare.source}
+          translation={{
+            filename: sessionName || session.filename,
+            language: derivedLanguage,
+            languageName: selectedLanguage,
+            code,
+          }}
+          translatedFromVersion={session.translated_from.version_number}
+          sourceVersion={translationCompare.sourceVersion}
+          notes={session.translated_from.notes}
+        />
+      ) : null}
+
+      {mergeConflict ? (
+        <MergeConflictModal
+          key={mergeConflict.current_version}
+          baseVersion={mergeConflict.base_version}
+          currentVersion={mergeConflict.current_version}
+          currentCode={mergeConflict.current_code ?? ""}
+          chunks={mergeConflict.chunks}
+          language={derivedLanguage}
+          onResolve={handleResolveMerge}
+          onCancel={handleCancelMerge}
+        />
+      ) : null}
+
+      {showHistory ? (
+        <SessionHistoryPanel
+          sessionId={sessionId}
+          currentVersion={session.version_number}
+          currentCode={code}
+          language={derivedLanguage}
+          hasUnsavedChanges={isDirty}
+          onRestore={handleRestoreVersion}
+          onClose={handleCloseHistory}
+        />
+      ) : null}
+
       {showLeaveModal ? (
         <div className="modal-overlay" role="dialog" aria-modal="true">
           <div className="modal-card">
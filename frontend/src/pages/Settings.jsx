@@ -7,6 +7,8 @@ const SECTIONS = [
   { id: 'profile', label: 'Profile' },
   { id: 'security', label: 'Security' },
   { id: 'preferences', label: 'Preferences' },
+  { id: 'usage', label: 'AI Usage' },
+  { id: 'prompts', label: 'AI Prompts' },
   { id: 'danger', label: 'Danger Zone', danger: true },
 ];
 
@@ -33,6 +35,66 @@ const PASSWORD_REQUIREMENTS = [
   },
 ];
 
+const LANGUAGE_OPTIONS = [
+  'JavaScript',
+  'TypeScript',
+  'Python',
+  'Java',
+  'Go',
+  'Rust',
+  'C++',
+  'C#',
+  'PHP',
+  'Ruby',
+  'HTML',
+  'CSS',
+  'SQL',
+  'JSON',
+  'YAML',
+  'Markdown',
+];
+
+const DEFAULT_PROMPT_SCOPE = 'default';
+const EMPTY_PROMPT_ENTRY = { system_prompt: '', user_prompt: '' };
+const PROMPT_TEMPLATE_VARIABLES = ['language', 'intent', 'context_mode'];
+
+function toPromptDraft(template) {
+  return {
+    default: { ...EMPTY_PROMPT_ENTRY, ...template?.default },
+    languages: { ...template?.languages },
+  };
+}
+
+const PLAN_LABELS = {
+  free: 'Free',
+  pro: 'Pro',
+  team: 'Team',
+};
+
+function formatTokens(count) {
+  return new Intl.NumberFormat().format(count || 0);
+}
+
+function formatResetDate(isoString) {
+  if (!isoString) {
+    return '';
+  }
+
+  return new Date(isoString).toLocaleDateString(undefined, {
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+function formatPeriod(period) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, {
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
 function getPasswordStrength(password) {
   const score = PASSWORD_REQUIREMENTS.reduce(
     (acc, requirement) => acc + (requirement.validate(password) ? 1 : 0),
@@ -81,6 +143,21 @@ export default function Settings() {
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [deleteError, setDeleteError] = useState('');
 
+  const [usage, setUsage] = useState(null);
+  const [usageLoading, setUsageLoading] = useState(false);
+  const [usageError, setUsageError] = useState('');
+
+  const [preferenceSaving, setPreferenceSaving] = useState(false);
+  const [preferenceError, setPreferenceError] = useState('');
+
+  const [promptTemplate, setPromptTemplate] = useState(null);
+  const [promptDraft, setPromptDraft] = useState(null);
+  const [promptScope, setPromptScope] = useState(DEFAULT_PROMPT_SCOPE);
+  const [promptLoading, setPromptLoading] = useState(false);
+  const [promptSaving, setPromptSaving] = useState(false);
+  const [promptSuccess, setPromptSuccess] = useState('');
+  const [promptError, setPromptError] = useState('');
+
   const passwordStrength = useMemo(
     () => getPasswordStrength(passwordForm.newPassword),
     [passwordForm.newPassword],
@@ -122,6 +199,123 @@ export default function Settings() {
     };
   }, [updateUser]);
 
+  useEffect(() => {
+    if (activeSection !== 'usage') {
+      return undefined;
+    }
+
+    let isMounted = true;
+
+    const fetchUsage = async () => {
+      setUsageLoading(true);
+      setUsageError('');
+      try {
+        const response = await api.getAIUsage();
+        if (isMounted) {
+          setUsage(response?.usage || null);
+        }
+      } catch (err) {
+        console.error('[settings] Failed to fetch AI usage:', err);
+        if (isMounted) {
+          setUsageError(
+            err instanceof APIError && err.message
+              ? err.message
+              : 'Failed to load AI usage. Please try again.',
+          );
+        }
+      } finally {
+        if (isMounted) {
+          setUsageLoading(false);
+        }
+      }
+    };
+
+    fetchUsage();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [activeSection]);
+
+  // Loaded once per visit so switching sections keeps unsaved edits.
+  useEffect(() => {
+    if (activeSection !== 'prompts' || promptTemplate) {
+      return undefined;
+    }
+
+    let isMounted = true;
+
+    const fetchPromptTemplate = async () => {
+      setPromptLoading(true);
+      setPromptError('');
+      try {
+        const response = await api.getPromptTemplate();
+        if (isMounted && response?.prompt_template) {
+          setPromptTemplate(response.prompt_template);
+          setPromptDraft(toPromptDraft(response.prompt_template));
+        }
+      } catch (err) {
+        console.error('[settings] Failed to fetch prompt template:', err);
+        if (isMounted) {
+          setPromptError(
+            err instanceof APIError && err.message
+              ? err.message
+              : 'Failed to load prompt template. Please try again.',
+          );
+        }
+      } finally {
+        if (isMounted) {
+          setPromptLoading(false);
+        }
+      }
+    };
+
+    fetchPromptTemplate();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [activeSection, promptTemplate]);
+
+  const promptLanguages = useMemo(
+    () => [
+      ...LANGUAGE_OPTIONS,
+      ...Object.keys(promptDraft?.languages || {}).filter(
+        (language) => !LANGUAGE_OPTIONS.includes(language),
+      ),
+    ],
+    [promptDraft],
+  );
+
+  const promptEntry =
+    promptScope === DEFAULT_PROMPT_SCOPE
+      ? promptDraft?.default
+      : promptDraft?.languages[promptScope];
+
+  const isPromptDirty = useMemo(
+    () =>
+      Boolean(promptTemplate && promptDraft) &&
+      JSON.stringify(toPromptDraft(promptTemplate)) !==
+        JSON.stringify(promptDraft),
+    [promptTemplate, promptDraft],
+  );
+
+  const usagePercent = useMemo(() => {
+    if (!usage?.budget) {
+      return 0;
+    }
+    return Math.min(100, (usage.used.total_tokens / usage.budget) * 100);
+  }, [usage]);
+
+  const peakDailyTokens = useMemo(
+    () =>
+      (usage?.daily || []).reduce(
+        (peak, day) => Math.max(peak, day.total_tokens),
+        0,
+      ),
+    [usage],
+  );
+
   const isProfileDirty = useMemo(() => {
     if (!user) {
       return false;
@@ -185,6 +379,110 @@ export default function Settings() {
     }
   };
 
+  const handleStrictSecretModeChange = async (event) => {
+    const { checked } = event.target;
+
+    setPreferenceSaving(true);
+    setPreferenceError('');
+
+    try {
+      const response = await api.updateProfile({
+        strict_secret_mode: checked,
+      });
+
+      if (response?.user) {
+        updateUser(response.user);
+      }
+    } catch (err) {
+      if (err instanceof APIError) {
+        setPreferenceError(err.message || 'Failed to update preferences.');
+      } else {
+        setPreferenceError('Failed to update preferences. Please try again.');
+      }
+    } finally {
+      setPreferenceSaving(false);
+    }
+  };
+
+  const handlePromptEntryChange = (field) => (event) => {
+    const { value } = event.target;
+    setPromptDraft((prev) => {
+      if (promptScope === DEFAULT_PROMPT_SCOPE) {
+        return { ...prev, default: { ...prev.default, [field]: value } };
+      }
+
+      return {
+        ...prev,
+        languages: {
+          ...prev.languages,
+          [promptScope]: {
+            ...EMPTY_PROMPT_ENTRY,
+            ...prev.languages[promptScope],
+            [field]: value,
+          },
+        },
+      };
+    });
+    setPromptSuccess('');
+    setPromptError('');
+  };
+
+  const handleRemovePromptOverride = () => {
+    setPromptDraft((prev) => {
+      const languages = { ...prev.languages };
+      delete languages[promptScope];
+      return { ...prev, languages };
+    });
+    setPromptSuccess('');
+  };
+
+  const handlePromptSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!isPromptDirty) {
+      return;
+    }
+
+    setPromptSaving(true);
+    setPromptSuccess('');
+    setPromptError('');
+
+    try {
+      const response = await api.updatePromptTemplate({
+        expected_version: promptTemplate.version,
+        default: promptDraft.default,
+        languages: promptDraft.languages,
+      });
+
+      if (response?.prompt_template) {
+        setPromptTemplate(response.prompt_template);
+        setPromptDraft(toPromptDraft(response.prompt_template));
+        setPromptSuccess(
+          `Prompt template saved as version ${response.prompt_template.version}.`,
+        );
+      }
+    } catch (err) {
+      if (err instanceof APIError && err.code === 'VERSION_CONFLICT') {
+        setPromptError(
+          'Your prompt template was changed in another window. Reload it before saving.',
+        );
+      } else if (err instanceof APIError) {
+        setPromptError(err.message || 'Failed to save prompt template.');
+      } else {
+        setPromptError('Failed to save prompt template. Please try again.');
+      }
+    } finally {
+      setPromptSaving(false);
+    }
+  };
+
+  const handleReloadPromptTemplate = () => {
+    setPromptTemplate(null);
+    setPromptDraft(null);
+    setPromptSuccess('');
+    setPromptError('');
+  };
+
   const handlePasswordChange = (field) => (event) => {
     const { value } = event.target;
     setPasswordForm((prev) => ({ ...prev, [field]: value }));
@@ -510,6 +808,30 @@ export default function Settings() {
                 Customize your CodeSensei experience.
               </p>
 
+              {preferenceError ? (
+                <div className="settings-error-message" role="alert">
+                  {preferenceError}
+                </div>
+              ) : null}
+
+              <div className="settings-toggle-row">
+                <div className="settings-toggle-label">
+                  <span>Strict secret mode</span>
+                  <span>
+                    Credentials in your code are always masked before it is
+                    sent to the AI. Turn this on to refuse the request instead.
+                  </span>
+                </div>
+                <input
+                  type="checkbox"
+                  className="settings-toggle-input"
+                  aria-label="Strict secret mode"
+                  checked={user?.strict_secret_mode === true}
+                  onChange={handleStrictSecretModeChange}
+                  disabled={preferenceSaving}
+                />
+              </div>
+
               <div className="settings-toggle-row">
                 <div className="settings-toggle-label">
                   <span>Theme</span>
@@ -522,6 +844,252 @@ export default function Settings() {
             </section>
           )}
 
+          {activeSection === 'usage' && (
+            <section className="settings-section" id="usage">
+              <h2 className="settings-section-title">AI Usage</h2>
+              <p className="settings-section-description">
+                Tokens used by AI analysis this month against your plan&apos;s
+                monthly budget.
+              </p>
+
+              {usageError ? (
+                <div className="settings-error-message" role="alert">
+                  {usageError}
+                </div>
+              ) : null}
+
+              {usageLoading && !usage ? (
+                <p className="settings-section-description">Loading usage...</p>
+              ) : null}
+
+              {usage ? (
+                <>
+                  <div className="usage-summary">
+                    <div className="usage-summary-header">
+                      <span className="usage-plan-badge">
+                        {PLAN_LABELS[usage.plan] || usage.plan} plan
+                      </span>
+                      <span className="usage-summary-totals">
+                        {formatTokens(usage.used.total_tokens)} /{' '}
+                        {formatTokens(usage.budget)} tokens
+                      </span>
+                    </div>
+                    <div
+                      className={`usage-meter${
+                        usagePercent >= 90 ? ' usage-meter-critical' : ''
+                      }`}
+                      role="progressbar"
+                      aria-valuemin={0}
+                      aria-valuemax={100}
+                      aria-valuenow={Math.round(usagePercent)}
+                    >
+                      <div
+                        className="usage-meter-bar"
+                        style={{ width: `${usagePercent}%` }}
+                      />
+                    </div>
+                    <p className="usage-summary-footnote">
+                      {formatTokens(usage.remaining)} tokens remaining across{' '}
+                      {usage.used.calls} requests this month. Resets on{' '}
+                      {formatResetDate(usage.resets_at)}.
+                    </p>
+                  </div>
+
+                  <h3 className="usage-subtitle">This month</h3>
+                  {usage.daily.length > 0 ? (
+                    <div className="usage-chart" aria-label="Daily token usage">
+                      {usage.daily.map((day) => (
+                        <div
+                          key={day.day}
+                          className="usage-chart-column"
+                          title={`${day.day}: ${formatTokens(
+                            day.total_tokens,
+                          )} tokens`}
+                        >
+                          <div
+                            className="usage-chart-bar"
+                            style={{
+                              height: `${
+                                peakDailyTokens
+                                  ? (day.total_tokens / peakDailyTokens) * 100
+                                  : 0
+                              }%`,
+                            }}
+                          />
+                          <span className="usage-chart-label">
+                            {Number(day.day.slice(8))}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="settings-section-description">
+                      No AI requests yet this month.
+                    </p>
+                  )}
+
+                  {usage.monthly.length > 0 ? (
+                    <>
+                      <h3 className="usage-subtitle">Previous months</h3>
+                      <table className="usage-table">
+                        <thead>
+                          <tr>
+                            <th scope="col">Month</th>
+                            <th scope="col">Input</th>
+                            <th scope="col">Output</th>
+                            <th scope="col">Requests</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {usage.monthly.map((month) => (
+                            <tr key={month.period}>
+                              <td>{formatPeriod(month.period)}</td>
+                              <td>{formatTokens(month.input_tokens)}</td>
+                              <td>{formatTokens(month.output_tokens)}</td>
+                              <td>{month.calls}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </>
+                  ) : null}
+                </>
+              ) : null}
+            </section>
+          )}
+
+          {activeSection === 'prompts' && (
+            <section className="settings-section" id="prompts">
+              <h2 className="settings-section-title">AI Prompts</h2>
+              <p className="settings-section-description">
+                Add your team&apos;s style guide and instructions to every AI
+                request. Use{' '}
+                {PROMPT_TEMPLATE_VARIABLES.map((variable, index) => (
+                  <span key={variable}>
+                    {index > 0 ? ', ' : ''}
+                    <code>{`{{${variable}}}`}</code>
+                  </span>
+                ))}{' '}
+                to refer to the request. A language override replaces the
+                default for that language.
+              </p>
+
+              {promptSuccess ? (
+                <div className="settings-success-message" role="status">
+                  {promptSuccess}
+                </div>
+              ) : null}
+
+              {promptError ? (
+                <div className="settings-error-message" role="alert">
+                  {promptError}
+                </div>
+              ) : null}
+
+              {promptLoading && !promptDraft ? (
+                <p className="settings-section-description">
+                  Loading prompt template...
+                </p>
+              ) : null}
+
+              {promptDraft ? (
+                <form className="settings-form" onSubmit={handlePromptSubmit}>
+                  <div className="settings-form-row">
+                    <label htmlFor="settings-prompt-scope">Applies to</label>
+                    <select
+                      id="settings-prompt-scope"
+                      value={promptScope}
+                      onChange={(event) => setPromptScope(event.target.value)}
+                      disabled={promptSaving}
+                    >
+                      <option value={DEFAULT_PROMPT_SCOPE}>
+                        All languages (default)
+                      </option>
+                      {promptLanguages.map((language) => (
+                        <option key={language} value={language}>
+                          {promptDraft.languages[language]
+                            ? `${language} (override)`
+                            : language}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {promptScope !== DEFAULT_PROMPT_SCOPE && !promptEntry ? (
+                    <p className="settings-section-description prompt-template-note">
+                      {promptScope} uses the default template. Type below to
+                      create an override.
+                    </p>
+                  ) : null}
+
+                  <div className="settings-form-row">
+                    <label htmlFor="settings-system-prompt">
+                      System instructions
+                    </label>
+                    <textarea
+                      id="settings-system-prompt"
+                      rows={6}
+                      value={promptEntry?.system_prompt || ''}
+                      onChange={handlePromptEntryChange('system_prompt')}
+                      disabled={promptSaving}
+                      placeholder="Prefer async/await, no default exports, 100-column lines."
+                    />
+                  </div>
+
+                  <div className="settings-form-row">
+                    <label htmlFor="settings-user-prompt">
+                      Prompt instructions
+                    </label>
+                    <textarea
+                      id="settings-user-prompt"
+                      rows={3}
+                      value={promptEntry?.user_prompt || ''}
+                      onChange={handlePromptEntryChange('user_prompt')}
+                      disabled={promptSaving}
+                      placeholder="Added to every {{language}} question, e.g. mention breaking changes first."
+                    />
+                  </div>
+
+                  <div className="settings-form-actions">
+                    <button
+                      type="submit"
+                      className="btn btn-primary"
+                      disabled={promptSaving || !isPromptDirty}
+                    >
+                      {promptSaving ? 'Saving...' : 'Save Template'}
+                    </button>
+                    {promptScope !== DEFAULT_PROMPT_SCOPE && promptEntry ? (
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={handleRemovePromptOverride}
+                        disabled={promptSaving}
+                      >
+                        Use Default
+                      </button>
+                    ) : null}
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={handleReloadPromptTemplate}
+                      disabled={promptSaving}
+                    >
+                      Reload
+                    </button>
+                  </div>
+
+                  <p className="usage-summary-footnote">
+                    {promptTemplate.version > 0
+                      ? `Version ${promptTemplate.version}, saved ${new Date(
+                          promptTemplate.updated_at,
+                        ).toLocaleString()}.`
+                      : 'No template saved yet.'}
+                  </p>
+                </form>
+              ) : null}
+            </section>
+          )}
+
           {activeSection === 'danger' && (
             <section className="settings-section settings-danger-zone" id="danger">
               <h2 className="settings-section-title">Danger Zone</h2>
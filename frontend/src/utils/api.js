@@ -2,11 +2,12 @@ const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:3000";
 
 export class APIError extends Error {
-  constructor(code, message, field, statusCode) {
+  constructor(code, message, field, statusCode, details) {
     super(message);
     this.code = code;
     this.field = field;
     this.statusCode = statusCode;
+    this.details = details;
   }
 }
 
@@ -31,7 +32,8 @@ async function request(endpoint, options = {}) {
         error.code || "UNKNOWN_ERROR",
         error.message || "An error occurred",
         error.field,
-        response.status
+        response.status,
+        error.details
       );
     }
 
@@ -48,6 +50,211 @@ async function request(endpoint, options = {}) {
   }
 }
 
+async function streamAnalyze(payload, { onAnalysisDelta } = {}) {
+  let streamConfig;
+  try {
+    streamConfig = await request("/ai/stream-token", { method: "POST" });
+  } catch (err) {
+    if (err instanceof APIError && err.code === "STREAMING_UNAVAILABLE") {
+      return request("/ai/analyze", {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+    }
+    throw err;
+  }
+
+  let response;
+  try {
+    response = await fetch(streamConfig.stream_url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${streamConfig.token}`,
+      },
+      body: JSON.stringify(payload),
+    });
+  } catch {
+    throw new APIError(
+      "NETWORK_ERROR",
+      "Unable to connect. Check your internet connection and try again."
+    );
+  }
+
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}));
+    const error = data.error || {};
+    throw new APIError(
+      error.code || "UNKNOWN_ERROR",
+      error.message || "An error occurred",
+      error.field,
+      response.status,
+      error.details
+    );
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let result = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    const message = JSON.parse(line);
+    if (message.type === "analysis_delta" && onAnalysisDelta) {
+      onAnalysisDelta(message.text);
+    } else if (message.type === "result") {
+      result = message.data;
+    } else if (message.type === "error") {
+      const error = message.error || {};
+      throw new APIError(
+        error.code || "UNKNOWN_ERROR",
+        error.message || "An error occurred",
+        error.field,
+        message.status,
+        error.details
+      );
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffered += decoder.decode(value, { stream: true });
+    let newlineIndex = buffered.indexOf("\n");
+    while (newlineIndex !== -1) {
+      handleLine(buffered.slice(0, newlineIndex));
+      buffered = buffered.slice(newlineIndex + 1);
+      newlineIndex = buffered.indexOf("\n");
+    }
+  }
+  handleLine(buffered + decoder.decode());
+
+  if (!result) {
+    throw new APIError(
+      "AI_MALFORMED_RESPONSE",
+      "AI response ended unexpectedly. Please try again."
+    );
+  }
+
+  return result;
+}
+
+const JOB_POLL_INTERVAL_MS = 2000;
+// Consecutive failed polls tolerated before giving up on a job.
+const MAX_JOB_POLL_FAILURES = 3;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs an AI request as a background job and polls it until it finishes.
+// onJobUpdate receives the job after it is created and after every poll, so
+// callers can show progress and offer to cancel. fallback() runs the request
+// directly when the deployment has no job worker.
+async function runAsJob(payload, { onJobUpdate, fallback, cancelledMessage }) {
+  let job;
+  try {
+    ({ job } = await request("/ai/jobs", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }));
+  } catch (err) {
+    if (err instanceof APIError && err.code === "AI_JOBS_UNAVAILABLE") {
+      return fallback();
+    }
+    throw err;
+  }
+
+  let failedPolls = 0;
+  while (job.status === "pending" || job.status === "running") {
+    onJobUpdate?.(job);
+    await sleep(JOB_POLL_INTERVAL_MS);
+
+    try {
+      ({ job } = await request(`/ai/jobs/${job.job_id}`, { method: "GET" }));
+      failedPolls = 0;
+    } catch (err) {
+      failedPolls += 1;
+      if (
+        !(err instanceof APIError) ||
+        err.code !== "NETWORK_ERROR" ||
+        failedPolls >= MAX_JOB_POLL_FAILURES
+      ) {
+        throw err;
+      }
+    }
+  }
+  onJobUpdate?.(job);
+
+  if (job.status === "succeeded") {
+    return job.result;
+  }
+
+  if (job.status === "cancelled") {
+    throw new APIError("AI_JOB_CANCELLED", cancelledMessage);
+  }
+
+  const error = job.error || {};
+  throw new APIError(
+    error.code || "UNKNOWN_ERROR",
+    error.message || "An error occurred",
+    error.field,
+    error.status,
+    error.details
+  );
+}
+
+function analyzeAsJob(payload, { onJobUpdate, onAnalysisDelta } = {}) {
+  return runAsJob(payload, {
+    onJobUpdate,
+    fallback: () => streamAnalyze(payload, { onAnalysisDelta }),
+    cancelledMessage: "Analysis cancelled.",
+  });
+}
+
+function translateSession(payload) {
+  return request("/ai/translate", {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+function translateAsJob(payload, { onJobUpdate } = {}) {
+  return runAsJob(
+    { kind: "translate", ...payload },
+    {
+      onJobUpdate,
+      fallback: () => translateSession(payload),
+      cancelledMessage: "Translation cancelled.",
+    }
+  );
+}
+
+function reviewFile(payload) {
+  return request("/ai/review", {
+    method: "POST",
+    body: JSON.stringify(payload),
+  });
+}
+
+function reviewFileAsJob(payload, { onJobUpdate } = {}) {
+  return runAsJob(
+    { kind: "review", ...payload },
+    {
+      onJobUpdate,
+      fallback: () => reviewFile(payload),
+      cancelledMessage: "Review cancelled.",
+    }
+  );
+}
+
 export const api = {
   signup: (payload) =>
     request("/auth/signup", {
@@ -100,6 +307,24 @@ export const api = {
       body: JSON.stringify(payload),
     }),
 
+  getSessionVersions: (sessionId, cursor) => {
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : "";
+    return request(`/sessions/${sessionId}/versions${query}`, {
+      method: "GET",
+    });
+  },
+
+  getSessionVersion: (sessionId, versionNumber) =>
+    request(`/sessions/${sessionId}/versions/${versionNumber}`, {
+      method: "GET",
+    }),
+
+  restoreSessionVersion: (sessionId, versionNumber, payload) =>
+    request(`/sessions/${sessionId}/versions/${versionNumber}/restore`, {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
+
   updateSessionMetadata: (sessionId, payload) =>
     request(`/sessions/${sessionId}/metadata`, {
       method: "PATCH",
@@ -152,6 +377,33 @@ export const api = {
       body: JSON.stringify(payload),
     }),
 
+  analyzeCodeStream: (payload, options) => streamAnalyze(payload, options),
+
+  analyzeCodeAsJob: (payload, options) => analyzeAsJob(payload, options),
+
+  translateSession: (payload) => translateSession(payload),
+
+  translateSessionAsJob: (payload, options) => translateAsJob(payload, options),
+
+  cancelAIJob: (jobId) =>
+    request(`/ai/jobs/${jobId}`, {
+      method: "DELETE",
+    }),
+
+  reviewFile: (payload) => reviewFile(payload),
+
+  reviewFileAsJob: (payload, options) => reviewFileAsJob(payload, options),
+
+  getAIUsage: () =>
+    request("/ai/usage", {
+      method: "GET",
+    }),
+
+  getAIModels: () =>
+    request("/ai/models", {
+      method: "GET",
+    }),
+
   getProfile: () =>
     request("/users/me", {
       method: "GET",
@@ -169,6 +421,17 @@ export const api = {
       body: JSON.stringify(payload),
     }),
 
+  getPromptTemplate: () =>
+    request("/users/me/prompt-template", {
+      method: "GET",
+    }),
+
+  updatePromptTemplate: (payload) =>
+    request("/users/me/prompt-template", {
+      method: "PUT",
+      body: JSON.stringify(payload),
+    }),
+
   deleteAccount: (payload) =>
     request("/users/me", {
       method: "DELETE",
@@ -0,0 +1,59 @@
+// `@filename` mentions in a thread question attach the user's other sessions
+// as read-only context for the AI.
+
+export const MAX_CONTEXT_SESSIONS = 5;
+
+const MENTION_PATTERN = /(?:^|\s)@([^\s@]+)/g;
+const MENTION_IN_PROGRESS_PATTERN = /(?:^|\s)@([^\s@]*)$/;
+const TRAILING_PUNCTUATION_PATTERN = /[.,;:!?)\]]+$/;
+
+// The partial filename being typed right before the caret, or null.
+export function findMentionInProgress(textBeforeCaret) {
+  const match = MENTION_IN_PROGRESS_PATTERN.exec(textBeforeCaret);
+  return match ? match[1] : null;
+}
+
+export function insertMention(text, caret, filename) {
+  const after = text.slice(caret);
+  const separator = /^\s/.test(after) ? "" : " ";
+  const before = text
+    .slice(0, caret)
+    .replace(/@[^\s@]*$/, `@${filename}${separator}`);
+
+  return { text: `${before}${after}`, caret: before.length };
+}
+
+function findSessionByFilename(sessions, name) {
+  return sessions.find((session) => session.filename === name) || null;
+}
+
+/**
+ * Session ids for the files mentioned in `text`, in mention order. Sessions
+ * are matched by exact filename, newest first when names repeat, and a
+ * mention may be followed by punctuation ("@cart.js?").
+ */
+export function resolveMentionedSessionIds(text, sessions, currentSessionId) {
+  const candidates = sessions.filter(
+    (session) => session.session_id !== currentSessionId
+  );
+  const sessionIds = [];
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const session =
+      findSessionByFilename(candidates, match[1]) ||
+      findSessionByFilename(
+        candidates,
+        match[1].replace(TRAILING_PUNCTUATION_PATTERN, "")
+      );
+
+    if (session && !sessionIds.includes(session.session_id)) {
+      sessionIds.push(session.session_id);
+    }
+  }
+
+  return sessionIds.slice(0, MAX_CONTEXT_SESSIONS);
+}
+
+export function hasMentions(text) {
+  return /(?:^|\s)@[^\s@]/.test(text);
+}
@@ -0,0 +1,81 @@
+// Saves session code as the edits made since the last saved version rather
+// than the whole file, which keeps saves of large files small.
+
+import { api, APIError } from "./api";
+
+// The sessions API takes at most this many edits per save.
+const MAX_SAVE_EDITS = 5000;
+
+// Monaco content changes, in the shape the sessions API accepts.
+export function toSaveEdits(changes) {
+  return changes.map((change) => ({
+    range: change.range,
+    rangeOffset: change.rangeOffset,
+    rangeLength: change.rangeLength,
+    text: change.text,
+  }));
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+// Edits are only worth sending while they are smaller than the file. The
+// hash needs Web Crypto, which browsers only offer on secure origins.
+function canSendEdits(code, edits) {
+  return (
+    Array.isArray(edits) &&
+    edits.length > 0 &&
+    edits.length <= MAX_SAVE_EDITS &&
+    Boolean(globalThis.crypto?.subtle) &&
+    JSON.stringify(edits).length < code.length
+  );
+}
+
+function isEditsRejected(err) {
+  return (
+    err instanceof APIError &&
+    (err.code === "CONTENT_HASH_MISMATCH" ||
+      (err.code === "INVALID_INPUT" && err.field === "edits"))
+  );
+}
+
+/**
+ * Saves `code` as the version after `expectedVersion`. `edits` are the
+ * changes made to that version's code, in the order Monaco reported them,
+ * or null when they are not known. They are sent with the hash of `code`.
+ * If the server rejects them or arrives at different code, the save is
+ * repeated with the whole file. Resolves with the API response.
+ */
+export async function saveSessionCode(
+  sessionId,
+  { code, edits, expectedVersion, versionLabel }
+) {
+  const payload = {
+    expected_version_number: expectedVersion,
+    ...(versionLabel ? { version_label: versionLabel } : {}),
+  };
+
+  if (canSendEdits(code, edits)) {
+    try {
+      return await api.updateSession(sessionId, {
+        ...payload,
+        edits,
+        content_sha256: await sha256Hex(code),
+      });
+    } catch (err) {
+      if (!isEditsRejected(err)) {
+        throw err;
+      }
+      console.warn("[editor] Edits rejected, saving the full file:", err);
+    }
+  }
+
+  return api.updateSession(sessionId, { ...payload, code_content: code });
+}
@@ -0,0 +1,102 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { api, APIError } from "./api";
+import { saveSessionCode } from "./sessionSave";
+
+// Long enough that one small edit is cheaper to send than the file.
+const CODE = `const total = 42;\n${"// padding\n".repeat(20)}`;
+const EDITS = [{ rangeOffset: 14, rangeLength: 1, text: "42" }];
+const CODE_SHA256 = Array.from(
+  new Uint8Array(
+    await crypto.subtle.digest("SHA-256", new TextEncoder().encode(CODE))
+  ),
+  (byte) => byte.toString(16).padStart(2, "0")
+).join("");
+
+function saveCode(edits = EDITS) {
+  return saveSessionCode("session-1", {
+    code: CODE,
+    edits,
+    expectedVersion: 3,
+  });
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("saveSessionCode", () => {
+  it("sends the edits with the hash of the code", async () => {
+    const updateSession = vi
+      .spyOn(api, "updateSession")
+      .mockResolvedValue({ session: { version_number: 4 } });
+
+    await saveCode();
+
+    expect(updateSession).toHaveBeenCalledOnce();
+    expect(updateSession).toHaveBeenCalledWith("session-1", {
+      expected_version_number: 3,
+      edits: EDITS,
+      content_sha256: CODE_SHA256,
+    });
+  });
+
+  it("saves the full file when the server arrives at other code", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const updateSession = vi
+      .spyOn(api, "updateSession")
+      .mockRejectedValueOnce(
+        new APIError("CONTENT_HASH_MISMATCH", "Hash mismatch", null, 409)
+      )
+      .mockResolvedValueOnce({ session: { version_number: 4 } });
+
+    const result = await saveCode();
+
+    expect(result).toEqual({ session: { version_number: 4 } });
+    expect(updateSession).toHaveBeenCalledTimes(2);
+    expect(updateSession).toHaveBeenLastCalledWith("session-1", {
+      expected_version_number: 3,
+      code_content: CODE,
+    });
+  });
+
+  it("saves the full file when the edits are rejected", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const updateSession = vi
+      .spyOn(api, "updateSession")
+      .mockRejectedValueOnce(
+        new APIError("INVALID_INPUT", "Bad edits", "edits", 400)
+      )
+      .mockResolvedValueOnce({ session: { version_number: 4 } });
+
+    await saveCode();
+
+    expect(updateSession).toHaveBeenLastCalledWith("session-1", {
+      expected_version_number: 3,
+      code_content: CODE,
+    });
+  });
+
+  it("passes other errors on without saving again", async () => {
+    const conflict = new APIError("MERGE_CONFLICT", "Conflict", null, 409);
+    const updateSession = vi
+      .spyOn(api, "updateSession")
+      .mockRejectedValue(conflict);
+
+    await expect(saveCode()).rejects.toBe(conflict);
+    expect(updateSession).toHaveBeenCalledOnce();
+  });
+
+  it("sends the full file when there are more edits than a save takes", async () => {
+    const updateSession = vi
+      .spyOn(api, "updateSession")
+      .mockResolvedValue({ session: { version_number: 4 } });
+
+    await saveCode(Array.from({ length: 5001 }, () => EDITS[0]));
+
+    expect(updateSession).toHaveBeenCalledOnce();
+    expect(updateSession).toHaveBeenCalledWith("session-1", {
+      expected_version_number: 3,
+      code_content: CODE,
+    });
+  });
+});